@@ -0,0 +1,390 @@
+/**
+ * @fileoverview Controller for the audience segment library on the dashboard: lists the saved segments
+ * with a description of who they include, and the builder in which segments are created and changed
+ * from location, age, gender, language, device, interest and custom list conditions.
+ */
+
+class AudienceSegmentController {
+    /**
+     * @param {AudienceSegmentService} audienceSegmentService Dependency on AudienceSegmentService.
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(audienceSegmentService, campaignService, authService) {
+        /** @type {AudienceSegmentService} */
+        this.audienceSegmentService = audienceSegmentService;
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * The segment being changed in the builder, or null for a new segment.
+         * @private
+         * @type {string|null}
+         */
+        this.editingId = null;
+        /**
+         * Conditions in the builder, saved with the segment.
+         * @private
+         * @type {Array<Object>}
+         */
+        this.conditions = [];
+        /**
+         * Locations of the location condition being put together.
+         * @private
+         * @type {Array<{country: string, region: string, city: string, radiusKm: number|null}>}
+         */
+        this.locations = [];
+
+        // DOM Elements
+        this.segmentList = document.getElementById('audience-segment-list');
+        this.noSegmentsMessage = document.getElementById('no-segments-found');
+        this.newSegmentBtn = document.getElementById('new-segment-btn');
+        this.builder = document.getElementById('segment-builder');
+        this.builderTitle = document.getElementById('segment-builder-title');
+        this.nameInput = document.getElementById('segment-name-input');
+        this.descriptionInput = document.getElementById('segment-description-input');
+        this.matchSelect = document.getElementById('segment-match-select');
+        this.conditionList = document.getElementById('segment-condition-list');
+        this.conditionTypeSelect = document.getElementById('condition-type-select');
+        this.excludeInput = document.getElementById('condition-exclude-input');
+        this.locationList = document.getElementById('condition-location-list');
+        this.countrySelect = document.getElementById('location-country-select');
+        this.regionInput = document.getElementById('location-region-input');
+        this.cityInput = document.getElementById('location-city-input');
+        this.radiusInput = document.getElementById('location-radius-input');
+        this.addLocationBtn = document.getElementById('add-location-btn');
+        this.ageMinInput = document.getElementById('age-min-input');
+        this.ageMaxInput = document.getElementById('age-max-input');
+        this.interestsInput = document.getElementById('condition-interests-input');
+        this.customListNameInput = document.getElementById('custom-list-name-input');
+        this.customListEntriesInput = document.getElementById('custom-list-entries-input');
+        this.addConditionBtn = document.getElementById('add-condition-btn');
+        this.preview = document.getElementById('segment-builder-preview');
+        this.saveBtn = document.getElementById('save-segment-btn');
+        this.cancelBtn = document.getElementById('cancel-segment-btn');
+
+        this._populateOptions();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the selects and checkbox groups of the builder.
+     * @private
+     */
+    _populateOptions() {
+        const fill = (select, entries) => {
+            if (!select) return;
+            entries.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        const service = this.audienceSegmentService;
+        fill(this.matchSelect, Object.entries(service.MATCH_MODES));
+        fill(this.conditionTypeSelect, Object.entries(service.CONDITION_TYPES));
+        fill(this.countrySelect, service.COUNTRIES
+            .map(code => [code, service.getCountryName(code)])
+            .sort((a, b) => a[1].localeCompare(b[1])));
+
+        [['gender', service.GENDERS], ['language', service.LANGUAGES], ['device', service.DEVICES]].forEach(([type, labels]) => {
+            const container = document.getElementById(`condition-${type}-options`);
+            if (!container) return;
+            Object.entries(labels).forEach(([value, label]) => {
+                const wrapper = document.createElement('label');
+                wrapper.className = 'flex items-center gap-1';
+                wrapper.innerHTML = `<input type="checkbox" value="${value}" /> <span></span>`;
+                wrapper.querySelector('span').textContent = label;
+                container.appendChild(wrapper);
+            });
+        });
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.newSegmentBtn) this.newSegmentBtn.addEventListener('click', () => this.openBuilder(null));
+        if (this.cancelBtn) this.cancelBtn.addEventListener('click', () => this.closeBuilder());
+        if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.handleSaveSegment());
+        if (this.addLocationBtn) this.addLocationBtn.addEventListener('click', () => this.handleAddLocation());
+        if (this.addConditionBtn) this.addConditionBtn.addEventListener('click', () => this.handleAddCondition());
+        if (this.conditionTypeSelect) this.conditionTypeSelect.addEventListener('change', () => this._showConditionFields());
+        if (this.matchSelect) this.matchSelect.addEventListener('change', () => this._renderConditions());
+        if (this.segmentList) {
+            this.segmentList.addEventListener('click', (e) => {
+                const { editSegment, deleteSegment } = e.target.dataset;
+                if (editSegment) this.openBuilder(editSegment);
+                if (deleteSegment) this.handleDeleteSegment(deleteSegment);
+            });
+        }
+        if (this.conditionList) {
+            this.conditionList.addEventListener('click', (e) => {
+                const index = e.target.dataset.removeCondition;
+                if (index === undefined) return;
+                this.conditions.splice(Number(index), 1);
+                this._renderConditions();
+            });
+        }
+        if (this.locationList) {
+            this.locationList.addEventListener('click', (e) => {
+                const index = e.target.dataset.removeLocation;
+                if (index === undefined) return;
+                this.locations.splice(Number(index), 1);
+                this._renderLocations();
+            });
+        }
+        this.audienceSegmentService.onSegmentsChange(() => this.render());
+        this.authService.onAuthChange(() => {
+            this.closeBuilder();
+            this.render();
+        });
+    }
+
+    /**
+     * Renders the segment library.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.segmentList) return;
+        const canManage = !!this.authService.getLoggedInUser() && this.audienceSegmentService.canManageSegments();
+        if (this.newSegmentBtn) this.newSegmentBtn.classList.toggle('hidden', !canManage || !this.builder.classList.contains('hidden'));
+
+        const segments = this.authService.getLoggedInUser() ? await this.audienceSegmentService.getSegments() : [];
+        this.segmentList.querySelectorAll('li:not(#no-segments-found)').forEach(li => li.remove());
+        if (this.noSegmentsMessage) this.noSegmentsMessage.classList.toggle('hidden', segments.length > 0);
+        segments.forEach(segment => {
+            const li = document.createElement('li');
+            li.className = 'p-3 bg-gray-50 border border-gray-200 rounded-md text-sm';
+            li.innerHTML = `
+                <div class="flex items-center justify-between">
+                    <span class="font-medium text-gray-800"></span>
+                    ${canManage ? `<span class="space-x-2">
+                        <button class="text-blue-600 hover:underline text-xs" data-edit-segment="${segment.id}">Edit</button>
+                        <button class="text-red-600 hover:underline text-xs" data-delete-segment="${segment.id}">Delete</button>
+                    </span>` : ''}
+                </div>
+                <p class="segment-description text-gray-600"></p>
+                <p class="segment-rules text-gray-700"></p>
+            `;
+            li.querySelector('span').textContent = segment.name;
+            li.querySelector('.segment-description').textContent = segment.description;
+            li.querySelector('.segment-rules').textContent = this.audienceSegmentService.describeSegment(segment);
+            this.segmentList.appendChild(li);
+        });
+    }
+
+    /**
+     * Opens the builder for a new segment, or for changing an existing one.
+     * @param {string|null} segmentId The segment to change, or null for a new one.
+     * @returns {Promise<void>}
+     */
+    async openBuilder(segmentId) {
+        const segment = segmentId ? await this.audienceSegmentService.getSegment(segmentId) : null;
+        if (segmentId && !segment) return;
+        this.editingId = segmentId;
+        this.builderTitle.textContent = segment ? `Edit Segment "${segment.name}"` : 'New Segment';
+        this.nameInput.value = segment ? segment.name : '';
+        this.descriptionInput.value = segment ? segment.description : '';
+        this.matchSelect.value = segment ? segment.match : 'all';
+        this.conditions = segment ? JSON.parse(JSON.stringify(segment.conditions)) : [];
+        this._resetConditionFields();
+        this._renderConditions();
+        this.builder.classList.remove('hidden');
+        this.newSegmentBtn.classList.add('hidden');
+    }
+
+    /**
+     * Closes the builder, discarding what was not saved.
+     */
+    closeBuilder() {
+        this.editingId = null;
+        this.conditions = [];
+        this.locations = [];
+        if (this.builder) this.builder.classList.add('hidden');
+        if (this.newSegmentBtn && this.authService.getLoggedInUser() && this.audienceSegmentService.canManageSegments()) {
+            this.newSegmentBtn.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Clears the fields for the next condition.
+     * @private
+     */
+    _resetConditionFields() {
+        this.locations = [];
+        this.excludeInput.checked = false;
+        this.regionInput.value = '';
+        this.cityInput.value = '';
+        this.radiusInput.value = '';
+        this.ageMinInput.value = '18';
+        this.ageMaxInput.value = '';
+        this.interestsInput.value = '';
+        this.customListNameInput.value = '';
+        this.customListEntriesInput.value = '';
+        this.builder.querySelectorAll('[data-condition-type] input[type="checkbox"]').forEach(input => {
+            input.checked = false;
+        });
+        this._renderLocations();
+        this._showConditionFields();
+    }
+
+    /**
+     * Shows the fields of the selected condition type.
+     * @private
+     */
+    _showConditionFields() {
+        const type = this.conditionTypeSelect.value;
+        this.builder.querySelectorAll('[data-condition-type]').forEach(fields => {
+            fields.classList.toggle('hidden', fields.dataset.conditionType !== type);
+        });
+    }
+
+    /**
+     * Renders the conditions in the builder and the description of the segment they make up.
+     * @private
+     */
+    _renderConditions() {
+        this.conditionList.innerHTML = '';
+        if (!this.conditions.length) {
+            this.conditionList.innerHTML = '<li class="text-gray-600">No conditions yet. Add at least one below.</li>';
+        }
+        this.conditions.forEach((condition, index) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `<span></span><button class="text-red-600 hover:underline text-xs" data-remove-condition="${index}">Remove</button>`;
+            li.querySelector('span').textContent = this.audienceSegmentService.describeCondition(condition);
+            this.conditionList.appendChild(li);
+        });
+        this.preview.textContent = this.conditions.length
+            ? `Targets: ${this.audienceSegmentService.describeSegment({ match: this.matchSelect.value, conditions: this.conditions })}`
+            : '';
+    }
+
+    /**
+     * Renders the locations of the location condition being put together.
+     * @private
+     */
+    _renderLocations() {
+        this.locationList.innerHTML = '';
+        this.locations.forEach((location, index) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `<span></span><button class="text-red-600 hover:underline text-xs" data-remove-location="${index}">Remove</button>`;
+            li.querySelector('span').textContent = this.audienceSegmentService.describeCondition({ type: 'geo', locations: [location] }).replace(/^Located in /, '');
+            this.locationList.appendChild(li);
+        });
+    }
+
+    /**
+     * Adds the location entered in the builder to the location condition being put together.
+     */
+    handleAddLocation() {
+        const radius = this.radiusInput.value.trim();
+        this.locations.push({
+            country: this.countrySelect.value,
+            region: this.regionInput.value.trim(),
+            city: this.cityInput.value.trim(),
+            radiusKm: radius ? Number(radius) : null
+        });
+        this.regionInput.value = '';
+        this.cityInput.value = '';
+        this.radiusInput.value = '';
+        this._renderLocations();
+    }
+
+    /**
+     * Reads the condition entered in the builder.
+     * @returns {Object} The condition.
+     * @private
+     */
+    _readCondition() {
+        const type = this.conditionTypeSelect.value;
+        const condition = { type, exclude: this.excludeInput.checked };
+        const checked = () => [...this.builder.querySelectorAll(`[data-condition-type="${type}"] input:checked`)].map(input => input.value);
+        const list = (text, separator) => text.split(separator).map(value => value.trim()).filter(Boolean);
+        switch (type) {
+            case 'geo':
+                return { ...condition, locations: [...this.locations] };
+            case 'age': {
+                const max = this.ageMaxInput.value.trim();
+                return { ...condition, min: Number(this.ageMinInput.value), max: max ? Number(max) : null };
+            }
+            case 'interests':
+                return { ...condition, values: [...new Set(list(this.interestsInput.value, ','))] };
+            case 'customList':
+                return { ...condition, name: this.customListNameInput.value.trim(), entries: [...new Set(list(this.customListEntriesInput.value, /\r?\n/))] };
+            default:
+                return { ...condition, values: checked() };
+        }
+    }
+
+    /**
+     * Adds the condition entered in the builder to the segment.
+     */
+    handleAddCondition() {
+        const condition = this._readCondition();
+        const problems = this.audienceSegmentService.validate({ name: 'x', match: 'all', conditions: [condition] });
+        if (problems.length) {
+            alert(`The condition was not added: ${problems.join('; ')}`);
+            return;
+        }
+        this.conditions.push(condition);
+        this._resetConditionFields();
+        this._renderConditions();
+    }
+
+    /**
+     * Saves the segment in the builder. Changing a segment changes the targeting of every campaign
+     * that uses it, so the user confirms that first.
+     * @returns {Promise<void>}
+     */
+    async handleSaveSegment() {
+        if (this.editingId) {
+            const count = await this.campaignService.countCampaignsTargeting(this.editingId);
+            if (count && !confirm(`${count} campaign${count === 1 ? '' : 's'} target${count === 1 ? 's' : ''} this segment. Change the targeting of ${count === 1 ? 'it' : 'all of them'}?`)) return;
+        }
+        try {
+            await this.audienceSegmentService.saveSegment({
+                id: this.editingId,
+                name: this.nameInput.value,
+                description: this.descriptionInput.value,
+                match: this.matchSelect.value,
+                conditions: this.conditions
+            });
+            this.closeBuilder();
+        } catch (error) {
+            console.error('Segment could not be saved:', error);
+            if (['AudienceSegmentError', 'PermissionDeniedError', 'StorageQuotaError'].includes(error.name)) alert(error.message);
+        }
+    }
+
+    /**
+     * Deletes a segment after confirmation, unless campaigns still target it.
+     * @param {string} segmentId The segment ID.
+     * @returns {Promise<void>}
+     */
+    async handleDeleteSegment(segmentId) {
+        const segment = await this.audienceSegmentService.getSegment(segmentId);
+        if (!segment) return;
+        const count = await this.campaignService.countCampaignsTargeting(segmentId);
+        if (count) {
+            alert(`"${segment.name}" is targeted by ${count} campaign${count === 1 ? '' : 's'}. Remove it from ${count === 1 ? 'that campaign' : 'those campaigns'} before deleting it.`);
+            return;
+        }
+        if (!confirm(`Delete the audience segment "${segment.name}"?`)) return;
+        try {
+            await this.audienceSegmentService.deleteSegment(segmentId);
+            if (this.editingId === segmentId) this.closeBuilder();
+        } catch (error) {
+            console.error('Segment could not be deleted:', error);
+            if (error.name === 'PermissionDeniedError') alert(error.message);
+        }
+    }
+}
+
+export default AudienceSegmentController;
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Controller for the budget and pacing section of the active campaign on the dashboard:
+ * the budget form (draft campaigns only), recording and importing spend, the pacing summary against
+ * the flight, and alerts when spend deviates from plan by more than the campaign's threshold.
+ */
+
+class CampaignBudgetController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignBudgetService} campaignBudgetService Dependency on CampaignBudgetService.
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     */
+    constructor(campaignService, campaignBudgetService, campaignScheduleService, authService, accessControlService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignBudgetService} */
+        this.campaignBudgetService = campaignBudgetService;
+        /** @type {CampaignScheduleService} */
+        this.campaignScheduleService = campaignScheduleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+
+        /**
+         * The campaign and budget the form was last filled from, so unrelated changes to the campaign
+         * do not discard what the user is typing.
+         * @private
+         * @type {string|null}
+         */
+        this.filledFrom = null;
+        /**
+         * The pacing problem last alerted for each campaign, so each problem is only alerted once.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.alertedPacing = {};
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-budget');
+        this.pacingStatus = document.getElementById('campaign-pacing-status');
+        this.pacingSummary = document.getElementById('campaign-pacing-summary');
+        this.flightInfo = document.getElementById('campaign-budget-flight');
+        this.pacingAlert = document.getElementById('campaign-pacing-alert');
+        this.currencySelect = document.getElementById('budget-currency-select');
+        this.totalInput = document.getElementById('budget-total-input');
+        this.dailyInput = document.getElementById('budget-daily-input');
+        this.bidStrategySelect = document.getElementById('budget-bid-strategy-select');
+        this.saveBtn = document.getElementById('save-budget-btn');
+        this.restrictionMessage = document.getElementById('campaign-budget-restriction');
+        this.spendTools = document.getElementById('campaign-spend-tools');
+        this.spendDateInput = document.getElementById('spend-date-input');
+        this.spendAmountInput = document.getElementById('spend-amount-input');
+        this.recordSpendBtn = document.getElementById('record-spend-btn');
+        this.spendImportInput = document.getElementById('spend-import-input');
+        this.thresholdInput = document.getElementById('pacing-threshold-input');
+        this.saveThresholdBtn = document.getElementById('save-pacing-threshold-btn');
+        this.spendEntryList = document.getElementById('spend-entry-list');
+
+        this._populateSelects();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the currency and bid strategy selects.
+     * @private
+     */
+    _populateSelects() {
+        const fill = (select, choices) => {
+            if (!select) return;
+            choices.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fill(this.currencySelect, this.campaignBudgetService.CURRENCIES.map(currency => [currency, currency]));
+        fill(this.bidStrategySelect, Object.entries(this.campaignBudgetService.BID_STRATEGIES));
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.handleSaveBudget());
+        if (this.recordSpendBtn) this.recordSpendBtn.addEventListener('click', () => this.handleRecordSpend());
+        if (this.saveThresholdBtn) this.saveThresholdBtn.addEventListener('click', () => this.handleSaveThreshold());
+        if (this.spendImportInput) this.spendImportInput.addEventListener('change', () => this._handleImportFile());
+        if (this.spendEntryList) {
+            this.spendEntryList.addEventListener('click', (e) => {
+                const entryId = e.target.dataset.removeSpend;
+                if (entryId) this.handleRemoveSpend(entryId);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the budget, spend and pacing of the active campaign.
+     */
+    render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) {
+            this.filledFrom = null;
+            return;
+        }
+
+        const source = `${campaign.id}:${JSON.stringify(campaign.budget)}`;
+        if (source !== this.filledFrom) {
+            this.filledFrom = source;
+            this.currencySelect.value = campaign.budget.currency;
+            this.totalInput.value = campaign.budget.total ?? '';
+            this.dailyInput.value = campaign.budget.daily ?? '';
+            this.bidStrategySelect.value = campaign.budget.bidStrategy;
+        }
+        if (document.activeElement !== this.thresholdInput) this.thresholdInput.value = campaign.spend.alertThreshold;
+
+        const restriction = this.campaignService.getEditRestriction();
+        [this.currencySelect, this.totalInput, this.dailyInput, this.bidStrategySelect, this.saveBtn].forEach(control => {
+            if (control) control.disabled = !!restriction;
+        });
+        if (this.restrictionMessage) {
+            this.restrictionMessage.textContent = restriction || '';
+            this.restrictionMessage.classList.toggle('hidden', !restriction);
+        }
+        const canRecordSpend = this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+        if (this.spendTools) this.spendTools.classList.toggle('hidden', !canRecordSpend);
+
+        this._renderPacing(campaign);
+        this._renderSpendEntries(campaign, canRecordSpend);
+    }
+
+    /**
+     * Renders the pacing summary and alert, and alerts a new pacing problem once.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderPacing(campaign) {
+        const pacing = this.campaignBudgetService.getPacing(campaign);
+        const { currency } = campaign.budget;
+        const money = amount => this.campaignBudgetService.formatMoney(amount, currency);
+
+        if (this.pacingStatus) {
+            this.pacingStatus.textContent = this.campaignBudgetService.getPacingLabel(pacing.status);
+            this.pacingStatus.className = `px-2 py-0.5 rounded-full text-xs font-medium ${this.campaignBudgetService.getPacingBadgeClass(pacing.status)}`;
+        }
+        if (this.pacingSummary) {
+            const parts = [`Spent ${money(pacing.spent)} of ${money(pacing.planned)}`];
+            if (pacing.expected !== null) parts.push(`expected by now ${money(pacing.expected)} (${Math.round(pacing.elapsed * 100)}% of the flight)`);
+            if (pacing.projected !== null) parts.push(`projected at the end of the flight ${money(pacing.projected)}`);
+            parts.push(`bid strategy ${this.campaignBudgetService.getBidStrategyLabel(campaign.budget.bidStrategy)}`);
+            this.pacingSummary.textContent = `${parts.join(' · ')}.`;
+        }
+        if (this.flightInfo) {
+            const { schedule } = campaign;
+            this.flightInfo.textContent = schedule.startAt
+                ? `Paced over the flight ${this.campaignScheduleService.formatDateTime(schedule.startAt)} – ${this.campaignScheduleService.formatDateTime(schedule.endAt)} (${schedule.timezone}), set under Schedule.`
+                : 'Set the flight dates under Schedule to track pacing.';
+        }
+
+        const message = this.campaignBudgetService.getPacingAlert(campaign, pacing);
+        if (this.pacingAlert) {
+            this.pacingAlert.textContent = message || '';
+            this.pacingAlert.classList.toggle('hidden', !message);
+        }
+        const problem = message ? `${pacing.status}:${pacing.overspentDays.join(',')}` : null;
+        if (problem && this.alertedPacing[campaign.id] !== problem) {
+            console.warn('Pacing alert:', message);
+            alert(message);
+        }
+        this.alertedPacing[campaign.id] = problem;
+    }
+
+    /**
+     * Renders the spend entries, newest day first.
+     * @param {Object} campaign The active campaign.
+     * @param {boolean} canRecordSpend Whether the user may remove entries.
+     * @private
+     */
+    _renderSpendEntries(campaign, canRecordSpend) {
+        if (!this.spendEntryList) return;
+        this.spendEntryList.innerHTML = '';
+        const entries = [...campaign.spend.entries].sort((a, b) => b.date.localeCompare(a.date) || b.at.localeCompare(a.at));
+        if (!entries.length) {
+            this.spendEntryList.innerHTML = '<li class="text-gray-600">No spend recorded yet.</li>';
+            return;
+        }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `<span></span>${canRecordSpend ? '<button class="text-red-600 hover:underline text-xs">Remove</button>' : ''}`;
+            li.querySelector('span').textContent = `${entry.date}: ${this.campaignBudgetService.formatMoney(entry.amount, campaign.budget.currency)} ` +
+                `(${entry.source === 'import' ? 'imported' : 'entered'} by ${entry.by})`;
+            const removeBtn = li.querySelector('button');
+            if (removeBtn) removeBtn.dataset.removeSpend = entry.id;
+            this.spendEntryList.appendChild(li);
+        });
+    }
+
+    /**
+     * Reads an amount input.
+     * @param {HTMLInputElement} input The input.
+     * @returns {number|null} The amount, or null if the input is empty.
+     * @private
+     */
+    _readAmount(input) {
+        return input.value.trim() === '' ? null : Number(input.value);
+    }
+
+    /**
+     * Shows why a budget or spend change failed.
+     * @param {string} message What failed.
+     * @param {Error} error The error.
+     * @private
+     */
+    _reportError(message, error) {
+        console.error(`${message}:`, error);
+        if (['CampaignBudgetError', 'CampaignAccessError', 'CampaignLifecycleError', 'CampaignSchemaError'].includes(error.name)) alert(error.message);
+    }
+
+    /**
+     * Saves the budget in the form to the active campaign.
+     * @returns {Promise<void>}
+     */
+    async handleSaveBudget() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        const budget = {
+            currency: this.currencySelect.value,
+            total: this._readAmount(this.totalInput),
+            daily: this._readAmount(this.dailyInput),
+            bidStrategy: this.bidStrategySelect.value
+        };
+        try {
+            await this.campaignService.updateBudget(campaign.id, budget);
+        } catch (error) {
+            this._reportError('Budget could not be saved', error);
+        }
+    }
+
+    /**
+     * Records the spend entered in the form for the active campaign.
+     * @returns {Promise<void>}
+     */
+    async handleRecordSpend() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            await this.campaignService.recordSpend(campaign.id, this.spendDateInput.value, this._readAmount(this.spendAmountInput));
+            this.spendAmountInput.value = '';
+        } catch (error) {
+            this._reportError('Spend could not be recorded', error);
+        }
+    }
+
+    /**
+     * Imports a spend report into the active campaign.
+     * @param {string} csvText The CSV report.
+     * @returns {Promise<void>}
+     */
+    async handleImportSpend(csvText) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            const updated = await this.campaignService.importSpend(campaign.id, csvText);
+            alert(`Spend report imported into campaign "${updated.name}".`);
+        } catch (error) {
+            this._reportError('Spend report could not be imported', error);
+        }
+    }
+
+    /**
+     * Reads the chosen CSV file and imports it.
+     * @private
+     */
+    _handleImportFile() {
+        const file = this.spendImportInput?.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => this.handleImportSpend(reader.result);
+        reader.onerror = () => console.error('Could not read spend report:', reader.error);
+        reader.readAsText(file);
+        this.spendImportInput.value = '';
+    }
+
+    /**
+     * Removes a spend entry from the active campaign.
+     * @param {string} entryId The entry.
+     * @returns {Promise<void>}
+     */
+    async handleRemoveSpend(entryId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign || !confirm('Remove this spend entry?')) return;
+        try {
+            await this.campaignService.removeSpendEntry(campaign.id, entryId);
+        } catch (error) {
+            this._reportError('Spend could not be removed', error);
+        }
+    }
+
+    /**
+     * Saves the pacing alert threshold in the form.
+     * @returns {Promise<void>}
+     */
+    async handleSaveThreshold() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            await this.campaignService.setPacingAlertThreshold(campaign.id, this._readAmount(this.thresholdInput));
+        } catch (error) {
+            this._reportError('Alert threshold could not be saved', error);
+        }
+    }
+}
+
+export default CampaignBudgetController;
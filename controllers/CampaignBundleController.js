@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Controller for exporting and importing campaign bundles on the dashboard. The campaigns
+ * selected in the campaign list are exported as a JSON or zip bundle; an imported bundle is checked first,
+ * and if some of its campaigns already exist, the user chooses to skip, overwrite or copy them.
+ */
+
+class CampaignBundleController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignBundleService} campaignBundleService Dependency on CampaignBundleService.
+     * @param {CampaignListController} campaignListController Dependency on CampaignListController (the selection).
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {ToastController} toastController Dependency on ToastController (results).
+     */
+    constructor(campaignService, campaignBundleService, campaignListController, authService, toastController) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignBundleService} */
+        this.campaignBundleService = campaignBundleService;
+        /** @type {CampaignListController} */
+        this.campaignListController = campaignListController;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {ToastController} */
+        this.toastController = toastController;
+
+        /**
+         * What happens to each campaign of a bundle, as the import dialog describes it.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.MODE_LABELS = {
+            new: 'New',
+            skip: 'Already exists; skipped',
+            overwrite: 'Already exists; overwritten',
+            copy: 'Already exists; imported as a copy'
+        };
+        /**
+         * The bundle being imported: its file name, when and by whom it was exported, and its campaigns with
+         * their problems and duplicates (see CampaignBundleService.validateBundle()).
+         * @private
+         * @type {{fileName: string, exportedAt: string|null, exportedBy: string|null, entries: Array<Object>}|null}
+         */
+        this.pendingImport = null;
+
+        // DOM Elements
+        this.bulkActions = document.getElementById('campaign-bulk-actions');
+        this.importButton = document.getElementById('campaign-import-btn');
+        this.importInput = document.getElementById('campaign-import-input');
+        this.dialog = document.getElementById('campaign-import-dialog');
+        this.summary = document.getElementById('campaign-import-summary');
+        this.duplicatesRow = document.getElementById('campaign-import-duplicates');
+        this.duplicateModeSelect = document.getElementById('campaign-import-duplicate-mode');
+        this.list = document.getElementById('campaign-import-list');
+        this.cancelButton = document.getElementById('campaign-import-cancel-btn');
+        this.confirmButton = document.getElementById('campaign-import-confirm-btn');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.bulkActions) {
+            this.bulkActions.addEventListener('click', (e) => {
+                const format = e.target.dataset.exportBundle;
+                if (format) this.handleExport(format);
+            });
+        }
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => this.importInput.click());
+            this.importInput.addEventListener('change', async () => {
+                const file = this.importInput.files[0];
+                this.importInput.value = ''; // Allow choosing the same file again
+                if (file) await this.handleFile(file);
+            });
+        }
+        if (this.duplicateModeSelect) this.duplicateModeSelect.addEventListener('change', () => this._renderDialog());
+        if (this.cancelButton) this.cancelButton.addEventListener('click', () => this._closeDialog());
+        if (this.confirmButton) this.confirmButton.addEventListener('click', () => this.handleImport());
+        if (this.dialog) {
+            this.dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this._closeDialog();
+            });
+        }
+        this.authService.onAuthChange(() => {
+            this._closeDialog();
+            this.render();
+        });
+    }
+
+    /**
+     * Shows the import button to users who may create campaigns.
+     */
+    render() {
+        if (this.importButton) this.importButton.classList.toggle('hidden', !this.campaignService.canCreateCampaigns());
+    }
+
+    /**
+     * Downloads the campaigns selected in the campaign list as a bundle.
+     * @param {string} format 'json' or 'zip' (see CampaignBundleService.FORMATS).
+     * @returns {Promise<void>}
+     */
+    async handleExport(format) {
+        const campaigns = this.campaignListController.getSelectedCampaigns();
+        if (!campaigns.length) return;
+        try {
+            const bundle = this.campaignBundleService.createBundle(campaigns, this.authService.getLoggedInUser()?.username || 'unknown');
+            const blob = this.campaignBundleService.toBlob(bundle, format);
+            this.campaignBundleService.download(blob, this.campaignBundleService.getFileName(campaigns, format));
+        } catch (error) {
+            console.error('Campaigns could not be exported:', error);
+            alert(`Campaigns could not be exported: ${error.message}`);
+            return;
+        }
+        const summary = `Exported ${campaigns.length} campaign(s) as ${this.campaignBundleService.FORMATS[format].label}.`;
+        console.log(summary);
+        this.toastController.show(summary);
+    }
+
+    /**
+     * Reads a bundle file and checks it. If every campaign in it is new, they are imported right away;
+     * otherwise the import dialog asks what to do with those that already exist or cannot be imported.
+     * @param {File} file The bundle file.
+     * @returns {Promise<void>}
+     */
+    async handleFile(file) {
+        let checked;
+        try {
+            checked = this.campaignBundleService.validateBundle(await this.campaignBundleService.readBundle(file));
+        } catch (error) {
+            console.error('Campaign bundle could not be read:', error);
+            alert(error.name === 'CampaignBundleError' ? error.message : `The bundle could not be read: ${error.message}`);
+            return;
+        }
+        for (const entry of checked.entries) {
+            entry.duplicate = entry.campaign ? await this.campaignService.getImportDuplicate(entry.campaign) : null;
+        }
+        this.pendingImport = { fileName: file.name, ...checked };
+
+        if (checked.entries.every(entry => entry.campaign && !entry.duplicate)) {
+            await this.handleImport();
+            return;
+        }
+        if (this.duplicateModeSelect) this.duplicateModeSelect.value = 'skip';
+        this._renderDialog();
+        if (this.dialog) this.dialog.classList.remove('hidden');
+        if (this.duplicateModeSelect) this.duplicateModeSelect.focus();
+    }
+
+    /**
+     * Decides what happens to a campaign of the bundle being imported.
+     * @param {Object} entry The campaign's entry.
+     * @returns {string|null} The import mode (see CampaignService.importCampaign()), or null if it cannot be imported.
+     * @private
+     */
+    _getMode(entry) {
+        if (!entry.campaign) return null;
+        if (!entry.duplicate) return 'new';
+        return this.duplicateModeSelect ? this.duplicateModeSelect.value : 'skip';
+    }
+
+    /**
+     * Renders the import dialog for the bundle being imported.
+     * @private
+     */
+    _renderDialog() {
+        if (!this.pendingImport || !this.list) return;
+        const { fileName, exportedAt, exportedBy, entries } = this.pendingImport;
+        const duplicates = entries.filter(entry => entry.duplicate).length;
+        const invalid = entries.filter(entry => !entry.campaign).length;
+
+        if (this.summary) {
+            const origin = exportedBy ? ` exported by ${exportedBy}${exportedAt ? ` on ${new Date(exportedAt).toLocaleString()}` : ''}` : '';
+            this.summary.textContent = `"${fileName}" has ${entries.length} campaign(s)${origin}. ` +
+                `${duplicates} already exist here; ${invalid} cannot be imported.`;
+        }
+        if (this.duplicatesRow) this.duplicatesRow.classList.toggle('hidden', duplicates === 0);
+
+        this.list.innerHTML = '';
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'p-2 rounded-md border border-gray-200';
+            li.innerHTML = '<span class="import-name font-medium text-gray-800"></span><span class="import-result block text-xs"></span>';
+            li.querySelector('.import-name').textContent = entry.name;
+            const result = li.querySelector('.import-result');
+            const mode = this._getMode(entry);
+            if (mode) {
+                result.textContent = this.MODE_LABELS[mode];
+                result.classList.add(mode === 'skip' ? 'text-gray-500' : 'text-gray-700');
+            } else {
+                result.textContent = `Cannot be imported: ${entry.problems.join('; ')}`;
+                result.classList.add('text-red-700');
+            }
+            this.list.appendChild(li);
+        });
+        if (this.confirmButton) this.confirmButton.disabled = !entries.some(entry => this._getMode(entry) && this._getMode(entry) !== 'skip');
+    }
+
+    /**
+     * Closes the import dialog, forgetting the bundle.
+     * @private
+     */
+    _closeDialog() {
+        this.pendingImport = null;
+        if (this.dialog) this.dialog.classList.add('hidden');
+    }
+
+    /**
+     * Imports the campaigns of the bundle being imported as chosen, and reports what was done. Campaigns
+     * that cannot be imported are listed; the others are still imported.
+     * @returns {Promise<void>}
+     */
+    async handleImport() {
+        if (!this.pendingImport) return;
+        const planned = this.pendingImport.entries.map(entry => ({ entry, mode: this._getMode(entry) }));
+        this._closeDialog();
+
+        const counts = { new: 0, copy: 0, overwrite: 0, skip: 0 };
+        const failures = [];
+        let removedSegments = 0;
+        for (const { entry, mode } of planned) {
+            if (!mode) {
+                failures.push(`"${entry.name}": ${entry.problems.join('; ')}`);
+                continue;
+            }
+            try {
+                const imported = await this.campaignService.importCampaign(entry.campaign, mode);
+                counts[mode] += 1;
+                if (imported) removedSegments += entry.campaign.targeting.segmentIds.length - imported.targeting.segmentIds.length;
+            } catch (error) {
+                if (!['CampaignAccessError', 'CampaignLifecycleError', 'CampaignSchemaError', 'StorageQuotaError'].includes(error.name)) {
+                    console.error(`Campaign "${entry.name}" could not be imported:`, error);
+                }
+                failures.push(`"${entry.name}": ${error.message}`);
+            }
+        }
+
+        const parts = [`Imported ${counts.new + counts.copy} campaign(s)`];
+        if (counts.copy) parts.push(`${counts.copy} of them as copies`);
+        if (counts.overwrite) parts.push(`overwrote ${counts.overwrite}`);
+        if (counts.skip) parts.push(`skipped ${counts.skip}`);
+        const summary = `${parts.join(', ')}.`;
+        console.log(summary);
+        this.toastController.show(summary);
+        if (failures.length || removedSegments) {
+            const segmentNote = removedSegments ? `\n\n${removedSegments} targeted audience segment(s) do not exist here and were removed from targeting.` : '';
+            const failureNote = failures.length ? `\n\nNot imported:\n- ${failures.join('\n- ')}` : '';
+            alert(`${summary}${segmentNote}${failureNote}`);
+        }
+    }
+}
+
+export default CampaignBundleController;
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Controller for the flight calendar on the dashboard. It shows the flights of all
+ * campaigns the user can see in a month or week view, and highlights days on which flights overlap.
+ */
+
+class CampaignCalendarController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService.
+     * @param {NavigationService} navigationService Dependency on NavigationService.
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(campaignService, campaignScheduleService, campaignLifecycleService, navigationService, authService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignScheduleService} */
+        this.campaignScheduleService = campaignScheduleService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * Statuses whose flights are not shown.
+         * @private
+         * @type {Array<string>}
+         */
+        this.HIDDEN_STATUSES = ['archived'];
+        /**
+         * Names of the weekdays heading the calendar, Monday first.
+         * @private
+         * @type {Array<string>}
+         */
+        this.WEEKDAY_HEADINGS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+        /**
+         * 'month' or 'week'.
+         * @private
+         * @type {string}
+         */
+        this.view = 'month';
+        /**
+         * A day in the month or week shown.
+         * @private
+         * @type {Date}
+         */
+        this.anchor = new Date();
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-calendar-section');
+        this.calendar = document.getElementById('campaign-calendar');
+        this.title = document.getElementById('calendar-title');
+        this.prevBtn = document.getElementById('calendar-prev-btn');
+        this.nextBtn = document.getElementById('calendar-next-btn');
+        this.todayBtn = document.getElementById('calendar-today-btn');
+        this.viewSelect = document.getElementById('calendar-view-select');
+        this.overlapList = document.getElementById('calendar-overlap-list');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.prevBtn) this.prevBtn.addEventListener('click', () => this.move(-1));
+        if (this.nextBtn) this.nextBtn.addEventListener('click', () => this.move(1));
+        if (this.todayBtn) {
+            this.todayBtn.addEventListener('click', () => {
+                this.anchor = new Date();
+                this.render();
+            });
+        }
+        if (this.viewSelect) {
+            this.viewSelect.addEventListener('change', () => {
+                this.view = this.viewSelect.value;
+                this.render();
+            });
+        }
+        if (this.calendar) {
+            this.calendar.addEventListener('click', (e) => {
+                const campaignId = e.target.dataset.campaignId;
+                if (campaignId) this.navigationService.goToCampaign(campaignId);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Shows the previous or next month or week.
+     * @param {number} step -1 for back, 1 for forward.
+     */
+    move(step) {
+        const { anchor } = this;
+        this.anchor = this.view === 'week'
+            ? new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * step)
+            : new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+        this.render();
+    }
+
+    /**
+     * Lists the flights shown in the calendar.
+     * @returns {Promise<Array<{campaign: Object, start: Date, end: Date}>>} The flights.
+     * @private
+     */
+    async _getFlights() {
+        const campaigns = await this.campaignService.getAllCampaigns();
+        return campaigns
+            .filter(campaign => !this.HIDDEN_STATUSES.includes(campaign.status))
+            .map(campaign => ({ campaign, flight: this.campaignScheduleService.getFlight(campaign) }))
+            .filter(({ flight }) => flight)
+            .map(({ campaign, flight }) => ({ campaign, start: flight.start, end: flight.end }));
+    }
+
+    /**
+     * Renders the calendar.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.calendar) return;
+        if (!this.authService.getLoggedInUser()) {
+            this.calendar.innerHTML = '';
+            if (this.overlapList) this.overlapList.innerHTML = '';
+            return;
+        }
+
+        const flights = await this._getFlights();
+        const days = this.campaignScheduleService.getCalendarDays(this.view, this.anchor);
+        const today = new Date().toDateString();
+
+        if (this.viewSelect) this.viewSelect.value = this.view;
+        if (this.title) {
+            this.title.textContent = this.view === 'week'
+                ? `${days[0].toLocaleDateString(undefined, { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`
+                : this.anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+
+        this.calendar.innerHTML = this.WEEKDAY_HEADINGS
+            .map(heading => `<div class="bg-gray-50 px-2 py-1 font-semibold text-gray-600">${heading}</div>`)
+            .join('');
+        days.forEach(day => {
+            const dayFlights = this.campaignScheduleService.getFlightsOnDay(flights, day);
+            const overlapping = dayFlights.length > 1;
+            const outside = this.view === 'month' && day.getMonth() !== this.anchor.getMonth();
+            const cell = document.createElement('div');
+            cell.className = `${overlapping ? 'bg-red-50' : 'bg-white'} ${this.view === 'week' ? 'min-h-[8rem]' : 'min-h-[5rem]'} p-1 space-y-1`;
+            if (overlapping) cell.title = `${dayFlights.length} flights overlap on this day`;
+
+            const date = document.createElement('div');
+            date.className = `text-right ${day.toDateString() === today ? 'font-bold text-blue-600' : outside ? 'text-gray-400' : 'text-gray-700'}`;
+            date.textContent = day.getDate();
+            cell.appendChild(date);
+
+            dayFlights.forEach(({ campaign }) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = `block w-full truncate text-left rounded px-1 ${this.campaignLifecycleService.getBadgeClass(campaign.status)}`;
+                chip.dataset.campaignId = campaign.id;
+                chip.textContent = campaign.name;
+                chip.title = `${campaign.name} (${this.campaignLifecycleService.getLabel(campaign.status)}): ` +
+                    `${this.campaignScheduleService.formatDateTime(campaign.schedule.startAt)} – ${this.campaignScheduleService.formatDateTime(campaign.schedule.endAt)} ${campaign.schedule.timezone}`;
+                cell.appendChild(chip);
+            });
+            this.calendar.appendChild(cell);
+        });
+
+        this._renderOverlaps(flights, days);
+    }
+
+    /**
+     * Lists the flights that overlap within the days shown.
+     * @param {Array<{campaign: Object, start: Date, end: Date}>} flights The flights.
+     * @param {Array<Date>} days The days shown.
+     * @private
+     */
+    _renderOverlaps(flights, days) {
+        if (!this.overlapList) return;
+        const first = days[0];
+        const last = days[days.length - 1];
+        const rangeEnd = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+        const overlaps = this.campaignScheduleService.findOverlaps(flights)
+            .filter(overlap => overlap.start < rangeEnd && overlap.end > first);
+
+        this.overlapList.innerHTML = '';
+        overlaps.forEach(({ a, b, start, end }) => {
+            const li = document.createElement('li');
+            li.textContent = `"${a.name}" and "${b.name}" overlap from ${start.toLocaleString()} to ${end.toLocaleString()}.`;
+            this.overlapList.appendChild(li);
+        });
+    }
+}
+
+export default CampaignCalendarController;
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Controller for the lifecycle section of the active campaign on the dashboard.
+ * Offers the status transitions the logged-in user may make (explaining those that are blocked),
+ * forking a draft of a locked campaign, duplicating it, moving it to the trash, and the audit trail of
+ * every status change. Archiving and trashing can be undone from the toast that follows.
+ */
+
+class CampaignLifecycleController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {NavigationService} navigationService Dependency on NavigationService (to open a fork or copy).
+     * @param {ToastController} toastController Dependency on ToastController (undo).
+     */
+    constructor(campaignService, campaignLifecycleService, authService, navigationService, toastController) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+        /** @type {ToastController} */
+        this.toastController = toastController;
+
+        /**
+         * Actions that ask for an optional comment, stored with the transition.
+         * @private
+         * @type {Array<string>}
+         */
+        this.ACTIONS_WITH_NOTE = ['approve', 'reject', 'reopen', 'pause'];
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-lifecycle');
+        this.actionsContainer = document.getElementById('campaign-lifecycle-actions');
+        this.lockMessage = document.getElementById('campaign-lifecycle-lock');
+        this.historyList = document.getElementById('campaign-status-history');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.actionsContainer) {
+            this.actionsContainer.addEventListener('click', (e) => {
+                const action = e.target.dataset.lifecycleAction;
+                if (!action) return;
+                if (action === 'fork') {
+                    this.handleFork();
+                } else if (action === 'clone') {
+                    this.handleClone();
+                } else if (action === 'trash') {
+                    this.handleTrash();
+                } else {
+                    this.handleTransition(action);
+                }
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the lifecycle section for the active campaign.
+     */
+    render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) return;
+
+        this._renderActions(campaign);
+        this._renderHistory(campaign);
+    }
+
+    /**
+     * Renders a button per available transition, the fork button for locked campaigns, and the duplicate
+     * and trash buttons.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderActions(campaign) {
+        const user = this.authService.getLoggedInUser();
+        const access = this.campaignService.getCampaignAccess(campaign);
+        const transitions = this.campaignLifecycleService.getAvailableTransitions(campaign, user, access);
+
+        this.actionsContainer.innerHTML = '';
+        transitions.forEach(({ action, label, problems }) => {
+            const button = this._createButton(action, label);
+            if (problems.length) {
+                button.disabled = true;
+                button.title = `Not yet possible: ${problems.join('; ')}.`;
+            }
+            this.actionsContainer.appendChild(button);
+        });
+        const lockReason = this.campaignLifecycleService.getLockReason(campaign);
+        if (lockReason && this.campaignService.canCreateCampaigns()) {
+            this.actionsContainer.appendChild(this._createButton('fork', 'Fork as Draft'));
+        }
+        if (this.campaignService.canCreateCampaigns()) {
+            this.actionsContainer.appendChild(this._createButton('clone', 'Duplicate'));
+        }
+        if (access === 'owner') {
+            const trashButton = this._createButton('trash', 'Move to Trash');
+            if (this.campaignService.UNDELETABLE_STATUSES.includes(campaign.status)) {
+                trashButton.disabled = true;
+                trashButton.title = `Not possible while the campaign is ${this.campaignLifecycleService.getLabel(campaign.status)}; complete it first.`;
+            }
+            this.actionsContainer.appendChild(trashButton);
+        }
+        if (!this.actionsContainer.children.length) {
+            this.actionsContainer.innerHTML = '<span class="text-sm text-gray-600">No status changes available to you.</span>';
+        }
+
+        if (this.lockMessage) {
+            this.lockMessage.textContent = lockReason || '';
+            this.lockMessage.classList.toggle('hidden', !lockReason);
+        }
+    }
+
+    /**
+     * Creates an action button.
+     * @param {string} action The action.
+     * @param {string} label The button text.
+     * @returns {HTMLButtonElement} The button.
+     * @private
+     */
+    _createButton(action, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.lifecycleAction = action;
+        button.className = 'py-1 px-3 border border-blue-600 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed';
+        button.textContent = label;
+        return button;
+    }
+
+    /**
+     * Renders the audit trail of status changes, newest first.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderHistory(campaign) {
+        if (!this.historyList) return;
+        this.historyList.innerHTML = '';
+        const entries = [...(campaign.statusHistory || [])].reverse();
+        if (!entries.length) {
+            this.historyList.innerHTML = '<li class="text-gray-500">No status changes recorded yet.</li>';
+            return;
+        }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            const to = this.campaignLifecycleService.getLabel(entry.to);
+            let change = entry.from ? `${this.campaignLifecycleService.getLabel(entry.from)} → ${to}` : `Created as ${to}`;
+            // A reviewer's approval while others have yet to approve leaves the status as it is
+            if (entry.from === entry.to) change = `${this.campaignLifecycleService.getActionLabel(entry.action)} (still ${to})`;
+            li.textContent = `${new Date(entry.at).toLocaleString()} · ${change} · ${entry.by}${entry.note ? ` — ${entry.note}` : ''}`;
+            this.historyList.appendChild(li);
+        });
+    }
+
+    /**
+     * Moves the active campaign to another status.
+     * @param {string} action The transition's action.
+     * @returns {Promise<void>}
+     */
+    async handleTransition(action) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        let note = '';
+        if (this.ACTIONS_WITH_NOTE.includes(action)) {
+            note = prompt('Add a comment for this status change (optional):', '');
+            if (note === null) return;
+        }
+        try {
+            await this.campaignService.transitionCampaign(campaign.id, action, note.trim());
+        } catch (error) {
+            console.error('Campaign status could not be changed:', error);
+            if (['CampaignLifecycleError', 'CampaignAccessError'].includes(error.name)) alert(error.message);
+            return;
+        }
+        if (action === 'archive') {
+            this.toastController.show(`Archived "${campaign.name}".`, {
+                actionLabel: 'Undo',
+                onAction: () => this._undo('Archiving could not be undone', () => this.campaignService.undoArchive(campaign.id))
+            });
+        }
+    }
+
+    /**
+     * Forks the active campaign into a new draft and opens it.
+     * @returns {Promise<void>}
+     */
+    async handleFork() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        let fork;
+        try {
+            fork = await this.campaignService.forkCampaign(campaign.id);
+            await this.campaignService.setActiveCampaign(fork);
+        } catch (error) {
+            console.error('Campaign could not be forked:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+            return;
+        }
+        this.navigationService.goToCampaign(fork.id);
+    }
+
+    /**
+     * Copies the active campaign, with all of its assets, into a new draft and opens it.
+     * @returns {Promise<void>}
+     */
+    async handleClone() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        let clone;
+        try {
+            clone = await this.campaignService.cloneCampaign(campaign.id);
+            await this.campaignService.setActiveCampaign(clone);
+        } catch (error) {
+            console.error('Campaign could not be duplicated:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+            return;
+        }
+        this.navigationService.goToCampaign(clone.id);
+        this.toastController.show(`Created "${clone.name}".`);
+    }
+
+    /**
+     * Moves the active campaign to the trash and returns to the dashboard without an active campaign.
+     * The toast that follows restores and reopens it.
+     * @returns {Promise<void>}
+     */
+    async handleTrash() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            await this.campaignService.trashCampaign(campaign.id);
+        } catch (error) {
+            console.error('Campaign could not be moved to the trash:', error);
+            if (['CampaignLifecycleError', 'CampaignAccessError'].includes(error.name)) alert(error.message);
+            return;
+        }
+        this.navigationService.goToDashboard();
+        this.toastController.show(`Moved "${campaign.name}" to the trash.`, {
+            actionLabel: 'Undo',
+            onAction: () => this._undo('Campaign could not be restored', async () => {
+                await this.campaignService.restoreCampaign(campaign.id);
+                this.navigationService.goToCampaign(campaign.id);
+            })
+        });
+    }
+
+    /**
+     * Runs an undo from a toast, telling the user if it is no longer possible.
+     * @param {string} failure What to say if it fails.
+     * @param {function():Promise<any>} undo The undo.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _undo(failure, undo) {
+        try {
+            await undo();
+        } catch (error) {
+            console.error(`${failure}:`, error);
+            alert(`${failure}: ${error.message}`);
+        }
+    }
+}
+
+export default CampaignLifecycleController;
@@ -0,0 +1,551 @@
+/**
+ * @fileoverview Controller for the campaign list on the dashboard. It shows the campaigns the user can
+ * see as a table that can be searched, filtered by status, owner and day of the last update, sorted by
+ * any column and paged through; the settings are remembered per user. Archived campaigns are only listed
+ * when filtered for. Campaigns can be selected to archive, duplicate, move to the trash or change the status
+ * of all of them at once; archiving and trashing can be undone from the toast that follows.
+ */
+
+class CampaignListController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignListService} campaignListService Dependency on CampaignListService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {ToastController} toastController Dependency on ToastController (results and undo).
+     */
+    constructor(campaignService, campaignListService, campaignLifecycleService, authService, toastController) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignListService} */
+        this.campaignListService = campaignListService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {ToastController} */
+        this.toastController = toastController;
+
+        /**
+         * Display names of campaign access levels.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.ACCESS_LABELS = { owner: 'Owner', edit: 'Can edit', view: 'Can view' };
+        /**
+         * Bulk actions: how they are confirmed and reported. Actions that can be undone are not confirmed;
+         * the toast reporting them offers to undo them instead.
+         * @private
+         * @type {Object.<string, {verb: string, done: string, warning: string, undoable?: boolean}>}
+         */
+        this.BULK_ACTIONS = {
+            archive: { verb: 'Archive', done: 'Archived', warning: '', undoable: true },
+            duplicate: { verb: 'Duplicate', done: 'Duplicated', warning: ' Each copy is a new draft.' },
+            delete: { verb: 'Move to the trash', done: 'Trashed', warning: '', undoable: true },
+            status: { verb: 'Change the status of', done: 'Changed the status of', warning: '' }
+        };
+        /**
+         * Columns sorted newest or last first when first chosen.
+         * @private
+         * @type {Array<string>}
+         */
+        this.DESCENDING_FIELDS = ['createdAt', 'lastUpdated'];
+        /**
+         * Most campaigns a bulk action's summary lists as not possible; the rest are counted.
+         * @private
+         * @type {number}
+         */
+        this.MAX_REPORTED_FAILURES = 10;
+
+        /**
+         * Whose list settings are loaded.
+         * @private
+         * @type {string|null}
+         */
+        this.username = null;
+        /**
+         * The search, filters, sort order and page size (see CampaignListService).
+         * @private
+         * @type {Object}
+         */
+        this.state = this.campaignListService.createState();
+        /**
+         * The page shown, from 1.
+         * @private
+         * @type {number}
+         */
+        this.page = 1;
+        /**
+         * IDs of the selected campaigns; selections on other pages are kept.
+         * @private
+         * @type {Set<string>}
+         */
+        this.selectedIds = new Set();
+        /**
+         * The campaigns the user can see, as last rendered.
+         * @private
+         * @type {Array<Object>}
+         */
+        this.campaigns = [];
+        /**
+         * IDs of the campaigns on the page shown.
+         * @private
+         * @type {Array<string>}
+         */
+        this.pageIds = [];
+
+        // DOM Elements
+        this.listBody = document.getElementById('campaign-list');
+        this.header = document.getElementById('campaign-list-header');
+        this.noCampaignsFoundMessage = document.getElementById('no-campaigns-found');
+        this.searchInput = document.getElementById('campaign-search-input');
+        this.statusFilter = document.getElementById('campaign-status-filter');
+        this.ownerFilter = document.getElementById('campaign-owner-filter');
+        this.fromInput = document.getElementById('campaign-updated-from');
+        this.toInput = document.getElementById('campaign-updated-to');
+        this.clearFiltersBtn = document.getElementById('campaign-filters-clear-btn');
+        this.selectPageCheckbox = document.getElementById('campaign-select-page');
+        this.bulkActions = document.getElementById('campaign-bulk-actions');
+        this.selectionCount = document.getElementById('campaign-selection-count');
+        this.bulkStatusSelect = document.getElementById('campaign-bulk-status-select');
+        this.clearSelectionBtn = document.getElementById('campaign-selection-clear-btn');
+        this.pagination = document.getElementById('campaign-list-pagination');
+        this.rangeText = document.getElementById('campaign-list-range');
+        this.pageSizeSelect = document.getElementById('campaign-page-size-select');
+        this.prevPageBtn = document.getElementById('campaign-page-prev-btn');
+        this.nextPageBtn = document.getElementById('campaign-page-next-btn');
+        this.pageInfo = document.getElementById('campaign-page-info');
+        this.quarantineNotice = document.getElementById('campaign-quarantine-notice');
+
+        this._populateControls();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the status filter, the page sizes and the sortable column headings.
+     * @private
+     */
+    _populateControls() {
+        if (this.statusFilter) {
+            this.campaignLifecycleService.STATUSES.forEach(status => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = this.campaignLifecycleService.getLabel(status);
+                this.statusFilter.appendChild(option);
+            });
+        }
+        if (this.pageSizeSelect) {
+            this.campaignListService.PAGE_SIZES.forEach(size => {
+                const option = document.createElement('option');
+                option.value = size;
+                option.textContent = size;
+                this.pageSizeSelect.appendChild(option);
+            });
+        }
+        if (this.header) {
+            Object.entries(this.campaignListService.SORT_FIELDS).forEach(([field, heading]) => {
+                const th = document.createElement('th');
+                th.className = 'py-2 pr-3 font-medium';
+                th.innerHTML = '<button type="button" class="hover:text-gray-900 hover:underline"></button>';
+                th.firstElementChild.dataset.sortField = field;
+                th.firstElementChild.textContent = heading;
+                this.header.appendChild(th);
+            });
+            this.header.appendChild(document.createElement('th'));
+        }
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.searchInput) this.searchInput.addEventListener('input', () => this.setFilters({ query: this.searchInput.value }));
+        if (this.statusFilter) this.statusFilter.addEventListener('change', () => this.setFilters({ status: this.statusFilter.value }));
+        if (this.ownerFilter) this.ownerFilter.addEventListener('change', () => this.setFilters({ owner: this.ownerFilter.value }));
+        if (this.fromInput) this.fromInput.addEventListener('change', () => this.setFilters({ from: this.fromInput.value }));
+        if (this.toInput) this.toInput.addEventListener('change', () => this.setFilters({ to: this.toInput.value }));
+        if (this.clearFiltersBtn) {
+            this.clearFiltersBtn.addEventListener('click', () => this.setFilters({ query: '', status: '', owner: '', from: '', to: '' }));
+        }
+        if (this.header) {
+            this.header.addEventListener('click', (e) => {
+                const field = e.target.dataset.sortField;
+                if (field) this.sortBy(field);
+            });
+        }
+        if (this.pageSizeSelect) this.pageSizeSelect.addEventListener('change', () => this.setFilters({ pageSize: Number(this.pageSizeSelect.value) }));
+        if (this.prevPageBtn) this.prevPageBtn.addEventListener('click', () => this.goToPage(this.page - 1));
+        if (this.nextPageBtn) this.nextPageBtn.addEventListener('click', () => this.goToPage(this.page + 1));
+        if (this.listBody) {
+            this.listBody.addEventListener('change', (e) => {
+                const campaignId = e.target.dataset.selectCampaign;
+                if (campaignId) this.toggleSelection([campaignId], e.target.checked);
+            });
+        }
+        if (this.selectPageCheckbox) {
+            this.selectPageCheckbox.addEventListener('change', () => this.toggleSelection(this.pageIds, this.selectPageCheckbox.checked));
+        }
+        if (this.bulkActions) {
+            this.bulkActions.addEventListener('click', (e) => {
+                const action = e.target.dataset.bulkAction;
+                if (action) this.handleBulkAction(action);
+            });
+        }
+        if (this.clearSelectionBtn) this.clearSelectionBtn.addEventListener('click', () => this.toggleSelection([...this.selectedIds], false));
+        // The list is scoped to the logged-in user, so it changes with saves, transfers, shares and logins.
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Changes the search, filters or page size, remembers them for the user and shows the first page.
+     * @param {Object} changes The settings to change (see CampaignListService).
+     * @returns {Promise<void>}
+     */
+    async setFilters(changes) {
+        this.state = { ...this.state, ...changes };
+        this.page = 1;
+        await this._saveState();
+        await this.render();
+    }
+
+    /**
+     * Sorts the list by a column, or reverses the order if it is already sorted by it.
+     * @param {string} field The column (see CampaignListService.SORT_FIELDS).
+     * @returns {Promise<void>}
+     */
+    async sortBy(field) {
+        const sortDirection = this.state.sortField === field
+            ? (this.state.sortDirection === 'asc' ? 'desc' : 'asc')
+            : (this.DESCENDING_FIELDS.includes(field) ? 'desc' : 'asc');
+        this.state = { ...this.state, sortField: field, sortDirection };
+        await this._saveState();
+        await this.render();
+    }
+
+    /**
+     * Shows another page.
+     * @param {number} page The page, from 1.
+     * @returns {Promise<void>}
+     */
+    async goToPage(page) {
+        this.page = page;
+        await this.render();
+    }
+
+    /**
+     * Remembers the list settings of the logged-in user.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveState() {
+        if (this.username) await this.campaignListService.saveState(this.username, this.state);
+    }
+
+    /**
+     * Selects or unselects campaigns.
+     * @param {Array<string>} campaignIds The campaign IDs.
+     * @param {boolean} selected Whether to select them.
+     */
+    toggleSelection(campaignIds, selected) {
+        campaignIds.forEach(campaignId => {
+            if (selected) {
+                this.selectedIds.add(campaignId);
+            } else {
+                this.selectedIds.delete(campaignId);
+            }
+        });
+        if (this.listBody) {
+            this.listBody.querySelectorAll('[data-select-campaign]').forEach(checkbox => {
+                checkbox.checked = this.selectedIds.has(checkbox.dataset.selectCampaign);
+            });
+        }
+        this._renderSelection();
+    }
+
+    /**
+     * Gets the selected campaigns, e.g. to export them.
+     * @returns {Array<Object>} The campaigns, as last rendered.
+     */
+    getSelectedCampaigns() {
+        return this.campaigns.filter(campaign => this.selectedIds.has(campaign.id));
+    }
+
+    /**
+     * Renders the list for the logged-in user's settings.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.listBody) return;
+        const username = this.authService.getLoggedInUser()?.username || null;
+        if (username !== this.username) {
+            this.username = username;
+            this.state = username ? await this.campaignListService.getState(username) : this.campaignListService.createState();
+            this.page = 1;
+            this.selectedIds.clear();
+        }
+        const campaigns = username ? await this.campaignService.getAllCampaigns() : [];
+        const quarantined = username ? await this.campaignService.getQuarantinedCampaigns() : [];
+
+        this.campaigns = campaigns;
+        const ids = new Set(campaigns.map(campaign => campaign.id));
+        this.selectedIds.forEach(campaignId => {
+            if (!ids.has(campaignId)) this.selectedIds.delete(campaignId);
+        });
+        const { state } = this;
+        const matching = this.campaignListService.sort(this.campaignListService.filter(campaigns, state), state.sortField, state.sortDirection);
+        const shown = this.campaignListService.paginate(matching, this.page, state.pageSize);
+        this.page = shown.page;
+        this.pageIds = shown.items.map(campaign => campaign.id);
+
+        this._renderControls(campaigns);
+        this.listBody.innerHTML = '';
+        shown.items.forEach(campaign => this.listBody.appendChild(this._createRow(campaign)));
+        if (this.noCampaignsFoundMessage) {
+            this.noCampaignsFoundMessage.textContent = campaigns.length
+                ? 'No campaigns match your search and filters.'
+                : 'No campaigns found. Create one above!';
+            this.noCampaignsFoundMessage.classList.toggle('hidden', shown.items.length > 0);
+        }
+        this._renderPagination(shown);
+        this._renderSelection();
+
+        // Records that could not be read are set aside by CampaignService; say so instead of hiding them.
+        if (this.quarantineNotice) {
+            this.quarantineNotice.classList.toggle('hidden', quarantined.length === 0);
+            this.quarantineNotice.textContent = `${quarantined.length} saved campaign(s) could not be read and were set aside so the rest of your campaigns still load.`;
+            this.quarantineNotice.title = quarantined.map(entry => `${entry.key}: ${entry.reason}`).join('\n');
+        }
+    }
+
+    /**
+     * Shows the settings in the search and filter controls, the owners in the owner filter and the sort
+     * order in the column headings.
+     * @param {Array<Object>} campaigns The campaigns the user can see.
+     * @private
+     */
+    _renderControls(campaigns) {
+        const { state } = this;
+        if (this.searchInput && this.searchInput.value !== state.query) this.searchInput.value = state.query;
+        if (this.statusFilter) this.statusFilter.value = state.status;
+        if (this.ownerFilter) {
+            const owners = this.campaignListService.getOwners(campaigns);
+            // Keep a remembered owner selectable even if none of their campaigns is visible right now
+            if (state.owner && !owners.includes(state.owner)) owners.push(state.owner);
+            this.ownerFilter.innerHTML = '<option value="">All owners</option>';
+            owners.forEach(owner => {
+                const option = document.createElement('option');
+                option.value = owner;
+                option.textContent = owner === this.username ? `${owner} (you)` : owner;
+                this.ownerFilter.appendChild(option);
+            });
+            this.ownerFilter.value = state.owner;
+        }
+        if (this.fromInput) this.fromInput.value = state.from;
+        if (this.toInput) this.toInput.value = state.to;
+        if (this.pageSizeSelect) this.pageSizeSelect.value = state.pageSize;
+        if (this.header) {
+            this.header.querySelectorAll('[data-sort-field]').forEach(button => {
+                const { sortField } = button.dataset;
+                const sorted = sortField === state.sortField;
+                const arrow = state.sortDirection === 'asc' ? ' ▲' : ' ▼';
+                button.textContent = `${this.campaignListService.SORT_FIELDS[sortField]}${sorted ? arrow : ''}`;
+                button.parentElement.setAttribute('aria-sort', sorted ? (state.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+            });
+        }
+    }
+
+    /**
+     * Creates the table row of a campaign.
+     * @param {Object} campaign The campaign.
+     * @returns {HTMLTableRowElement} The row.
+     * @private
+     */
+    _createRow(campaign) {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b border-gray-100 hover:bg-gray-50';
+        tr.innerHTML = `
+            <td class="py-2 pr-2"><input type="checkbox" class="campaign-select" /></td>
+            <td class="py-2 pr-3">
+                <span class="campaign-name font-bold text-gray-800"></span>
+                <span class="campaign-shared-by block text-xs text-gray-500"></span>
+            </td>
+            <td class="py-2 pr-3"><span class="campaign-status-badge px-2 py-0.5 rounded-full text-xs font-medium ${this.campaignLifecycleService.getBadgeClass(campaign.status)}"></span></td>
+            <td class="campaign-owner py-2 pr-3 text-gray-700"></td>
+            <td class="campaign-created py-2 pr-3 text-gray-700 whitespace-nowrap"></td>
+            <td class="campaign-updated py-2 pr-3 text-gray-700 whitespace-nowrap"></td>
+            <td class="py-2 text-right">
+                <button class="load-campaign-btn py-1 px-3 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-blue-600 hover:bg-blue-700">
+                    Load
+                </button>
+            </td>
+        `;
+        const checkbox = tr.querySelector('.campaign-select');
+        checkbox.dataset.selectCampaign = campaign.id;
+        checkbox.checked = this.selectedIds.has(campaign.id);
+        checkbox.setAttribute('aria-label', `Select ${campaign.name || 'Unnamed Campaign'}`);
+        tr.querySelector('.campaign-name').textContent = campaign.name || 'Unnamed Campaign';
+        tr.querySelector('.campaign-status-badge').textContent = this.campaignLifecycleService.getLabel(campaign.status);
+        tr.querySelector('.campaign-owner').textContent = campaign.ownerId || '—';
+        tr.querySelector('.campaign-created').textContent = new Date(campaign.createdAt).toLocaleDateString();
+        tr.querySelector('.campaign-updated').textContent = new Date(this.campaignService.getLastUpdated(campaign)).toLocaleString();
+        tr.querySelector('.load-campaign-btn').dataset.campaignId = campaign.id;
+        const access = this.campaignService.getCampaignAccess(campaign);
+        if (access !== 'owner') {
+            // Assigned reviewers can see campaigns that were not shared with them
+            const sharedBy = campaign.sharing[this.username] ? 'Shared by' : 'Review requested by';
+            tr.querySelector('.campaign-shared-by').textContent = `${sharedBy} ${campaign.ownerId} · ${this.ACCESS_LABELS[access]}`;
+        }
+        return tr;
+    }
+
+    /**
+     * Renders which campaigns are shown and the page buttons.
+     * @param {Object} shown The page shown (see CampaignListService.paginate()).
+     * @private
+     */
+    _renderPagination(shown) {
+        if (this.pagination) this.pagination.classList.toggle('hidden', shown.total === 0);
+        if (this.rangeText) {
+            const filtered = shown.total < this.campaigns.length ? ` (filtered from ${this.campaigns.length})` : '';
+            this.rangeText.textContent = `Showing ${shown.first}–${shown.last} of ${shown.total} campaigns${filtered}`;
+        }
+        if (this.pageInfo) this.pageInfo.textContent = `Page ${shown.page} of ${shown.pageCount}`;
+        if (this.prevPageBtn) this.prevPageBtn.disabled = shown.page <= 1;
+        if (this.nextPageBtn) this.nextPageBtn.disabled = shown.page >= shown.pageCount;
+    }
+
+    /**
+     * Renders the bulk actions for the selected campaigns, offering the status changes possible for at
+     * least one of them.
+     * @private
+     */
+    _renderSelection() {
+        const selected = this.getSelectedCampaigns();
+        if (this.selectPageCheckbox) {
+            const onPage = this.pageIds.filter(campaignId => this.selectedIds.has(campaignId)).length;
+            this.selectPageCheckbox.checked = onPage > 0 && onPage === this.pageIds.length;
+            this.selectPageCheckbox.indeterminate = onPage > 0 && onPage < this.pageIds.length;
+            this.selectPageCheckbox.disabled = this.pageIds.length === 0;
+        }
+        if (!this.bulkActions) return;
+        this.bulkActions.classList.toggle('hidden', selected.length === 0);
+        if (this.selectionCount) this.selectionCount.textContent = `${selected.length} selected`;
+        if (!this.bulkStatusSelect) return;
+
+        const user = this.authService.getLoggedInUser();
+        const actions = new Map();
+        selected.forEach(campaign => {
+            this.campaignLifecycleService.getAvailableTransitions(campaign, user, this.campaignService.getCampaignAccess(campaign))
+                .forEach(({ action, label }) => actions.set(action, label));
+        });
+        const current = this.bulkStatusSelect.value;
+        this.bulkStatusSelect.innerHTML = '<option value="">Change status...</option>';
+        actions.forEach((label, action) => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = label;
+            this.bulkStatusSelect.appendChild(option);
+        });
+        this.bulkStatusSelect.value = actions.has(current) ? current : '';
+    }
+
+    /**
+     * Applies a bulk action to every selected campaign, after confirmation unless it can be undone. Campaigns
+     * the action is not possible for are skipped and listed afterwards; the others are still changed.
+     * @param {string} action 'archive', 'duplicate', 'delete' (move to the trash) or 'status' (the status change
+     *   chosen in the select).
+     * @returns {Promise<void>}
+     */
+    async handleBulkAction(action) {
+        const bulkAction = this.BULK_ACTIONS[action];
+        const campaigns = this.getSelectedCampaigns();
+        if (!bulkAction || !campaigns.length) return;
+
+        const statusAction = this.bulkStatusSelect ? this.bulkStatusSelect.value : '';
+        if (action === 'status' && !statusAction) {
+            alert('Choose the status change to apply first.');
+            return;
+        }
+        const change = action === 'status' ? ` ("${this.campaignLifecycleService.getActionLabel(statusAction)}")` : '';
+        if (!bulkAction.undoable && !confirm(`${bulkAction.verb} ${campaigns.length} campaign(s)${change}?${bulkAction.warning}`)) return;
+
+        const { done, failures } = await this._runForEach(action, campaigns, {
+            archive: campaign => this.campaignService.transitionCampaign(campaign.id, 'archive'),
+            duplicate: campaign => this.campaignService.cloneCampaign(campaign.id),
+            delete: campaign => this.campaignService.trashCampaign(campaign.id),
+            status: campaign => this.campaignService.transitionCampaign(campaign.id, statusAction)
+        }[action]);
+        this.selectedIds.clear();
+        await this.render();
+
+        const summary = `${bulkAction.done} ${done.length} of ${campaigns.length} campaign(s)${change}.`;
+        console.log(summary);
+        this._reportFailures(summary, failures);
+        if (done.length) {
+            this.toastController.show(summary, bulkAction.undoable ? { actionLabel: 'Undo', onAction: () => this.undoBulkAction(action, done) } : {});
+        }
+    }
+
+    /**
+     * Undoes archiving campaigns or moving them to the trash.
+     * @param {string} action 'archive' or 'delete'.
+     * @param {Array<Object>} campaigns The campaigns the action was applied to.
+     * @returns {Promise<void>}
+     */
+    async undoBulkAction(action, campaigns) {
+        const undo = {
+            archive: campaign => this.campaignService.undoArchive(campaign.id),
+            delete: campaign => this.campaignService.restoreCampaign(campaign.id)
+        }[action];
+        if (!undo) return;
+        const { done, failures } = await this._runForEach(`undo ${action}`, campaigns, undo);
+        await this.render();
+
+        const summary = `Restored ${done.length} of ${campaigns.length} campaign(s).`;
+        console.log(summary);
+        this._reportFailures(summary, failures);
+    }
+
+    /**
+     * Applies an operation to campaigns one by one, carrying on past those it is not possible for.
+     * @param {string} action Name of the operation, for the console.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @param {function(Object):Promise<Object>} run The operation.
+     * @returns {Promise<{done: Array<Object>, failures: Array<string>}>} The campaigns it was applied to, and
+     *   why it was not possible for the others.
+     * @private
+     */
+    async _runForEach(action, campaigns, run) {
+        const done = [];
+        const failures = [];
+        for (const campaign of campaigns) {
+            try {
+                await run(campaign);
+                done.push(campaign);
+            } catch (error) {
+                if (!['CampaignAccessError', 'CampaignLifecycleError', 'StorageQuotaError'].includes(error.name)) {
+                    console.error(`Bulk action "${action}" failed for campaign "${campaign.name}":`, error);
+                }
+                failures.push(error.message);
+            }
+        }
+        return { done, failures };
+    }
+
+    /**
+     * Tells the user which campaigns an operation was not possible for, if any.
+     * @param {string} summary What was done.
+     * @param {Array<string>} failures Why it was not possible for the others.
+     * @private
+     */
+    _reportFailures(summary, failures) {
+        if (!failures.length) return;
+        const listed = failures.slice(0, this.MAX_REPORTED_FAILURES);
+        const more = failures.length > listed.length ? `\n...and ${failures.length - listed.length} more.` : '';
+        alert(`${summary}\n\nNot possible:\n- ${listed.join('\n- ')}${more}`);
+    }
+}
+
+export default CampaignListController;
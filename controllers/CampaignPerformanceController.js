@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Controller for the performance section of the active campaign on the dashboard: the KPIs
+ * computed from imported platform reports, in total and for the latest period against the one before,
+ * and importing reports with a column mapping (prefilled from the platform's saved preset, or guessed
+ * from the column names). Reports can be imported by anyone who may edit the campaign, whatever its status.
+ */
+
+class CampaignPerformanceController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignPerformanceService} campaignPerformanceService Dependency on CampaignPerformanceService.
+     * @param {CampaignBudgetService} campaignBudgetService Dependency on CampaignBudgetService (formats money).
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     */
+    constructor(campaignService, campaignPerformanceService, campaignBudgetService, authService, accessControlService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignPerformanceService} */
+        this.campaignPerformanceService = campaignPerformanceService;
+        /** @type {CampaignBudgetService} */
+        this.campaignBudgetService = campaignBudgetService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+
+        /**
+         * Length of the compared periods, in days.
+         * @private
+         * @type {number}
+         */
+        this.periodDays = campaignPerformanceService.DEFAULT_PERIOD;
+        /**
+         * The report being mapped before it is imported.
+         * @private
+         * @type {{text: string, fileName: string, columns: Array<string>}|null}
+         */
+        this.pendingReport = null;
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-performance');
+        this.periodSelect = document.getElementById('performance-period-select');
+        this.emptyMessage = document.getElementById('performance-empty');
+        this.kpis = document.getElementById('performance-kpis');
+        this.kpiRows = document.getElementById('performance-kpi-rows');
+        this.currentHeading = document.getElementById('performance-current-heading');
+        this.previousHeading = document.getElementById('performance-previous-heading');
+        this.range = document.getElementById('performance-range');
+        this.importList = document.getElementById('performance-import-list');
+        this.importTools = document.getElementById('performance-import-tools');
+        this.platformInput = document.getElementById('performance-platform-input');
+        this.platformOptions = document.getElementById('performance-platform-options');
+        this.importInput = document.getElementById('performance-import-input');
+        this.mappingForm = document.getElementById('performance-mapping-form');
+        this.mappingFile = document.getElementById('performance-mapping-file');
+        this.mappingFields = document.getElementById('performance-mapping-fields');
+        this.dateFormatSelect = document.getElementById('performance-date-format-select');
+        this.savePresetInput = document.getElementById('performance-save-preset-input');
+        this.importBtn = document.getElementById('performance-import-btn');
+        this.cancelImportBtn = document.getElementById('performance-cancel-import-btn');
+        this.presetList = document.getElementById('performance-preset-list');
+
+        this._populateSelects();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the period and date format selects.
+     * @private
+     */
+    _populateSelects() {
+        const fill = (select, choices) => {
+            if (!select) return;
+            choices.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fill(this.periodSelect, this.campaignPerformanceService.PERIODS.map(days => [days, `Last ${days} days vs. the ${days} before`]));
+        fill(this.dateFormatSelect, Object.entries(this.campaignPerformanceService.DATE_FORMATS));
+        if (this.periodSelect) this.periodSelect.value = this.periodDays;
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.periodSelect) {
+            this.periodSelect.addEventListener('change', () => {
+                this.periodDays = Number(this.periodSelect.value);
+                this.render();
+            });
+        }
+        if (this.importInput) this.importInput.addEventListener('change', () => this._handleImportFile());
+        if (this.platformInput) this.platformInput.addEventListener('change', () => this._applyPreset());
+        if (this.importBtn) this.importBtn.addEventListener('click', () => this.handleImport());
+        if (this.cancelImportBtn) this.cancelImportBtn.addEventListener('click', () => this.closeMapping());
+        if (this.importList) {
+            this.importList.addEventListener('click', (e) => {
+                const importId = e.target.dataset.removeImport;
+                if (importId) this.handleRemoveImport(importId);
+            });
+        }
+        if (this.presetList) {
+            this.presetList.addEventListener('click', (e) => {
+                const platform = e.target.dataset.deletePreset;
+                if (platform) this.handleDeletePreset(platform);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.campaignPerformanceService.onPresetsChange(() => this.render());
+        this.authService.onAuthChange(() => {
+            this.closeMapping();
+            this.render();
+        });
+    }
+
+    /**
+     * Renders the performance of the active campaign and the import tools.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) return;
+
+        this._renderKpis(campaign);
+        const canImport = this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+        this._renderImports(campaign, canImport);
+        if (this.importTools) this.importTools.classList.toggle('hidden', !canImport);
+        if (!canImport) this.closeMapping();
+        await this._renderPresets();
+    }
+
+    /**
+     * Formats a total or KPI.
+     * @param {string} field The total (e.g. 'clicks') or KPI (e.g. 'cpc').
+     * @param {number|null} value The value.
+     * @param {string} currency The currency of the campaign's budget.
+     * @returns {string} The formatted value, or '—' without one.
+     * @private
+     */
+    _formatValue(field, value, currency) {
+        if (value === null) return '—';
+        switch (this.campaignPerformanceService.getMetricFormat(field)) {
+            case 'money':
+                return this.campaignBudgetService.formatMoney(value, currency);
+            case 'percent':
+                return `${(value * 100).toFixed(2)}%`;
+            case 'ratio':
+                return `${value.toFixed(2)}x`;
+            default:
+                return value.toLocaleString();
+        }
+    }
+
+    /**
+     * Renders the totals and KPIs, and their change from the previous period to the latest one.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderKpis(campaign) {
+        const { all, current, previous, changes } = this.campaignPerformanceService.getSummary(campaign.performance, this.periodDays);
+        this.emptyMessage.classList.toggle('hidden', !!current);
+        this.kpis.classList.toggle('hidden', !current);
+        this.kpiRows.innerHTML = '';
+        if (!current) return;
+
+        const { currency } = campaign.budget;
+        const { KPIS, FIELDS } = this.campaignPerformanceService;
+        this.currentHeading.textContent = `Last ${this.periodDays} days`;
+        this.previousHeading.textContent = `${this.periodDays} days before`;
+        this.range.textContent = `Total: ${all.from} – ${all.to} (${all.totals.days} days with data). ` +
+            `Last ${this.periodDays} days: ${current.from} – ${current.to}; before: ${previous.from} – ${previous.to}.`;
+
+        const rows = [
+            ...['impressions', 'clicks', 'conversions', 'spend', 'revenue'].map(field => [field, FIELDS[field], 'totals', true]),
+            ...Object.entries(KPIS).map(([kpi, { label, higherIsBetter }]) => [kpi, label, 'kpis', higherIsBetter])
+        ];
+        rows.forEach(([field, label, group, higherIsBetter]) => {
+            const change = changes[field];
+            const tr = document.createElement('tr');
+            tr.className = group === 'kpis' && field === Object.keys(KPIS)[0] ? 'border-t border-gray-300' : '';
+            tr.innerHTML = `<th class="pr-3 py-1 text-left font-medium"></th><td class="pr-3 py-1"></td><td class="pr-3 py-1"></td><td class="pr-3 py-1"></td><td class="py-1"></td>`;
+            const cells = tr.children;
+            cells[0].textContent = label;
+            cells[1].textContent = this._formatValue(field, all[group][field], currency);
+            cells[2].textContent = this._formatValue(field, current[group][field], currency);
+            cells[3].textContent = this._formatValue(field, previous[group][field], currency);
+            if (change === null) {
+                cells[4].textContent = '—';
+            } else {
+                cells[4].textContent = `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+                const improved = change === 0 ? null : (change > 0) === higherIsBetter;
+                cells[4].className = `py-1 ${improved === null ? '' : improved ? 'text-green-700' : 'text-red-600'}`;
+            }
+            this.kpiRows.appendChild(tr);
+        });
+    }
+
+    /**
+     * Renders the reports imported into the campaign, newest first.
+     * @param {Object} campaign The active campaign.
+     * @param {boolean} canImport Whether the user may remove imports.
+     * @private
+     */
+    _renderImports(campaign, canImport) {
+        if (!this.importList) return;
+        this.importList.innerHTML = '';
+        [...campaign.performance.imports].reverse().forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `<span></span>${canImport ? `<button class="text-red-600 hover:underline text-xs" data-remove-import="${entry.id}">Remove</button>` : ''}`;
+            li.querySelector('span').textContent = `${entry.platform}: ${entry.from} – ${entry.to} (${entry.days} days)` +
+                `${entry.fileName ? ` from ${entry.fileName}` : ''}, imported by ${entry.by} on ${new Date(entry.at).toLocaleString()}`;
+            this.importList.appendChild(li);
+        });
+    }
+
+    /**
+     * Renders the saved mapping presets, as suggestions for the platform and in the list of saved mappings.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _renderPresets() {
+        const presets = await this.campaignPerformanceService.getPresets();
+        if (this.platformOptions) {
+            this.platformOptions.innerHTML = '';
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.platform;
+                this.platformOptions.appendChild(option);
+            });
+        }
+        if (!this.presetList) return;
+        this.presetList.innerHTML = '';
+        if (!presets.length) {
+            this.presetList.innerHTML = '<li class="text-xs text-gray-600">No mappings saved yet.</li>';
+            return;
+        }
+        presets.forEach(preset => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between text-xs';
+            li.innerHTML = '<span></span><button class="text-red-600 hover:underline">Delete</button>';
+            const columns = Object.entries(preset.columns).filter(([, column]) => column)
+                .map(([field, column]) => `${this.campaignPerformanceService.FIELDS[field]} = "${column}"`);
+            li.querySelector('span').textContent = `${preset.platform}: ${columns.join(', ')}, dates ${preset.dateFormat}`;
+            li.querySelector('button').dataset.deletePreset = preset.platform;
+            this.presetList.appendChild(li);
+        });
+    }
+
+    /**
+     * Reads the chosen report and opens the column mapping for it.
+     * @private
+     */
+    _handleImportFile() {
+        const file = this.importInput?.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => this.openMapping(reader.result, file.name);
+        reader.onerror = () => console.error('Could not read performance report:', reader.error);
+        reader.readAsText(file);
+        this.importInput.value = '';
+    }
+
+    /**
+     * Opens the column mapping for a report, prefilled from the platform's preset or guessed from its columns.
+     * @param {string} text The CSV text.
+     * @param {string} fileName The report's file name.
+     * @returns {Promise<void>}
+     */
+    async openMapping(text, fileName) {
+        const columns = this.campaignPerformanceService.getColumns(text);
+        if (!columns.length) {
+            alert(`"${fileName}" has no header line naming its columns.`);
+            return;
+        }
+        this.pendingReport = { text, fileName, columns };
+        this.mappingFile.textContent = `Map the columns of ${fileName}`;
+        this.mappingFields.innerHTML = '';
+        Object.entries(this.campaignPerformanceService.FIELDS).forEach(([field, label]) => {
+            const required = this.campaignPerformanceService.REQUIRED_FIELDS.includes(field);
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = `<label class="block font-medium text-gray-700"></label><select class="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-gray-800"></select>`;
+            wrapper.querySelector('label').textContent = required ? label : `${label} (optional)`;
+            const select = wrapper.querySelector('select');
+            select.dataset.mappingField = field;
+            [['', required ? 'Choose a column' : 'Not in this report'], ...columns.map(column => [column, column])].forEach(([value, optionLabel]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = optionLabel;
+                select.appendChild(option);
+            });
+            this.mappingFields.appendChild(wrapper);
+        });
+        this._fillMapping(this.campaignPerformanceService.suggestMapping(columns));
+        await this._applyPreset();
+        this.mappingForm.classList.remove('hidden');
+    }
+
+    /**
+     * Prefills the open mapping with the saved preset of the platform entered, if there is one.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyPreset() {
+        const platform = this.platformInput.value.trim();
+        if (!this.pendingReport || !platform) return;
+        const preset = await this.campaignPerformanceService.getPreset(platform);
+        if (!preset) return;
+        // Columns the report lacks are left for the user to choose
+        const columns = Object.fromEntries(Object.entries(preset.columns)
+            .map(([field, column]) => [field, this.pendingReport.columns.includes(column) ? column : '']));
+        this._fillMapping({ columns, dateFormat: preset.dateFormat });
+    }
+
+    /**
+     * Sets the mapping form's selects.
+     * @param {{columns: Object.<string, string>, dateFormat: string}} mapping The mapping.
+     * @private
+     */
+    _fillMapping(mapping) {
+        this.mappingFields.querySelectorAll('[data-mapping-field]').forEach(select => {
+            select.value = mapping.columns[select.dataset.mappingField] || '';
+        });
+        this.dateFormatSelect.value = mapping.dateFormat;
+    }
+
+    /**
+     * Reads the mapping form.
+     * @returns {{columns: Object.<string, string>, dateFormat: string}} The mapping.
+     * @private
+     */
+    _readMapping() {
+        const columns = {};
+        this.mappingFields.querySelectorAll('[data-mapping-field]').forEach(select => {
+            columns[select.dataset.mappingField] = select.value;
+        });
+        return { columns, dateFormat: this.dateFormatSelect.value };
+    }
+
+    /**
+     * Closes the column mapping without importing.
+     */
+    closeMapping() {
+        this.pendingReport = null;
+        this.mappingForm?.classList.add('hidden');
+    }
+
+    /**
+     * Imports the mapped report into the active campaign, and saves the mapping as the platform's preset
+     * if asked to.
+     * @returns {Promise<void>}
+     */
+    async handleImport() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign || !this.pendingReport) return;
+        const platform = this.platformInput.value;
+        const mapping = this._readMapping();
+        try {
+            const { text, fileName } = this.pendingReport;
+            await this.campaignService.importPerformance(campaign.id, platform, text, mapping, fileName);
+            this.closeMapping();
+            if (this.savePresetInput.checked) await this.campaignPerformanceService.savePreset(platform, mapping);
+        } catch (error) {
+            console.error('Performance report could not be imported:', error);
+            if (['CampaignPerformanceError', 'CampaignAccessError'].includes(error.name)) alert(error.message);
+        }
+    }
+
+    /**
+     * Removes the days imported with a report from the active campaign, after confirmation.
+     * @param {string} importId The import.
+     * @returns {Promise<void>}
+     */
+    async handleRemoveImport(importId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        const entry = campaign?.performance.imports.find(i => i.id === importId);
+        if (!entry || !confirm(`Remove the ${entry.platform} performance imported on ${new Date(entry.at).toLocaleString()}?`)) return;
+        try {
+            await this.campaignService.removePerformanceImport(campaign.id, importId);
+        } catch (error) {
+            console.error('Performance import could not be removed:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+        }
+    }
+
+    /**
+     * Deletes the saved mapping of a platform, after confirmation.
+     * @param {string} platform The platform.
+     * @returns {Promise<void>}
+     */
+    async handleDeletePreset(platform) {
+        if (!confirm(`Delete the saved column mapping for ${platform}?`)) return;
+        try {
+            await this.campaignPerformanceService.deletePreset(platform);
+        } catch (error) {
+            console.error('Mapping preset could not be deleted:', error);
+        }
+    }
+}
+
+export default CampaignPerformanceController;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Controller for the review of the active campaign.
+ * On the dashboard it lists the assigned reviewers with their decisions and lets editors of a draft
+ * assign or unassign them. Every review comments panel (the dashboard's shows all comments, each
+ * editor's those about its asset) lists the comment threads and lets anyone who can view the
+ * campaign comment, reply, and resolve threads.
+ */
+
+class CampaignReviewController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignReviewService} campaignReviewService Dependency on CampaignReviewService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService (for the draft status).
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     */
+    constructor(campaignService, campaignReviewService, campaignLifecycleService, authService, accessControlService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignReviewService} */
+        this.campaignReviewService = campaignReviewService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+
+        /**
+         * Badge colours of reviewer decisions (Tailwind classes); reviewers without one are pending.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.DECISION_BADGE_CLASSES = {
+            approved: 'bg-green-100 text-green-800',
+            changes_requested: 'bg-red-100 text-red-800',
+            pending: 'bg-gray-200 text-gray-700'
+        };
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-review');
+        this.reviewerList = document.getElementById('campaign-reviewer-list');
+        this.addReviewerForm = document.getElementById('add-reviewer-form');
+        this.reviewerUsernameInput = document.getElementById('reviewer-username-input');
+        this.addReviewerBtn = document.getElementById('add-reviewer-btn');
+        this.commentPanels = document.querySelectorAll('.review-comments-panel');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.addReviewerBtn) this.addReviewerBtn.addEventListener('click', () => this.handleAddReviewer());
+        if (this.reviewerList) {
+            this.reviewerList.addEventListener('click', (e) => {
+                const username = e.target.dataset.removeReviewer;
+                if (username) this.handleRemoveReviewer(username);
+            });
+        }
+        this.commentPanels.forEach(panel => {
+            panel.addEventListener('click', (e) => {
+                const { reviewAction, commentId } = e.target.dataset;
+                if (reviewAction === 'add') this.handleAddComment(panel);
+                if (reviewAction === 'reply') this.handleReply(commentId);
+                if (reviewAction === 'resolve') this.handleResolve(commentId, true);
+                if (reviewAction === 'reopen') this.handleResolve(commentId, false);
+            });
+        });
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the reviewers and every comments panel for the active campaign.
+     */
+    render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        this.section?.classList.toggle('hidden', !campaign);
+        if (campaign) this._renderReviewers(campaign);
+        this.commentPanels.forEach(panel => {
+            panel.classList.toggle('hidden', !campaign);
+            if (campaign) this._renderPanel(panel, campaign, panel.dataset.reviewAsset || null);
+        });
+    }
+
+    /**
+     * Whether the logged-in user may assign and unassign the campaign's reviewers.
+     * @param {Object} campaign The campaign.
+     * @returns {boolean} True if they can edit it and it is a draft.
+     * @private
+     */
+    _canManageReviewers(campaign) {
+        return campaign.status === this.campaignLifecycleService.INITIAL_STATUS &&
+            this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+    }
+
+    /**
+     * Renders the assigned reviewers with their decisions in the current review round.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderReviewers(campaign) {
+        const canManage = this._canManageReviewers(campaign);
+        this.addReviewerForm?.classList.toggle('hidden', !canManage);
+        if (!this.reviewerList) return;
+
+        const { reviewers, decisions } = campaign.review;
+        this.reviewerList.innerHTML = '';
+        if (!reviewers.length) {
+            this.reviewerList.innerHTML = '<li class="text-gray-600">No reviewers assigned. A campaign needs at least one reviewer before it can be submitted.</li>';
+            return;
+        }
+        reviewers.forEach(username => {
+            const decision = decisions[username];
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `
+                <span><span class="reviewer-name font-medium"></span> <span class="reviewer-decision ml-1 px-2 py-0.5 rounded-full text-xs font-medium"></span> <span class="reviewer-note text-gray-600"></span></span>
+                ${canManage ? '<button class="text-red-600 hover:underline text-xs">Remove</button>' : ''}
+            `;
+            li.querySelector('.reviewer-name').textContent = username;
+            const badge = li.querySelector('.reviewer-decision');
+            badge.textContent = decision ? this.campaignReviewService.DECISION_LABELS[decision.decision] : 'Pending';
+            badge.className += ` ${this.DECISION_BADGE_CLASSES[decision?.decision || 'pending']}`;
+            if (decision?.note) li.querySelector('.reviewer-note').textContent = `— ${decision.note}`;
+            const removeBtn = li.querySelector('button');
+            if (removeBtn) removeBtn.dataset.removeReviewer = username;
+            this.reviewerList.appendChild(li);
+        });
+    }
+
+    /**
+     * Renders a comments panel: the threads, and the form to start a new one.
+     * @param {HTMLElement} panel The panel.
+     * @param {Object} campaign The active campaign.
+     * @param {string|null} asset The asset the panel is about, or null for all comments.
+     * @private
+     */
+    _renderPanel(panel, campaign, asset) {
+        const threads = this.campaignReviewService.getThreads(campaign.review, asset);
+        const openCount = threads.filter(thread => !thread.comment.resolved).length;
+
+        panel.innerHTML = `
+            <h4 class="font-semibold mb-2">Review comments <span class="text-sm font-normal text-gray-600">(${openCount} open)</span></h4>
+            <ul class="review-thread-list space-y-3 mb-3"></ul>
+            <div class="flex flex-col space-y-2">
+                <select class="review-comment-target px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-800" data-view-only-allowed></select>
+                <textarea rows="2" placeholder="Leave a comment for the team..." class="review-comment-text px-3 py-1 border border-gray-300 rounded-md shadow-sm text-sm text-gray-800 focus:outline-none focus:ring-blue-500 focus:border-blue-500" data-view-only-allowed></textarea>
+                <button type="button" data-review-action="add" data-view-only-allowed class="self-start py-1 px-3 border border-blue-600 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-100">Add Comment</button>
+            </div>
+        `;
+        this._fillTargetSelect(panel.querySelector('.review-comment-target'), asset);
+
+        const list = panel.querySelector('.review-thread-list');
+        if (!threads.length) {
+            list.innerHTML = '<li class="text-sm text-gray-600">No comments yet.</li>';
+            return;
+        }
+        threads.forEach(thread => list.appendChild(this._createThreadItem(thread, campaign, !asset)));
+    }
+
+    /**
+     * Fills a target select with the assets (or one asset) and the fields comments can be pinned to.
+     * @param {HTMLSelectElement} select The select.
+     * @param {string|null} asset Only this asset's targets; null for all.
+     * @private
+     */
+    _fillTargetSelect(select, asset) {
+        Object.entries(this.campaignReviewService.COMMENT_TARGETS)
+            .filter(([assetType]) => !asset || assetType === asset)
+            .forEach(([assetType, target]) => {
+                [null, ...Object.keys(target.fields)].forEach(field => {
+                    const option = document.createElement('option');
+                    option.value = field ? `${assetType}.${field}` : assetType;
+                    option.textContent = this.campaignReviewService.getTargetLabel({ asset: assetType, field });
+                    select.appendChild(option);
+                });
+            });
+    }
+
+    /**
+     * Creates the list item of a comment thread, with its replies and actions.
+     * @param {{comment: Object, replies: Array<Object>}} thread The thread.
+     * @param {Object} campaign The active campaign.
+     * @param {boolean} showAsset Whether to name the asset in the target (panels about one asset leave it out).
+     * @returns {HTMLLIElement} The item.
+     * @private
+     */
+    _createThreadItem({ comment, replies }, campaign, showAsset) {
+        const li = document.createElement('li');
+        li.className = `p-3 border rounded-md text-sm ${comment.resolved ? 'border-gray-200 bg-gray-50 text-gray-500' : 'border-yellow-300 bg-yellow-50 text-gray-800'}`;
+        const target = showAsset || !comment.target.field
+            ? this.campaignReviewService.getTargetLabel(comment.target)
+            : this.campaignReviewService.COMMENT_TARGETS[comment.target.asset]?.fields[comment.target.field] || comment.target.field;
+        li.innerHTML = `
+            <p class="font-medium"><span class="review-target"></span>${comment.resolved ? ' <span class="text-xs">(resolved)</span>' : ''}</p>
+            <ul class="review-comments space-y-1 mt-1"></ul>
+            <div class="mt-2 space-x-3 text-xs"></div>
+        `;
+        li.querySelector('.review-target').textContent = target;
+        const comments = li.querySelector('.review-comments');
+        [comment, ...replies].forEach((entry, index) => {
+            const item = document.createElement('li');
+            if (index > 0) item.className = 'pl-4 border-l-2 border-gray-300';
+            item.textContent = `${entry.author} · ${new Date(entry.at).toLocaleString()}: ${entry.text}`;
+            comments.appendChild(item);
+        });
+
+        const actions = li.querySelector('div');
+        if (!comment.resolved) actions.appendChild(this._createActionButton('reply', comment.id, 'Reply'));
+        const canResolve = comment.author === this.authService.getLoggedInUser()?.username ||
+            this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+        if (canResolve) {
+            actions.appendChild(comment.resolved
+                ? this._createActionButton('reopen', comment.id, 'Reopen')
+                : this._createActionButton('resolve', comment.id, 'Resolve'));
+        }
+        return li;
+    }
+
+    /**
+     * Creates a thread action button.
+     * @param {string} action 'reply', 'resolve' or 'reopen'.
+     * @param {string} commentId The comment starting the thread.
+     * @param {string} label The button text.
+     * @returns {HTMLButtonElement} The button.
+     * @private
+     */
+    _createActionButton(action, commentId, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.reviewAction = action;
+        button.dataset.commentId = commentId;
+        button.setAttribute('data-view-only-allowed', '');
+        button.className = 'text-blue-600 hover:underline';
+        button.textContent = label;
+        return button;
+    }
+
+    /**
+     * Shows an error from a review operation to the user.
+     * @param {string} context What failed, for the log.
+     * @param {Error} error The error.
+     * @private
+     */
+    _reportError(context, error) {
+        console.error(`${context}:`, error);
+        if (['CampaignReviewError', 'CampaignAccessError'].includes(error.name)) alert(error.message);
+    }
+
+    /**
+     * Assigns the reviewer entered in the form to the active campaign.
+     * @returns {Promise<void>}
+     */
+    async handleAddReviewer() {
+        const campaign = this.campaignService.getActiveCampaign();
+        const username = this.reviewerUsernameInput?.value.trim();
+        if (!campaign || !username) {
+            alert('Please enter the username of a reviewer.');
+            return;
+        }
+        try {
+            await this.campaignService.addReviewer(campaign.id, username);
+            this.reviewerUsernameInput.value = '';
+        } catch (error) {
+            this._reportError('Reviewer could not be assigned', error);
+        }
+    }
+
+    /**
+     * Unassigns a reviewer from the active campaign.
+     * @param {string} username The reviewer.
+     * @returns {Promise<void>}
+     */
+    async handleRemoveReviewer(username) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            await this.campaignService.removeReviewer(campaign.id, username);
+        } catch (error) {
+            this._reportError('Reviewer could not be unassigned', error);
+        }
+    }
+
+    /**
+     * Starts a comment thread from a panel's form.
+     * @param {HTMLElement} panel The panel.
+     * @returns {Promise<void>}
+     */
+    async handleAddComment(panel) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        const [asset, field = null] = panel.querySelector('.review-comment-target').value.split('.');
+        const text = panel.querySelector('.review-comment-text').value;
+        try {
+            await this.campaignService.addReviewComment(campaign.id, { asset, field }, text);
+        } catch (error) {
+            this._reportError('Comment could not be added', error);
+        }
+    }
+
+    /**
+     * Replies to a comment thread.
+     * @param {string} commentId The comment starting the thread.
+     * @returns {Promise<void>}
+     */
+    async handleReply(commentId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        const text = prompt('Your reply:', '');
+        if (text === null) return;
+        try {
+            await this.campaignService.addReviewComment(campaign.id, null, text, commentId);
+        } catch (error) {
+            this._reportError('Reply could not be added', error);
+        }
+    }
+
+    /**
+     * Resolves or reopens a comment thread.
+     * @param {string} commentId The comment starting the thread.
+     * @param {boolean} resolved True to resolve, false to reopen.
+     * @returns {Promise<void>}
+     */
+    async handleResolve(commentId, resolved) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        try {
+            await this.campaignService.resolveReviewComment(campaign.id, commentId, resolved);
+        } catch (error) {
+            this._reportError('Comment could not be updated', error);
+        }
+    }
+}
+
+export default CampaignReviewController;
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Controller for the schedule section of the active campaign on the dashboard:
+ * flight start and end, the campaign's timezone and its dayparting windows. The form can only be
+ * saved by users who may change the campaign, while it is a draft.
+ */
+
+class CampaignScheduleController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(campaignService, campaignScheduleService, authService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignScheduleService} */
+        this.campaignScheduleService = campaignScheduleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * Dayparting windows in the form, saved with the rest of the schedule.
+         * @private
+         * @type {Array<{days: Array<number>, start: string, end: string}>}
+         */
+        this.dayparts = [];
+        /**
+         * The campaign and schedule the form was last filled from, so other changes to the campaign
+         * (e.g. a review comment) do not discard what the user is typing.
+         * @private
+         * @type {string|null}
+         */
+        this.filledFrom = null;
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-schedule');
+        this.summary = document.getElementById('campaign-schedule-summary');
+        this.startInput = document.getElementById('schedule-start-input');
+        this.endInput = document.getElementById('schedule-end-input');
+        this.timezoneSelect = document.getElementById('schedule-timezone-select');
+        this.daypartList = document.getElementById('schedule-daypart-list');
+        this.daypartDaysSelect = document.getElementById('daypart-days-select');
+        this.daypartStartInput = document.getElementById('daypart-start-input');
+        this.daypartEndInput = document.getElementById('daypart-end-input');
+        this.addDaypartBtn = document.getElementById('add-daypart-btn');
+        this.saveBtn = document.getElementById('save-schedule-btn');
+        this.restrictionMessage = document.getElementById('campaign-schedule-restriction');
+
+        this._populateSelects();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the timezone and daypart day selects.
+     * @private
+     */
+    _populateSelects() {
+        if (this.timezoneSelect) {
+            this.campaignScheduleService.getTimezones().forEach(timezone => {
+                const option = document.createElement('option');
+                option.value = timezone;
+                option.textContent = timezone;
+                this.timezoneSelect.appendChild(option);
+            });
+        }
+        if (this.daypartDaysSelect) {
+            const choices = [
+                ...Object.entries(this.campaignScheduleService.DAY_PRESETS).map(([value, preset]) => [value, preset.label]),
+                ...this.campaignScheduleService.WEEKDAY_LABELS.map((label, day) => [String(day), label])
+            ];
+            choices.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                this.daypartDaysSelect.appendChild(option);
+            });
+        }
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.addDaypartBtn) this.addDaypartBtn.addEventListener('click', () => this.handleAddDaypart());
+        if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.handleSaveSchedule());
+        if (this.daypartList) {
+            this.daypartList.addEventListener('click', (e) => {
+                const index = e.target.dataset.removeDaypart;
+                if (index === undefined) return;
+                this.dayparts.splice(Number(index), 1);
+                this._renderDayparts();
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the schedule of the active campaign.
+     */
+    render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) {
+            this.filledFrom = null;
+            return;
+        }
+
+        this._renderSummary(campaign);
+        const source = `${campaign.id}:${JSON.stringify(campaign.schedule)}`;
+        if (source !== this.filledFrom) {
+            this.filledFrom = source;
+            this.startInput.value = campaign.schedule.startAt || '';
+            this.endInput.value = campaign.schedule.endAt || '';
+            if (!this.campaignScheduleService.getTimezones().includes(campaign.schedule.timezone)) {
+                const option = document.createElement('option');
+                option.value = option.textContent = campaign.schedule.timezone;
+                this.timezoneSelect.appendChild(option);
+            }
+            this.timezoneSelect.value = campaign.schedule.timezone;
+            this.dayparts = JSON.parse(JSON.stringify(campaign.schedule.dayparts));
+        }
+        this._renderDayparts();
+
+        const restriction = this.campaignService.getEditRestriction();
+        [this.startInput, this.endInput, this.timezoneSelect, this.daypartDaysSelect, this.daypartStartInput, this.daypartEndInput, this.addDaypartBtn, this.saveBtn]
+            .forEach(control => {
+                if (control) control.disabled = !!restriction;
+            });
+        if (this.restrictionMessage) {
+            this.restrictionMessage.textContent = restriction || '';
+            this.restrictionMessage.classList.toggle('hidden', !restriction);
+        }
+    }
+
+    /**
+     * Describes the saved flight and whether the campaign is delivering right now.
+     * @param {Object} campaign The active campaign.
+     * @private
+     */
+    _renderSummary(campaign) {
+        if (!this.summary) return;
+        const { schedule } = campaign;
+        if (!schedule.startAt) {
+            this.summary.textContent = 'No flight dates set.';
+            return;
+        }
+        const flight = `${this.campaignScheduleService.formatDateTime(schedule.startAt)} – ${this.campaignScheduleService.formatDateTime(schedule.endAt)} (${schedule.timezone})`;
+        let state = '';
+        if (campaign.status === 'live') {
+            state = this.campaignScheduleService.isDelivering(campaign) ? ' · Delivering now' : ' · Outside its dayparting windows';
+        }
+        this.summary.textContent = `Flight: ${flight}${state}`;
+    }
+
+    /**
+     * Renders the dayparting windows in the form.
+     * @private
+     */
+    _renderDayparts() {
+        if (!this.daypartList) return;
+        this.daypartList.innerHTML = '';
+        if (!this.dayparts.length) {
+            this.daypartList.innerHTML = '<li class="text-gray-600">No dayparting: ads run all day during the flight.</li>';
+            return;
+        }
+        const editable = this.campaignService.canEditActiveCampaign();
+        this.dayparts.forEach((daypart, index) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between';
+            li.innerHTML = `<span></span>${editable ? `<button class="text-red-600 hover:underline text-xs" data-remove-daypart="${index}">Remove</button>` : ''}`;
+            li.querySelector('span').textContent = this.campaignScheduleService.describeDaypart(daypart);
+            this.daypartList.appendChild(li);
+        });
+    }
+
+    /**
+     * Adds the daypart window entered in the form. It is saved with the schedule.
+     */
+    handleAddDaypart() {
+        const choice = this.daypartDaysSelect.value;
+        const days = this.campaignScheduleService.DAY_PRESETS[choice]?.days || [Number(choice)];
+        this.dayparts.push({ days: [...days], start: this.daypartStartInput.value, end: this.daypartEndInput.value });
+        this._renderDayparts();
+    }
+
+    /**
+     * Saves the schedule in the form to the active campaign.
+     * @returns {Promise<void>}
+     */
+    async handleSaveSchedule() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        const schedule = {
+            startAt: this.startInput.value || null,
+            endAt: this.endInput.value || null,
+            timezone: this.timezoneSelect.value,
+            dayparts: this.dayparts
+        };
+        try {
+            await this.campaignService.updateSchedule(campaign.id, schedule);
+        } catch (error) {
+            console.error('Schedule could not be saved:', error);
+            if (['CampaignScheduleError', 'CampaignAccessError', 'CampaignLifecycleError', 'CampaignSchemaError'].includes(error.name)) alert(error.message);
+        }
+    }
+}
+
+export default CampaignScheduleController;
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Controller for the targeting section of the active campaign on the dashboard: a
+ * human-readable summary of who the campaign reaches, and attaching and removing audience segments.
+ * Segments can only be attached and removed by users who may change the campaign, while it is a draft.
+ */
+
+class CampaignTargetingController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {AudienceSegmentService} audienceSegmentService Dependency on AudienceSegmentService.
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(campaignService, audienceSegmentService, authService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {AudienceSegmentService} */
+        this.audienceSegmentService = audienceSegmentService;
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-targeting');
+        this.summaryList = document.getElementById('campaign-targeting-summary');
+        this.segmentList = document.getElementById('campaign-segment-list');
+        this.segmentSelect = document.getElementById('campaign-segment-select');
+        this.attachBtn = document.getElementById('attach-segment-btn');
+        this.restrictionMessage = document.getElementById('campaign-targeting-restriction');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.attachBtn) this.attachBtn.addEventListener('click', () => this.handleAttachSegment());
+        if (this.segmentList) {
+            this.segmentList.addEventListener('click', (e) => {
+                const segmentId = e.target.dataset.detachSegment;
+                if (segmentId) this.handleDetachSegment(segmentId);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.audienceSegmentService.onSegmentsChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the targeting of the active campaign.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) return;
+
+        const [summary, segments] = await Promise.all([
+            this.campaignService.getTargetingSummary(campaign),
+            this.audienceSegmentService.getSegments()
+        ]);
+        this.summaryList.innerHTML = '';
+        summary.forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            this.summaryList.appendChild(li);
+        });
+
+        const restriction = this.campaignService.getEditRestriction();
+        const segmentIds = campaign.targeting.segmentIds;
+        this.segmentList.innerHTML = '';
+        if (!restriction) {
+            segmentIds.forEach(segmentId => {
+                const segment = segments.find(s => s.id === segmentId);
+                const li = document.createElement('li');
+                li.className = 'flex items-center justify-between';
+                li.innerHTML = `<span></span><button class="text-red-600 hover:underline text-xs" data-detach-segment="${segmentId}">Remove</button>`;
+                li.querySelector('span').textContent = segment ? segment.name : 'Deleted segment';
+                this.segmentList.appendChild(li);
+            });
+        }
+
+        this.segmentSelect.innerHTML = '';
+        const available = segments.filter(segment => !segmentIds.includes(segment.id));
+        available.forEach(segment => {
+            const option = document.createElement('option');
+            option.value = segment.id;
+            option.textContent = segment.name;
+            this.segmentSelect.appendChild(option);
+        });
+        if (!available.length) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = segments.length ? 'All segments are attached' : 'No segments yet – create one below';
+            this.segmentSelect.appendChild(option);
+        }
+        this.segmentSelect.disabled = !!restriction || !available.length;
+        this.attachBtn.disabled = !!restriction || !available.length;
+        if (this.restrictionMessage) {
+            this.restrictionMessage.textContent = restriction || '';
+            this.restrictionMessage.classList.toggle('hidden', !restriction);
+        }
+    }
+
+    /**
+     * Attaches the selected segment to the active campaign.
+     * @returns {Promise<void>}
+     */
+    async handleAttachSegment() {
+        const campaign = this.campaignService.getActiveCampaign();
+        const segmentId = this.segmentSelect.value;
+        if (!campaign || !segmentId) return;
+        await this._saveTargeting(campaign, [...campaign.targeting.segmentIds, segmentId]);
+    }
+
+    /**
+     * Removes a segment from the active campaign.
+     * @param {string} segmentId The segment ID.
+     * @returns {Promise<void>}
+     */
+    async handleDetachSegment(segmentId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        await this._saveTargeting(campaign, campaign.targeting.segmentIds.filter(id => id !== segmentId));
+    }
+
+    /**
+     * Saves the segments a campaign targets, telling the user why if that is not possible.
+     * @param {Object} campaign The campaign.
+     * @param {Array<string>} segmentIds The segments.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveTargeting(campaign, segmentIds) {
+        try {
+            await this.campaignService.updateTargeting(campaign.id, segmentIds);
+        } catch (error) {
+            console.error('Targeting could not be saved:', error);
+            if (['AudienceSegmentError', 'CampaignAccessError', 'CampaignLifecycleError', 'CampaignSchemaError'].includes(error.name)) alert(error.message);
+        }
+    }
+}
+
+export default CampaignTargetingController;
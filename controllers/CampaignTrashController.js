@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Controller for the trash on the dashboard. It lists the logged-in user's campaigns in the
+ * trash with how long they can still be restored, and restores them or deletes them for good.
+ */
+
+class CampaignTrashController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService (status labels).
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {ToastController} toastController Dependency on ToastController (undoing a restore).
+     */
+    constructor(campaignService, campaignLifecycleService, authService, toastController) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {ToastController} */
+        this.toastController = toastController;
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-trash-section');
+        this.count = document.getElementById('campaign-trash-count');
+        this.retentionText = document.getElementById('campaign-trash-retention');
+        this.emptyButton = document.getElementById('campaign-trash-empty-btn');
+        this.list = document.getElementById('campaign-trash-list');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.list) {
+            this.list.addEventListener('click', (e) => {
+                const { restoreCampaign, purgeCampaign } = e.target.dataset;
+                if (restoreCampaign) this.handleRestore(restoreCampaign);
+                if (purgeCampaign) this.handlePurge([purgeCampaign]);
+            });
+        }
+        if (this.emptyButton) {
+            this.emptyButton.addEventListener('click', async () => {
+                const trashed = await this.campaignService.getTrashedCampaigns();
+                this.handlePurge(trashed.map(campaign => campaign.id));
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the logged-in user's trash; it is hidden while empty.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.section || !this.list) return;
+        const trashed = await this.campaignService.getTrashedCampaigns();
+        this.section.classList.toggle('hidden', trashed.length === 0);
+        if (this.count) this.count.textContent = trashed.length;
+        if (this.retentionText) {
+            this.retentionText.textContent = `Campaigns are deleted for good ${this.campaignService.TRASH_RETENTION_DAYS} days after they were moved to the trash.`;
+        }
+
+        const now = Date.now();
+        this.list.innerHTML = '';
+        trashed.forEach(campaign => {
+            const purgeDate = this.campaignService.getPurgeDate(campaign);
+            const daysLeft = Math.max(0, Math.ceil((purgeDate.getTime() - now) / (24 * 60 * 60 * 1000)));
+            const li = document.createElement('li');
+            li.className = 'flex flex-wrap items-center justify-between gap-2 p-3 bg-gray-50 rounded-md border border-gray-200';
+            li.innerHTML = `
+                <div>
+                    <span class="trash-name font-bold text-gray-800"></span>
+                    <span class="trash-status ml-1 text-xs text-gray-500"></span>
+                    <span class="trash-details block text-xs text-gray-500"></span>
+                </div>
+                <div class="flex gap-2">
+                    <button type="button" class="py-1 px-3 border border-gray-300 rounded-md bg-white hover:bg-gray-50">Restore</button>
+                    <button type="button" class="py-1 px-3 border border-red-300 rounded-md bg-white text-red-700 hover:bg-red-50">Delete Forever</button>
+                </div>
+            `;
+            li.querySelector('.trash-name').textContent = campaign.name || 'Unnamed Campaign';
+            li.querySelector('.trash-status').textContent = this.campaignLifecycleService.getLabel(campaign.status);
+            li.querySelector('.trash-details').textContent = `Moved to the trash ${new Date(campaign.trashed.at).toLocaleString()} · ` +
+                `deleted for good on ${purgeDate.toLocaleDateString()} (${daysLeft} day(s) left)`;
+            const [restoreButton, purgeButton] = li.querySelectorAll('button');
+            restoreButton.dataset.restoreCampaign = campaign.id;
+            purgeButton.dataset.purgeCampaign = campaign.id;
+            this.list.appendChild(li);
+        });
+    }
+
+    /**
+     * Takes a campaign out of the trash; the toast that follows can move it back.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<void>}
+     */
+    async handleRestore(campaignId) {
+        let restored;
+        try {
+            restored = await this.campaignService.restoreCampaign(campaignId);
+        } catch (error) {
+            console.error('Campaign could not be restored:', error);
+            alert(`Campaign could not be restored: ${error.message}`);
+            return;
+        }
+        this.toastController.show(`Restored "${restored.name}".`, {
+            actionLabel: 'Undo',
+            onAction: async () => {
+                try {
+                    await this.campaignService.trashCampaign(campaignId);
+                } catch (error) {
+                    console.error('Campaign could not be moved back to the trash:', error);
+                    alert(`Campaign could not be moved back to the trash: ${error.message}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Deletes campaigns in the trash for good, after confirmation. This cannot be undone.
+     * @param {Array<string>} campaignIds The campaign IDs.
+     * @returns {Promise<void>}
+     */
+    async handlePurge(campaignIds) {
+        if (!campaignIds.length) return;
+        if (!confirm(`Delete ${campaignIds.length} campaign(s) and their revision history for good? This cannot be undone.`)) return;
+
+        const failures = [];
+        for (const campaignId of campaignIds) {
+            try {
+                await this.campaignService.purgeCampaign(campaignId);
+            } catch (error) {
+                console.error(`Campaign "${campaignId}" could not be deleted:`, error);
+                failures.push(error.message);
+            }
+        }
+        if (failures.length) alert(`Some campaigns could not be deleted:\n- ${failures.join('\n- ')}`);
+    }
+}
+
+export default CampaignTrashController;
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Controller for the A/B test section of the active campaign on the dashboard: the
+ * variants of the selected asset with their traffic split and performance numbers, the significance
+ * of the differences and the winner, previews of the variants side by side, and promoting a variant
+ * to the primary asset. Variants can only be added, changed and promoted while the campaign is a draft;
+ * performance numbers can be recorded by anyone who may edit the campaign, whatever its status.
+ */
+
+class CreativeTestController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CreativeTestService} creativeTestService Dependency on CreativeTestService.
+     * @param {BannerEditor} bannerEditor Dependency on BannerEditor, to preview banner variants.
+     * @param {MarketingPageEditor} marketingPageEditor Dependency on MarketingPageEditor, to preview marketing page variants.
+     * @param {LandingPageEditor} landingPageEditor Dependency on LandingPageEditor, to preview landing page variants.
+     * @param {NavigationService} navigationService Dependency on NavigationService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     */
+    constructor(campaignService, creativeTestService, bannerEditor, marketingPageEditor, landingPageEditor, navigationService, authService, accessControlService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CreativeTestService} */
+        this.creativeTestService = creativeTestService;
+        /** @type {BannerEditor} */
+        this.bannerEditor = bannerEditor;
+        /** @type {MarketingPageEditor} */
+        this.marketingPageEditor = marketingPageEditor;
+        /** @type {LandingPageEditor} */
+        this.landingPageEditor = landingPageEditor;
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+
+        /**
+         * The asset type whose test is shown.
+         * @private
+         * @type {string}
+         */
+        this.assetType = 'banner';
+        /**
+         * Counts renders, so previews that finish rendering after a newer render started are dropped.
+         * @private
+         * @type {number}
+         */
+        this.renderCount = 0;
+
+        // DOM Elements
+        this.section = document.getElementById('campaign-creative-tests');
+        this.assetSelect = document.getElementById('creative-test-asset-select');
+        this.metricSelect = document.getElementById('creative-test-metric-select');
+        this.emptyMessage = document.getElementById('creative-test-empty');
+        this.details = document.getElementById('creative-test-details');
+        this.variantRows = document.getElementById('creative-variant-rows');
+        this.outcome = document.getElementById('creative-test-outcome');
+        this.addVariantBtn = document.getElementById('add-creative-variant-btn');
+        this.saveTestBtn = document.getElementById('save-creative-test-btn');
+        this.restrictionMessage = document.getElementById('creative-test-restriction');
+        this.previews = document.getElementById('creative-variant-previews');
+
+        this._populateSelects();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the asset type and metric selects.
+     * @private
+     */
+    _populateSelects() {
+        const fill = (select, choices) => {
+            if (!select) return;
+            choices.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fill(this.assetSelect, Object.entries(this.creativeTestService.ASSET_TYPES));
+        fill(this.metricSelect, Object.entries(this.creativeTestService.METRICS).map(([id, metric]) => [id, metric.label]));
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.assetSelect) {
+            this.assetSelect.addEventListener('change', () => {
+                this.assetType = this.assetSelect.value;
+                this.render();
+            });
+        }
+        if (this.addVariantBtn) this.addVariantBtn.addEventListener('click', () => this.handleAddVariant());
+        if (this.saveTestBtn) this.saveTestBtn.addEventListener('click', () => this.handleSaveTest());
+        // A landing page's lead form in a side-by-side preview must not submit and navigate away from the app
+        if (this.previews) this.previews.addEventListener('submit', (e) => e.preventDefault());
+        if (this.variantRows) {
+            this.variantRows.addEventListener('click', (e) => {
+                const { variantAction, variantId } = e.target.dataset;
+                if (variantAction === 'edit') this.handleEditVariant(variantId);
+                if (variantAction === 'remove') this.handleRemoveVariant(variantId);
+                if (variantAction === 'promote') this.handlePromoteVariant(variantId);
+                if (variantAction === 'results') this.handleSaveResults(variantId);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => this.render());
+    }
+
+    /**
+     * Renders the test of the selected asset of the active campaign.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!this.section) return;
+        this.section.classList.toggle('hidden', !campaign);
+        if (!campaign) return;
+
+        const test = campaign.creativeTests[this.assetType];
+        const restriction = this.campaignService.getEditRestriction();
+        const canRecordResults = this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+        const label = this.creativeTestService.ASSET_TYPES[this.assetType].toLowerCase();
+
+        this.assetSelect.value = this.assetType;
+        this.details.classList.toggle('hidden', !test);
+        this.emptyMessage.classList.toggle('hidden', !!test);
+        if (!test) {
+            this.emptyMessage.textContent = campaign.assets[this.assetType]
+                ? `The ${label} is not being tested. Add a variant to test it against an alternative.`
+                : `Save the ${label} before adding variants of it.`;
+        } else {
+            this.metricSelect.value = test.metric;
+            this._renderVariants(test, campaign.creativeResults[this.assetType], restriction, canRecordResults);
+        }
+
+        this.metricSelect.disabled = !!restriction || !test;
+        this.addVariantBtn.disabled = !!restriction || !campaign.assets[this.assetType] ||
+            (test?.variants.length || 0) >= this.creativeTestService.MAX_VARIANTS;
+        this.saveTestBtn.disabled = !!restriction || !test;
+        if (this.restrictionMessage) {
+            this.restrictionMessage.textContent = restriction || '';
+            this.restrictionMessage.classList.toggle('hidden', !restriction);
+        }
+        await this._renderPreviews(campaign, test);
+    }
+
+    /**
+     * Renders one row per variant, and the outcome of the test.
+     * @param {Object} test The test.
+     * @param {Object|undefined} results The numbers of the test's variants, keyed by variant ID.
+     * @param {string|null} restriction Why the test cannot be changed, if it cannot.
+     * @param {boolean} canRecordResults Whether the user may record performance numbers.
+     * @private
+     */
+    _renderVariants(test, results, restriction, canRecordResults) {
+        const evaluation = this.creativeTestService.evaluate(test, results);
+        const percent = value => (value === null ? '—' : `${Math.floor(value * 1000) / 10}%`);
+        const input = 'px-2 py-1 border border-gray-300 rounded-md text-gray-800 disabled:bg-gray-100';
+        const action = 'hover:underline text-xs mr-2';
+
+        this.variantRows.innerHTML = '';
+        evaluation.rows.forEach(row => {
+            const { variant } = row;
+            const isPrimary = variant.id === this.creativeTestService.PRIMARY_ID;
+            const tr = document.createElement('tr');
+            tr.dataset.variantRow = variant.id;
+            tr.className = `border-t border-gray-200 ${variant.id === evaluation.winnerId ? 'bg-green-50' : ''}`;
+            tr.innerHTML = `
+                <td class="pr-2 py-1"><input type="text" data-field="name" class="w-24 ${input}" /></td>
+                <td class="pr-2 py-1"><input type="number" data-field="weight" min="0" max="100" step="1" class="w-16 ${input}" /></td>
+                <td class="pr-2 py-1"><input type="number" data-field="impressions" min="0" step="1" class="w-24 ${input}" /></td>
+                <td class="pr-2 py-1"><input type="number" data-field="clicks" min="0" step="1" class="w-20 ${input}" /></td>
+                <td class="pr-2 py-1"><input type="number" data-field="conversions" min="0" step="1" class="w-20 ${input}" /></td>
+                <td class="pr-2 py-1">${this.creativeTestService.formatRate(row.rate)}</td>
+                <td class="pr-2 py-1">${row.uplift === null ? '—' : `${row.uplift >= 0 ? '+' : ''}${(row.uplift * 100).toFixed(1)}%`}</td>
+                <td class="pr-2 py-1">${isPrimary ? 'baseline' : percent(row.confidence)}</td>
+                <td class="py-1 whitespace-nowrap">
+                    ${canRecordResults ? `<button class="text-blue-600 ${action}" data-variant-action="results" data-variant-id="${variant.id}">Save Results</button>` : ''}
+                    <button class="text-blue-600 ${action}" data-variant-action="edit" data-variant-id="${variant.id}">${restriction ? 'View' : 'Edit'}</button>
+                    ${!restriction && !isPrimary ? `<button class="text-green-700 ${action}" data-variant-action="promote" data-variant-id="${variant.id}">Promote</button>` : ''}
+                    ${!restriction && !isPrimary ? `<button class="text-red-600 ${action}" data-variant-action="remove" data-variant-id="${variant.id}">Remove</button>` : ''}
+                </td>`;
+            const field = name => tr.querySelector(`[data-field="${name}"]`);
+            field('name').value = variant.name;
+            field('weight').value = variant.weight;
+            ['impressions', 'clicks', 'conversions'].forEach(name => {
+                field(name).value = row.results[name];
+                field(name).disabled = !canRecordResults;
+            });
+            field('name').disabled = !!restriction;
+            field('weight').disabled = !!restriction;
+            this.variantRows.appendChild(tr);
+        });
+
+        this.outcome.textContent = evaluation.message;
+        this.outcome.className = `mt-2 p-2 rounded-md text-sm ${evaluation.winnerId
+            ? 'bg-green-50 border border-green-200 text-green-800'
+            : 'bg-gray-50 border border-gray-200 text-gray-700'}`;
+    }
+
+    /**
+     * Renders a preview of every variant of the test side by side, or of the primary asset alone.
+     * @param {Object} campaign The active campaign.
+     * @param {Object|null} test The test.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _renderPreviews(campaign, test) {
+        if (!this.previews) return;
+        const renderCount = ++this.renderCount;
+        const variants = test ? test.variants : [];
+        const cards = await Promise.all(variants.map(async variant => {
+            const asset = this.creativeTestService.getVariantAsset(campaign, this.assetType, variant.id);
+            const card = document.createElement('div');
+            card.className = 'border border-gray-200 rounded-md p-2';
+            card.innerHTML = '<p class="text-sm font-medium text-gray-700 mb-2"></p><div class="overflow-auto max-h-64"></div>';
+            card.querySelector('p').textContent = `${this.creativeTestService.getVariantLabel(variant)} · ${variant.weight}% of traffic`;
+            const body = card.querySelector('div');
+            if (!asset) {
+                body.textContent = 'Nothing saved yet.';
+            } else if (this.assetType === 'banner') {
+                try {
+                    const svg = await this.bannerEditor.renderSvg(asset);
+                    const img = document.createElement('img');
+                    img.alt = `Banner variant ${variant.name}`;
+                    img.className = 'max-w-full h-auto';
+                    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+                    body.appendChild(img);
+                } catch (error) {
+                    console.error(`Banner variant "${variant.name}" could not be previewed:`, error);
+                    body.textContent = 'The preview could not be rendered.';
+                }
+            } else {
+                const editor = this.assetType === 'marketingPage' ? this.marketingPageEditor : this.landingPageEditor;
+                body.innerHTML = editor.renderHtml(asset);
+            }
+            return card;
+        }));
+        if (renderCount !== this.renderCount) return; // A newer render has taken over
+        this.previews.innerHTML = '';
+        cards.forEach(card => this.previews.appendChild(card));
+    }
+
+    /**
+     * Reads a number input of a variant's row.
+     * @param {string} variantId The variant.
+     * @param {string} field The field, e.g. 'weight'.
+     * @returns {number} The number, NaN if empty.
+     * @private
+     */
+    _readNumber(variantId, field) {
+        const input = this.variantRows.querySelector(`[data-variant-row="${variantId}"] [data-field="${field}"]`);
+        return input.value.trim() === '' ? NaN : Number(input.value);
+    }
+
+    /**
+     * Adds a variant of the selected asset to its test, starting the test if there is none.
+     * @returns {Promise<void>}
+     */
+    async handleAddVariant() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        await this._run('Variant could not be added', () => this.campaignService.addCreativeVariant(campaign.id, this.assetType));
+    }
+
+    /**
+     * Saves the metric of the selected asset's test and the names and traffic shares of its variants.
+     * @returns {Promise<void>}
+     */
+    async handleSaveTest() {
+        const campaign = this.campaignService.getActiveCampaign();
+        const test = campaign?.creativeTests[this.assetType];
+        if (!test) return;
+        const variants = test.variants.map(variant => ({
+            id: variant.id,
+            name: this.variantRows.querySelector(`[data-variant-row="${variant.id}"] [data-field="name"]`).value,
+            weight: this._readNumber(variant.id, 'weight')
+        }));
+        await this._run('A/B test could not be saved', () =>
+            this.campaignService.updateCreativeTest(campaign.id, this.assetType, { metric: this.metricSelect.value, variants }));
+    }
+
+    /**
+     * Records the performance numbers entered for a variant.
+     * @param {string} variantId The variant.
+     * @returns {Promise<void>}
+     */
+    async handleSaveResults(variantId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+        const results = {
+            impressions: this._readNumber(variantId, 'impressions'),
+            clicks: this._readNumber(variantId, 'clicks'),
+            conversions: this._readNumber(variantId, 'conversions')
+        };
+        await this._run('Results could not be recorded', () =>
+            this.campaignService.recordVariantResults(campaign.id, this.assetType, variantId, results));
+    }
+
+    /**
+     * Opens a variant in the editor of its asset type.
+     * @param {string} variantId The variant.
+     */
+    handleEditVariant(variantId) {
+        const goTo = {
+            banner: () => this.navigationService.goToBannerEditor(variantId),
+            marketingPage: () => this.navigationService.goToMarketingPageEditor(variantId),
+            landingPage: () => this.navigationService.goToLandingPageEditor(variantId)
+        };
+        goTo[this.assetType]();
+    }
+
+    /**
+     * Removes a variant from the selected asset's test, after confirmation.
+     * @param {string} variantId The variant.
+     * @returns {Promise<void>}
+     */
+    async handleRemoveVariant(variantId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        const variant = campaign?.creativeTests[this.assetType]?.variants.find(v => v.id === variantId);
+        if (!variant || !confirm(`Remove variant "${variant.name}" and its results? Its traffic goes to the primary asset.`)) return;
+        await this._run('Variant could not be removed', () => this.campaignService.removeCreativeVariant(campaign.id, this.assetType, variantId));
+    }
+
+    /**
+     * Makes a variant the primary asset, ending the test. Asks for confirmation, with a warning if the
+     * variant has not been shown to win.
+     * @param {string} variantId The variant.
+     * @returns {Promise<void>}
+     */
+    async handlePromoteVariant(variantId) {
+        const campaign = this.campaignService.getActiveCampaign();
+        const test = campaign?.creativeTests[this.assetType];
+        const variant = test?.variants.find(v => v.id === variantId);
+        if (!variant) return;
+        const { winnerId } = this.creativeTestService.evaluate(test, campaign.creativeResults[this.assetType]);
+        const warning = winnerId === variantId ? '' : `"${variant.name}" has not been shown to win yet. `;
+        const label = this.creativeTestService.ASSET_TYPES[this.assetType].toLowerCase();
+        if (!confirm(`${warning}Make "${variant.name}" the ${label}? The test ends and the other variants and all results are discarded.`)) return;
+        await this._run('Variant could not be promoted', () => this.campaignService.promoteCreativeVariant(campaign.id, this.assetType, variantId));
+    }
+
+    /**
+     * Runs a change to the test, telling the user why if it fails.
+     * @param {string} failure Logged if the change fails.
+     * @param {function():Promise<*>} change The change.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _run(failure, change) {
+        try {
+            await change();
+        } catch (error) {
+            console.error(`${failure}:`, error);
+            if (['CreativeTestError', 'CampaignAccessError', 'CampaignLifecycleError', 'CampaignSchemaError'].includes(error.name)) alert(error.message);
+        }
+    }
+}
+
+export default CreativeTestController;
@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Controller for the charts on the dashboard, drawn from imported platform performance:
+ * the daily trend of a metric per platform, spend by platform and the platforms' share of spend for the
+ * active campaign, and a comparison of all campaigns the user can see. All charts show the same date
+ * range, chosen with the date inputs, quick ranges or by dragging across a trend chart, and each chart
+ * can be exported as SVG or PNG.
+ */
+
+class DashboardChartsController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignPerformanceService} campaignPerformanceService Dependency on CampaignPerformanceService.
+     * @param {CampaignBudgetService} campaignBudgetService Dependency on CampaignBudgetService (formats money).
+     * @param {SvgChartService} svgChartService Dependency on SvgChartService.
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(campaignService, campaignPerformanceService, campaignBudgetService, svgChartService, authService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignPerformanceService} */
+        this.campaignPerformanceService = campaignPerformanceService;
+        /** @type {CampaignBudgetService} */
+        this.campaignBudgetService = campaignBudgetService;
+        /** @type {SvgChartService} */
+        this.svgChartService = svgChartService;
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * Quick ranges, in days, ending on the last day with performance.
+         * @private
+         * @type {Array<number>}
+         */
+        this.QUICK_RANGES = [7, 30, 90];
+        /**
+         * Metric charted until another one is chosen.
+         * @private
+         * @type {string}
+         */
+        this.DEFAULT_METRIC = 'spend';
+
+        /**
+         * The metric of the trend and comparison charts.
+         * @private
+         * @type {string}
+         */
+        this.metric = this.DEFAULT_METRIC;
+        /**
+         * The chosen date range; a null end means the first or last day with performance.
+         * @private
+         * @type {{from: string|null, to: string|null}}
+         */
+        this.range = { from: null, to: null };
+        /**
+         * The charts drawn, keyed by name, for exporting them.
+         * @private
+         * @type {Object.<string, SVGSVGElement|null>}
+         */
+        this.charts = {};
+
+        // DOM Elements
+        this.section = document.getElementById('dashboard-charts-section');
+        this.metricSelect = document.getElementById('chart-metric-select');
+        this.fromInput = document.getElementById('chart-from-input');
+        this.toInput = document.getElementById('chart-to-input');
+        this.rangeButtons = document.getElementById('chart-range-buttons');
+        this.campaignCharts = document.getElementById('campaign-charts');
+        this.campaignName = document.getElementById('chart-campaign-name');
+        this.containers = {
+            trend: document.getElementById('chart-trend'),
+            'platform-spend': document.getElementById('chart-platform-spend'),
+            'platform-share': document.getElementById('chart-platform-share'),
+            comparison: document.getElementById('chart-comparison'),
+            'campaign-share': document.getElementById('chart-campaign-share')
+        };
+
+        this._populateControls();
+        this._bindEvents();
+    }
+
+    /**
+     * Fills the metric select and the quick range buttons.
+     * @private
+     */
+    _populateControls() {
+        if (this.metricSelect) {
+            Object.entries(this.campaignPerformanceService.getMetrics()).forEach(([metric, label]) => {
+                const option = document.createElement('option');
+                option.value = metric;
+                option.textContent = label;
+                this.metricSelect.appendChild(option);
+            });
+            this.metricSelect.value = this.metric;
+        }
+        if (this.rangeButtons) {
+            [...this.QUICK_RANGES.map(days => [days, `${days} days`]), ['all', 'All']].forEach(([days, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.chartRange = days;
+                button.className = 'py-1 px-2 border border-gray-300 rounded-md hover:bg-gray-50';
+                button.textContent = label;
+                this.rangeButtons.appendChild(button);
+            });
+        }
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.metricSelect) {
+            this.metricSelect.addEventListener('change', () => {
+                this.metric = this.metricSelect.value;
+                this.render();
+            });
+        }
+        if (this.fromInput) this.fromInput.addEventListener('change', () => this.setRange(this.fromInput.value || null, this.range.to));
+        if (this.toInput) this.toInput.addEventListener('change', () => this.setRange(this.range.from, this.toInput.value || null));
+        if (this.rangeButtons) {
+            this.rangeButtons.addEventListener('click', (e) => {
+                const days = e.target.dataset.chartRange;
+                if (days) this.showLastDays(days === 'all' ? null : Number(days));
+            });
+        }
+        if (this.section) {
+            this.section.addEventListener('click', (e) => {
+                const { exportChart, exportFormat } = e.target.dataset;
+                if (exportChart) this.handleExport(exportChart, exportFormat);
+            });
+        }
+        this.campaignService.onCampaignChange(() => this.render());
+        this.authService.onAuthChange(() => {
+            this.range = { from: null, to: null };
+            this.render();
+        });
+    }
+
+    /**
+     * Shows a date range in all charts.
+     * @param {string|null} from The first day, 'YYYY-MM-DD'; null for the first day with performance.
+     * @param {string|null} to The last day, 'YYYY-MM-DD'; null for the last day with performance.
+     * @returns {Promise<void>}
+     */
+    async setRange(from, to) {
+        if (from && to && from > to) {
+            alert('The date range must not end before it starts.');
+            await this.render();
+            return;
+        }
+        this.range = { from, to };
+        await this.render();
+    }
+
+    /**
+     * Shows the last days with performance, or all of them.
+     * @param {number|null} days The number of days, ending on the last day with performance; null for all days.
+     * @returns {Promise<void>}
+     */
+    async showLastDays(days) {
+        if (!days) {
+            await this.setRange(null, null);
+            return;
+        }
+        const { last } = this._getExtent(await this.campaignService.getAllCampaigns());
+        if (!last) return;
+        await this.setRange(this.campaignPerformanceService.addDays(last, 1 - days), last);
+    }
+
+    /**
+     * Finds the first and last day with performance in the campaigns the user can see.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @returns {{first: string|null, last: string|null}} The days, 'YYYY-MM-DD'; null without performance.
+     * @private
+     */
+    _getExtent(campaigns) {
+        const dates = campaigns.flatMap(campaign => campaign.performance.rows.map(row => row.date)).sort();
+        return { first: dates[0] || null, last: dates[dates.length - 1] || null };
+    }
+
+    /**
+     * Formats a value of the charted metric.
+     * @param {string} metric The metric.
+     * @param {number} value The value.
+     * @param {string|null} currency The currency of the amounts; null if the campaigns charted use different ones.
+     * @returns {string} The formatted value.
+     * @private
+     */
+    _formatValue(metric, value, currency) {
+        switch (this.campaignPerformanceService.getMetricFormat(metric)) {
+            case 'money':
+                return currency
+                    ? this.campaignBudgetService.formatMoney(value, currency)
+                    : value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            case 'percent':
+                return `${(value * 100).toFixed(2)}%`;
+            case 'ratio':
+                return `${value.toFixed(2)}x`;
+            default:
+                return value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        }
+    }
+
+    /**
+     * Renders all charts for the chosen metric and date range.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.section) return;
+        const loggedIn = !!this.authService.getLoggedInUser();
+        this.section.classList.toggle('hidden', !loggedIn);
+        this.charts = {};
+        if (!loggedIn) return;
+
+        const campaigns = await this.campaignService.getAllCampaigns();
+        const { first, last } = this._getExtent(campaigns);
+        const from = this.range.from || first;
+        const to = this.range.to || last;
+        if (this.metricSelect) this.metricSelect.value = this.metric;
+        if (this.fromInput) this.fromInput.value = from || '';
+        if (this.toInput) this.toInput.value = to || '';
+
+        this._renderCampaignCharts(this.campaignService.getActiveCampaign(), from, to);
+        this._renderComparison(campaigns, from, to);
+    }
+
+    /**
+     * Draws a chart into its container and remembers it for exporting.
+     * @param {string} name The chart's name.
+     * @param {Object} chart The chart (see SvgChartService.render()).
+     * @private
+     */
+    _draw(name, chart) {
+        const container = this.containers[name];
+        if (container) this.charts[name] = this.svgChartService.render(container, chart);
+    }
+
+    /**
+     * Renders the trend, spend by platform and share of spend charts of the active campaign.
+     * @param {Object|null} campaign The active campaign.
+     * @param {string|null} from The first day shown.
+     * @param {string|null} to The last day shown.
+     * @private
+     */
+    _renderCampaignCharts(campaign, from, to) {
+        if (this.campaignCharts) this.campaignCharts.classList.toggle('hidden', !campaign);
+        if (!campaign) return;
+        if (this.campaignName) this.campaignName.textContent = campaign.name;
+
+        const { currency } = campaign.budget;
+        const performance = this.campaignPerformanceService;
+        const metricLabel = performance.getMetrics()[this.metric];
+        const rows = from ? campaign.performance.rows.filter(row => row.date >= from && row.date <= to) : [];
+        const dates = from ? performance.getDates(from, to) : [];
+        const platforms = [...new Set(rows.map(row => row.platform))].sort();
+        const rowsByDate = new Map(dates.map(date => [date, []]));
+        rows.forEach(row => rowsByDate.get(row.date).push(row));
+        const dailyValues = (metric, platform) => dates.map(date => {
+            const dayRows = rowsByDate.get(date).filter(row => !platform || row.platform === platform);
+            return performance.getMetricValue(dayRows, metric);
+        });
+        const emptyMessage = 'No performance imported for these days.';
+
+        const trendSeries = platforms.map(platform => ({ name: platform, values: dailyValues(this.metric, platform) }));
+        if (platforms.length > 1) trendSeries.push({ name: 'All platforms', values: dailyValues(this.metric, null) });
+        this._draw('trend', {
+            type: 'line',
+            title: `${metricLabel} per day`,
+            labels: dates,
+            series: trendSeries,
+            formatValue: value => this._formatValue(this.metric, value, currency),
+            onRangeSelect: (first, last) => this.setRange(first, last),
+            emptyMessage
+        });
+        this._draw('platform-spend', {
+            type: 'stackedArea',
+            title: 'Spend per day by platform',
+            labels: dates,
+            series: platforms.map(platform => ({ name: platform, values: dailyValues('spend', platform) })),
+            formatValue: value => this._formatValue('spend', value, currency),
+            onRangeSelect: (first, last) => this.setRange(first, last),
+            emptyMessage
+        });
+        this._draw('platform-share', {
+            type: 'donut',
+            title: 'Share of spend by platform',
+            labels: platforms,
+            series: [{ name: 'Spend', values: platforms.map(platform => performance.getMetricValue(rows.filter(row => row.platform === platform), 'spend')) }],
+            formatValue: value => this._formatValue('spend', value, currency),
+            emptyMessage
+        });
+    }
+
+    /**
+     * Renders the comparison of the metric and of spend across the campaigns with performance in the range.
+     * @param {Array<Object>} campaigns The campaigns the user can see.
+     * @param {string|null} from The first day shown.
+     * @param {string|null} to The last day shown.
+     * @private
+     */
+    _renderComparison(campaigns, from, to) {
+        const performance = this.campaignPerformanceService;
+        const compared = (from ? campaigns : [])
+            .map(campaign => ({ campaign, rows: campaign.performance.rows.filter(row => row.date >= from && row.date <= to) }))
+            .filter(({ rows }) => rows.length);
+        const currencies = new Set(compared.map(({ campaign }) => campaign.budget.currency));
+        const currency = currencies.size === 1 ? [...currencies][0] : null;
+        const names = compared.map(({ campaign }) => campaign.name);
+        const emptyMessage = 'No campaign has performance imported for these days.';
+        const mixedCurrencies = currencies.size > 1 ? ' (mixed currencies)' : '';
+
+        const metricLabel = performance.getMetrics()[this.metric];
+        const isMoney = performance.getMetricFormat(this.metric) === 'money';
+        this._draw('comparison', {
+            type: 'bar',
+            title: `${metricLabel} by campaign${isMoney ? mixedCurrencies : ''}`,
+            labels: names,
+            series: [{ name: metricLabel, values: compared.map(({ rows }) => performance.getMetricValue(rows, this.metric)) }],
+            formatValue: value => this._formatValue(this.metric, value, currency),
+            emptyMessage
+        });
+        this._draw('campaign-share', {
+            type: 'donut',
+            title: `Share of spend by campaign${mixedCurrencies}`,
+            labels: names,
+            series: [{ name: 'Spend', values: compared.map(({ rows }) => performance.getMetricValue(rows, 'spend')) }],
+            formatValue: value => this._formatValue('spend', value, currency),
+            emptyMessage
+        });
+    }
+
+    /**
+     * Exports a chart as a file download.
+     * @param {string} name The chart's name.
+     * @param {string} format 'svg' or 'png'.
+     * @returns {Promise<void>}
+     */
+    async handleExport(name, format) {
+        const svg = this.charts[name];
+        if (!svg) {
+            alert('There is no chart to export for these days.');
+            return;
+        }
+        const campaign = this.campaignService.getActiveCampaign();
+        const subject = ['comparison', 'campaign-share'].includes(name) || !campaign ? 'campaigns' : campaign.name;
+        const range = this.fromInput && this.fromInput.value ? `_${this.fromInput.value}_${this.toInput.value}` : '';
+        try {
+            await this.svgChartService.downloadChart(svg, { format, fileName: `${subject}_${name}${range}` });
+        } catch (error) {
+            console.error('Chart export failed:', error);
+            alert(`Chart export failed: ${error.message}`);
+        }
+    }
+}
+
+export default DashboardChartsController;
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Controller for the leads screen and the lead count of the active campaign on the dashboard.
+ * The screen lists the leads of every campaign the logged-in user can see, newest first, with a search by
+ * name or email and filters by campaign and status. Editors tag leads with a status, merge the leads of an
+ * email address that signed up more than once, and export what is listed as CSV.
+ */
+
+class LeadController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {LeadService} leadService Dependency on LeadService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     * @param {NavigationService} navigationService Dependency on NavigationService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {ToastController} toastController Dependency on ToastController (results).
+     */
+    constructor(campaignService, leadService, accessControlService, navigationService, authService, toastController) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {LeadService} */
+        this.leadService = leadService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {ToastController} */
+        this.toastController = toastController;
+
+        /**
+         * Names of the landing page templates, as the landing page editor shows them.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.TEMPLATE_LABELS = {
+            template1: 'Template X',
+            template2: 'Template Y',
+            template3: 'Template Z'
+        };
+        /**
+         * The search and filters of the screen; an empty filter matches every lead.
+         * @private
+         * @type {{query: string, campaignId: string, status: string}}
+         */
+        this.filters = { query: '', campaignId: '', status: '' };
+        /**
+         * The leads listed, with their campaigns, for the CSV export.
+         * @private
+         * @type {Array<{lead: Object, campaign: Object}>}
+         */
+        this.shownRows = [];
+
+        // DOM Elements
+        this.navButton = document.getElementById('nav-leads');
+        this.overviewCount = document.getElementById('active-campaign-leads');
+        this.overviewButton = document.getElementById('active-campaign-leads-btn');
+        this.searchInput = document.getElementById('lead-search-input');
+        this.campaignSelect = document.getElementById('lead-campaign-filter');
+        this.statusSelect = document.getElementById('lead-status-filter');
+        this.dedupeButton = document.getElementById('lead-dedupe-btn');
+        this.exportButton = document.getElementById('lead-export-btn');
+        this.summary = document.getElementById('lead-summary');
+        this.emptyMessage = document.getElementById('lead-empty');
+        this.list = document.getElementById('lead-list');
+
+        this._bindEvents();
+        this.navigationService.registerScreens({ 'leads-screen': document.getElementById('leads-screen') });
+        this.navigationService.registerRoute('/leads', {
+            screenId: 'leads-screen',
+            // '?campaign=' lists the leads of one campaign
+            onEnter: (params, query) => {
+                this.filters.campaignId = query.get('campaign') || '';
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.navButton) this.navButton.addEventListener('click', () => this.navigationService.goToLeads());
+        if (this.overviewButton) {
+            this.overviewButton.addEventListener('click', () => {
+                const campaign = this.campaignService.getActiveCampaign();
+                if (campaign) this.navigationService.goToLeads(campaign.id);
+            });
+        }
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => {
+                this.filters.query = this.searchInput.value;
+                this.render();
+            });
+        }
+        if (this.campaignSelect) {
+            this.campaignSelect.addEventListener('change', () => {
+                this.filters.campaignId = this.campaignSelect.value;
+                this.render();
+            });
+        }
+        if (this.statusSelect) {
+            this.statusSelect.addEventListener('change', () => {
+                this.filters.status = this.statusSelect.value;
+                this.render();
+            });
+        }
+        if (this.list) {
+            this.list.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('lead-status-select')) return;
+                const row = e.target.closest('[data-lead-id]');
+                this.handleStatusChange(row.dataset.campaignId, row.dataset.leadId, e.target.value);
+            });
+        }
+        if (this.dedupeButton) this.dedupeButton.addEventListener('click', () => this.handleDedupe());
+        if (this.exportButton) this.exportButton.addEventListener('click', () => this.handleExport());
+
+        this.campaignService.onCampaignChange(() => {
+            this.renderOverview();
+            if (this.navigationService.getCurrentRoute()?.startsWith('/leads')) this.render();
+        });
+        this.authService.onAuthChange(() => {
+            this.filters = { query: '', campaignId: '', status: '' };
+            if (this.searchInput) this.searchInput.value = '';
+            this.renderOverview();
+        });
+    }
+
+    /**
+     * Shows the number of leads of the active campaign on the dashboard.
+     */
+    renderOverview() {
+        if (!this.overviewCount) return;
+        const campaign = this.campaignService.getActiveCampaign();
+        const leads = campaign?.leads || [];
+        const newLeads = leads.filter(lead => lead.status === this.leadService.INITIAL_STATUS).length;
+        this.overviewCount.textContent = newLeads ? `${leads.length} (${newLeads} new)` : `${leads.length}`;
+        if (this.overviewButton) this.overviewButton.classList.toggle('hidden', !campaign);
+    }
+
+    /**
+     * Renders the leads screen with the current search and filters.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.list || !this.authService.getLoggedInUser()) return;
+        const campaigns = await this.campaignService.getAllCampaigns();
+        if (this.filters.campaignId && !campaigns.some(campaign => campaign.id === this.filters.campaignId)) {
+            this.filters.campaignId = ''; // The campaign was trashed or is no longer shared
+        }
+        this._renderFilters(campaigns);
+
+        const duplicateIds = new Set(campaigns.flatMap(campaign => [...this.leadService.findDuplicates(campaign.leads)]));
+        const shownCampaigns = campaigns.filter(campaign => !this.filters.campaignId || campaign.id === this.filters.campaignId);
+        const allRows = shownCampaigns.flatMap(campaign => campaign.leads.map(lead => ({ lead, campaign })));
+        this.shownRows = allRows
+            .filter(({ lead }) => (!this.filters.status || lead.status === this.filters.status) && this.leadService.matches(lead, this.filters.query))
+            .sort((a, b) => b.lead.capturedAt.localeCompare(a.lead.capturedAt));
+
+        this.list.innerHTML = '';
+        this.shownRows.forEach(({ lead, campaign }) => this.list.appendChild(this._renderRow(lead, campaign, duplicateIds.has(lead.id))));
+
+        const mergeable = shownCampaigns.filter(campaign => this._canEdit(campaign) &&
+            campaign.leads.some(lead => duplicateIds.has(lead.id)));
+        const duplicates = allRows.filter(({ lead }) => duplicateIds.has(lead.id)).length;
+        if (this.summary) {
+            this.summary.textContent = `Showing ${this.shownRows.length} of ${allRows.length} lead(s)` +
+                (duplicates ? `; ${duplicates} signed up again with the same email address.` : '.');
+        }
+        if (this.emptyMessage) this.emptyMessage.classList.toggle('hidden', this.shownRows.length > 0);
+        if (this.dedupeButton) this.dedupeButton.disabled = mergeable.length === 0;
+        if (this.exportButton) this.exportButton.disabled = this.shownRows.length === 0;
+    }
+
+    /**
+     * Fills the campaign and status filters.
+     * @param {Array<Object>} campaigns The campaigns the user can see.
+     * @private
+     */
+    _renderFilters(campaigns) {
+        if (this.campaignSelect) {
+            this.campaignSelect.innerHTML = '<option value="">All campaigns</option>';
+            campaigns.forEach(campaign => {
+                const option = document.createElement('option');
+                option.value = campaign.id;
+                option.textContent = `${campaign.name || 'Unnamed Campaign'} (${campaign.leads.length})`;
+                this.campaignSelect.appendChild(option);
+            });
+            this.campaignSelect.value = this.filters.campaignId;
+        }
+        if (this.statusSelect && this.statusSelect.options.length <= 1) {
+            this.leadService.STATUSES.forEach(status => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = this.leadService.getLabel(status);
+                this.statusSelect.appendChild(option);
+            });
+        }
+        if (this.statusSelect) this.statusSelect.value = this.filters.status;
+    }
+
+    /**
+     * Renders the table row of a lead.
+     * @param {Object} lead The lead.
+     * @param {Object} campaign Its campaign.
+     * @param {boolean} isDuplicate Whether its email address signed up earlier.
+     * @returns {HTMLElement} The row.
+     * @private
+     */
+    _renderRow(lead, campaign, isDuplicate) {
+        const tr = document.createElement('tr');
+        tr.className = 'border-t border-gray-200';
+        tr.dataset.leadId = lead.id;
+        tr.dataset.campaignId = campaign.id;
+        tr.innerHTML = `
+            <td class="p-2"><span class="lead-name font-medium text-gray-800"></span></td>
+            <td class="p-2">
+                <span class="lead-email"></span>
+                <span class="lead-duplicate hidden ml-1 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">Duplicate</span>
+            </td>
+            <td class="p-2 lead-campaign"></td>
+            <td class="p-2 lead-origin text-gray-600"></td>
+            <td class="p-2 lead-captured text-gray-600"></td>
+            <td class="p-2"><select class="lead-status-select px-2 py-1 border border-gray-300 rounded-md text-sm"></select></td>
+        `;
+        tr.querySelector('.lead-name').textContent = lead.name;
+        tr.querySelector('.lead-email').textContent = lead.email;
+        tr.querySelector('.lead-duplicate').classList.toggle('hidden', !isDuplicate);
+        tr.querySelector('.lead-campaign').textContent = campaign.name || 'Unnamed Campaign';
+        const template = this.TEMPLATE_LABELS[lead.templateId] || lead.templateId;
+        const variantName = lead.variantId && this.leadService.getVariantName(campaign, lead.variantId);
+        const variant = lead.variantId ? `, variant ${variantName ? `"${variantName}"` : lead.variantId}` : '';
+        tr.querySelector('.lead-origin').textContent = `${template}${variant} · ${this.leadService.SOURCES[lead.source] || lead.source}`;
+        tr.querySelector('.lead-captured').textContent = new Date(lead.capturedAt).toLocaleString();
+
+        const statusSelect = tr.querySelector('.lead-status-select');
+        this.leadService.STATUSES.forEach(status => {
+            const option = document.createElement('option');
+            option.value = status;
+            option.textContent = this.leadService.getLabel(status);
+            statusSelect.appendChild(option);
+        });
+        statusSelect.value = lead.status;
+        statusSelect.disabled = !this._canEdit(campaign);
+        if (statusSelect.disabled) statusSelect.title = 'You can only view the leads of this campaign.';
+        return tr;
+    }
+
+    /**
+     * Whether the logged-in user may change a campaign's leads.
+     * @param {Object} campaign The campaign.
+     * @returns {boolean} True if they can edit the campaign.
+     * @private
+     */
+    _canEdit(campaign) {
+        return this.accessControlService.allows(this.campaignService.getCampaignAccess(campaign), 'edit');
+    }
+
+    /**
+     * Tags a lead with a status.
+     * @param {string} campaignId The lead's campaign.
+     * @param {string} leadId The lead.
+     * @param {string} status The status.
+     * @returns {Promise<void>}
+     */
+    async handleStatusChange(campaignId, leadId, status) {
+        try {
+            await this.campaignService.setLeadStatus(campaignId, leadId, status);
+        } catch (error) {
+            console.error('Lead status could not be changed:', error);
+            alert(`Lead status could not be changed: ${error.message}`);
+            await this.render(); // Show the status it still has
+        }
+    }
+
+    /**
+     * Merges the leads of each email address that signed up more than once, in the campaigns listed that
+     * the user can edit, after confirmation.
+     * @returns {Promise<void>}
+     */
+    async handleDedupe() {
+        const campaigns = (await this.campaignService.getAllCampaigns()).filter(campaign =>
+            (!this.filters.campaignId || campaign.id === this.filters.campaignId) && this._canEdit(campaign) &&
+            this.leadService.findDuplicates(campaign.leads).size > 0);
+        if (!campaigns.length) return;
+        if (!confirm(`Merge the leads with the same email address in ${campaigns.length} campaign(s)? ` +
+            'Each email address keeps its earliest lead; this cannot be undone.')) return;
+
+        let removed = 0;
+        const failures = [];
+        for (const campaign of campaigns) {
+            try {
+                removed += await this.campaignService.dedupeLeads(campaign.id);
+            } catch (error) {
+                console.error(`Leads of campaign "${campaign.name}" could not be merged:`, error);
+                failures.push(`"${campaign.name}": ${error.message}`);
+            }
+        }
+        this.toastController.show(`Merged ${removed} duplicate lead(s).`);
+        if (failures.length) alert(`Some leads could not be merged:\n- ${failures.join('\n- ')}`);
+    }
+
+    /**
+     * Downloads the leads listed as a CSV file.
+     */
+    handleExport() {
+        if (!this.shownRows.length) return;
+        const csv = this.leadService.toCsv(this.shownRows);
+        const campaign = this.shownRows.every(({ campaign }) => campaign.id === this.shownRows[0].campaign.id) ? this.shownRows[0].campaign : null;
+        const base = `leads_${campaign ? campaign.name : 'all_campaigns'}_${new Date().toISOString().slice(0, 10)}`;
+
+        // With a byte order mark, spreadsheets read the names as UTF-8
+        const blob = new Blob(['\uFEFF', csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${base.replace(/[^a-zA-Z0-9_-]/g, '_')}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log(`Exported ${this.shownRows.length} lead(s).`);
+    }
+}
+
+export default LeadController;
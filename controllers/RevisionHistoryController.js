@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Controller for the revision history panel on the dashboard.
+ * Lists the active campaign's revisions, shows a field-level diff between any two of them,
+ * and restores a single asset or the whole campaign from a revision.
+ */
+
+class RevisionHistoryController {
+    /**
+     * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService (for status names).
+     */
+    constructor(campaignService, campaignLifecycleService) {
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+
+        /**
+         * Display names for the parts of a campaign a revision can change.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.PART_LABELS = {
+            banner: 'Banner',
+            marketingPage: 'Marketing Page',
+            landingPage: 'Landing Page',
+            details: 'Campaign details'
+        };
+        /**
+         * Maximum length of a value shown in the diff before it is shortened.
+         * @private
+         * @type {number}
+         */
+        this.MAX_VALUE_LENGTH = 80;
+
+        // DOM Elements
+        this.panel = document.getElementById('revision-history-panel');
+        this.revisionList = document.getElementById('revision-list');
+        this.compareFromSelect = document.getElementById('revision-compare-from');
+        this.compareToSelect = document.getElementById('revision-compare-to');
+        this.compareBtn = document.getElementById('revision-compare-btn');
+        this.diffContainer = document.getElementById('revision-diff');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners for the panel.
+     * @private
+     */
+    _bindEvents() {
+        if (this.compareBtn) this.compareBtn.addEventListener('click', () => this.showDiff());
+        if (this.revisionList) {
+            this.revisionList.addEventListener('click', (e) => {
+                if (e.target.classList.contains('restore-revision-btn')) {
+                    const item = e.target.closest('[data-revision-id]');
+                    const scope = item.querySelector('.revision-restore-scope')?.value || '';
+                    this.handleRestore(item.dataset.revisionId, scope || null);
+                }
+            });
+        }
+        // Keep the panel in sync with saves from any editor
+        this.campaignService.onCampaignChange(() => this.render());
+    }
+
+    /**
+     * Formats the parts changed by a revision for display.
+     * @param {Object} revision The revision.
+     * @returns {string} The description.
+     * @private
+     */
+    _describeRevision(revision) {
+        const parts = (revision.changedAssets || []).map(part => this.PART_LABELS[part] || part).join(', ');
+        if (revision.type === 'created') {
+            const created = revision.forkedFrom ? 'Forked as a draft' : revision.copiedFrom ? 'Created as a copy' : 'Created';
+            return parts ? `${created} (${parts})` : created;
+        }
+        if (revision.type === 'status') {
+            const label = status => this.campaignLifecycleService.getLabel(status);
+            if (revision.fromStatus === revision.toStatus) {
+                return `${this.campaignLifecycleService.getActionLabel(revision.action)} by ${revision.author} (still ${label(revision.toStatus)})`;
+            }
+            const by = revision.automatic ? ' when the flight boundary passed' : '';
+            return `Status changed from ${label(revision.fromStatus)} to ${label(revision.toStatus)}${by}`;
+        }
+        if (revision.type === 'imported') {
+            const imported = revision.importMode === 'overwrite' ? 'Overwritten from an imported bundle' : 'Imported from a bundle';
+            return parts ? `${imported} (${parts})` : imported;
+        }
+        if (revision.type === 'scheduled') {
+            return 'Schedule changed';
+        }
+        if (revision.type === 'budgeted') {
+            return 'Budget changed';
+        }
+        if (revision.type === 'targeted') {
+            return 'Targeting changed';
+        }
+        if (revision.type === 'variants') {
+            const part = this.PART_LABELS[revision.assetType] || revision.assetType;
+            return revision.variantName ? `${part} variant "${revision.variantName}" changed` : `${part} A/B test changed`;
+        }
+        if (revision.type === 'promoted') {
+            return `${this.PART_LABELS[revision.assetType] || revision.assetType} variant "${revision.variantName}" promoted to primary`;
+        }
+        if (revision.type === 'restored') {
+            const scope = revision.restoredAsset ? this.PART_LABELS[revision.restoredAsset] : 'whole campaign';
+            return `Restored ${scope} from an earlier revision`;
+        }
+        if (revision.type === 'transferred') {
+            if (!revision.fromOwner) return `Claimed by ${revision.toOwner}`;
+            if (!revision.toOwner) return `Released after ${revision.fromOwner} was removed`;
+            return `Ownership transferred from ${revision.fromOwner} to ${revision.toOwner}`;
+        }
+        if (revision.type === 'shared') {
+            return revision.shareLevel
+                ? `Shared with ${revision.sharedWith} (${revision.shareLevel})`
+                : `Stopped sharing with ${revision.sharedWith}`;
+        }
+        return `Changed ${parts}`;
+    }
+
+    /**
+     * Formats a value for the diff table, shortening long values such as embedded images.
+     * @param {any} value The value.
+     * @returns {string} The display text.
+     * @private
+     */
+    _formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > this.MAX_VALUE_LENGTH ? `${text.slice(0, this.MAX_VALUE_LENGTH)}… (${text.length} chars)` : text;
+    }
+
+    /**
+     * Fills a compare select with the revisions.
+     * @param {HTMLSelectElement|null} select The select element.
+     * @param {Array<Object>} revisions The revisions, newest first.
+     * @param {number} selectedIndex Index of the revision selected by default.
+     * @private
+     */
+    _fillCompareSelect(select, revisions, selectedIndex) {
+        if (!select) return;
+        select.innerHTML = '';
+        revisions.forEach((revision, index) => {
+            const option = document.createElement('option');
+            option.value = revision.id;
+            option.textContent = `#${revisions.length - index} · ${new Date(revision.timestamp).toLocaleString()} · ${revision.author}`;
+            select.appendChild(option);
+        });
+        if (revisions[selectedIndex]) select.value = revisions[selectedIndex].id;
+    }
+
+    /**
+     * Renders the revision history of the active campaign.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (!this.panel || !this.revisionList) return;
+        const campaign = this.campaignService.getActiveCampaign();
+        const revisions = campaign ? await this.campaignService.getRevisions(campaign.id) : [];
+
+        this.panel.classList.toggle('hidden', !campaign);
+        this.revisionList.innerHTML = '';
+        if (this.diffContainer) this.diffContainer.innerHTML = '';
+        this._fillCompareSelect(this.compareFromSelect, revisions, 1);
+        this._fillCompareSelect(this.compareToSelect, revisions, 0);
+        if (this.compareBtn) this.compareBtn.disabled = revisions.length < 2;
+
+        if (revisions.length === 0) {
+            this.revisionList.innerHTML = '<li class="text-gray-500 text-sm">No revisions recorded yet.</li>';
+            return;
+        }
+
+        const canRestore = this.campaignService.canEditActiveCampaign();
+        revisions.forEach((revision, index) => {
+            const li = document.createElement('li');
+            li.dataset.revisionId = revision.id;
+            li.className = 'flex items-center justify-between p-3 bg-gray-50 rounded-md border border-gray-200 text-sm';
+            li.innerHTML = `
+                <div>
+                    <span class="font-semibold text-gray-800">#${revisions.length - index}</span>
+                    <span class="revision-meta text-gray-600 ml-2"></span>
+                    <div class="revision-summary text-gray-800"></div>
+                </div>
+                <div class="flex items-center space-x-2 flex-shrink-0">
+                    <select class="revision-restore-scope px-2 py-1 border border-gray-300 rounded-md text-xs">
+                        <option value="">Whole campaign</option>
+                    </select>
+                    <button class="restore-revision-btn py-1 px-3 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-blue-600 hover:bg-blue-700">
+                        Restore
+                    </button>
+                </div>
+            `;
+            li.querySelector('.revision-meta').textContent = `${new Date(revision.timestamp).toLocaleString()} by ${revision.author}`;
+            li.querySelector('.revision-summary').textContent = this._describeRevision(revision);
+            if (!canRestore) {
+                li.querySelector('.restore-revision-btn').parentElement.remove();
+                this.revisionList.appendChild(li);
+                return;
+            }
+            const scopeSelect = li.querySelector('.revision-restore-scope');
+            Object.keys(revision.snapshot.assets || {}).forEach(assetType => {
+                const option = document.createElement('option');
+                option.value = assetType;
+                option.textContent = `${this.PART_LABELS[assetType] || assetType} only`;
+                scopeSelect.appendChild(option);
+            });
+            this.revisionList.appendChild(li);
+        });
+    }
+
+    /**
+     * Shows the field-level diff between the two selected revisions.
+     * @returns {Promise<void>}
+     */
+    async showDiff() {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign || !this.diffContainer) return;
+
+        let changes;
+        try {
+            changes = await this.campaignService.diffRevisions(campaign.id, this.compareFromSelect.value, this.compareToSelect.value);
+        } catch (error) {
+            console.error('Could not compare revisions:', error);
+            return;
+        }
+
+        if (changes.length === 0) {
+            this.diffContainer.innerHTML = '<p class="text-sm text-gray-500">The selected revisions are identical.</p>';
+            return;
+        }
+
+        const colors = { added: 'text-green-700', removed: 'text-red-700', modified: 'text-yellow-700' };
+        const table = document.createElement('table');
+        table.className = 'w-full text-xs border border-gray-200';
+        table.innerHTML = `
+            <thead class="bg-gray-100 text-left">
+                <tr><th class="p-2">Field</th><th class="p-2">Change</th><th class="p-2">Before</th><th class="p-2">After</th></tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+        changes.forEach(change => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-t border-gray-200 align-top';
+            [change.path, change.change, this._formatValue(change.before), this._formatValue(change.after)].forEach((text, i) => {
+                const td = document.createElement('td');
+                td.className = `p-2 break-all ${i === 1 ? colors[change.change] : ''}`;
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        this.diffContainer.innerHTML = '';
+        this.diffContainer.appendChild(table);
+    }
+
+    /**
+     * Restores the active campaign, or one of its assets, from a revision after confirmation.
+     * @param {string} revisionId The revision to restore from.
+     * @param {string|null} assetType The asset to restore, or null for the whole campaign.
+     * @returns {Promise<void>}
+     */
+    async handleRestore(revisionId, assetType) {
+        const campaign = this.campaignService.getActiveCampaign();
+        if (!campaign) return;
+
+        const scope = assetType ? `the ${this.PART_LABELS[assetType] || assetType}` : 'the whole campaign';
+        if (!confirm(`Restore ${scope} from this revision? The current version stays in the history.`)) return;
+
+        let restored = null;
+        try {
+            restored = await this.campaignService.restoreRevision(campaign.id, revisionId, assetType);
+        } catch (error) {
+            console.error('Restoring revision failed:', error);
+        }
+        if (restored) {
+            this.campaignService.displayActiveCampaign();
+        } else {
+            alert('The revision could not be restored.');
+        }
+    }
+}
+
+export default RevisionHistoryController;
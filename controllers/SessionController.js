@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Controller for the user-facing side of sessions.
+ * It reports user activity to AuthService, shows the idle timeout warning dialog with a countdown,
+ * and tells the user why they were logged out when a session times out.
+ */
+
+class SessionController {
+    /**
+     * @param {AuthService} authService Dependency on AuthService.
+     */
+    constructor(authService) {
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * DOM events that count as user activity.
+         * @private
+         * @type {Array<string>}
+         */
+        this.ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+        /**
+         * Messages shown on the login screen after a session ended on its own.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.END_MESSAGES = {
+            idle: 'You were logged out after a period of inactivity. Please log in again.',
+            expired: 'Your session has expired. Please log in again.',
+            replaced: 'You were logged out because another user logged in in another tab. Please log in again.'
+        };
+
+        // DOM Elements
+        this.dialog = document.getElementById('session-timeout-dialog');
+        this.countdown = document.getElementById('session-timeout-countdown');
+        this.stayButton = document.getElementById('session-stay-btn');
+        this.logoutButton = document.getElementById('session-logout-btn');
+        this.endedMessage = document.getElementById('session-ended-message');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => this.authService.recordActivity(), { passive: true, capture: true });
+        });
+        if (this.stayButton) this.stayButton.addEventListener('click', () => this.authService.extendSession());
+        if (this.logoutButton) this.logoutButton.addEventListener('click', () => this.authService.logout());
+
+        this.authService.onSessionWarning(remainingMs => this._renderWarning(remainingMs));
+        this.authService.onSessionEnd(reason => this._showEndedMessage(this.END_MESSAGES[reason] || ''));
+        this.authService.onAuthChange(user => {
+            if (user) this._showEndedMessage('');
+        });
+    }
+
+    /**
+     * Shows the idle warning with the time left, or hides it.
+     * @param {number|null} remainingMs Time left before the idle logout, or null to hide.
+     * @private
+     */
+    _renderWarning(remainingMs) {
+        if (!this.dialog) return;
+        if (remainingMs === null) {
+            this.dialog.classList.add('hidden');
+            return;
+        }
+        if (this.countdown) this.countdown.textContent = String(Math.ceil(remainingMs / 1000));
+        this.dialog.classList.remove('hidden');
+    }
+
+    /**
+     * Shows or clears the notice on the login screen.
+     * @param {string} message The message, or '' to hide the notice.
+     * @private
+     */
+    _showEndedMessage(message) {
+        if (!this.endedMessage) return;
+        this.endedMessage.textContent = message;
+        this.endedMessage.classList.toggle('hidden', !message);
+    }
+}
+
+export default SessionController;
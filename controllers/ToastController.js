@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Controller for toasts: short notices in the corner of the screen that disappear on their own,
+ * optionally with an action button, e.g. to undo what was just done.
+ */
+
+class ToastController {
+    /**
+     * @param {AuthService} authService Dependency on AuthService (toasts are cleared when the user changes).
+     */
+    constructor(authService) {
+        /** @type {AuthService} */
+        this.authService = authService;
+
+        /**
+         * How long a toast is shown, unless it says otherwise.
+         * @private
+         * @type {number}
+         */
+        this.DEFAULT_DURATION_MS = 8 * 1000;
+        /**
+         * Most toasts shown at once; the oldest make way for new ones.
+         * @private
+         * @type {number}
+         */
+        this.MAX_TOASTS = 3;
+
+        // DOM Elements
+        this.container = document.getElementById('toast-container');
+
+        // Another user must not be able to undo what the previous one did.
+        this.authService.onAuthChange(() => this.clear());
+    }
+
+    /**
+     * Shows a toast.
+     * @param {string} message The notice.
+     * @param {{actionLabel?: string, onAction?: function():(void|Promise<void>), durationMs?: number}} [options]
+     *   An action button and what it does (the toast closes when it is clicked), and how long the toast stays.
+     * @returns {HTMLElement|null} The toast, or null if there is nowhere to show it.
+     */
+    show(message, { actionLabel = '', onAction = null, durationMs = this.DEFAULT_DURATION_MS } = {}) {
+        if (!this.container) return null;
+        while (this.container.children.length >= this.MAX_TOASTS) {
+            this.dismiss(this.container.firstElementChild);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'flex items-center gap-4 max-w-md py-3 px-4 bg-gray-800 text-white text-sm rounded-md shadow-lg';
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <span class="toast-message flex-1"></span>
+            <button type="button" class="toast-action hidden font-semibold text-blue-300 hover:text-blue-200"></button>
+            <button type="button" class="toast-close text-gray-400 hover:text-white" aria-label="Dismiss">&times;</button>
+        `;
+        toast.querySelector('.toast-message').textContent = message;
+        const actionButton = toast.querySelector('.toast-action');
+        if (actionLabel && onAction) {
+            actionButton.textContent = actionLabel;
+            actionButton.classList.remove('hidden');
+            actionButton.addEventListener('click', async () => {
+                this.dismiss(toast);
+                await onAction();
+            }, { once: true });
+        }
+        toast.querySelector('.toast-close').addEventListener('click', () => this.dismiss(toast));
+        toast.dataset.timer = setTimeout(() => this.dismiss(toast), durationMs);
+
+        this.container.appendChild(toast);
+        return toast;
+    }
+
+    /**
+     * Closes a toast.
+     * @param {HTMLElement} toast The toast.
+     */
+    dismiss(toast) {
+        if (!toast) return;
+        clearTimeout(Number(toast.dataset.timer));
+        toast.remove();
+    }
+
+    /**
+     * Closes every toast.
+     */
+    clear() {
+        if (!this.container) return;
+        [...this.container.children].forEach(toast => this.dismiss(toast));
+    }
+}
+
+export default ToastController;
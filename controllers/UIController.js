@@ -15,8 +15,10 @@ class UIController {
      * @param {MarketingPageEditor} marketingPageEditor Dependency on MarketingPageEditor.
      * @param {LandingPageEditor} landingPageEditor Dependency on LandingPageEditor.
      * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {LocalStorageService} localStorageService Dependency on LocalStorageService (for storage error reporting).
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService (for status badges).
      */
-    constructor(navigationService, authService, bannerEditor, marketingPageEditor, landingPageEditor, campaignService) {
+    constructor(navigationService, authService, bannerEditor, marketingPageEditor, landingPageEditor, campaignService, localStorageService, campaignLifecycleService) {
         /** @type {NavigationService} */
         this.navigationService = navigationService;
         /** @type {AuthService} */
@@ -29,6 +31,17 @@ class UIController {
         this.landingPageEditor = landingPageEditor;
         /** @type {CampaignService} */
         this.campaignService = campaignService;
+        /** @type {LocalStorageService} */
+        this.localStorageService = localStorageService;
+        /** @type {CampaignLifecycleService} */
+        this.campaignLifecycleService = campaignLifecycleService;
+
+        /**
+         * Display names of campaign access levels.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.ACCESS_LABELS = { owner: 'Owner', edit: 'Can edit', view: 'Can view' };
 
         // DOM Elements
         this.loginScreen = document.getElementById('login-screen');
@@ -41,6 +54,8 @@ class UIController {
         this.loginForm = document.getElementById('login-form');
         this.usernameInput = document.getElementById('username');
         this.passwordInput = document.getElementById('password');
+        this.passwordRequirements = document.getElementById('password-requirements');
+        this.rememberMeInput = document.getElementById('remember-me');
         this.loginErrorDisplay = document.getElementById('login-error-message');
         this.signupButton = document.getElementById('signup-button');
         this.logoutButton = document.getElementById('logout-button');
@@ -53,12 +68,25 @@ class UIController {
         this.saveCampaignBtn = document.getElementById('save-campaign-btn');
         this.newCampaignNameInput = document.getElementById('new-campaign-name-input');
         this.campaignListContainer = document.getElementById('campaign-list');
-        this.noCampaignsFoundMessage = document.getElementById('no-campaigns-found');
+        this.unownedCampaignsSection = document.getElementById('unowned-campaigns-section');
+        this.unownedCampaignList = document.getElementById('unowned-campaign-list');
+        this.transferOwnerInput = document.getElementById('transfer-owner-input');
+        this.transferCampaignBtn = document.getElementById('transfer-campaign-btn');
+        this.activeCampaignAccess = document.getElementById('active-campaign-access');
+        this.campaignOwnerTools = document.getElementById('campaign-owner-tools');
+        this.campaignShareList = document.getElementById('campaign-share-list');
+        this.shareUsernameInput = document.getElementById('share-username-input');
+        this.shareLevelSelect = document.getElementById('share-level-select');
+        this.shareCampaignBtn = document.getElementById('share-campaign-btn');
+        this.storageErrorBanner = document.getElementById('storage-error-banner');
+        this.storageErrorMessage = document.getElementById('storage-error-message');
+        this.storageErrorDismissBtn = document.getElementById('storage-error-dismiss');
 
 
 
         this._bindEvents();
         this._registerScreens();
+        this._registerRoutes();
     }
 
     /**
@@ -76,6 +104,30 @@ class UIController {
         });
     }
 
+    /**
+     * Registers the routes of the login screen, the dashboard and the editors. Editors can be opened
+     * with or without a campaign in the route; with one, that campaign becomes the active campaign.
+     * @private
+     */
+    _registerRoutes() {
+        const showDashboard = () => this.campaignService.displayActiveCampaign();
+        this.navigationService.registerRoute('/login', { screenId: 'login-screen', requiresAuth: false });
+        this.navigationService.registerRoute('/dashboard', { screenId: 'dashboard-screen', onEnter: showDashboard });
+        this.navigationService.registerRoute('/campaigns/:id', { screenId: 'dashboard-screen', onEnter: showDashboard });
+
+        const editors = {
+            banner: ['banner-editor-screen', this.bannerEditor],
+            marketing: ['marketing-editor-screen', this.marketingPageEditor],
+            landing: ['landing-editor-screen', this.landingPageEditor]
+        };
+        Object.entries(editors).forEach(([name, [screenId, editor]]) => {
+            // '?variant=' opens an A/B variant of the asset instead of the primary one.
+            const options = { screenId, editsCampaign: true, onEnter: (params, query) => editor.render(query.get('variant')) };
+            this.navigationService.registerRoute(`/${name}`, options);
+            this.navigationService.registerRoute(`/campaigns/:id/${name}`, options);
+        });
+    }
+
     /**
      * Binds event listeners for UI interactions.
      * @private
@@ -93,8 +145,8 @@ class UIController {
             });
         }
         if (this.logoutButton) {
-            this.logoutButton.addEventListener('click', () => {
-                this.authService.logout();
+            this.logoutButton.addEventListener('click', async () => {
+                if (await this.navigationService.confirmLeave()) this.authService.logout();
             });
         }
         if (this.createCampaignBtn) {
@@ -103,6 +155,38 @@ class UIController {
         if (this.saveCampaignBtn) {
             this.saveCampaignBtn.addEventListener('click', () => this.handleSaveCampaign());
         }
+        if (this.transferCampaignBtn) {
+            this.transferCampaignBtn.addEventListener('click', () => this.handleTransferCampaign());
+        }
+        if (this.unownedCampaignList) {
+            this.unownedCampaignList.addEventListener('click', (event) => {
+                if (event.target.classList.contains('claim-campaign-btn')) {
+                    this.handleClaimCampaign(event.target.dataset.campaignId);
+                }
+            });
+        }
+        if (this.shareCampaignBtn) {
+            this.shareCampaignBtn.addEventListener('click', () => this.handleShareCampaign());
+        }
+        if (this.campaignShareList) {
+            this.campaignShareList.addEventListener('click', (event) => {
+                if (event.target.classList.contains('unshare-campaign-btn')) {
+                    this.handleShareCampaign(event.target.dataset.username, null);
+                }
+            });
+        }
+        // Claims and transfers change which campaigns are unowned
+        this.campaignService.onCampaignChange(() => {
+            this._renderUnownedCampaigns();
+            this.campaignService.displayActiveCampaign(); // Status changes, e.g. by a reviewer's approval
+            this._renderCampaignAccess();
+        });
+        this.authService.onAuthChange(() => this._renderCreateControls());
+        if (this.storageErrorDismissBtn) {
+            this.storageErrorDismissBtn.addEventListener('click', () => this.storageErrorBanner?.classList.add('hidden'));
+        }
+        // Failed writes (e.g. a full storage quota) must be visible, not just logged
+        this.localStorageService.onError(error => this._displayStorageError(error));
         if (this.campaignListContainer) {
             this.campaignListContainer.addEventListener('click', (event) => {
                 if (event.target.classList.contains('load-campaign-btn')) {
@@ -137,11 +221,10 @@ class UIController {
             return;
         }
 
-        const success = await this.authService.login(username, password);
+        const success = await this.authService.login(username, password, { rememberMe: !!this.rememberMeInput?.checked });
         if (success) {
             console.log('Login successful!');
-            this._hideLoginError();
-            this.navigationService.goToDashboard();
+            this._hideLoginError(); // The NavigationService continues to the requested route or the dashboard
             this._resetLoginForm();
         } else {
             this._displayLoginError('Invalid username or password.');
@@ -159,11 +242,17 @@ class UIController {
             return;
         }
 
-        const success = await this.authService.signup(username, password);
+        let success;
+        try {
+            success = await this.authService.signup(username, password, { rememberMe: !!this.rememberMeInput?.checked });
+        } catch (error) {
+            if (error.name !== 'PasswordPolicyError') throw error;
+            this._displayLoginError(error.message);
+            return;
+        }
         if (success) {
             console.log('Signup successful! Logged in automatically.');
-            this._hideLoginError();
-            this.navigationService.goToDashboard();
+            this._hideLoginError(); // The NavigationService continues to the requested route or the dashboard
             this._resetLoginForm();
         }
         else {
@@ -171,73 +260,186 @@ class UIController {
         }
     }
 
-    handleCreateCampaign() {
+    async handleCreateCampaign() {
+        if (!(await this.navigationService.confirmLeave())) return;
         const campaignName = this.newCampaignNameInput?.value || 'New Campaign';
-        const newCampaign = this.campaignService.createCampaign(campaignName);
-        this.campaignService.setActiveCampaign(newCampaign);
-        console.log('New campaign created and set as active:', newCampaign);
-        // Display the new campaign on the dashboard without full reload
-        this.campaignService.displayActiveCampaign();
+        let newCampaign;
+        try {
+            newCampaign = await this.campaignService.createCampaign(campaignName);
+            await this.campaignService.setActiveCampaign(newCampaign);
+        } catch (error) {
+            console.error('Campaign could not be created:', error);
+            return;
+        }
+        console.log(`New campaign "${newCampaign.name}" created and set as active.`);
+        // Display the new campaign on the dashboard without full reload, linked by its route
+        this.navigationService.goToCampaign(newCampaign.id);
         this.newCampaignNameInput.value = ''; // Clear the input field
     }
-    handleLoadCampaign(campaignId) {
-        const allCampaigns = this.campaignService.getAllCampaigns();
+    async handleLoadCampaign(campaignId) {
+        if (!(await this.navigationService.confirmLeave())) return;
+        const allCampaigns = await this.campaignService.getAllCampaigns();
         const campaignToLoad = allCampaigns.find(c => c.id === campaignId);
 
         if (campaignToLoad) {
-            this.campaignService.setActiveCampaign(campaignToLoad);
+            try {
+                await this.campaignService.setActiveCampaign(campaignToLoad);
+            } catch (error) {
+                console.error('Campaign could not be loaded:', error);
+                return;
+            }
             console.log(`Campaign "${campaignToLoad.name}" loaded and set as active.`);
-            this.campaignService.displayActiveCampaign();
+            this.navigationService.goToCampaign(campaignId);
         } else {
             console.error(`Campaign with ID "${campaignId}" not found.`);
         }
     }
 
-    handleSaveCampaign() {
+    async handleSaveCampaign() {
         const activeCampaign = this.campaignService.getActiveCampaign();
         if (activeCampaign) {
-            // Here you would get the current state from the relevant editor
-            // For example, this.bannerEditor.getCampaignData()
-            const updatedCampaign = {
-                ...activeCampaign,
-                assets: {
-                    banner: { content: 'Saved banner content', version: Date.now() },
-                    marketingPage: null, // Placeholder for other editors
-                    landingPage: null
-                }
-            };
-            this.campaignService.saveCampaign(updatedCampaign);
-            this.campaignService.setActiveCampaign(updatedCampaign); // Ensure the active campaign object is the latest version
+            // Each editor saves its own asset; this persists the active campaign as it stands,
+            // without touching the assets.
+            const updatedCampaign = { ...activeCampaign };
+            try {
+                await this.campaignService.saveCampaign(updatedCampaign);
+                await this.campaignService.setActiveCampaign(updatedCampaign); // Ensure the active campaign object is the latest version
+            } catch (error) {
+                console.error('Campaign could not be saved:', error);
+                return;
+            }
             console.log('Campaign assets saved and active campaign updated!');
         } else {
             console.error('No active campaign to save.');
         }
     }
 
-    renderCampaignList() {
-        const campaigns = this.campaignService.getAllCampaigns();
-        this.campaignListContainer.innerHTML = ''; // Clear existing list
+    /**
+     * Transfers the active campaign to the user entered in the transfer field, after confirmation.
+     * @returns {Promise<void>}
+     */
+    async handleTransferCampaign() {
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const newOwner = this.transferOwnerInput?.value.trim();
+        if (!activeCampaign || !newOwner) {
+            alert('Enter the username of the new owner.');
+            return;
+        }
+        if (!confirm(`Transfer "${activeCampaign.name}" to ${newOwner}? You will no longer see it in your campaigns.`)) return;
 
-        if (this.noCampaignsFoundMessage) {
-            if (campaigns.length === 0) {
-                this.noCampaignsFoundMessage.classList.remove('hidden');
-            } else {
-                this.noCampaignsFoundMessage.classList.add('hidden');
-            }
+        try {
+            await this.campaignService.transferCampaign(activeCampaign.id, newOwner);
+        } catch (error) {
+            console.error('Campaign could not be transferred:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+            return;
+        }
+        this.transferOwnerInput.value = '';
+        this.campaignService.displayActiveCampaign();
+    }
+
+    /**
+     * Shares the active campaign with the user entered in the share field, or stops sharing it.
+     * @param {string} [username] The user; defaults to the share field.
+     * @param {string|null} [level] 'view' or 'edit', or null to stop sharing; defaults to the level select.
+     * @returns {Promise<void>}
+     */
+    async handleShareCampaign(username = this.shareUsernameInput?.value.trim(), level = this.shareLevelSelect?.value) {
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        if (!activeCampaign || !username) {
+            alert('Enter the username to share with.');
+            return;
         }
+        try {
+            await this.campaignService.shareCampaign(activeCampaign.id, username, level);
+        } catch (error) {
+            console.error('Campaign sharing could not be changed:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+            return;
+        }
+        if (level !== null && this.shareUsernameInput) this.shareUsernameInput.value = '';
+    }
 
-        campaigns.forEach(campaign => {
+    /**
+     * Shows the user's access to the active campaign and, for its owner, the sharing and transfer tools.
+     * @private
+     */
+    _renderCampaignAccess() {
+        const campaign = this.campaignService.getActiveCampaign();
+        const access = this.campaignService.getCampaignAccess(campaign);
+        if (this.activeCampaignAccess) this.activeCampaignAccess.textContent = this.ACCESS_LABELS[access] || '—';
+        if (!this.campaignOwnerTools || !this.campaignShareList) return;
+
+        this.campaignOwnerTools.classList.toggle('hidden', access !== 'owner');
+        this.campaignShareList.innerHTML = '';
+        const shares = Object.entries(campaign?.sharing || {});
+        if (shares.length === 0) {
+            this.campaignShareList.innerHTML = '<li class="text-gray-600">Not shared with anyone.</li>';
+            return;
+        }
+        shares.forEach(([username, level]) => {
             const li = document.createElement('li');
-            li.className = 'flex items-center justify-between p-4 bg-gray-50 rounded-md shadow-sm border border-gray-200';
+            li.className = 'flex items-center justify-between';
             li.innerHTML = `
-                <div>
-                    <span class="font-bold text-gray-800">${campaign.name || 'Unnamed Campaign'}</span>
-                </div>
-                <button data-campaign-id="${campaign.id}" class="load-campaign-btn py-1 px-3 border border-transparent rounded-md shadow-sm text-xs font-medium text-white bg-blue-600 hover:bg-blue-700">
-                    Load
+                <span class="share-entry"></span>
+                <button class="unshare-campaign-btn text-xs text-red-600 hover:underline">Remove</button>
+            `;
+            li.querySelector('.share-entry').textContent = `${username} · ${this.ACCESS_LABELS[level]}`;
+            li.querySelector('.unshare-campaign-btn').dataset.username = username;
+            this.campaignShareList.appendChild(li);
+        });
+    }
+
+    /**
+     * Enables campaign creation only for roles that allow it.
+     * @private
+     */
+    _renderCreateControls() {
+        const canCreate = this.campaignService.canCreateCampaigns();
+        if (this.createCampaignBtn) this.createCampaignBtn.disabled = !canCreate;
+        if (this.newCampaignNameInput) {
+            this.newCampaignNameInput.disabled = !canCreate;
+            this.newCampaignNameInput.placeholder = canCreate ? 'Enter campaign name...' : 'Your role cannot create campaigns';
+        }
+    }
+
+    /**
+     * Claims an unowned campaign for the logged-in user, after confirmation.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<void>}
+     */
+    async handleClaimCampaign(campaignId) {
+        if (!confirm('Claim this campaign? It will be moved to your campaigns and hidden from other users.')) return;
+        try {
+            await this.campaignService.claimCampaign(campaignId);
+        } catch (error) {
+            console.error('Campaign could not be claimed:', error);
+            if (error.name === 'CampaignAccessError') alert(error.message);
+        }
+    }
+
+    /**
+     * Renders the unowned campaigns left by earlier versions, with a claim button for each.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _renderUnownedCampaigns() {
+        if (!this.unownedCampaignList || !this.unownedCampaignsSection) return;
+        const unowned = this.campaignService.canCreateCampaigns() ? await this.campaignService.getUnownedCampaigns() : [];
+        this.unownedCampaignList.innerHTML = '';
+        this.unownedCampaignsSection.classList.toggle('hidden', unowned.length === 0);
+        unowned.forEach(campaign => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center justify-between p-4 bg-gray-50 rounded-md shadow-sm border border-dashed border-gray-300';
+            li.innerHTML = `
+                <span class="campaign-name text-gray-800"></span>
+                <button class="claim-campaign-btn py-1 px-3 border border-blue-600 rounded-md text-xs font-medium text-blue-700 hover:bg-blue-50">
+                    Claim
                 </button>
             `;
-            this.campaignListContainer.appendChild(li);
+            li.querySelector('.campaign-name').textContent = campaign.name || 'Unnamed Campaign';
+            li.querySelector('.claim-campaign-btn').dataset.campaignId = campaign.id;
+            this.unownedCampaignList.appendChild(li);
         });
     }
 
@@ -253,6 +455,23 @@ class UIController {
         }
     }
 
+    /**
+     * Shows a storage failure to the user, so a save that did not happen is never silent.
+     * @param {Error} error The storage error.
+     * @private
+     */
+    _displayStorageError(error) {
+        const message = error.name === 'StorageQuotaError'
+            ? error.message
+            : `Your changes could not be saved: ${error.message || error}`;
+        if (this.storageErrorBanner && this.storageErrorMessage) {
+            this.storageErrorMessage.textContent = message;
+            this.storageErrorBanner.classList.remove('hidden');
+        } else {
+            alert(message);
+        }
+    }
+
     /**
      * Hides the login error message.
      * @private
@@ -275,10 +494,16 @@ class UIController {
 
     /**
      * Initializes the UI by checking auth status and navigating.
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
+        this._renderCreateControls();
+        this._renderCampaignAccess();
+        if (this.passwordRequirements) {
+            this.passwordRequirements.textContent = `Password requirements: ${this.authService.getPasswordRequirements().join('; ')}.`;
+        }
         this.authService.checkLoginStatus();
-        this.renderCampaignList();
+        await this._renderUnownedCampaigns();
     }
 }
 
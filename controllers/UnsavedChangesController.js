@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Controller protecting unsaved editor changes.
+ * Before the user navigates away, logs out or switches campaigns, it asks whether to save or
+ * discard the changes of any editor that has them, or to stay. Closing or reloading the tab
+ * with unsaved changes triggers the browser's own confirmation.
+ */
+
+class UnsavedChangesController {
+    /**
+     * @param {NavigationService} navigationService Dependency on NavigationService (to guard route changes).
+     * @param {Array<{label: string, editor: Object, save: function():Promise<boolean>}>} editors The editors
+     *   to protect: each editor has isDirty() and discardChanges(), and save() resolves to true once saved.
+     */
+    constructor(navigationService, editors) {
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+        /**
+         * @private
+         * @type {Array<Object>}
+         */
+        this.editors = editors;
+        /**
+         * The open dialog's answer, shared by everyone who asks while it is open.
+         * @private
+         * @type {Promise<string>|null}
+         */
+        this.pendingChoice = null;
+        /**
+         * Resolves the open dialog.
+         * @private
+         * @type {function(string):void|null}
+         */
+        this.resolveChoice = null;
+
+        // DOM Elements
+        this.dialog = document.getElementById('unsaved-changes-dialog');
+        this.message = document.getElementById('unsaved-changes-message');
+        this.saveButton = document.getElementById('unsaved-save-btn');
+        this.discardButton = document.getElementById('unsaved-discard-btn');
+        this.cancelButton = document.getElementById('unsaved-cancel-btn');
+
+        this._bindEvents();
+    }
+
+    /**
+     * Binds event listeners and registers the navigation guard.
+     * @private
+     */
+    _bindEvents() {
+        if (this.saveButton) this.saveButton.addEventListener('click', () => this._choose('save'));
+        if (this.discardButton) this.discardButton.addEventListener('click', () => this._choose('discard'));
+        if (this.cancelButton) this.cancelButton.addEventListener('click', () => this._choose('cancel'));
+        if (this.dialog) {
+            this.dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this._choose('cancel');
+            });
+        }
+
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.hasUnsavedChanges()) return;
+            e.preventDefault();
+            e.returnValue = ''; // Required by some browsers to show the confirmation
+        });
+
+        this.navigationService.addLeaveGuard(() => this.confirmLeave());
+    }
+
+    /**
+     * Gets the editors that have unsaved changes.
+     * @returns {Array<Object>} Their entries from the constructor's list.
+     * @private
+     */
+    _getDirtyEditors() {
+        return this.editors.filter(entry => entry.editor.isDirty());
+    }
+
+    /**
+     * Whether any editor has unsaved changes.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    hasUnsavedChanges() {
+        return this._getDirtyEditors().length > 0;
+    }
+
+    /**
+     * Asks what to do with unsaved changes, if there are any, and does it.
+     * @returns {Promise<boolean>} True if the user may leave: there were no changes, or they were
+     *   saved or discarded. False if the user cancelled or saving failed.
+     */
+    async confirmLeave() {
+        const dirtyEditors = this._getDirtyEditors();
+        if (!dirtyEditors.length) return true;
+
+        const choice = await this._ask(dirtyEditors);
+        if (choice === 'cancel') return false;
+        for (const entry of dirtyEditors) {
+            if (!entry.editor.isDirty()) continue; // Already handled while the dialog was open
+            if (choice === 'discard') {
+                entry.editor.discardChanges();
+            } else if (!(await entry.save())) {
+                return false; // The editor has reported why
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Shows the dialog and waits for the user's choice.
+     * @param {Array<Object>} dirtyEditors The editors with unsaved changes.
+     * @returns {Promise<string>} 'save', 'discard' or 'cancel'.
+     * @private
+     */
+    _ask(dirtyEditors) {
+        if (this.pendingChoice) return this.pendingChoice;
+        const labels = dirtyEditors.map(entry => entry.label).join(', ');
+        if (!this.dialog) {
+            return Promise.resolve(confirm(`You have unsaved changes in the ${labels}. Discard them?`) ? 'discard' : 'cancel');
+        }
+
+        if (this.message) this.message.textContent = `You have unsaved changes in the ${labels}. Save them before leaving?`;
+        this.pendingChoice = new Promise(resolve => {
+            this.resolveChoice = resolve;
+        });
+        this.dialog.classList.remove('hidden');
+        this.saveButton?.focus();
+        return this.pendingChoice;
+    }
+
+    /**
+     * Closes the dialog with the user's choice.
+     * @param {string} choice 'save', 'discard' or 'cancel'.
+     * @private
+     */
+    _choose(choice) {
+        if (!this.resolveChoice) return;
+        this.dialog?.classList.add('hidden');
+        const resolve = this.resolveChoice;
+        this.resolveChoice = null;
+        this.pendingChoice = null;
+        resolve(choice);
+    }
+}
+
+export default UnsavedChangesController;
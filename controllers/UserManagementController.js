@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Controller for the admin-only user management screen.
+ * Lists all users and lets admins change their roles or delete them. Campaigns owned by a
+ * deleted user become unowned, so another user can claim them.
+ */
+
+class UserManagementController {
+    /**
+     * @param {UserService} userService Dependency on UserService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     * @param {CampaignService} campaignService Dependency on CampaignService (to release a deleted user's campaigns).
+     * @param {NavigationService} navigationService Dependency on NavigationService.
+     */
+    constructor(userService, authService, accessControlService, campaignService, navigationService) {
+        /** @type {UserService} */
+        this.userService = userService;
+        /** @type {AuthService} */
+        this.authService = authService;
+        /** @type {AccessControlService} */
+        this.accessControlService = accessControlService;
+        /** @type {CampaignService} */
+        this.campaignService = campaignService;
+        /** @type {NavigationService} */
+        this.navigationService = navigationService;
+
+        // DOM Elements
+        this.navButton = document.getElementById('nav-user-management');
+        this.userList = document.getElementById('user-list');
+
+        this._bindEvents();
+        this.navigationService.registerScreens({ 'user-management-screen': document.getElementById('user-management-screen') });
+        this.navigationService.registerRoute('/users', {
+            screenId: 'user-management-screen',
+            permission: 'manageUsers',
+            onEnter: () => this.render()
+        });
+    }
+
+    /**
+     * Binds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        if (this.navButton) this.navButton.addEventListener('click', () => this.navigationService.goToUserManagement());
+        if (this.userList) {
+            this.userList.addEventListener('change', (e) => {
+                if (e.target.classList.contains('user-role-select')) {
+                    this.handleRoleChange(e.target.closest('[data-username]').dataset.username, e.target.value);
+                }
+            });
+            this.userList.addEventListener('click', (e) => {
+                if (e.target.classList.contains('delete-user-btn')) {
+                    this.handleDeleteUser(e.target.closest('[data-username]').dataset.username);
+                }
+            });
+        }
+        // Only admins see the navigation entry
+        this.authService.onAuthChange(user => {
+            if (this.navButton) {
+                this.navButton.classList.toggle('hidden', !this.accessControlService.hasPermission(user, 'manageUsers'));
+            }
+        });
+    }
+
+    /**
+     * Renders the user list.
+     * @returns {Promise<void>}
+     */
+    async render() {
+        const currentUser = this.authService.getLoggedInUser();
+        if (!this.userList || !this.accessControlService.hasPermission(currentUser, 'manageUsers')) return;
+
+        const users = await this.userService.getAllUsers();
+        this.userList.innerHTML = '';
+        users.forEach(user => {
+            const isSelf = user.username === currentUser.username;
+            const tr = document.createElement('tr');
+            tr.dataset.username = user.username;
+            tr.className = 'border-t border-gray-200';
+            tr.innerHTML = `
+                <td class="p-2 user-name"></td>
+                <td class="p-2">
+                    <select class="user-role-select px-2 py-1 border border-gray-300 rounded-md text-sm"></select>
+                </td>
+                <td class="p-2 text-right">
+                    <button class="delete-user-btn py-1 px-3 rounded-md text-xs font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50" ${isSelf ? 'disabled title="You cannot delete your own account"' : ''}>
+                        Delete
+                    </button>
+                </td>
+            `;
+            tr.querySelector('.user-name').textContent = isSelf ? `${user.username} (you)` : user.username;
+            const roleSelect = tr.querySelector('.user-role-select');
+            this.accessControlService.ROLES.forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = this.accessControlService.ROLE_LABELS[role];
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = user.role;
+            this.userList.appendChild(tr);
+        });
+    }
+
+    /**
+     * Changes a user's role.
+     * @param {string} username The user.
+     * @param {string} role The new role.
+     * @returns {Promise<void>}
+     */
+    async handleRoleChange(username, role) {
+        try {
+            this.accessControlService.assertPermission(this.authService.getLoggedInUser(), 'manageUsers');
+            if (!this.accessControlService.isValidRole(role)) throw new Error(`Unknown role "${role}".`);
+            await this.userService.updateUserRole(username, role);
+            console.log(`Role of "${username}" changed to ${role}.`);
+        } catch (error) {
+            console.error('Role could not be changed:', error);
+            alert(error.message);
+        }
+        if (username === this.authService.getLoggedInUser()?.username) {
+            // Changing one's own role takes effect immediately (and may leave this screen).
+            await this.authService.refreshCurrentUser();
+        }
+        await this.render();
+    }
+
+    /**
+     * Deletes a user after confirmation, releasing their campaigns.
+     * @param {string} username The user.
+     * @returns {Promise<void>}
+     */
+    async handleDeleteUser(username) {
+        if (!confirm(`Delete the user "${username}"? Campaigns they own will become unclaimed.`)) return;
+        try {
+            this.accessControlService.assertPermission(this.authService.getLoggedInUser(), 'manageUsers');
+            if (await this.userService.deleteUser(username)) {
+                await this.campaignService.releaseCampaignsOf(username);
+                console.log(`User "${username}" deleted.`);
+            }
+        } catch (error) {
+            console.error('User could not be deleted:', error);
+            alert(error.message);
+        }
+        await this.render();
+    }
+}
+
+export default UserManagementController;
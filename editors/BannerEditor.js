@@ -1,19 +1,93 @@
 /**
  * @fileoverview Manages the Banner Editor screen and its functionalities.
- * Allows creating and editing banners with text, colors, fonts, and templates.
+ * Allows composing banners from positioned layers (text blocks, images, a logo, shapes and a CTA
+ * button) with colors, fonts, and templates.
  */
 
 class BannerEditor {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
      * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {BannerRenderService} bannerRenderService Dependency on BannerRenderService.
+     * @param {BannerSizeService} bannerSizeService Dependency on BannerSizeService.
+     * @param {Html5BannerService} html5BannerService Dependency on Html5BannerService.
+     * @param {CreativeTestService} creativeTestService Dependency on CreativeTestService.
      */
-    constructor(localStorageService, campaignService) {
+    constructor(localStorageService, campaignService, bannerRenderService, bannerSizeService, html5BannerService, creativeTestService) {
         this.localStorageService = localStorageService;
         this.campaignService = campaignService;
+        this.bannerRenderService = bannerRenderService;
+        this.bannerSizeService = bannerSizeService;
+        this.html5BannerService = html5BannerService;
+        this.creativeTestService = creativeTestService;
+
+        /**
+         * Layers of the primary design.
+         * @private
+         * @type {Array<Object>}
+         */
+        this.layers = [];
+        /**
+         * ID of the layer currently selected for editing.
+         * @private
+         * @type {string|null}
+         */
+        this.selectedLayerId = null;
+        /**
+         * State of an in-progress drag or resize in the preview.
+         * @private
+         * @type {Object|null}
+         */
+        this.dragState = null;
+        /**
+         * Size variants generated from the primary design.
+         * @private
+         * @type {Array<Object>}
+         */
+        this.variants = [];
+        /**
+         * ID of the variant currently shown in the live preview, or null for the primary design.
+         * @private
+         * @type {string|null}
+         */
+        this.previewVariantId = null;
+        /**
+         * Sizes added by the "Core IAB Set" shortcut.
+         * @private
+         * @type {Array<string>}
+         */
+        this.CORE_SIZE_SET = ['medium-rectangle', 'leaderboard', 'half-page', 'billboard', 'mobile-leaderboard'];
+        /**
+         * Layer properties a size variant may override; everything else is shared with the primary design.
+         * @private
+         * @type {Array<string>}
+         */
+        this.OVERRIDABLE_PROPERTIES = ['x', 'y', 'width', 'height', 'rotation', 'fontSize', 'text'];
+        /**
+         * Smallest width/height a layer can be resized to.
+         * @private
+         * @type {number}
+         */
+        this.MIN_LAYER_SIZE = 10;
+        /**
+         * JSON of the banner as last loaded or saved, to detect unsaved changes; null before the first load.
+         * @private
+         * @type {string|null}
+         */
+        this.savedSnapshot = null;
+        /**
+         * A/B variant of the banner being edited (see CreativeTestService), or null for the primary banner.
+         * Not to be confused with the size variants of the design being edited.
+         * @private
+         * @type {string|null}
+         */
+        this.abVariantId = null;
 
         // DOM Elements
         this.bannerTypeSelect = document.getElementById('banner-type');
+        this.customSizeContainer = document.getElementById('banner-custom-size');
+        this.customWidthInput = document.getElementById('banner-custom-width');
+        this.customHeightInput = document.getElementById('banner-custom-height');
         this.bannerTextInput = document.getElementById('banner-text');
         this.bannerBgColorInput = document.getElementById('banner-bg-color');
         this.bannerTextColorInput = document.getElementById('banner-text-color');
@@ -22,14 +96,46 @@ class BannerEditor {
         this.bannerTemplateBtns = document.querySelectorAll('.banner-template-btn');
         this.saveBannerBtn = document.getElementById('save-banner-btn');
         this.downloadBannerBtn = document.getElementById('download-banner-btn');
+        this.exportFormatSelect = document.getElementById('banner-export-format');
+        this.exportQualityInput = document.getElementById('banner-export-quality');
+        this.exportQualityValue = document.getElementById('banner-export-quality-value');
+        this.exportAllBtn = document.getElementById('export-all-banners-btn');
+        this.html5NetworkSelect = document.getElementById('banner-html5-network');
+        this.html5AnimationSelect = document.getElementById('banner-html5-animation');
+        this.html5ClickUrlInput = document.getElementById('banner-html5-click-url');
+        this.exportHtml5Btn = document.getElementById('export-html5-btn');
+        this.html5Report = document.getElementById('banner-html5-report');
+
+        this.addLayerBtns = document.querySelectorAll('.add-banner-layer-btn');
+        this.layerList = document.getElementById('banner-layer-list');
+        this.layerFields = document.getElementById('banner-layer-fields');
+        this.noLayerMessage = document.getElementById('banner-no-layer-message');
+        this.layerPropertyInputs = document.querySelectorAll('[data-layer-prop]');
+        this.layerTypeSections = document.querySelectorAll('[data-layer-types]');
+        this.layerImageFileInput = document.getElementById('banner-layer-image-file');
+
+        this.variantSizeSelect = document.getElementById('banner-variant-size');
+        this.variantCustomSizeContainer = document.getElementById('banner-variant-custom-size');
+        this.variantWidthInput = document.getElementById('banner-variant-width');
+        this.variantHeightInput = document.getElementById('banner-variant-height');
+        this.addVariantBtn = document.getElementById('add-banner-variant-btn');
+        this.addCoreSetBtn = document.getElementById('add-core-banner-sizes-btn');
+        this.variantList = document.getElementById('banner-variant-list');
+        this.previewLabel = document.getElementById('banner-preview-label');
+        this.unsavedIndicator = document.getElementById('banner-unsaved-indicator');
+        this.abVariantBar = document.getElementById('banner-ab-variant-bar');
+        this.abVariantSelect = document.getElementById('banner-ab-variant-select');
 
         this.bannerPreviewContainer = document.getElementById('banner-preview-container');
         this.bannerPreview = document.getElementById('banner-preview');
-        this.bannerPreviewText = document.getElementById('banner-preview-text');
 
         // Bind events
+        this._populateSizeOptions(this.bannerTypeSelect);
+        this._populateSizeOptions(this.variantSizeSelect);
+        this._populateHtml5Options();
         this._bindEvents();
         this._applyTemplate('template1'); // Set a default template on load
+        this._updateExportControls();
     }
 
     /**
@@ -37,23 +143,78 @@ class BannerEditor {
      * @private
      */
     _bindEvents() {
+        if (this.abVariantSelect) this.abVariantSelect.addEventListener('change', () => this.selectAbVariant(this.abVariantSelect.value));
         if (this.bannerTypeSelect) this.bannerTypeSelect.addEventListener('change', () => this.updatePreview());
-        if (this.bannerTextInput) this.bannerTextInput.addEventListener('input', () => this.updatePreview());
+        if (this.customWidthInput) this.customWidthInput.addEventListener('input', () => this.updatePreview());
+        if (this.customHeightInput) this.customHeightInput.addEventListener('input', () => this.updatePreview());
         if (this.bannerBgColorInput) this.bannerBgColorInput.addEventListener('input', () => this.updatePreview());
-        if (this.bannerTextColorInput) this.bannerTextColorInput.addEventListener('input', () => this.updatePreview());
-        if (this.bannerFontSizeInput) this.bannerFontSizeInput.addEventListener('input', () => this.updatePreview());
-        if (this.bannerFontFamilySelect) this.bannerFontFamilySelect.addEventListener('change', () => this.updatePreview());
 
         this.bannerTemplateBtns.forEach(button => {
             button.addEventListener('click', (e) => {
                 const template = e.target.dataset.template;
                 this._applyTemplate(template);
+                this._syncLayerFields();
                 this.updatePreview();
             });
         });
 
+        // Layer controls
+        this.addLayerBtns.forEach(button => {
+            button.addEventListener('click', (e) => this.addLayer(e.target.dataset.layerType));
+        });
+        this.layerPropertyInputs.forEach(input => {
+            const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, () => this._handleLayerPropertyInput(input));
+        });
+        if (this.layerImageFileInput) {
+            this.layerImageFileInput.addEventListener('change', () => this._handleImageUpload());
+        }
+        if (this.layerList) {
+            this.layerList.addEventListener('click', (e) => this._handleLayerListClick(e));
+        }
+        if (this.bannerPreview) {
+            this.bannerPreview.addEventListener('pointerdown', (e) => this._startDrag(e));
+        }
+        document.addEventListener('pointermove', (e) => this._onDrag(e));
+        document.addEventListener('pointerup', () => this._endDrag());
+
         if (this.saveBannerBtn) this.saveBannerBtn.addEventListener('click', () => this.saveBanner());
         if (this.downloadBannerBtn) this.downloadBannerBtn.addEventListener('click', () => this.downloadBannerAsImage());
+        if (this.exportFormatSelect) this.exportFormatSelect.addEventListener('change', () => this._updateExportControls());
+        if (this.exportQualityInput) this.exportQualityInput.addEventListener('input', () => this._updateExportControls());
+        if (this.exportAllBtn) this.exportAllBtn.addEventListener('click', () => this.downloadAllSizes());
+        if (this.exportHtml5Btn) this.exportHtml5Btn.addEventListener('click', () => this.exportHtml5Package());
+
+        if (this.variantSizeSelect) {
+            this.variantSizeSelect.addEventListener('change', () => {
+                const isCustom = this.variantSizeSelect.value === this.bannerSizeService.CUSTOM_SIZE_ID;
+                this.variantCustomSizeContainer?.classList.toggle('hidden', !isCustom);
+            });
+        }
+        if (this.addVariantBtn) {
+            this.addVariantBtn.addEventListener('click', () => {
+                this.addVariant(this.variantSizeSelect.value, {
+                    width: this.variantWidthInput?.value,
+                    height: this.variantHeightInput?.value
+                });
+            });
+        }
+        if (this.addCoreSetBtn) {
+            this.addCoreSetBtn.addEventListener('click', () => this.CORE_SIZE_SET.forEach(sizeId => this.addVariant(sizeId)));
+        }
+        if (this.variantList) {
+            this.variantList.addEventListener('change', (e) => this._handleVariantInput(e));
+            this.variantList.addEventListener('click', (e) => this._handleVariantClick(e));
+        }
+        if (this.previewLabel) {
+            this.previewLabel.addEventListener('click', (e) => {
+                if (e.target.classList.contains('banner-preview-primary-btn')) {
+                    this.previewVariantId = null;
+                    this._syncLayerFields();
+                    this.updatePreview();
+                }
+            });
+        }
 
 
         // Initial preview update when page loads
@@ -61,7 +222,7 @@ class BannerEditor {
     }
 
     /**
-     * Applies a predefined design template to the banner controls.
+     * Applies a predefined design template to the banner background and its text layers.
      * @param {string} templateName The name of the template (e.g., 'template1').
      * @private
      */
@@ -90,41 +251,827 @@ class BannerEditor {
         const template = templates[templateName];
         if (template) {
             if (this.bannerBgColorInput) this.bannerBgColorInput.value = template.bgColor;
-            if (this.bannerTextColorInput) this.bannerTextColorInput.value = template.textColor;
-            if (this.bannerFontSizeInput) this.bannerFontSizeInput.value = template.fontSize;
-            if (this.bannerFontFamilySelect) this.bannerFontFamilySelect.value = template.fontFamily;
+            this.layers.forEach(layer => {
+                if (layer.type === 'text') {
+                    layer.textColor = template.textColor;
+                    layer.fontSize = template.fontSize;
+                }
+                if (layer.type === 'text' || layer.type === 'cta') {
+                    layer.fontFamily = template.fontFamily;
+                }
+            });
+        }
+    }
+
+    /**
+     * Fills a size select with the IAB catalogue grouped by platform, plus a custom size option.
+     * @param {HTMLSelectElement|null} select The select element to populate.
+     * @private
+     */
+    _populateSizeOptions(select) {
+        if (!select) return;
+        select.innerHTML = '';
+        const groups = {};
+        this.bannerSizeService.getStandardSizes().forEach(size => {
+            if (!groups[size.group]) {
+                groups[size.group] = document.createElement('optgroup');
+                groups[size.group].label = size.group;
+                select.appendChild(groups[size.group]);
+            }
+            const option = document.createElement('option');
+            option.value = size.id;
+            option.textContent = this.bannerSizeService.getLabel(size);
+            groups[size.group].appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = this.bannerSizeService.CUSTOM_SIZE_ID;
+        customOption.textContent = 'Custom size...';
+        select.appendChild(customOption);
+        select.value = this.bannerSizeService.DEFAULT_SIZE_ID;
+    }
+
+    /**
+     * Fills the HTML5 export selects with the supported ad networks and entrance animations.
+     * @private
+     */
+    _populateHtml5Options() {
+        const fill = (select, options) => {
+            if (!select) return;
+            select.innerHTML = '';
+            options.forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        };
+        fill(this.html5NetworkSelect, this.html5BannerService.getNetworkProfiles());
+        fill(this.html5AnimationSelect, this.html5BannerService.getAnimations());
+    }
+
+    /**
+     * Resolves the primary banner size from the size select and custom size inputs.
+     * @returns {{id: string, name: string, width: number, height: number}} The primary size.
+     * @private
+     */
+    _getPrimarySize() {
+        return this.bannerSizeService.resolveSize(this.bannerTypeSelect?.value, {
+            width: this.customWidthInput?.value,
+            height: this.customHeightInput?.value
+        });
+    }
+
+    /**
+     * Creates a new layer with sensible defaults for its type.
+     * @param {string} type The layer type ('text', 'image', 'logo', 'shape' or 'cta').
+     * @param {Object} [props] Properties overriding the defaults.
+     * @returns {Object} The new layer.
+     * @private
+     */
+    _createLayer(type, props = {}) {
+        const { width: bannerWidth, height: bannerHeight } = this._getPrimarySize();
+        const fontFamily = this.bannerFontFamilySelect?.value || 'Arial, sans-serif';
+        const defaults = {
+            text: { width: Math.round(bannerWidth * 0.8), height: Math.round(bannerHeight * 0.3), text: 'New text', textColor: '#ffffff', fontSize: 20, fontFamily, fontWeight: 'normal', textAlign: 'center' },
+            image: { width: Math.round(bannerWidth * 0.5), height: Math.round(bannerHeight * 0.4), src: '', fit: 'contain' },
+            logo: { width: Math.round(bannerWidth * 0.3), height: Math.round(bannerHeight * 0.15), src: '', fit: 'contain' },
+            shape: { width: Math.round(bannerWidth * 0.4), height: Math.round(bannerHeight * 0.2), shape: 'rectangle', fillColor: '#ffffff', borderRadius: 0 },
+            cta: { width: Math.min(160, bannerWidth - 16), height: Math.min(40, bannerHeight - 8), text: 'Learn More', textColor: '#ffffff', fontSize: 16, fontFamily, fontWeight: 'bold', textAlign: 'center', fillColor: '#e63946', borderRadius: 6, link: '' }
+        }[type];
+        if (!defaults) {
+            throw new Error(`Unknown banner layer type "${type}".`);
+        }
+
+        const layer = {
+            id: `layer_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            type,
+            x: 0,
+            y: 0,
+            zIndex: this.layers.reduce((max, l) => Math.max(max, l.zIndex || 0), 0) + 1,
+            rotation: 0,
+            opacity: 1,
+            ...defaults,
+            ...props
+        };
+        if (props.x === undefined) layer.x = Math.round((bannerWidth - layer.width) / 2);
+        if (props.y === undefined) layer.y = Math.round((bannerHeight - layer.height) / 2);
+        return layer;
+    }
+
+    /**
+     * Converts saved banner data into the layered model. Banners saved before layers existed
+     * (a single text on a solid color) become one full-size, centered text layer, which renders
+     * exactly as before.
+     * @param {Object} savedBanner The banner as stored on the campaign.
+     * @returns {{bgColor: string, layers: Array<Object>, variants: Array<Object>}} The layered banner.
+     * @private
+     */
+    _normalizeBanner(savedBanner) {
+        const variants = (savedBanner.variants || []).map(variant => ({
+            ...variant,
+            layerOverrides: JSON.parse(JSON.stringify(variant.layerOverrides || {}))
+        }));
+
+        if (Array.isArray(savedBanner.layers)) {
+            return {
+                bgColor: savedBanner.bgColor,
+                layers: savedBanner.layers.map(layer => ({ ...layer })),
+                variants
+            };
+        }
+
+        const size = this.bannerSizeService.resolveSize(savedBanner.type, savedBanner);
+        const textLayer = {
+            id: 'layer_text_1',
+            type: 'text',
+            x: 0,
+            y: 0,
+            width: size.width,
+            height: size.height,
+            zIndex: 1,
+            rotation: 0,
+            opacity: 1,
+            text: savedBanner.text || '',
+            textColor: savedBanner.textColor || '#000000',
+            fontSize: Number(savedBanner.fontSize) || 16,
+            fontFamily: savedBanner.fontFamily || 'sans-serif',
+            fontWeight: 'normal',
+            textAlign: 'center'
+        };
+        // Variants from the single-text model carried text/font size overrides for that one text.
+        variants.forEach(variant => {
+            const legacy = Object.fromEntries(
+                Object.entries(variant.overrides || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+            );
+            if (Object.keys(legacy).length) {
+                variant.layerOverrides[textLayer.id] = { ...legacy, ...variant.layerOverrides[textLayer.id] };
+            }
+            delete variant.overrides;
+        });
+        return { bgColor: savedBanner.bgColor, layers: [textLayer], variants };
+    }
+
+    /**
+     * Returns the default layers for a new banner: a full-size, centered text block.
+     * @returns {Array<Object>} The default layers.
+     * @private
+     */
+    _createDefaultLayers() {
+        const { width, height } = this._getPrimarySize();
+        return [this._createLayer('text', { x: 0, y: 0, width, height, zIndex: 1, text: 'Your Ad Text Here' })];
+    }
+
+    /**
+     * Collects the current banner from the editor.
+     * @returns {Object} The banner data object (size, background, layers and variants).
+     * @private
+     */
+    _getBannerData() {
+        const size = this._getPrimarySize();
+        return {
+            type: size.id,
+            width: size.width,
+            height: size.height,
+            bgColor: this.bannerBgColorInput?.value || '#ffffff',
+            layers: this.layers.map(layer => ({ ...layer })),
+            variants: this.variants.map(variant => ({
+                ...variant,
+                layerOverrides: JSON.parse(JSON.stringify(variant.layerOverrides || {}))
+            }))
+        };
+    }
+
+    /**
+     * Produces the render-ready data for one size variant: the primary design scaled to the
+     * variant's dimensions, with the variant's per-layer layout overrides applied and text
+     * auto-scaled to fit its box when enabled.
+     * @param {Object} bannerData The primary banner data.
+     * @param {Object} variant The size variant.
+     * @returns {Object} Banner data for the variant, ready for BannerRenderService.
+     */
+    resolveVariant(bannerData, variant) {
+        const scaleX = variant.width / bannerData.width;
+        const scaleY = variant.height / bannerData.height;
+
+        const layers = bannerData.layers.map(layer => {
+            const overrides = variant.layerOverrides?.[layer.id] || {};
+            const resolved = {
+                ...layer,
+                x: Math.round(layer.x * scaleX),
+                y: Math.round(layer.y * scaleY),
+                width: Math.max(1, Math.round(layer.width * scaleX)),
+                height: Math.max(1, Math.round(layer.height * scaleY)),
+                ...overrides
+            };
+            const hasText = layer.type === 'text' || layer.type === 'cta';
+            if (hasText && variant.autoScaleText && overrides.fontSize === undefined) {
+                // Scale towards the variant's larger relative dimension, then shrink until the text fits.
+                const maxFontSize = Math.max(8, Number(layer.fontSize) * Math.max(scaleX, scaleY));
+                resolved.fontSize = this.bannerRenderService.fitFontSize(resolved, maxFontSize);
+            }
+            return resolved;
+        });
+
+        return {
+            type: variant.sizeId,
+            width: variant.width,
+            height: variant.height,
+            bgColor: bannerData.bgColor,
+            layers
+        };
+    }
+
+    /**
+     * Returns the banner as currently shown in the preview (primary design or previewed variant).
+     * @returns {Object} The banner data being previewed.
+     * @private
+     */
+    _getDisplayedBanner() {
+        const bannerData = this._getBannerData();
+        const variant = this.variants.find(v => v.id === this.previewVariantId);
+        return variant ? this.resolveVariant(bannerData, variant) : bannerData;
+    }
+
+    /**
+     * Adds a new layer to the banner and selects it.
+     * @param {string} type The layer type ('text', 'image', 'logo', 'shape' or 'cta').
+     * @returns {Object} The new layer.
+     */
+    addLayer(type) {
+        const layer = this._createLayer(type);
+        this.layers.push(layer);
+        this.selectLayer(layer.id);
+        return layer;
+    }
+
+    /**
+     * Removes a layer, including any variant overrides for it.
+     * @param {string} layerId The ID of the layer to remove.
+     */
+    removeLayer(layerId) {
+        this.layers = this.layers.filter(layer => layer.id !== layerId);
+        this.variants.forEach(variant => delete variant.layerOverrides?.[layerId]);
+        if (this.selectedLayerId === layerId) this.selectedLayerId = null;
+        this._renderLayerList();
+        this._syncLayerFields();
+        this.updatePreview();
+    }
+
+    /**
+     * Moves a layer one step up or down in the stacking order.
+     * @param {string} layerId The ID of the layer to move.
+     * @param {number} direction 1 to bring forward, -1 to send backward.
+     */
+    moveLayer(layerId, direction) {
+        const ordered = [...this.layers].sort((a, b) => a.zIndex - b.zIndex);
+        const index = ordered.findIndex(layer => layer.id === layerId);
+        const neighbour = ordered[index + direction];
+        if (index === -1 || !neighbour) return;
+
+        // Normalize z-indexes to the current order, then swap with the neighbour.
+        ordered.forEach((layer, i) => { layer.zIndex = i + 1; });
+        [ordered[index].zIndex, neighbour.zIndex] = [neighbour.zIndex, ordered[index].zIndex];
+        this._renderLayerList();
+        this.updatePreview();
+    }
+
+    /**
+     * Selects a layer for editing.
+     * @param {string|null} layerId The ID of the layer to select, or null to clear the selection.
+     */
+    selectLayer(layerId) {
+        this.selectedLayerId = layerId;
+        this._renderLayerList();
+        this._syncLayerFields();
+        this.updatePreview();
+    }
+
+    /**
+     * Returns a layer's properties as currently shown, including the previewed variant's overrides.
+     * @param {string} layerId The layer ID.
+     * @returns {Object|undefined} The effective layer.
+     * @private
+     */
+    _getEffectiveLayer(layerId) {
+        return this._getDisplayedBanner().layers.find(layer => layer.id === layerId);
+    }
+
+    /**
+     * Sets a layer property. While a size variant is previewed, layout properties are stored as
+     * that variant's overrides; all other properties change the shared design.
+     * @param {string} layerId The layer ID.
+     * @param {string} key The property name.
+     * @param {any} value The new value.
+     * @private
+     */
+    _setLayerProperty(layerId, key, value) {
+        const variant = this.variants.find(v => v.id === this.previewVariantId);
+        if (variant && this.OVERRIDABLE_PROPERTIES.includes(key)) {
+            variant.layerOverrides = variant.layerOverrides || {};
+            variant.layerOverrides[layerId] = { ...variant.layerOverrides[layerId], [key]: value };
+            return;
+        }
+        const layer = this.layers.find(l => l.id === layerId);
+        if (layer) layer[key] = value;
+    }
+
+    /**
+     * Updates the selected layer from a property input.
+     * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} input The changed input.
+     * @private
+     */
+    _handleLayerPropertyInput(input) {
+        if (!this.selectedLayerId) return;
+        const key = input.dataset.layerProp;
+        let value = input.value;
+        if (input.type === 'number' || input.type === 'range') {
+            value = Number(value) || 0;
+            if (key === 'opacity') value = Math.min(1, Math.max(0, value / 100));
+        }
+        this._setLayerProperty(this.selectedLayerId, key, value);
+        if (key === 'text') this._renderLayerList();
+        this.updatePreview();
+    }
+
+    /**
+     * Reads an uploaded image into the selected image or logo layer as a data URL.
+     * @private
+     */
+    _handleImageUpload() {
+        const file = this.layerImageFileInput?.files?.[0];
+        const layerId = this.selectedLayerId;
+        if (!file || !layerId) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this._setLayerProperty(layerId, 'src', reader.result);
+            this._syncLayerFields();
+            this.updatePreview();
+        };
+        reader.onerror = () => console.error('Could not read banner image file:', reader.error);
+        reader.readAsDataURL(file);
+        this.layerImageFileInput.value = '';
+    }
+
+    /**
+     * Fills the property inputs from the selected layer and shows only the sections relevant to its type.
+     * @private
+     */
+    _syncLayerFields() {
+        const layer = this.selectedLayerId ? this._getEffectiveLayer(this.selectedLayerId) : null;
+        this.layerFields?.classList.toggle('hidden', !layer);
+        this.noLayerMessage?.classList.toggle('hidden', !!layer);
+        if (!layer) return;
+
+        this.layerTypeSections.forEach(section => {
+            section.classList.toggle('hidden', !section.dataset.layerTypes.split(' ').includes(layer.type));
+        });
+        this.layerPropertyInputs.forEach(input => {
+            const key = input.dataset.layerProp;
+            let value = layer[key] ?? '';
+            if (key === 'opacity') value = Math.round((layer.opacity ?? 1) * 100);
+            // Uploaded images are stored as data URLs; keep the URL field for real URLs only.
+            if (key === 'src' && String(value).startsWith('data:')) value = '';
+            input.value = value;
+        });
+    }
+
+    /**
+     * Returns a short, human-readable name for a layer.
+     * @param {Object} layer The layer.
+     * @returns {string} The label.
+     * @private
+     */
+    _getLayerLabel(layer) {
+        const typeNames = { text: 'Text', image: 'Image', logo: 'Logo', shape: 'Shape', cta: 'CTA Button' };
+        const detail = layer.text ? `: ${layer.text.split('\n')[0].slice(0, 24)}` : '';
+        return `${typeNames[layer.type] || layer.type}${detail}`;
+    }
+
+    /**
+     * Renders the layer list, topmost layer first.
+     * @private
+     */
+    _renderLayerList() {
+        if (!this.layerList) return;
+        this.layerList.innerHTML = '';
+
+        if (this.layers.length === 0) {
+            this.layerList.innerHTML = '<li class="text-sm text-gray-500">No layers yet. Add one above.</li>';
+            return;
+        }
+
+        [...this.layers].sort((a, b) => b.zIndex - a.zIndex).forEach(layer => {
+            const li = document.createElement('li');
+            li.dataset.layerId = layer.id;
+            const isSelected = layer.id === this.selectedLayerId;
+            li.className = `flex items-center justify-between px-3 py-2 rounded-md border text-sm cursor-pointer ${isSelected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-gray-50'}`;
+            li.innerHTML = `
+                <span class="layer-label truncate"></span>
+                <span class="flex-shrink-0 space-x-1">
+                    <button type="button" class="layer-forward-btn px-1 text-gray-600 hover:text-gray-900" title="Bring forward">&#9650;</button>
+                    <button type="button" class="layer-backward-btn px-1 text-gray-600 hover:text-gray-900" title="Send backward">&#9660;</button>
+                    <button type="button" class="layer-remove-btn px-1 text-red-600 hover:text-red-800" title="Remove layer">&#10005;</button>
+                </span>
+            `;
+            li.querySelector('.layer-label').textContent = this._getLayerLabel(layer);
+            this.layerList.appendChild(li);
+        });
+    }
+
+    /**
+     * Handles selection, reordering and removal clicks in the layer list.
+     * @param {Event} e The click event.
+     * @private
+     */
+    _handleLayerListClick(e) {
+        const layerId = e.target.closest('[data-layer-id]')?.dataset.layerId;
+        if (!layerId) return;
+        if (this._isReadOnly()) {
+            this.selectLayer(layerId);
+        } else if (e.target.classList.contains('layer-forward-btn')) {
+            this.moveLayer(layerId, 1);
+        } else if (e.target.classList.contains('layer-backward-btn')) {
+            this.moveLayer(layerId, -1);
+        } else if (e.target.classList.contains('layer-remove-btn')) {
+            this.removeLayer(layerId);
+        } else {
+            this.selectLayer(layerId);
+        }
+    }
+
+    /**
+     * Whether the user may only view the active campaign; the banner can then be inspected and
+     * exported, but not changed.
+     * @returns {boolean} True if read-only.
+     * @private
+     */
+    _isReadOnly() {
+        return !!this.campaignService.getActiveCampaign() && !this.campaignService.canEditActiveCampaign();
+    }
+
+    /**
+     * Starts moving or resizing a layer in the preview.
+     * @param {PointerEvent} e The pointerdown event.
+     * @private
+     */
+    _startDrag(e) {
+        const handle = e.target.closest('[data-resize-handle]');
+        const layerElement = e.target.closest('[data-layer-id]');
+        const layerId = handle ? this.selectedLayerId : layerElement?.dataset.layerId;
+        if (!layerId) {
+            if (e.target === this.bannerPreview) this.selectLayer(null);
+            return;
+        }
+
+        e.preventDefault();
+        if (layerId !== this.selectedLayerId) this.selectLayer(layerId);
+        if (this._isReadOnly()) return; // Layers can be selected but not moved
+        const layer = this._getEffectiveLayer(layerId);
+        this.dragState = {
+            layerId,
+            mode: handle ? handle.dataset.resizeHandle : 'move',
+            startX: e.clientX,
+            startY: e.clientY,
+            origin: { x: layer.x, y: layer.y, width: layer.width, height: layer.height }
+        };
+    }
+
+    /**
+     * Moves or resizes the dragged layer as the pointer moves.
+     * @param {PointerEvent} e The pointermove event.
+     * @private
+     */
+    _onDrag(e) {
+        if (!this.dragState) return;
+        const { layerId, mode, origin } = this.dragState;
+        const dx = Math.round(e.clientX - this.dragState.startX);
+        const dy = Math.round(e.clientY - this.dragState.startY);
+        const geometry = { ...origin };
+
+        if (mode === 'move') {
+            geometry.x = origin.x + dx;
+            geometry.y = origin.y + dy;
+        } else {
+            // Resize handles are named by compass corner: 'nw', 'ne', 'sw', 'se'.
+            if (mode.includes('e')) geometry.width = Math.max(this.MIN_LAYER_SIZE, origin.width + dx);
+            if (mode.includes('s')) geometry.height = Math.max(this.MIN_LAYER_SIZE, origin.height + dy);
+            if (mode.includes('w')) {
+                geometry.width = Math.max(this.MIN_LAYER_SIZE, origin.width - dx);
+                geometry.x = origin.x + origin.width - geometry.width;
+            }
+            if (mode.includes('n')) {
+                geometry.height = Math.max(this.MIN_LAYER_SIZE, origin.height - dy);
+                geometry.y = origin.y + origin.height - geometry.height;
+            }
         }
+
+        Object.entries(geometry).forEach(([key, value]) => {
+            if (value !== origin[key] || mode === 'move') this._setLayerProperty(layerId, key, value);
+        });
+        this.updatePreview();
+        this._syncLayerFields();
+    }
+
+    /**
+     * Finishes a drag or resize.
+     * @private
+     */
+    _endDrag() {
+        this.dragState = null;
+    }
+
+    /**
+     * Creates the preview element for a layer. Styles mirror what BannerRenderService draws.
+     * @param {Object} layer The layer to render.
+     * @returns {HTMLElement} The layer element.
+     * @private
+     */
+    _createLayerElement(layer) {
+        const el = document.createElement('div');
+        el.dataset.layerId = layer.id;
+        Object.assign(el.style, {
+            position: 'absolute',
+            left: `${layer.x}px`,
+            top: `${layer.y}px`,
+            width: `${layer.width}px`,
+            height: `${layer.height}px`,
+            transform: `rotate(${Number(layer.rotation) || 0}deg)`,
+            opacity: layer.opacity ?? 1,
+            zIndex: layer.zIndex,
+            overflow: 'hidden',
+            boxSizing: 'border-box',
+            cursor: 'move',
+            userSelect: 'none'
+        });
+
+        if (layer.type === 'text' || layer.type === 'cta') {
+            Object.assign(el.style, {
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'center',
+                padding: '8px',
+                color: layer.textColor,
+                fontSize: `${layer.fontSize}px`,
+                fontFamily: layer.fontFamily,
+                fontWeight: layer.fontWeight || 'normal',
+                textAlign: layer.textAlign || 'center',
+                lineHeight: '1.5',
+                whiteSpace: 'pre-line',
+                overflowWrap: 'break-word'
+            });
+            const textEl = document.createElement('div');
+            textEl.textContent = layer.text;
+            el.appendChild(textEl);
+        }
+        if (layer.type === 'shape' || layer.type === 'cta') {
+            el.style.backgroundColor = layer.fillColor;
+            el.style.borderRadius = layer.shape === 'ellipse' ? '50%' : `${Number(layer.borderRadius) || 0}px`;
+        }
+        if (layer.type === 'image' || layer.type === 'logo') {
+            if (layer.src) {
+                const img = document.createElement('img');
+                img.src = layer.src;
+                img.alt = layer.type === 'logo' ? 'Logo' : 'Banner image';
+                img.draggable = false;
+                Object.assign(img.style, { width: '100%', height: '100%', objectFit: layer.fit || 'contain', pointerEvents: 'none' });
+                el.appendChild(img);
+            } else {
+                el.className = 'flex items-center justify-center text-xs text-gray-500 border border-dashed border-gray-400 bg-white bg-opacity-50';
+                el.textContent = layer.type === 'logo' ? 'Logo' : 'Image';
+            }
+        }
+        return el;
+    }
+
+    /**
+     * Creates the selection outline with resize handles for the selected layer.
+     * @param {Object} layer The selected layer.
+     * @returns {HTMLElement} The selection overlay.
+     * @private
+     */
+    _createSelectionElement(layer) {
+        const box = document.createElement('div');
+        Object.assign(box.style, {
+            position: 'absolute',
+            left: `${layer.x}px`,
+            top: `${layer.y}px`,
+            width: `${layer.width}px`,
+            height: `${layer.height}px`,
+            transform: `rotate(${Number(layer.rotation) || 0}deg)`,
+            outline: '2px dashed #2563eb',
+            zIndex: 10000,
+            pointerEvents: 'none'
+        });
+        const cursors = { nw: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize', se: 'nwse-resize' };
+        Object.entries(cursors).forEach(([corner, cursor]) => {
+            const handle = document.createElement('div');
+            handle.dataset.resizeHandle = corner;
+            Object.assign(handle.style, {
+                position: 'absolute',
+                width: '10px',
+                height: '10px',
+                background: '#ffffff',
+                border: '2px solid #2563eb',
+                cursor,
+                pointerEvents: 'auto',
+                [corner.includes('n') ? 'top' : 'bottom']: '-6px',
+                [corner.includes('w') ? 'left' : 'right']: '-6px'
+            });
+            box.appendChild(handle);
+        });
+        return box;
+    }
+
+    /**
+     * Adds a size variant generated from the primary design.
+     * @param {string} sizeId The catalogue size ID, or 'custom'.
+     * @param {{width: number, height: number}} [customSize] Dimensions for custom sizes.
+     * @returns {Object|null} The new variant, or null if that size already exists.
+     */
+    addVariant(sizeId, customSize = {}) {
+        const size = this.bannerSizeService.resolveSize(sizeId, customSize);
+        const primary = this._getPrimarySize();
+        const exists = this.variants.some(v => v.width === size.width && v.height === size.height);
+        if (exists || (primary.width === size.width && primary.height === size.height)) {
+            console.warn(`A banner of size ${size.width}x${size.height} already exists.`);
+            return null;
+        }
+
+        const variant = {
+            id: `variant_${size.width}x${size.height}`,
+            sizeId: size.id,
+            name: size.name,
+            width: size.width,
+            height: size.height,
+            autoScaleText: true,
+            layerOverrides: {}
+        };
+        this.variants.push(variant);
+        this._renderVariantList();
+        this._updateDirtyState();
+        return variant;
+    }
+
+    /**
+     * Removes a size variant.
+     * @param {string} variantId The ID of the variant to remove.
+     */
+    removeVariant(variantId) {
+        this.variants = this.variants.filter(v => v.id !== variantId);
+        if (this.previewVariantId === variantId) this.previewVariantId = null;
+        this._renderVariantList();
+        this._syncLayerFields();
+        this.updatePreview();
+    }
+
+    /**
+     * Updates a variant setting from an input inside the variant list.
+     * @param {Event} e The change event.
+     * @private
+     */
+    _handleVariantInput(e) {
+        const variant = this.variants.find(v => v.id === e.target.closest('[data-variant-id]')?.dataset.variantId);
+        if (!variant || e.target.dataset.variantField !== 'autoScaleText') return;
+
+        variant.autoScaleText = e.target.checked;
+        if (this.previewVariantId === variant.id) this.updatePreview();
+        this._updateDirtyState();
+    }
+
+    /**
+     * Handles preview, reset and remove buttons inside the variant list.
+     * @param {Event} e The click event.
+     * @private
+     */
+    _handleVariantClick(e) {
+        const variantId = e.target.closest('[data-variant-id]')?.dataset.variantId;
+        const variant = this.variants.find(v => v.id === variantId);
+        if (!variant) return;
+        if (e.target.classList.contains('preview-variant-btn')) {
+            this.previewVariantId = variantId;
+            this._syncLayerFields();
+            this.updatePreview();
+        } else if (this._isReadOnly()) {
+            return;
+        } else if (e.target.classList.contains('reset-variant-btn')) {
+            variant.layerOverrides = {};
+            this._renderVariantList();
+            this._syncLayerFields();
+            this.updatePreview();
+        } else if (e.target.classList.contains('remove-variant-btn')) {
+            this.removeVariant(variantId);
+        }
+    }
+
+    /**
+     * Renders the list of size variants with their settings.
+     * @private
+     */
+    _renderVariantList() {
+        if (!this.variantList) return;
+        this.variantList.innerHTML = '';
+
+        if (this.variants.length === 0) {
+            this.variantList.innerHTML = '<li class="text-sm text-gray-500">No additional sizes. Add sizes to generate variants of this design.</li>';
+            return;
+        }
+
+        this.variants.forEach(variant => {
+            const overrideCount = Object.keys(variant.layerOverrides || {}).length;
+            const li = document.createElement('li');
+            li.dataset.variantId = variant.id;
+            li.className = 'p-3 bg-gray-50 rounded-md border border-gray-200 space-y-2';
+            li.innerHTML = `
+                <div class="flex items-center justify-between">
+                    <span class="text-sm font-semibold text-gray-800"></span>
+                    <div class="space-x-2">
+                        <button type="button" data-view-only-allowed class="preview-variant-btn text-xs text-blue-600 hover:underline">Preview &amp; Adjust</button>
+                        <button type="button" class="reset-variant-btn text-xs text-gray-600 hover:underline">Reset Layout</button>
+                        <button type="button" class="remove-variant-btn text-xs text-red-600 hover:underline">Remove</button>
+                    </div>
+                </div>
+                <div class="flex items-center justify-between text-xs text-gray-700">
+                    <label class="flex items-center">
+                        <input type="checkbox" data-variant-field="autoScaleText" class="h-4 w-4 mr-2" ${variant.autoScaleText ? 'checked' : ''} />
+                        Auto-scale text to fit
+                    </label>
+                    <span class="text-gray-500">${overrideCount ? `${overrideCount} layer override(s)` : 'Auto layout'}</span>
+                </div>
+            `;
+            li.querySelector('span').textContent = this.bannerSizeService.getLabel(variant);
+            this.variantList.appendChild(li);
+        });
     }
 
     /**
      * Updates the banner preview in real-time based on current control values.
      */
     updatePreview() {
-        if (!this.bannerPreview || !this.bannerPreviewText || !this.bannerTypeSelect) return;
+        if (!this.bannerPreview || !this.bannerTypeSelect) return;
+
+        const isCustom = this.bannerTypeSelect.value === this.bannerSizeService.CUSTOM_SIZE_ID;
+        this.customSizeContainer?.classList.toggle('hidden', !isCustom);
 
-        const bannerType = this.bannerTypeSelect.value;
-        const text = this.bannerTextInput?.value || '';
-        const bgColor = this.bannerBgColorInput?.value || '#ffffff';
-        const textColor = this.bannerTextColorInput?.value || '#000000';
-        const fontSize = this.bannerFontSizeInput?.value || 16;
-        const fontFamily = this.bannerFontFamilySelect?.value || 'sans-serif';
+        // Show either the primary design or the selected size variant
+        const variant = this.variants.find(v => v.id === this.previewVariantId);
+        const bannerData = this._getDisplayedBanner();
+        this._updatePreviewLabel(variant);
 
-        // Set dimensions based on type
-        if (bannerType === 'square') {
-            this.bannerPreview.style.width = '250px';
-            this.bannerPreview.style.height = '250px';
-        } else { // vertical
-            this.bannerPreview.style.width = '300px';
-            this.bannerPreview.style.height = '600px';
+        // Set dimensions and background
+        this.bannerPreview.style.width = `${bannerData.width}px`;
+        this.bannerPreview.style.height = `${bannerData.height}px`;
+        this.bannerPreview.style.backgroundColor = bannerData.bgColor;
+
+        // Render layers in stacking order, plus the selection outline
+        this.bannerPreview.innerHTML = '';
+        [...bannerData.layers]
+            .sort((a, b) => a.zIndex - b.zIndex)
+            .forEach(layer => this.bannerPreview.appendChild(this._createLayerElement(layer)));
+        const selected = bannerData.layers.find(layer => layer.id === this.selectedLayerId);
+        if (selected) {
+            this.bannerPreview.appendChild(this._createSelectionElement(selected));
         }
+        if (variant) this._renderVariantList();
+        this._updateDirtyState(); // Every edit ends up here
+    }
+
+    /**
+     * Whether the editor has changes that were not saved to the active campaign.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    isDirty() {
+        return this.savedSnapshot !== null && JSON.stringify(this._getBannerData()) !== this.savedSnapshot;
+    }
+
+    /**
+     * Throws away unsaved changes by reloading the banner saved in the active campaign.
+     */
+    discardChanges() {
+        this.loadBanner();
+    }
 
-        // Apply styles
-        this.bannerPreview.style.backgroundColor = bgColor;
-        this.bannerPreviewText.style.color = textColor;
-        this.bannerPreviewText.style.fontSize = `${fontSize}px`;
-        this.bannerPreviewText.style.fontFamily = fontFamily;
-        this.bannerPreviewText.textContent = text;
-        this.bannerPreviewText.innerHTML = text.replace(/\n/g, '<br>');
+    /**
+     * Shows or hides the unsaved changes indicator.
+     * @private
+     */
+    _updateDirtyState() {
+        this.unsavedIndicator?.classList.toggle('hidden', !this.isDirty());
+    }
+
+    /**
+     * Shows which size is currently previewed, with a way back to the primary design.
+     * @param {Object|undefined} variant The previewed variant, if any.
+     * @private
+     */
+    _updatePreviewLabel(variant) {
+        if (!this.previewLabel) return;
+        if (variant) {
+            this.previewLabel.innerHTML = 'Previewing variant: <span class="font-semibold"></span> <button type="button" class="banner-preview-primary-btn text-blue-600 hover:underline ml-2">Back to primary</button>';
+            this.previewLabel.querySelector('span').textContent = this.bannerSizeService.getLabel(variant);
+        } else {
+            this.previewLabel.textContent = `Primary design: ${this.bannerSizeService.getLabel(this._getPrimarySize())}`;
+        }
     }
 
     /**
@@ -132,88 +1079,292 @@ class BannerEditor {
      */
     loadBanner() {
         const activeCampaign = this.campaignService.getActiveCampaign();
-        if (activeCampaign && activeCampaign.assets && activeCampaign.assets.banner) {
-            const savedBanner = activeCampaign.assets.banner;
-            if (this.bannerTypeSelect) this.bannerTypeSelect.value = savedBanner.type;
-            if (this.bannerTextInput) this.bannerTextInput.value = savedBanner.text;
-            if (this.bannerBgColorInput) this.bannerBgColorInput.value = savedBanner.bgColor;
-            if (this.bannerTextColorInput) this.bannerTextColorInput.value = savedBanner.textColor;
-            if (this.bannerFontSizeInput) this.bannerFontSizeInput.value = savedBanner.fontSize;
-            if (this.bannerFontFamilySelect) this.bannerFontFamilySelect.value = savedBanner.fontFamily;
+        if (this.abVariantId && !(activeCampaign && this.creativeTestService.getVariantAsset(activeCampaign, 'banner', this.abVariantId))) {
+            this.abVariantId = null; // The A/B variant was removed or promoted
+        }
+        const savedBanner = activeCampaign ? this.creativeTestService.getVariantAsset(activeCampaign, 'banner', this.abVariantId) : null;
+        if (savedBanner) {
+            if (this.bannerTypeSelect) this.bannerTypeSelect.value = this.bannerSizeService.normalizeSizeId(savedBanner.type);
+            if (this.customWidthInput) this.customWidthInput.value = savedBanner.width || '';
+            if (this.customHeightInput) this.customHeightInput.value = savedBanner.height || '';
+            const banner = this._normalizeBanner(savedBanner);
+            if (this.bannerBgColorInput) this.bannerBgColorInput.value = banner.bgColor || '#ffffff';
+            this.layers = banner.layers;
+            this.variants = banner.variants;
             console.log('Banner loaded from active campaign.');
         } else {
             console.log('No banner found in active campaign, starting new.');
+            if (this.bannerTypeSelect) this.bannerTypeSelect.value = this.bannerSizeService.DEFAULT_SIZE_ID;
+            this.layers = this._createDefaultLayers();
             this._applyTemplate('template1');
-            if (this.bannerTextInput) this.bannerTextInput.value = 'Your Ad Text Here'; // Default text
+            this.variants = [];
         }
+        this.previewVariantId = null;
+        this.selectedLayerId = this.layers[0]?.id || null;
+        this._renderLayerList();
+        this._renderVariantList();
+        this._syncLayerFields();
+        this.savedSnapshot = JSON.stringify(this._getBannerData());
+        this._renderAbVariants();
         this.updatePreview();
     }
 
     /**
-     * Saves current banner data to Local Storage.
+     * Fills the A/B variant select with the variants of the banner's test, and hides it while the banner
+     * is not being tested.
+     * @private
      */
-    saveBanner() {
+    _renderAbVariants() {
+        if (!this.abVariantSelect) return;
+        const test = this.campaignService.getActiveCampaign()?.creativeTests?.banner;
+        this.abVariantBar?.classList.toggle('hidden', !test);
+        this.abVariantSelect.innerHTML = '';
+        (test?.variants || []).forEach(variant => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = this.creativeTestService.getVariantLabel(variant);
+            this.abVariantSelect.appendChild(option);
+        });
+        this.abVariantSelect.value = this.abVariantId || this.creativeTestService.PRIMARY_ID;
+    }
+
+    /**
+     * Switches the editor to another A/B variant of the banner, after confirmation if there are unsaved changes.
+     * @param {string|null} variantId The A/B variant, or null for the primary banner.
+     */
+    selectAbVariant(variantId) {
+        const abVariantId = variantId === this.creativeTestService.PRIMARY_ID ? null : variantId;
+        if (abVariantId === this.abVariantId) return;
+        if (this.isDirty() && !confirm('Discard your unsaved changes to this variant?')) {
+            this._renderAbVariants();
+            return;
+        }
+        this.abVariantId = abVariantId;
+        this.loadBanner();
+    }
+
+    /**
+     * Saves current banner data to the active campaign.
+     * @returns {Promise<boolean>} True if saved, false if there is no active campaign, the user may not edit it, its status does not allow changes, or storage failed.
+     */
+    async saveBanner() {
         const activeCampaign = this.campaignService.getActiveCampaign();
         if (!activeCampaign) {
             console.error('No active campaign to save to.');
-            return;
+            return false;
+        }
+        const restriction = this.campaignService.getEditRestriction();
+        if (restriction) {
+            alert(restriction);
+            return false;
         }
 
-        const bannerData = {
-            type: this.bannerTypeSelect?.value || 'square',
-            text: this.bannerTextInput?.value || '',
-            bgColor: this.bannerBgColorInput?.value || '#ffffff',
-            textColor: this.bannerTextColorInput?.value || '#000000',
-            fontSize: this.bannerFontSizeInput?.value || 16,
-            fontFamily: this.bannerFontFamilySelect?.value || 'sans-serif'
-        };
+        const bannerData = this._getBannerData();
 
-        // Update the active campaign object with the new banner data
-        activeCampaign.assets.banner = bannerData;
+        try {
+            if (this.abVariantId) {
+                await this.campaignService.updateVariantAsset(activeCampaign.id, 'banner', this.abVariantId, bannerData);
+            } else {
+                // Update the active campaign object with the new banner data
+                activeCampaign.assets.banner = bannerData;
 
-        // Save the updated campaign to Local Storage (persists the change)
-        this.campaignService.saveCampaign(activeCampaign);
+                // Save the updated campaign (persists the change)
+                await this.campaignService.saveCampaign(activeCampaign);
 
-        // Also update the active campaign key to reflect the change
-        this.campaignService.setActiveCampaign(activeCampaign);
+                // Also update the active campaign key to reflect the change
+                await this.campaignService.setActiveCampaign(activeCampaign);
+            }
+        } catch (error) {
+            // Storage errors are shown to the user by UIController; keep the editor contents intact.
+            console.error('Banner could not be saved:', error);
+            if (['CampaignSchemaError', 'CampaignAccessError', 'CampaignLifecycleError', 'CreativeTestError'].includes(error.name)) alert(error.message);
+            return false;
+        }
 
+        this.savedSnapshot = JSON.stringify(bannerData);
+        this._updateDirtyState();
         console.log('Banner saved and campaign updated.');
+        return true;
     }
 
     /**
-     * Downloads the current banner preview as an image file.
-     * NOTE: This is a placeholder function that requires an external library like html2canvas.
-     * It demonstrates the logic needed to capture the HTML preview and save it as an image.
+     * Enables the quality control only for lossy formats and shows the current quality value.
+     * @private
      */
-    downloadBannerAsImage() {
-        const previewElement = this.bannerPreview;
-        if (!previewElement) {
-            console.error('Banner preview element not found.');
+    _updateExportControls() {
+        const format = this.exportFormatSelect?.value || 'png';
+        if (this.exportQualityInput) this.exportQualityInput.disabled = format !== 'jpeg';
+        if (this.exportQualityValue && this.exportQualityInput) {
+            this.exportQualityValue.textContent = `${Math.round(this.exportQualityInput.value * 100)}%`;
+        }
+    }
+
+    /**
+     * Downloads the current banner as a PNG, JPEG or SVG file.
+     * The banner is redrawn from its data by BannerRenderService at the exact preview dimensions.
+     * Only possible once the campaign has been approved.
+     * @param {string} [format] The export format; defaults to the value of the format select.
+     * @param {number} [quality] JPEG quality between 0 and 1; defaults to the value of the quality slider.
+     * @returns {Promise<void>}
+     */
+    async downloadBannerAsImage(format = this.exportFormatSelect?.value || 'png', quality = Number(this.exportQualityInput?.value) || 0.92) {
+        const releaseRestriction = this.campaignService.getReleaseRestriction();
+        if (releaseRestriction) {
+            alert(releaseRestriction);
             return;
         }
+        const bannerData = this._getBannerData();
+        const { width, height } = bannerData;
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const fileName = `${activeCampaign?.name || 'banner'}_${width}x${height}`;
 
-        // --- Start of conceptual code using a library like html2canvas ---
-        // html2canvas(previewElement).then(canvas => {
-        //     const image = canvas.toDataURL('image/png').replace('image/png', 'image/octet-stream');
-        //     const a = document.createElement('a');
-        //     a.setAttribute('download', 'banner.png');
-        //     a.setAttribute('href', image);
-        //     a.click();
-        // });
-        // --- End of conceptual code ---
+        try {
+            await this.bannerRenderService.downloadBanner(bannerData, { format, quality, fileName });
+            console.log(`Banner downloaded as ${format.toUpperCase()} (${width}x${height}).`);
+        } catch (error) {
+            console.error('Banner export failed:', error);
+            alert(`Banner export failed: ${error.message}`);
+        }
+    }
 
-        // As a simple placeholder, we'll log the action and prompt a fake download.
-        console.log('Simulating banner download as an image (PNG).');
-        alert('Banner image downloaded!');
+    /**
+     * Downloads the primary design and every size variant as separate files in one batch.
+     * Only possible once the campaign has been approved.
+     * @param {string} [format] The export format; defaults to the value of the format select.
+     * @param {number} [quality] JPEG quality between 0 and 1; defaults to the value of the quality slider.
+     * @returns {Promise<void>}
+     */
+    async downloadAllSizes(format = this.exportFormatSelect?.value || 'png', quality = Number(this.exportQualityInput?.value) || 0.92) {
+        const releaseRestriction = this.campaignService.getReleaseRestriction();
+        if (releaseRestriction) {
+            alert(releaseRestriction);
+            return;
+        }
+        const bannerData = this._getBannerData();
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const baseName = activeCampaign?.name || 'banner';
+        const batch = [bannerData, ...bannerData.variants.map(variant => this.resolveVariant(bannerData, variant))];
+
+        try {
+            for (const data of batch) {
+                await this.bannerRenderService.downloadBanner(data, { format, quality, fileName: `${baseName}_${data.width}x${data.height}` });
+                // Give the browser a moment between downloads so none are dropped.
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+            console.log(`Exported ${batch.length} banner sizes as ${format.toUpperCase()}.`);
+        } catch (error) {
+            console.error('Batch banner export failed:', error);
+            alert(`Batch banner export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Builds the banner (or the A/B variant being edited) as last saved on the active campaign, in the size currently previewed.
+     * @returns {Object|null} Render-ready banner data, or null if no banner has been saved.
+     * @private
+     */
+    _getSavedBannerData() {
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const savedBanner = activeCampaign ? this.creativeTestService.getVariantAsset(activeCampaign, 'banner', this.abVariantId) : null;
+        if (!savedBanner) return null;
+
+        const bannerData = this._getRenderableBanner(savedBanner);
+        const variant = bannerData.variants.find(v => v.id === this.previewVariantId);
+        return variant ? this.resolveVariant(bannerData, variant) : bannerData;
+    }
+
+    /**
+     * Builds render-ready data for a banner as stored on a campaign, in its primary size.
+     * @param {Object} savedBanner The banner as stored on the campaign.
+     * @returns {Object} Banner data, ready for BannerRenderService.
+     * @private
+     */
+    _getRenderableBanner(savedBanner) {
+        const size = this.bannerSizeService.resolveSize(savedBanner.type, savedBanner);
+        return { type: size.id, width: size.width, height: size.height, ...this._normalizeBanner(savedBanner) };
+    }
+
+    /**
+     * Renders a banner as stored on a campaign (e.g. an A/B variant) as SVG, for previews outside the editor.
+     * @param {Object} savedBanner The banner as stored on the campaign.
+     * @returns {Promise<string>} The SVG markup.
+     */
+    renderSvg(savedBanner) {
+        return this.bannerRenderService.renderToSvg(this._getRenderableBanner(savedBanner));
     }
 
+    /**
+     * Shows the result of validating an HTML5 package against the selected network.
+     * @param {Object} pkg The package.
+     * @param {Array<string>} violations The violations found.
+     * @private
+     */
+    _renderHtml5Report(pkg, violations) {
+        if (!this.html5Report) return;
+        this.html5Report.innerHTML = '';
+        const summary = `${pkg.files.length} files, ${(pkg.zip.size / 1024).toFixed(1)} KB`;
+        const items = violations.length ? violations : [`Package passes the selected network's limits (${summary}).`];
+        items.forEach(text => {
+            const li = document.createElement('li');
+            li.className = violations.length ? 'text-sm text-red-600' : 'text-sm text-green-700';
+            li.textContent = text;
+            this.html5Report.appendChild(li);
+        });
+    }
+
+    /**
+     * Exports the saved banner as an HTML5 ad-network package (zip with index.html, ad.size meta and clickTag).
+     * The package is validated against the selected network first; violations are reported and the
+     * download only proceeds if the user confirms. Only possible once the campaign has been approved.
+     * @returns {Promise<void>}
+     */
+    async exportHtml5Package() {
+        const releaseRestriction = this.campaignService.getReleaseRestriction();
+        if (releaseRestriction) {
+            alert(releaseRestriction);
+            return;
+        }
+        const bannerData = this._getSavedBannerData();
+        if (!bannerData) {
+            alert('Please save the banner before exporting an HTML5 package.');
+            return;
+        }
+
+        // Default the clickTag to the CTA button's link when no landing page URL was entered.
+        const ctaLink = bannerData.layers.find(layer => layer.type === 'cta' && layer.link)?.link || '';
+        const clickUrl = this.html5ClickUrlInput?.value.trim() || ctaLink;
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const fileName = `${activeCampaign?.name || 'banner'}_${bannerData.width}x${bannerData.height}_html5`;
+
+        try {
+            const pkg = await this.html5BannerService.buildPackage(bannerData, {
+                clickUrl,
+                animation: this.html5AnimationSelect?.value || 'none',
+                title: activeCampaign?.name || 'Banner',
+                targeting: activeCampaign ? await this.campaignService.getTargetingSummary(activeCampaign) : []
+            });
+            const violations = this.html5BannerService.validatePackage(pkg, this.html5NetworkSelect?.value || 'google-ads');
+            this._renderHtml5Report(pkg, violations);
+
+            if (violations.length && !confirm(`The HTML5 package has ${violations.length} problem(s) that may get it rejected by the ad network:\n\n- ${violations.join('\n- ')}\n\nDownload anyway?`)) {
+                return;
+            }
+            this.html5BannerService.downloadPackage(pkg, fileName);
+            console.log(`HTML5 banner package exported (${bannerData.width}x${bannerData.height}).`);
+        } catch (error) {
+            console.error('HTML5 package export failed:', error);
+            alert(`HTML5 package export failed: ${error.message}`);
+        }
+    }
 
     /**
      * Renders the Banner Editor screen, loading previous data if available.
+     * @param {string|null} [abVariantId] The A/B variant to edit, or null for the primary banner.
      */
-    render() {
+    render(abVariantId = null) {
+        this.abVariantId = abVariantId === this.creativeTestService.PRIMARY_ID ? null : abVariantId;
         // Ensure all elements are available before trying to interact
-        if (this.bannerPreview && this.bannerTextInput && this.bannerTypeSelect) {
+        if (this.bannerPreview && this.layerList && this.bannerTypeSelect) {
             this.loadBanner();
         } else {
             console.warn("Banner Editor DOM elements not fully loaded or available.");
@@ -221,4 +1372,4 @@ class BannerEditor {
     }
 }
 
-export default BannerEditor;
\ No newline at end of file
+export default BannerEditor;
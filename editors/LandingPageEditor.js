@@ -1,17 +1,22 @@
 /**
  * @fileoverview Manages the Landing Page Editor screen.
  * Allows creating and editing landing pages with content, images, CTA buttons, and an optional lead form.
+ * Lead form submissions in the preview and in test mode, which shows the page full size as a visitor sees
+ * it, are saved as leads of the active campaign.
  */
 
 class LandingPageEditor {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
      * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CreativeTestService} creativeTestService Dependency on CreativeTestService.
      */
-    constructor(localStorageService, campaignService) {
+    constructor(localStorageService, campaignService, creativeTestService) {
         this.localStorageService = localStorageService;
         this.campaignService = campaignService;
+        this.creativeTestService = creativeTestService;
         this.LANDING_PAGE_KEY = 'current_landing_page'; // Retained for compatibility
+        this.COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i; // Colors as the color inputs write them
 
         // DOM Elements
         this.templateBtns = document.querySelectorAll('.landing-template-btn');
@@ -26,9 +31,19 @@ class LandingPageEditor {
         this.saveBtn = document.getElementById('save-landing-btn');
         this.previewContainer = document.getElementById('landing-preview-container');
         this.downloadHtmlBtn = document.getElementById('download-html-btn');
-
+        this.unsavedIndicator = document.getElementById('landing-unsaved-indicator');
+        this.abVariantBar = document.getElementById('landing-ab-variant-bar');
+        this.abVariantSelect = document.getElementById('landing-ab-variant-select');
+        this.leadNotice = document.getElementById('landing-lead-notice');
+        this.testModeBtn = document.getElementById('landing-test-mode-btn');
+        this.testDialog = document.getElementById('landing-test-dialog');
+        this.testContainer = document.getElementById('landing-test-container');
+        this.testNotice = document.getElementById('landing-test-notice');
+        this.testCloseBtn = document.getElementById('landing-test-close-btn');
 
         this.currentTemplateId = 'template1'; // Default template
+        this.savedSnapshot = null; // JSON of the page as last loaded or saved, to detect unsaved changes
+        this.abVariantId = null; // A/B variant being edited, or null for the primary landing page
 
         this._bindEvents();
         this._applyTemplate(this.currentTemplateId); // Apply default template on load
@@ -45,11 +60,12 @@ class LandingPageEditor {
         const leadFormHtml = `
             <div style="background-color: rgba(255,255,255,0.9); padding: 20px; border-radius: 8px; margin-top: 30px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
                 <h4 style="text-align: center; color: #333; margin-bottom: 15px;">Sign Up for More Info!</h4>
-                <form onsubmit="event.preventDefault(); alert('Lead Captured: ' + this.name.value + ' - ' + this.email.value);" style="display: flex; flex-direction: column; gap: 10px;">
+                <form data-lead-form style="display: flex; flex-direction: column; gap: 10px;">
                     <input type="text" name="name" placeholder="Your Name" style="padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required>
                     <input type="email" name="email" placeholder="Your Email" style="padding: 10px; border: 1px solid #ddd; border-radius: 4px;" required>
                     <button type="submit" style="padding: 10px 15px; background-color: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 16px;">Submit</button>
                 </form>
+                <p data-lead-thanks hidden style="text-align: center; color: #333; margin: 0;">Thank you! We will be in touch soon.</p>
             </div>
         `;
 
@@ -113,6 +129,18 @@ class LandingPageEditor {
 
         if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.savePage());
         if (this.downloadHtmlBtn) this.downloadHtmlBtn.addEventListener('click', () => this.downloadHtml());
+        if (this.abVariantSelect) this.abVariantSelect.addEventListener('change', () => this.selectAbVariant(this.abVariantSelect.value));
+
+        // Lead forms are part of the rendered page, so their submissions are caught where they bubble to.
+        if (this.previewContainer) this.previewContainer.addEventListener('submit', (e) => this._handleLeadFormSubmit(e, 'preview'));
+        if (this.testContainer) this.testContainer.addEventListener('submit', (e) => this._handleLeadFormSubmit(e, 'test'));
+        if (this.testModeBtn) this.testModeBtn.addEventListener('click', () => this.openTestMode());
+        if (this.testCloseBtn) this.testCloseBtn.addEventListener('click', () => this.closeTestMode());
+        if (this.testDialog) {
+            this.testDialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeTestMode();
+            });
+        }
 
 
         document.addEventListener('DOMContentLoaded', () => this.render());
@@ -181,32 +209,167 @@ class LandingPageEditor {
      */
     updatePreview() {
         if (!this.previewContainer) return;
+        this.previewContainer.innerHTML = this.renderHtml(this._getPageData());
+        if (this.leadNotice) this.leadNotice.classList.add('hidden');
+        this._updateDirtyState(); // Every edit ends up here
+    }
+
+    /**
+     * Shows the landing page as it is being edited full size, as a visitor would see it. Submissions of
+     * its lead form are saved as test leads of the active campaign.
+     */
+    openTestMode() {
+        if (!this.testDialog || !this.testContainer) return;
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        if (!activeCampaign) {
+            alert('Open a campaign first; test leads are saved to it.');
+            return;
+        }
+        this.testContainer.innerHTML = this.renderHtml(this._getPageData());
+        if (this.testNotice) {
+            this.testNotice.textContent = `Test mode: lead form submissions are saved as test leads of "${activeCampaign.name}".`;
+        }
+        this.testDialog.classList.remove('hidden');
+        if (this.testCloseBtn) this.testCloseBtn.focus();
+    }
+
+    /**
+     * Closes test mode.
+     */
+    closeTestMode() {
+        if (!this.testDialog) return;
+        this.testDialog.classList.add('hidden');
+        if (this.testContainer) this.testContainer.innerHTML = '';
+    }
+
+    /**
+     * Saves a lead form submission as a lead of the active campaign. Only once it is saved does the form
+     * make way for its thank-you message, so a submission that was not saved can be corrected and sent again.
+     * @param {SubmitEvent} e The submit event.
+     * @param {string} source Where the form was submitted: 'preview' or 'test' (see LeadService.SOURCES).
+     * @returns {Promise<Object|null>} The lead, or null if it was not saved.
+     * @private
+     */
+    async _handleLeadFormSubmit(e, source) {
+        const form = e.target;
+        if (!form.hasAttribute('data-lead-form')) return null;
+        e.preventDefault(); // Never navigate away from the app
+
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        if (!activeCampaign) {
+            alert('Open a campaign first; leads are saved to it.');
+            return null;
+        }
+        const submission = {
+            name: form.elements.namedItem('name')?.value || '',
+            email: form.elements.namedItem('email')?.value || ''
+        };
+        let lead;
+        try {
+            lead = await this.campaignService.captureLead(activeCampaign.id, submission, {
+                templateId: this.currentTemplateId,
+                variantId: this.abVariantId,
+                source
+            });
+        } catch (error) {
+            console.error('Lead could not be saved:', error);
+            alert(`Lead could not be saved: ${error.message}`);
+            return null;
+        }
 
-        const title = this.titleInput?.value || '';
-        const paragraph = this.paragraphInput?.value || '';
-        let imageUrl = this.imageUrlInput?.value || '';
-        const ctaText = this.ctaTextInput?.value || '';
-        const ctaLink = this.ctaLinkInput?.value || '#';
-        const bgColor = this.bgColorInput?.value || '#e0f2f7';
-        const textColor = this.textColorInput?.value || '#0a2a43';
-        const includeLeadForm = this.collectLeadsCheckbox?.checked || false;
+        form.hidden = true;
+        const thanks = form.parentElement.querySelector('[data-lead-thanks]');
+        if (thanks) thanks.hidden = false;
+        const notice = source === 'test' ? this.testNotice : this.leadNotice;
+        if (notice) {
+            notice.textContent = `Saved the lead of ${lead.email} to "${activeCampaign.name}"; see it under Leads.`;
+            notice.classList.remove('hidden');
+        }
+        return lead;
+    }
+
+    /**
+     * Renders a landing page, e.g. one of its A/B variants for a side-by-side preview.
+     * @param {Object} pageData The landing page data.
+     * @returns {string} The page's HTML.
+     */
+    renderHtml(pageData) {
+        const { title, paragraph, ctaText, includeLeadForm } = pageData;
+        let imageUrl = pageData.imageUrl || '';
 
         if (!imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
             imageUrl = 'https://placehold.co/800x400/eeeeee/333333?text=Image+Placeholder';
         }
+        // Only web, email and phone links or anchors on the page; a javascript: link would run in the app's preview
+        const ctaLink = /^(https?:|mailto:|tel:|#)/i.test((pageData.ctaLink || '').trim()) ? pageData.ctaLink.trim() : '#';
+        const bgColor = this.COLOR_PATTERN.test(pageData.bgColor) ? pageData.bgColor : '#e0f2f7';
+        const textColor = this.COLOR_PATTERN.test(pageData.textColor) ? pageData.textColor : '#0a2a43';
+
+        // Values are escaped: pages of campaigns shared by other users or imported from bundles are previewed in the app
+        const values = { title, paragraph, imageUrl, ctaText, ctaLink, bgColor, textColor };
+        return this._getTemplateHtml(pageData.templateId, includeLeadForm)
+            .replace(/{(title|paragraph|imageUrl|ctaText|ctaLink|bgColor|textColor)}/g, (placeholder, key) => this._escapeHtml(values[key]));
+    }
+
+    /**
+     * Escapes a value for use in HTML text or attribute values.
+     * @param {string} value The raw value.
+     * @returns {string} The escaped value.
+     * @private
+     */
+    _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Collects the current landing page from the editor controls.
+     * @returns {Object} The landing page data.
+     * @private
+     */
+    _getPageData() {
+        return {
+            templateId: this.currentTemplateId,
+            title: this.titleInput?.value || '',
+            paragraph: this.paragraphInput?.value || '',
+            imageUrl: this.imageUrlInput?.value || '',
+            ctaText: this.ctaTextInput?.value || '',
+            ctaLink: this.ctaLinkInput?.value || '#',
+            bgColor: this.bgColorInput?.value || '#e0f2f7',
+            textColor: this.textColorInput?.value || '#0a2a43',
+            includeLeadForm: this.collectLeadsCheckbox?.checked || false
+        };
+    }
 
-        let htmlContent = this._getTemplateHtml(this.currentTemplateId, includeLeadForm);
+    /**
+     * Whether the editor has changes that were not saved to the active campaign.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    isDirty() {
+        return this.savedSnapshot !== null && JSON.stringify(this._getPageData()) !== this.savedSnapshot;
+    }
 
-        // Replace placeholders with actual values
-        htmlContent = htmlContent.replace(/{title}/g, title);
-        htmlContent = htmlContent.replace(/{paragraph}/g, paragraph);
-        htmlContent = htmlContent.replace(/{imageUrl}/g, imageUrl);
-        htmlContent = htmlContent.replace(/{ctaText}/g, ctaText);
-        htmlContent = htmlContent.replace(/{ctaLink}/g, ctaLink);
-        htmlContent = htmlContent.replace(/{bgColor}/g, bgColor);
-        htmlContent = htmlContent.replace(/{textColor}/g, textColor);
+    /**
+     * Throws away unsaved changes by reloading the page saved in the active campaign.
+     */
+    discardChanges() {
+        // Without a saved page, loadPage() keeps typed text over the template defaults, so clear it first.
+        [this.titleInput, this.paragraphInput, this.imageUrlInput].forEach(input => {
+            if (input) input.value = '';
+        });
+        this.loadPage();
+    }
 
-        this.previewContainer.innerHTML = htmlContent;
+    /**
+     * Shows or hides the unsaved changes indicator.
+     * @private
+     */
+    _updateDirtyState() {
+        this.unsavedIndicator?.classList.toggle('hidden', !this.isDirty());
     }
 
     /**
@@ -214,8 +377,11 @@ class LandingPageEditor {
      */
     loadPage() {
         const activeCampaign = this.campaignService.getActiveCampaign();
-        if (activeCampaign && activeCampaign.assets && activeCampaign.assets.landingPage) {
-            const savedPage = activeCampaign.assets.landingPage;
+        if (this.abVariantId && !(activeCampaign && this.creativeTestService.getVariantAsset(activeCampaign, 'landingPage', this.abVariantId))) {
+            this.abVariantId = null; // The variant was removed or promoted
+        }
+        const savedPage = activeCampaign ? this.creativeTestService.getVariantAsset(activeCampaign, 'landingPage', this.abVariantId) : null;
+        if (savedPage) {
             this.currentTemplateId = savedPage.templateId; // Load saved template
             if (this.titleInput) this.titleInput.value = savedPage.title;
             if (this.paragraphInput) this.paragraphInput.value = savedPage.paragraph;
@@ -232,54 +398,121 @@ class LandingPageEditor {
             this._applyTemplate('template1'); // Apply default template values
             if (this.collectLeadsCheckbox) this.collectLeadsCheckbox.checked = false; // Default to no form
         }
+        this.savedSnapshot = JSON.stringify(this._getPageData());
+        this._renderAbVariants();
         this.updatePreview(); // Always update preview after loading/initializing
     }
 
     /**
-     * Saves current landing page data to Local Storage.
+     * Fills the A/B variant select with the variants of the landing page's test, and hides it while
+     * the landing page is not being tested.
+     * @private
+     */
+    _renderAbVariants() {
+        if (!this.abVariantSelect) return;
+        const test = this.campaignService.getActiveCampaign()?.creativeTests?.landingPage;
+        this.abVariantBar?.classList.toggle('hidden', !test);
+        this.abVariantSelect.innerHTML = '';
+        (test?.variants || []).forEach(variant => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = this.creativeTestService.getVariantLabel(variant);
+            this.abVariantSelect.appendChild(option);
+        });
+        this.abVariantSelect.value = this.abVariantId || this.creativeTestService.PRIMARY_ID;
+    }
+
+    /**
+     * Switches the editor to another A/B variant of the landing page, after confirmation if there are unsaved changes.
+     * @param {string|null} variantId The variant, or null for the primary landing page.
+     */
+    selectAbVariant(variantId) {
+        const abVariantId = variantId === this.creativeTestService.PRIMARY_ID ? null : variantId;
+        if (abVariantId === this.abVariantId) return;
+        if (this.isDirty() && !confirm('Discard your unsaved changes to this variant?')) {
+            this._renderAbVariants();
+            return;
+        }
+        this.abVariantId = abVariantId;
+        this.loadPage();
+    }
+
+    /**
+     * Saves current landing page data to the active campaign.
+     * @returns {Promise<boolean>} True if saved, false if there is no active campaign, the user may not edit it, its status does not allow changes, or storage failed.
      */
-    savePage() {
+    async savePage() {
         const activeCampaign = this.campaignService.getActiveCampaign();
         if (!activeCampaign) {
             console.error('No active campaign to save to.');
-            return;
+            return false;
+        }
+        const restriction = this.campaignService.getEditRestriction();
+        if (restriction) {
+            alert(restriction);
+            return false;
         }
 
-        const pageData = {
-            templateId: this.currentTemplateId,
-            title: this.titleInput?.value || '',
-            paragraph: this.paragraphInput?.value || '',
-            imageUrl: this.imageUrlInput?.value || '',
-            ctaText: this.ctaTextInput?.value || '',
-            ctaLink: this.ctaLinkInput?.value || '#',
-            bgColor: this.bgColorInput?.value || '#e0f2f7',
-            textColor: this.textColorInput?.value || '#0a2a43',
-            includeLeadForm: this.collectLeadsCheckbox?.checked || false
-        };
+        const pageData = this._getPageData();
 
-        // Update the active campaign object with the new landing page data
-        activeCampaign.assets.landingPage = pageData;
+        try {
+            if (this.abVariantId) {
+                await this.campaignService.updateVariantAsset(activeCampaign.id, 'landingPage', this.abVariantId, pageData);
+            } else {
+                // Update the active campaign object with the new landing page data
+                activeCampaign.assets.landingPage = pageData;
 
-        // Save the updated campaign to Local Storage (persists the change)
-        this.campaignService.saveCampaign(activeCampaign);
+                // Save the updated campaign (persists the change)
+                await this.campaignService.saveCampaign(activeCampaign);
 
-        // Also update the active campaign key to reflect the change
-        this.campaignService.setActiveCampaign(activeCampaign);
+                // Also update the active campaign key to reflect the change
+                await this.campaignService.setActiveCampaign(activeCampaign);
+            }
+        } catch (error) {
+            // Storage errors are shown to the user by UIController; keep the editor contents intact.
+            console.error('Landing page could not be saved:', error);
+            if (['CampaignSchemaError', 'CampaignAccessError', 'CampaignLifecycleError', 'CreativeTestError'].includes(error.name)) alert(error.message);
+            return false;
+        }
 
+        this.savedSnapshot = JSON.stringify(pageData);
+        this._updateDirtyState();
         console.log('Landing page saved and campaign updated.');
+        return true;
+    }
+
+    /**
+     * Makes the lead form of a page rendered for use outside the app show its thank-you message on its own,
+     * since no editor is there to handle its submissions.
+     * @param {string} html The page's HTML.
+     * @returns {string} The HTML with the form's submit handler.
+     * @private
+     */
+    _withStandaloneLeadForm(html) {
+        return html.replace('<form data-lead-form', '<form data-lead-form onsubmit="event.preventDefault(); this.hidden = true; ' +
+            'this.parentElement.querySelector(\'[data-lead-thanks]\').hidden = false;"');
     }
 
     /**
-     * Downloads the current landing page as an HTML file.
+     * Downloads the current landing page as an HTML file, noting the campaign's targeting in a comment.
+     * Only possible once the campaign has been approved.
+     * @returns {Promise<void>}
      */
-    downloadHtml() {
-        if (!this.previewContainer) {
-            console.error('Preview container not found.');
+    async downloadHtml() {
+        const releaseRestriction = this.campaignService.getReleaseRestriction();
+        if (releaseRestriction) {
+            alert(releaseRestriction);
             return;
         }
-
         const pageTitle = this.titleInput?.value || 'Landing Page';
-        const htmlContent = this.previewContainer.innerHTML;
+        // Rendered afresh rather than copied from the preview, whose lead form may have been submitted
+        const htmlContent = this._withStandaloneLeadForm(this.renderHtml(this._getPageData()));
+        const activeCampaign = this.campaignService.getActiveCampaign();
+        const targeting = activeCampaign ? await this.campaignService.getTargetingSummary(activeCampaign) : [];
+        // "--" would end the comment early.
+        const targetingComment = targeting.length
+            ? `\n    <!--\n        Targeting:\n${targeting.map(line => `        ${line.replace(/--/g, '- -')}`).join('\n')}\n    -->`
+            : '';
 
         // Construct a full HTML document (optional, but good practice for a standalone file)
         const fullHtml = `<!DOCTYPE html>
@@ -287,7 +520,7 @@ class LandingPageEditor {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${pageTitle}</title>
+    <title>${this._escapeHtml(pageTitle)}</title>${targetingComment}
     <style>
         body { margin: 0; padding: 0; }
         /* Include any common styles or styles needed by your templates */
@@ -314,8 +547,10 @@ class LandingPageEditor {
 
     /**
      * Renders the Landing Page Editor screen.
+     * @param {string|null} [abVariantId] The A/B variant to edit, or null for the primary landing page.
      */
-    render() {
+    render(abVariantId = null) {
+        this.abVariantId = abVariantId === this.creativeTestService.PRIMARY_ID ? null : abVariantId;
         this.loadPage();
     }
 }
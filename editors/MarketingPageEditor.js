@@ -7,10 +7,13 @@ class MarketingPageEditor {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
      * @param {CampaignService} campaignService Dependency on CampaignService.
+     * @param {CreativeTestService} creativeTestService Dependency on CreativeTestService.
      */
-    constructor(localStorageService, campaignService) {
+    constructor(localStorageService, campaignService, creativeTestService) {
         this.localStorageService = localStorageService;
         this.campaignService = campaignService;
+        this.creativeTestService = creativeTestService;
+        this.COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i; // Colors as the color inputs write them
 
         // DOM Elements
         this.templateBtns = document.querySelectorAll('.marketing-template-btn');
@@ -22,8 +25,13 @@ class MarketingPageEditor {
         this.saveBtn = document.getElementById('save-marketing-btn');
         this.previewContainer = document.getElementById('marketing-preview-container');
         this.sendBtn = document.getElementById('send-marketing-btn');
+        this.unsavedIndicator = document.getElementById('marketing-unsaved-indicator');
+        this.abVariantBar = document.getElementById('marketing-ab-variant-bar');
+        this.abVariantSelect = document.getElementById('marketing-ab-variant-select');
 
         this.currentTemplateId = 'template1'; // Default template
+        this.savedSnapshot = null; // JSON of the page as last loaded or saved, to detect unsaved changes
+        this.abVariantId = null; // A/B variant being edited, or null for the primary marketing page
 
         this._bindEvents();
         this._applyTemplate(this.currentTemplateId); // Apply default template on load
@@ -119,6 +127,7 @@ class MarketingPageEditor {
         if (this.sendBtn) {
             this.sendBtn.addEventListener('click', () => this.sendPage());
         }
+        if (this.abVariantSelect) this.abVariantSelect.addEventListener('change', () => this.selectAbVariant(this.abVariantSelect.value));
 
         // Initial render when page loads
         document.addEventListener('DOMContentLoaded', () => this.render());
@@ -180,30 +189,93 @@ class MarketingPageEditor {
      */
     updatePreview() {
         if (!this.previewContainer) return;
+        this.previewContainer.innerHTML = this.renderHtml(this._getPageData());
+        this._updateDirtyState(); // Every edit ends up here
+    }
 
-        const title = this.titleInput?.value || '';
-        const paragraph1 = this.paragraph1Input?.value || '';
-        let imageUrl = this.imageUrlInput?.value || '';
-        const bgColor = this.bgColorInput?.value || '#f8f8f8';
-        const textColor = this.textColorInput?.value || '#333333';
+    /**
+     * Renders a marketing page, e.g. one of its A/B variants for a side-by-side preview.
+     * @param {Object} pageData The marketing page data.
+     * @returns {string} The page's HTML.
+     */
+    renderHtml(pageData) {
+        const { title, paragraph1 } = pageData;
+        let imageUrl = pageData.imageUrl || '';
 
         // Provide a fallback image if URL is empty or invalid
         if (!imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
             imageUrl = 'https://placehold.co/600x200/cccccc/333333?text=Image+Placeholder';
         }
 
-        let htmlContent = this._getTemplateHtml(this.currentTemplateId);
+        const bgColor = this.COLOR_PATTERN.test(pageData.bgColor) ? pageData.bgColor : '#f8f8f8';
+        const textColor = this.COLOR_PATTERN.test(pageData.textColor) ? pageData.textColor : '#333333';
 
-        // Replace placeholders with actual values
-        htmlContent = htmlContent.replace(/{title}/g, title);
-        htmlContent = htmlContent.replace(/{paragraph1}/g, paragraph1);
-        htmlContent = htmlContent.replace(/{imageUrl}/g, imageUrl);
-        htmlContent = htmlContent.replace(/{bgColor}/g, bgColor);
-        htmlContent = htmlContent.replace(/{textColor}/g, textColor);
+        // Values are escaped: pages of campaigns shared by other users or imported from bundles are previewed in the app
+        const values = { title, paragraph1, imageUrl, bgColor, textColor };
+        const htmlContent = this._getTemplateHtml(pageData.templateId)
+            .replace(/{(title|paragraph1|imageUrl|bgColor|textColor)}/g, (placeholder, key) => this._escapeHtml(values[key]));
 
         console.log("Marketing Page Preview: Using image URL:", imageUrl);
 
-        this.previewContainer.innerHTML = htmlContent;
+        return htmlContent;
+    }
+
+    /**
+     * Escapes a value for use in HTML text or attribute values.
+     * @param {string} value The raw value.
+     * @returns {string} The escaped value.
+     * @private
+     */
+    _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Collects the current marketing page from the editor controls.
+     * @returns {Object} The marketing page data.
+     * @private
+     */
+    _getPageData() {
+        return {
+            templateId: this.currentTemplateId,
+            title: this.titleInput?.value || '',
+            paragraph1: this.paragraph1Input?.value || '',
+            imageUrl: this.imageUrlInput?.value || '',
+            bgColor: this.bgColorInput?.value || '#f8f8f8',
+            textColor: this.textColorInput?.value || '#333333'
+        };
+    }
+
+    /**
+     * Whether the editor has changes that were not saved to the active campaign.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    isDirty() {
+        return this.savedSnapshot !== null && JSON.stringify(this._getPageData()) !== this.savedSnapshot;
+    }
+
+    /**
+     * Throws away unsaved changes by reloading the page saved in the active campaign.
+     */
+    discardChanges() {
+        // Without a saved page, loadPage() keeps typed text over the template defaults, so clear it first.
+        [this.titleInput, this.paragraph1Input, this.imageUrlInput].forEach(input => {
+            if (input) input.value = '';
+        });
+        this.loadPage();
+    }
+
+    /**
+     * Shows or hides the unsaved changes indicator.
+     * @private
+     */
+    _updateDirtyState() {
+        this.unsavedIndicator?.classList.toggle('hidden', !this.isDirty());
     }
 
     /**
@@ -211,8 +283,11 @@ class MarketingPageEditor {
      */
     loadPage() {
         const activeCampaign = this.campaignService.getActiveCampaign();
-        if (activeCampaign && activeCampaign.assets && activeCampaign.assets.marketingPage) {
-            const savedPage = activeCampaign.assets.marketingPage;
+        if (this.abVariantId && !(activeCampaign && this.creativeTestService.getVariantAsset(activeCampaign, 'marketingPage', this.abVariantId))) {
+            this.abVariantId = null; // The variant was removed or promoted
+        }
+        const savedPage = activeCampaign ? this.creativeTestService.getVariantAsset(activeCampaign, 'marketingPage', this.abVariantId) : null;
+        if (savedPage) {
             this.currentTemplateId = savedPage.templateId; // Load saved template
             if (this.titleInput) this.titleInput.value = savedPage.title;
             if (this.paragraph1Input) this.paragraph1Input.value = savedPage.paragraph1;
@@ -225,67 +300,131 @@ class MarketingPageEditor {
             this.currentTemplateId = 'template1'; // Reset to default if nothing saved
             this._applyTemplate('template1'); // Apply default template values
         }
+        this.savedSnapshot = JSON.stringify(this._getPageData());
+        this._renderAbVariants();
         this.updatePreview();
     }
+
+    /**
+     * Fills the A/B variant select with the variants of the marketing page's test, and hides it while
+     * the marketing page is not being tested.
+     * @private
+     */
+    _renderAbVariants() {
+        if (!this.abVariantSelect) return;
+        const test = this.campaignService.getActiveCampaign()?.creativeTests?.marketingPage;
+        this.abVariantBar?.classList.toggle('hidden', !test);
+        this.abVariantSelect.innerHTML = '';
+        (test?.variants || []).forEach(variant => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = this.creativeTestService.getVariantLabel(variant);
+            this.abVariantSelect.appendChild(option);
+        });
+        this.abVariantSelect.value = this.abVariantId || this.creativeTestService.PRIMARY_ID;
+    }
+
+    /**
+     * Switches the editor to another A/B variant of the marketing page, after confirmation if there are unsaved changes.
+     * @param {string|null} variantId The variant, or null for the primary marketing page.
+     */
+    selectAbVariant(variantId) {
+        const abVariantId = variantId === this.creativeTestService.PRIMARY_ID ? null : variantId;
+        if (abVariantId === this.abVariantId) return;
+        if (this.isDirty() && !confirm('Discard your unsaved changes to this variant?')) {
+            this._renderAbVariants();
+            return;
+        }
+        this.abVariantId = abVariantId;
+        this.loadPage();
+    }
     /**
-     * Saves current marketing page data to Local Storage.
+     * Saves current marketing page data to the active campaign.
+     * @returns {Promise<boolean>} True if saved, false if there is no active campaign, the user may not edit it, its status does not allow changes, or storage failed.
      */
-    savePage() {
+    async savePage() {
         const activeCampaign = this.campaignService.getActiveCampaign();
         if (!activeCampaign) {
             console.error('No active campaign to save to.');
-            return;
+            return false;
+        }
+        const restriction = this.campaignService.getEditRestriction();
+        if (restriction) {
+            alert(restriction);
+            return false;
         }
 
-        const pageData = {
-            templateId: this.currentTemplateId,
-            title: this.titleInput?.value || '',
-            paragraph1: this.paragraph1Input?.value || '',
-            imageUrl: this.imageUrlInput?.value || '',
-            bgColor: this.bgColorInput?.value || '#f8f8f8',
-            textColor: this.textColorInput?.value || '#333333'
-        };
+        const pageData = this._getPageData();
 
-        // Update the active campaign object with the new marketing page data
-        activeCampaign.assets.marketingPage = pageData;
+        try {
+            if (this.abVariantId) {
+                await this.campaignService.updateVariantAsset(activeCampaign.id, 'marketingPage', this.abVariantId, pageData);
+            } else {
+                // Update the active campaign object with the new marketing page data
+                activeCampaign.assets.marketingPage = pageData;
 
-        // Save the updated campaign to Local Storage (persists the change)
-        this.campaignService.saveCampaign(activeCampaign);
+                // Save the updated campaign (persists the change)
+                await this.campaignService.saveCampaign(activeCampaign);
 
-        // Also update the active campaign key to reflect the change
-        this.campaignService.setActiveCampaign(activeCampaign);
+                // Also update the active campaign key to reflect the change
+                await this.campaignService.setActiveCampaign(activeCampaign);
+            }
+        } catch (error) {
+            // Storage errors are shown to the user by UIController; keep the editor contents intact.
+            console.error('Marketing page could not be saved:', error);
+            if (['CampaignSchemaError', 'CampaignAccessError', 'CampaignLifecycleError', 'CreativeTestError'].includes(error.name)) alert(error.message);
+            return false;
+        }
 
+        this.savedSnapshot = JSON.stringify(pageData);
+        this._updateDirtyState();
         console.log('Marketing page saved and campaign updated.');
+        return true;
     }
     /**
-     * Simulates sending the current marketing page via email.
+     * Simulates sending the current marketing page via email to the campaign's audience.
+     * Only possible once the campaign has been approved, and only for the primary page, not an A/B variant.
      * NOTE: This is a placeholder. Real email sending requires a backend service.
+     * @returns {Promise<void>}
      */
-    sendPage() {
+    async sendPage() {
+        const releaseRestriction = this.campaignService.getReleaseRestriction();
+        if (releaseRestriction) {
+            alert(releaseRestriction);
+            return;
+        }
+        if (this.abVariantId) {
+            alert('Open the primary marketing page to send it. A/B variants cannot be sent on their own.');
+            return;
+        }
         const activeCampaign = this.campaignService.getActiveCampaign();
         if (!activeCampaign || !this.previewContainer) {
             console.error('No active marketing page or preview to send.');
             return;
         }
 
-        const pageData = activeCampaign.assets.marketingPage;
         const htmlContent = this.previewContainer.innerHTML; // Get the live preview HTML content
         const recipientEmail = 'example@recipient.com'; // In a real app, this would be a user input
 
+        const targeting = await this.campaignService.getTargetingSummary(activeCampaign);
+
         console.log(`Sending marketing page from campaign "${activeCampaign.name}" to ${recipientEmail}...`);
+        console.log(`Audience: ${targeting.join(' OR ')}`);
         console.log('Using rendered HTML content from the preview.');
         // In a real scenario, you would send this 'htmlContent' via a backend service
         // that handles SMTP, API calls (e.g., SendGrid, Mailgun), etc.
 
-        alert('Marketing page sent for review (simulated)!');
+        alert(`Marketing page sent (simulated)!\n\nAudience:\n- ${targeting.join('\n- ')}`);
         console.log('Simulated email sent with HTML content.');
     }
 
 
     /**
      * Renders the Marketing Page Editor screen.
+     * @param {string|null} [abVariantId] The A/B variant to edit, or null for the primary marketing page.
     */
-    render() {
+    render(abVariantId = null) {
+        this.abVariantId = abVariantId === this.creativeTestService.PRIMARY_ID ? null : abVariantId;
         this.loadPage();
     }
 }
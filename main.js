@@ -1,31 +1,91 @@
 import LocalStorageService from './services/LocalStorageService.js';
+import PasswordService from './services/PasswordService.js';
 import UserService from './services/UserService.js';
 import AuthService from './services/AuthService.js';
 import NavigationService from './services/NavigationService.js';
+import AccessControlService from './services/AccessControlService.js';
 import CampaignService from './services/CampaignService.js';
+import CampaignListService from './services/CampaignListService.js';
+import CampaignSchemaService from './services/CampaignSchemaService.js';
+import CampaignLifecycleService from './services/CampaignLifecycleService.js';
+import CampaignReviewService from './services/CampaignReviewService.js';
+import CampaignScheduleService from './services/CampaignScheduleService.js';
+import CampaignBudgetService from './services/CampaignBudgetService.js';
+import CampaignPerformanceService from './services/CampaignPerformanceService.js';
+import CsvService from './services/CsvService.js';
+import LeadService from './services/LeadService.js';
+import SvgChartService from './services/SvgChartService.js';
+import AudienceSegmentService from './services/AudienceSegmentService.js';
+import CreativeTestService from './services/CreativeTestService.js';
+import BannerRenderService from './services/BannerRenderService.js';
+import BannerSizeService from './services/BannerSizeService.js';
+import ZipService from './services/ZipService.js';
+import CampaignBundleService from './services/CampaignBundleService.js';
+import Html5BannerService from './services/Html5BannerService.js';
 import BannerEditor from './editors/BannerEditor.js';
 import MarketingPageEditor from './editors/MarketingPageEditor.js';
 import LandingPageEditor from './editors/LandingPageEditor.js';
 import UIController from './controllers/UIController.js';
+import CampaignListController from './controllers/CampaignListController.js';
+import CampaignTrashController from './controllers/CampaignTrashController.js';
+import CampaignBundleController from './controllers/CampaignBundleController.js';
+import ToastController from './controllers/ToastController.js';
+import RevisionHistoryController from './controllers/RevisionHistoryController.js';
+import SessionController from './controllers/SessionController.js';
+import UserManagementController from './controllers/UserManagementController.js';
+import UnsavedChangesController from './controllers/UnsavedChangesController.js';
+import CampaignLifecycleController from './controllers/CampaignLifecycleController.js';
+import CampaignReviewController from './controllers/CampaignReviewController.js';
+import CampaignScheduleController from './controllers/CampaignScheduleController.js';
+import CampaignCalendarController from './controllers/CampaignCalendarController.js';
+import CampaignBudgetController from './controllers/CampaignBudgetController.js';
+import CampaignPerformanceController from './controllers/CampaignPerformanceController.js';
+import DashboardChartsController from './controllers/DashboardChartsController.js';
+import CampaignTargetingController from './controllers/CampaignTargetingController.js';
+import AudienceSegmentController from './controllers/AudienceSegmentController.js';
+import CreativeTestController from './controllers/CreativeTestController.js';
+import LeadController from './controllers/LeadController.js';
 
 /**
  * Main application entry point.
  * Initializes all services, editors, and the UI controller, injecting dependencies.
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // 1. Initialize Core Services (Dependency Injection)
     const localStorageService = new LocalStorageService();
-    const userService = new UserService(localStorageService);
-    const authService = new AuthService(localStorageService, userService);
-    const campaignService = new CampaignService(localStorageService);
+    const passwordService = new PasswordService();
+    const userService = new UserService(localStorageService, passwordService);
+    const authService = new AuthService(localStorageService, userService, passwordService);
+    const accessControlService = new AccessControlService();
+    const campaignSchemaService = new CampaignSchemaService();
+    const campaignScheduleService = new CampaignScheduleService();
+    const campaignLifecycleService = new CampaignLifecycleService(accessControlService, campaignScheduleService);
+    const campaignReviewService = new CampaignReviewService();
+    const csvService = new CsvService();
+    const campaignBudgetService = new CampaignBudgetService(campaignScheduleService, csvService);
+    const campaignPerformanceService = new CampaignPerformanceService(localStorageService, authService, csvService);
+    const audienceSegmentService = new AudienceSegmentService(localStorageService, authService, accessControlService);
+    const creativeTestService = new CreativeTestService();
+    const leadService = new LeadService(csvService);
+    const campaignService = new CampaignService(localStorageService, authService, campaignSchemaService, userService, accessControlService, campaignLifecycleService, campaignReviewService, campaignScheduleService, campaignBudgetService, audienceSegmentService, creativeTestService, campaignPerformanceService, leadService);
+    const campaignListService = new CampaignListService(localStorageService, campaignLifecycleService, campaignService);
+    const bannerRenderService = new BannerRenderService();
+    const bannerSizeService = new BannerSizeService();
+    const zipService = new ZipService();
+    const html5BannerService = new Html5BannerService(zipService);
+    const campaignBundleService = new CampaignBundleService(campaignSchemaService, zipService);
+    const svgChartService = new SvgChartService();
 
     // 2. Initialize Editor Components (injecting their dependencies)
-    const bannerEditor = new BannerEditor(localStorageService, campaignService);
-    const marketingPageEditor = new MarketingPageEditor(localStorageService, campaignService);
-    const landingPageEditor = new LandingPageEditor(localStorageService, campaignService);
+    const bannerEditor = new BannerEditor(localStorageService, campaignService, bannerRenderService, bannerSizeService, html5BannerService, creativeTestService);
+    const marketingPageEditor = new MarketingPageEditor(localStorageService, campaignService, creativeTestService);
+    const landingPageEditor = new LandingPageEditor(localStorageService, campaignService, creativeTestService);
 
-    // 3. Initialize Navigation Service (injecting AuthService)
-    const navigationService = new NavigationService(authService);
+    // 3. Initialize Navigation Service (injecting AuthService, AccessControlService and CampaignService)
+    const navigationService = new NavigationService(authService, accessControlService, campaignService);
+
+    // Admin-only user management screen
+    const userManagementController = new UserManagementController(userService, authService, accessControlService, campaignService, navigationService);
 
     // 4. Initialize Main UI Controller (injecting all necessary services and editors)
     const uiController = new UIController(
@@ -34,30 +94,148 @@ document.addEventListener('DOMContentLoaded', () => {
         bannerEditor,
         marketingPageEditor,
         landingPageEditor,
-        campaignService
+        campaignService,
+        localStorageService,
+        campaignLifecycleService
     );
 
-    // Resolve circular dependency: NavigationService needs UIController to trigger editor renders.
-    // This is a common pattern when you have services that need to call methods on controllers.
-    navigationService.setUIController(uiController);
+    // Short notices with undo after archiving, trashing and restoring campaigns
+    const toastController = new ToastController(authService);
+
+    // Searchable, sortable and paged campaign list with bulk actions, and the trash, on the dashboard
+    const campaignListController = new CampaignListController(campaignService, campaignListService, campaignLifecycleService, authService, toastController);
+    const campaignTrashController = new CampaignTrashController(campaignService, campaignLifecycleService, authService, toastController);
+
+    // Export of the selected campaigns as a bundle, and import of bundles
+    const campaignBundleController = new CampaignBundleController(campaignService, campaignBundleService, campaignListController, authService, toastController);
+
+    // Idle timeout warning and session notices
+    const sessionController = new SessionController(authService);
+
+    // Save / discard / cancel prompt before unsaved editor changes are lost
+    const unsavedChangesController = new UnsavedChangesController(navigationService, [
+        { label: 'banner editor', editor: bannerEditor, save: () => bannerEditor.saveBanner() },
+        { label: 'marketing page editor', editor: marketingPageEditor, save: () => marketingPageEditor.savePage() },
+        { label: 'landing page editor', editor: landingPageEditor, save: () => landingPageEditor.savePage() }
+    ]);
+
+    // Status transitions, forking, duplicating, trashing and the status audit trail on the dashboard
+    const campaignLifecycleController = new CampaignLifecycleController(campaignService, campaignLifecycleService, authService, navigationService, toastController);
+
+    // Reviewers and review comments on the dashboard and in the editors
+    const campaignReviewController = new CampaignReviewController(campaignService, campaignReviewService, campaignLifecycleService, authService, accessControlService);
+
+    // Flight dates, timezone and dayparting of the active campaign, and the flight calendar on the dashboard
+    const campaignScheduleController = new CampaignScheduleController(campaignService, campaignScheduleService, authService);
+    const campaignCalendarController = new CampaignCalendarController(campaignService, campaignScheduleService, campaignLifecycleService, navigationService, authService);
+
+    // Budget, spend and pacing alerts of the active campaign on the dashboard
+    const campaignBudgetController = new CampaignBudgetController(campaignService, campaignBudgetService, campaignScheduleService, authService, accessControlService);
+
+    // KPIs from imported platform reports of the active campaign on the dashboard
+    const campaignPerformanceController = new CampaignPerformanceController(campaignService, campaignPerformanceService, campaignBudgetService, authService, accessControlService);
+
+    // Trend and comparison charts of imported performance on the dashboard
+    const dashboardChartsController = new DashboardChartsController(campaignService, campaignPerformanceService, campaignBudgetService, svgChartService, authService);
+
+    // Targeting of the active campaign and the audience segment library on the dashboard
+    const campaignTargetingController = new CampaignTargetingController(campaignService, audienceSegmentService, authService);
+    const audienceSegmentController = new AudienceSegmentController(audienceSegmentService, campaignService, authService);
+
+    // A/B tests of the active campaign's creatives on the dashboard
+    const creativeTestController = new CreativeTestController(campaignService, creativeTestService, bannerEditor, marketingPageEditor, landingPageEditor, navigationService, authService, accessControlService);
+
+    // Leads captured by landing page lead forms: the leads screen and the lead count on the dashboard
+    const leadController = new LeadController(campaignService, leadService, accessControlService, navigationService, authService, toastController);
+
+    // Revision history panel on the dashboard
+    const revisionHistoryController = new RevisionHistoryController(campaignService, campaignLifecycleService);
+
+    // Open storage (migrating any localStorage data on first run) and load the session and active campaign
+    try {
+        await localStorageService.init();
+
+        // The demo user testuser/password123 is only seeded on request: open the app with ?seed-test-user
+        const seedTestUser = new URLSearchParams(window.location.search).has('seed-test-user');
+        await userService.createInitialUser({ enabled: seedTestUser });
+        // Users stored before roles existed need an admin before anyone logs in
+        await userService.ensureAdmin();
 
-    // Ensure an initial user exists for easy testing on first load
-    userService.createInitialUser();
+        await authService.init();
+        await campaignService.init();
+    } catch (error) {
+        console.error('Application storage could not be initialized:', error);
+        alert(`Application storage could not be initialized: ${error.message}`);
+    }
 
-    // Initialize the UI controller, which will handle initial navigation
-    uiController.init();
+    // Follow the URL hash once campaigns are loaded; the UI controller's login check then shows the initial route
+    navigationService.start();
+    await uiController.init();
+    await campaignListController.render();
+    await campaignTrashController.render();
+    campaignBundleController.render();
+    await revisionHistoryController.render();
+    campaignLifecycleController.render();
+    campaignReviewController.render();
+    campaignScheduleController.render();
+    campaignBudgetController.render();
+    await campaignPerformanceController.render();
+    await dashboardChartsController.render();
+    await campaignCalendarController.render();
+    await campaignTargetingController.render();
+    await audienceSegmentController.render();
+    await creativeTestController.render();
+    leadController.renderOverview();
 
     // Expose some objects globally for easy debugging in console (optional)
     window.app = {
         localStorageService,
+        passwordService,
         userService,
         authService,
         navigationService,
+        accessControlService,
+        campaignSchemaService,
+        campaignLifecycleService,
+        campaignReviewService,
+        campaignScheduleService,
+        csvService,
+        campaignBudgetService,
+        campaignPerformanceService,
+        svgChartService,
+        audienceSegmentService,
+        creativeTestService,
+        leadService,
         campaignService,
+        campaignListService,
+        bannerRenderService,
+        bannerSizeService,
+        zipService,
+        html5BannerService,
+        campaignBundleService,
         bannerEditor,
         marketingPageEditor,
         landingPageEditor,
-        uiController
+        uiController,
+        toastController,
+        campaignListController,
+        campaignTrashController,
+        campaignBundleController,
+        userManagementController,
+        sessionController,
+        unsavedChangesController,
+        campaignLifecycleController,
+        campaignReviewController,
+        campaignScheduleController,
+        campaignCalendarController,
+        campaignBudgetController,
+        campaignPerformanceController,
+        dashboardChartsController,
+        campaignTargetingController,
+        audienceSegmentController,
+        creativeTestController,
+        leadController,
+        revisionHistoryController
     };
     console.log("Application initialized. Use window.app for debugging.");
 });
\ No newline at end of file
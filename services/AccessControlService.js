@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Service defining user roles and campaign access levels.
+ * A user's role decides what they may do at all (e.g. edit campaigns, manage users); a campaign's
+ * owner and sharing list decide which campaigns they may do it to. The effective access to a
+ * campaign is the lower of the two, so a viewer shared a campaign with edit access can still only view it.
+ * Reviewers assigned to a campaign can view it without it being shared with them.
+ */
+
+import PermissionDeniedError from './PermissionDeniedError.js';
+
+class AccessControlService {
+    constructor() {
+        /**
+         * The roles, from most to least privileged.
+         * @type {Array<string>}
+         */
+        this.ROLES = ['admin', 'editor', 'reviewer', 'viewer'];
+        /**
+         * Display names of the roles.
+         * @type {Object.<string, string>}
+         */
+        this.ROLE_LABELS = {
+            admin: 'Admin',
+            editor: 'Editor',
+            reviewer: 'Reviewer',
+            viewer: 'Viewer'
+        };
+        /**
+         * Permissions granted by each role.
+         * @private
+         * @type {Object.<string, Array<string>>}
+         */
+        this.ROLE_PERMISSIONS = {
+            admin: ['manageUsers', 'createCampaigns', 'editCampaigns', 'reviewCampaigns'],
+            editor: ['createCampaigns', 'editCampaigns'],
+            reviewer: ['reviewCampaigns'],
+            viewer: []
+        };
+        /**
+         * Access levels an owner can grant to other users.
+         * @type {Array<string>}
+         */
+        this.SHARE_LEVELS = ['view', 'edit'];
+        /**
+         * Rank of each campaign access level, for comparisons.
+         * @private
+         * @type {Object.<string, number>}
+         */
+        this.ACCESS_RANK = { view: 1, edit: 2, owner: 3 };
+    }
+
+    /**
+     * Whether a role exists.
+     * @param {string} role The role.
+     * @returns {boolean} True if it is one of ROLES.
+     */
+    isValidRole(role) {
+        return this.ROLES.includes(role);
+    }
+
+    /**
+     * Whether a user's role grants a permission.
+     * @param {Object|null} user The logged-in user ({username, role}).
+     * @param {string} permission The permission, e.g. 'editCampaigns'.
+     * @returns {boolean} True if granted.
+     */
+    hasPermission(user, permission) {
+        return !!user && (this.ROLE_PERMISSIONS[user.role] || []).includes(permission);
+    }
+
+    /**
+     * Throws unless a user's role grants a permission.
+     * @param {Object|null} user The logged-in user.
+     * @param {string} permission The permission.
+     * @throws {PermissionDeniedError} If the permission is not granted.
+     */
+    assertPermission(user, permission) {
+        if (!this.hasPermission(user, permission)) {
+            throw new PermissionDeniedError(permission, user?.role);
+        }
+    }
+
+    /**
+     * Determines a user's effective access to a campaign.
+     * @param {Object|null} user The logged-in user.
+     * @param {Object|null} campaign The campaign.
+     * @returns {string|null} 'owner', 'edit' or 'view', or null if the user has no access.
+     */
+    getCampaignAccess(user, campaign) {
+        if (!user || !campaign) return null;
+        let access = campaign.ownerId === user.username ? 'owner' : campaign.sharing?.[user.username] || null;
+        if (!access && campaign.review?.reviewers.includes(user.username)) access = 'view';
+        if (!access) return null;
+        // Owners and editors whose role does not allow editing can only view.
+        if (access !== 'view' && !this.hasPermission(user, 'editCampaigns')) access = 'view';
+        return access;
+    }
+
+    /**
+     * Whether an access level includes another, e.g. 'owner' includes 'edit'.
+     * @param {string|null} access The access a user has.
+     * @param {string} required The access needed.
+     * @returns {boolean} True if sufficient.
+     */
+    allows(access, required) {
+        return !!access && this.ACCESS_RANK[access] >= this.ACCESS_RANK[required];
+    }
+}
+
+export default AccessControlService;
@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when an audience segment is invalid or cannot be changed, e.g. a segment
+ * without a name, or deleting a segment that campaigns still target.
+ */
+
+class AudienceSegmentError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'AudienceSegmentError';
+        this.problems = problems;
+    }
+}
+
+export default AudienceSegmentError;
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Service for audience segments: reusable, named definitions of who a campaign targets.
+ * A segment is a list of conditions (location, age, gender, language, device, interests, or a custom list
+ * of people) that people must match all of, or any of. Each condition can instead exclude the people it
+ * matches; within a condition, the listed values are alternatives (e.g. "English or German").
+ * Segments are shared by all users and persisted via LocalStorageService; users whose role allows editing
+ * campaigns can create, change and delete them. Campaigns refer to segments by ID (see CampaignService).
+ */
+
+import AudienceSegmentError from './AudienceSegmentError.js';
+
+class AudienceSegmentService {
+    /**
+     * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     */
+    constructor(localStorageService, authService, accessControlService) {
+        /**
+         * @private
+         * @type {LocalStorageService}
+         */
+        this.localStorageService = localStorageService;
+        /**
+         * @private
+         * @type {AuthService}
+         */
+        this.authService = authService;
+        /**
+         * @private
+         * @type {AccessControlService}
+         */
+        this.accessControlService = accessControlService;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.SEGMENTS_KEY = 'audience_segments';
+        /**
+         * Display names of the condition types.
+         * @type {Object.<string, string>}
+         */
+        this.CONDITION_TYPES = {
+            geo: 'Location',
+            age: 'Age',
+            gender: 'Gender',
+            language: 'Language',
+            device: 'Device',
+            interests: 'Interests',
+            customList: 'Custom list'
+        };
+        /**
+         * How a segment's conditions combine.
+         * @type {Object.<string, string>}
+         */
+        this.MATCH_MODES = {
+            all: 'Match all conditions (AND)',
+            any: 'Match any condition (OR)'
+        };
+        /**
+         * Countries offered in the location picker (ISO 3166-1 alpha-2 codes).
+         * @type {Array<string>}
+         */
+        this.COUNTRIES = ['US', 'CA', 'MX', 'BR', 'AR', 'GB', 'IE', 'DE', 'AT', 'CH', 'FR', 'BE', 'NL', 'LU', 'ES', 'PT', 'IT',
+            'DK', 'SE', 'NO', 'FI', 'PL', 'CZ', 'IN', 'CN', 'JP', 'KR', 'SG', 'AU', 'NZ', 'ZA', 'AE'];
+        /**
+         * Display names of the genders that can be targeted.
+         * @type {Object.<string, string>}
+         */
+        this.GENDERS = { female: 'Female', male: 'Male', non_binary: 'Non-binary' };
+        /**
+         * Display names of the languages that can be targeted (ISO 639-1 codes).
+         * @type {Object.<string, string>}
+         */
+        this.LANGUAGES = {
+            en: 'English', de: 'German', fr: 'French', es: 'Spanish', it: 'Italian', pt: 'Portuguese', nl: 'Dutch',
+            pl: 'Polish', sv: 'Swedish', da: 'Danish', no: 'Norwegian', fi: 'Finnish', ja: 'Japanese', zh: 'Chinese', ko: 'Korean', ar: 'Arabic', hi: 'Hindi'
+        };
+        /**
+         * Display names of the devices that can be targeted.
+         * @type {Object.<string, string>}
+         */
+        this.DEVICES = { desktop: 'Desktop', mobile: 'Mobile', tablet: 'Tablet', ctv: 'Connected TV' };
+        /**
+         * Youngest and oldest age that can be targeted; the oldest stands for that age and above.
+         * @type {{min: number, max: number}}
+         */
+        this.AGE_RANGE = { min: 13, max: 65 };
+        /**
+         * Largest radius around a city, in kilometres.
+         * @type {number}
+         */
+        this.MAX_RADIUS_KM = 500;
+        /**
+         * Longest segment name.
+         * @private
+         * @type {number}
+         */
+        this.MAX_NAME_LENGTH = 80;
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.segmentChangeListeners = [];
+    }
+
+    /**
+     * Adds a listener for created, changed and deleted segments.
+     * @param {function():void} listener The callback function.
+     */
+    onSegmentsChange(listener) {
+        this.segmentChangeListeners.push(listener);
+    }
+
+    /**
+     * Notifies all registered listeners that the segments changed.
+     * @private
+     */
+    _notifySegmentsChange() {
+        this.segmentChangeListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Retrieves all stored segments.
+     * @returns {Promise<Array<Object>>} The segments.
+     * @private
+     */
+    async _getSegments() {
+        return (await this.localStorageService.getItem(this.SEGMENTS_KEY)) || [];
+    }
+
+    /**
+     * Lists all segments, by name.
+     * @returns {Promise<Array<Object>>} The segments.
+     */
+    async getSegments() {
+        return (await this._getSegments()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Finds a segment by ID.
+     * @param {string} segmentId The segment ID.
+     * @returns {Promise<Object|undefined>} The segment, or undefined if it does not exist.
+     */
+    async getSegment(segmentId) {
+        return (await this._getSegments()).find(segment => segment.id === segmentId);
+    }
+
+    /**
+     * Whether the logged-in user may create, change and delete segments.
+     * @returns {boolean} True if their role allows editing campaigns.
+     */
+    canManageSegments() {
+        return this.accessControlService.hasPermission(this.authService.getLoggedInUser(), 'editCampaigns');
+    }
+
+    /**
+     * Gets the display name of a country.
+     * @param {string} code The ISO 3166-1 alpha-2 code.
+     * @returns {string} E.g. 'Germany', or the code if the browser cannot name it.
+     */
+    getCountryName(code) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code;
+        } catch (e) {
+            return code;
+        }
+    }
+
+    /**
+     * Checks one condition.
+     * @param {Object} condition The condition.
+     * @param {string} name How to refer to it in problems, e.g. 'condition 2'.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateCondition(condition, name) {
+        if (!condition || !Object.prototype.hasOwnProperty.call(this.CONDITION_TYPES, condition.type)) {
+            return [`${name} has an unknown type`];
+        }
+        const problems = [];
+        const checkValues = (allowed, label) => {
+            if (!Array.isArray(condition.values) || !condition.values.length) {
+                problems.push(`${name} needs at least one ${label}`);
+            } else if (allowed && condition.values.some(value => !Object.prototype.hasOwnProperty.call(allowed, value))) {
+                problems.push(`${name} has an unknown ${label}`);
+            }
+        };
+        switch (condition.type) {
+            case 'geo':
+                if (!Array.isArray(condition.locations) || !condition.locations.length) {
+                    problems.push(`${name} needs at least one location`);
+                    break;
+                }
+                condition.locations.forEach((location, index) => {
+                    const where = `location ${index + 1} of ${name}`;
+                    if (!/^[A-Z]{2}$/.test(location.country || '')) problems.push(`${where} needs a country`);
+                    if (location.radiusKm !== null) {
+                        if (!location.city) {
+                            problems.push(`${where} needs a city to use a radius`);
+                        } else if (typeof location.radiusKm !== 'number' || !(location.radiusKm > 0 && location.radiusKm <= this.MAX_RADIUS_KM)) {
+                            problems.push(`the radius of ${where} must be between 1 and ${this.MAX_RADIUS_KM} km`);
+                        }
+                    }
+                });
+                break;
+            case 'age': {
+                const { min, max } = this.AGE_RANGE;
+                const inRange = age => Number.isInteger(age) && age >= min && age <= max;
+                if (!inRange(condition.min) || (condition.max !== null && !inRange(condition.max))) {
+                    problems.push(`the ages of ${name} must be between ${min} and ${max}`);
+                } else if (condition.max !== null && condition.max < condition.min) {
+                    problems.push(`the age range of ${name} ends before it starts`);
+                }
+                break;
+            }
+            case 'gender':
+                checkValues(this.GENDERS, 'gender');
+                break;
+            case 'language':
+                checkValues(this.LANGUAGES, 'language');
+                break;
+            case 'device':
+                checkValues(this.DEVICES, 'device');
+                break;
+            case 'interests':
+                checkValues(null, 'interest');
+                break;
+            case 'customList':
+                if (typeof condition.name !== 'string' || !condition.name.trim()) problems.push(`${name} needs a list name`);
+                if (!Array.isArray(condition.entries) || !condition.entries.length) problems.push(`${name} needs at least one entry`);
+                break;
+        }
+        return problems;
+    }
+
+    /**
+     * Checks a segment before it is saved.
+     * @param {Object} segment The segment.
+     * @returns {Array<string>} The problems found; empty if the segment is valid.
+     */
+    validate(segment) {
+        const problems = [];
+        const name = typeof segment.name === 'string' ? segment.name.trim() : '';
+        if (!name) problems.push('the segment needs a name');
+        if (name.length > this.MAX_NAME_LENGTH) problems.push(`the name can be at most ${this.MAX_NAME_LENGTH} characters long`);
+        if (!Object.prototype.hasOwnProperty.call(this.MATCH_MODES, segment.match)) problems.push(`unknown match mode "${segment.match}"`);
+        if (!Array.isArray(segment.conditions) || !segment.conditions.length) {
+            problems.push('the segment needs at least one condition');
+        } else {
+            segment.conditions.forEach((condition, index) => problems.push(...this._validateCondition(condition, `condition ${index + 1}`)));
+        }
+        return problems;
+    }
+
+    /**
+     * Describes one location of a location condition.
+     * @param {{country: string, region: string, city: string, radiusKm: number|null}} location The location.
+     * @returns {string} E.g. 'San Francisco +25 km, California, United States'.
+     * @private
+     */
+    _describeLocation(location) {
+        const city = location.city ? `${location.city}${location.radiusKm ? ` +${location.radiusKm} km` : ''}` : '';
+        return [city, location.region, this.getCountryName(location.country)].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Describes a condition in words.
+     * @param {Object} condition The condition.
+     * @returns {string} E.g. 'Language is English or German', or 'NOT on list "Customers" (120 entries)'.
+     */
+    describeCondition(condition) {
+        const either = (values, labels) => values.map(value => (labels ? labels[value] || value : value)).join(' or ');
+        let text;
+        switch (condition.type) {
+            case 'geo':
+                text = `Located in ${condition.locations.map(location => this._describeLocation(location)).join(' or ')}`;
+                break;
+            case 'age':
+                text = condition.max === null || condition.max === this.AGE_RANGE.max
+                    ? `Aged ${condition.min}+`
+                    : `Aged ${condition.min}–${condition.max}`;
+                break;
+            case 'gender':
+                text = `Gender is ${either(condition.values, this.GENDERS)}`;
+                break;
+            case 'language':
+                text = `Language is ${either(condition.values, this.LANGUAGES)}`;
+                break;
+            case 'device':
+                text = `Device is ${either(condition.values, this.DEVICES)}`;
+                break;
+            case 'interests':
+                text = `Interested in ${either(condition.values)}`;
+                break;
+            case 'customList':
+                text = `On list "${condition.name}" (${condition.entries.length} ${condition.entries.length === 1 ? 'entry' : 'entries'})`;
+                break;
+            default:
+                text = this.CONDITION_TYPES[condition.type] || condition.type;
+        }
+        return condition.exclude ? `NOT ${text.charAt(0).toLowerCase()}${text.slice(1)}` : text;
+    }
+
+    /**
+     * Describes a segment's conditions in words.
+     * @param {Object} segment The segment.
+     * @returns {string} E.g. 'Located in Germany AND Aged 18–34 AND Device is Mobile'.
+     */
+    describeSegment(segment) {
+        if (!segment.conditions.length) return 'Everyone';
+        return segment.conditions.map(condition => this.describeCondition(condition)).join(segment.match === 'any' ? ' OR ' : ' AND ');
+    }
+
+    /**
+     * Saves a new segment, or changes an existing one (one with an ID). Names are unique, ignoring case.
+     * @param {Object} segment The segment: name, description, match and conditions, and its ID when it exists.
+     * @returns {Promise<Object>} The saved segment.
+     * @throws {PermissionDeniedError} If the user's role does not allow managing segments.
+     * @throws {AudienceSegmentError} If the segment is invalid, its name is taken, or it no longer exists.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async saveSegment(segment) {
+        const user = this.authService.getLoggedInUser();
+        this.accessControlService.assertPermission(user, 'editCampaigns');
+        const problems = this.validate(segment);
+        if (problems.length) throw new AudienceSegmentError(`Segment "${segment.name || ''}" was not saved`, problems);
+
+        const segments = await this._getSegments();
+        const name = segment.name.trim();
+        if (segments.some(other => other.id !== segment.id && other.name.toLowerCase() === name.toLowerCase())) {
+            throw new AudienceSegmentError(`There is already a segment called "${name}".`);
+        }
+        const now = new Date().toISOString();
+        const fields = {
+            name,
+            description: (segment.description || '').trim(),
+            match: segment.match,
+            conditions: JSON.parse(JSON.stringify(segment.conditions)),
+            updatedBy: user.username,
+            updatedAt: now
+        };
+
+        let saved;
+        if (segment.id) {
+            const existing = segments.find(other => other.id === segment.id);
+            if (!existing) throw new AudienceSegmentError(`Segment "${name}" no longer exists.`);
+            saved = { ...existing, ...fields };
+            await this.localStorageService.setItem(this.SEGMENTS_KEY, segments.map(other => (other.id === segment.id ? saved : other)));
+        } else {
+            saved = {
+                id: `segment_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+                ...fields,
+                createdBy: user.username,
+                createdAt: now
+            };
+            await this.localStorageService.setItem(this.SEGMENTS_KEY, [...segments, saved]);
+        }
+        console.log(`Audience segment "${saved.name}" saved.`);
+        this._notifySegmentsChange();
+        return saved;
+    }
+
+    /**
+     * Deletes a segment. Callers make sure no campaign targets it (see CampaignService.countCampaignsTargeting()).
+     * @param {string} segmentId The segment ID.
+     * @returns {Promise<boolean>} True if the segment was deleted, false if it did not exist.
+     * @throws {PermissionDeniedError} If the user's role does not allow managing segments.
+     */
+    async deleteSegment(segmentId) {
+        this.accessControlService.assertPermission(this.authService.getLoggedInUser(), 'editCampaigns');
+        const segments = await this._getSegments();
+        const remaining = segments.filter(segment => segment.id !== segmentId);
+        if (remaining.length === segments.length) return false;
+        await this.localStorageService.setItem(this.SEGMENTS_KEY, remaining);
+        this._notifySegmentsChange();
+        return true;
+    }
+}
+
+export default AudienceSegmentService;
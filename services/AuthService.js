@@ -1,14 +1,18 @@
 /**
  * @fileoverview Service for user authentication (login, signup, session management).
  * It uses LocalStorageService for persistence and UserService for user data.
+ * Sessions expire after a fixed lifetime and, unless "remember me" was chosen, after a period of
+ * inactivity. Login, logout and activity are broadcast to other tabs through localStorage
+ * storage events, so every open tab follows the same session.
  */
 
 class AuthService {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
      * @param {UserService} userService Dependency on UserService.
+     * @param {PasswordService} passwordService Dependency on PasswordService.
      */
-    constructor(localStorageService, userService) {
+    constructor(localStorageService, userService, passwordService) {
         /**
          * @private
          * @type {LocalStorageService}
@@ -19,16 +23,311 @@ class AuthService {
          * @type {UserService}
          */
         this.userService = userService;
+        /**
+         * @private
+         * @type {PasswordService}
+         */
+        this.passwordService = passwordService;
         /**
          * @private
          * @type {string}
          */
         this.CURRENT_USER_KEY = 'current_user';
+        /**
+         * localStorage key used to broadcast session changes to other tabs. Only this key is
+         * written to localStorage, because IndexedDB changes do not raise storage events.
+         * @private
+         * @type {string}
+         */
+        this.SESSION_EVENT_KEY = 'auth_session_event';
+        /**
+         * Lifetime of a session without "remember me".
+         * @type {number}
+         */
+        this.SESSION_DURATION_MS = 8 * 60 * 60 * 1000;
+        /**
+         * Lifetime of a session with "remember me".
+         * @type {number}
+         */
+        this.REMEMBER_ME_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+        /**
+         * Inactivity after which a session without "remember me" ends.
+         * @type {number}
+         */
+        this.IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+        /**
+         * How long before the idle timeout the warning is shown.
+         * @type {number}
+         */
+        this.IDLE_WARNING_MS = 60 * 1000;
+        /**
+         * How often the session is checked for expiry.
+         * @private
+         * @type {number}
+         */
+        this.SESSION_CHECK_INTERVAL_MS = 1000;
+        /**
+         * Minimum time between persisting/broadcasting user activity.
+         * @private
+         * @type {number}
+         */
+        this.ACTIVITY_SYNC_INTERVAL_MS = 30 * 1000;
+        /**
+         * The logged-in user, kept in memory so it can be checked synchronously.
+         * @private
+         * @type {Object|null}
+         */
+        this.currentUser = null;
+        /**
+         * The current session: {username, issuedAt, expiresAt, lastActivityAt, rememberMe}, timestamps in ms.
+         * @private
+         * @type {Object|null}
+         */
+        this.session = null;
+        /**
+         * When activity was last persisted and broadcast.
+         * @private
+         * @type {number}
+         */
+        this.lastActivitySync = 0;
+        /**
+         * Whether the idle warning is currently shown.
+         * @private
+         * @type {boolean}
+         */
+        this.idleWarningActive = false;
+        /**
+         * @private
+         * @type {number|null}
+         */
+        this.sessionTimer = null;
         /**
          * @private
          * @type {function[]}
          */
         this.authChangeListeners = [];
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.sessionWarningListeners = [];
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.sessionEndListeners = [];
+    }
+
+    /**
+     * Loads the stored session, dropping it if it has expired, and starts following session
+     * changes made in other tabs. Must be awaited before getLoggedInUser() is used.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const session = await this.localStorageService.getItem(this.CURRENT_USER_KEY);
+        const user = this._isSessionValid(session) ? await this.userService.getUser(session.username) : null;
+        if (user) {
+            this._applySession(session, user);
+        } else if (session) {
+            console.log('Stored session has expired or its user no longer exists.');
+            await this.localStorageService.removeItem(this.CURRENT_USER_KEY);
+        }
+        window.addEventListener('storage', (e) => this._handleStorageEvent(e));
+    }
+
+    /**
+     * Whether a stored session exists and has neither expired nor been idle for too long.
+     * Sessions stored by earlier versions have no expiry and are not accepted.
+     * @param {Object|null} session The session.
+     * @param {number} [now] The current time in ms.
+     * @returns {boolean} True if the session can be used.
+     * @private
+     */
+    _isSessionValid(session, now = Date.now()) {
+        if (!session || typeof session.username !== 'string' || typeof session.expiresAt !== 'number') return false;
+        if (now >= session.expiresAt) return false;
+        return session.rememberMe || now < session.lastActivityAt + this.IDLE_TIMEOUT_MS;
+    }
+
+    /**
+     * Makes a session the current one in this tab and starts the expiry checks.
+     * @param {Object} session The session.
+     * @param {Object} user The stored user the session belongs to.
+     * @private
+     */
+    _applySession(session, user) {
+        this.session = { ...session };
+        this.currentUser = { username: user.username, role: user.role };
+        this.lastActivitySync = Date.now();
+        if (this.sessionTimer === null) {
+            this.sessionTimer = setInterval(() => this._checkSession(), this.SESSION_CHECK_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Forgets the session in this tab and stops the expiry checks.
+     * @private
+     */
+    _clearSession() {
+        this.session = null;
+        this.currentUser = null;
+        if (this.sessionTimer !== null) {
+            clearInterval(this.sessionTimer);
+            this.sessionTimer = null;
+        }
+        this._setIdleWarning(null);
+    }
+
+    /**
+     * Tells other tabs about a session change.
+     * @param {string} type 'login', 'logout' or 'activity'.
+     * @param {Object} [details] Extra data for the message.
+     * @private
+     */
+    _broadcast(type, details = {}) {
+        try {
+            // The timestamp makes every message a new value, so the storage event always fires.
+            localStorage.setItem(this.SESSION_EVENT_KEY, JSON.stringify({ type, at: Date.now(), ...details }));
+        } catch (e) {
+            console.error('Could not notify other tabs about the session change:', e);
+        }
+    }
+
+    /**
+     * Follows a session change made in another tab. A login as a different user ends this tab's session
+     * instead of switching it to that user, so nothing is done here under the wrong name.
+     * @param {StorageEvent} event The storage event.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleStorageEvent(event) {
+        if (event.key !== this.SESSION_EVENT_KEY || !event.newValue) return;
+        let message;
+        try {
+            message = JSON.parse(event.newValue);
+        } catch (e) {
+            return;
+        }
+
+        if (message.type === 'logout') {
+            if (!this.currentUser) return;
+            this._clearSession();
+            this._notifySessionEnd(message.reason || 'logout');
+            this._notifyAuthChange(null);
+        } else if (message.type === 'login') {
+            const session = await this.localStorageService.getItem(this.CURRENT_USER_KEY);
+            const user = this._isSessionValid(session) ? await this.userService.getUser(session.username) : null;
+            if (!user) return;
+            if (this.currentUser && this.currentUser.username !== user.username) {
+                // Another user logged in elsewhere: end this tab's session rather than switch to their identity.
+                console.log(`Session ended ("${user.username}" logged in in another tab).`);
+                this._clearSession();
+                this._notifySessionEnd('replaced');
+                this._notifyAuthChange(null);
+                return;
+            }
+            this._applySession(session, user);
+            this._notifyAuthChange(this.currentUser);
+        } else if (message.type === 'activity' && this.session && message.username === this.session.username) {
+            this.session.lastActivityAt = Math.max(this.session.lastActivityAt, message.lastActivityAt);
+            this.lastActivitySync = Date.now();
+            this._checkSession();
+        }
+    }
+
+    /**
+     * Records user activity, postponing the idle timeout. Ignored while the idle warning is shown,
+     * so the session is only extended by an explicit extendSession().
+     */
+    recordActivity() {
+        if (!this.session || this.idleWarningActive) return;
+        this.session.lastActivityAt = Date.now();
+        if (this.session.lastActivityAt - this.lastActivitySync >= this.ACTIVITY_SYNC_INTERVAL_MS) {
+            this._syncActivity();
+        }
+    }
+
+    /**
+     * Extends the session after the idle warning ("stay signed in").
+     */
+    extendSession() {
+        if (!this.session) return;
+        this.session.lastActivityAt = Date.now();
+        this._setIdleWarning(null);
+        this._syncActivity();
+    }
+
+    /**
+     * Persists the last activity time and shares it with other tabs.
+     * @private
+     */
+    _syncActivity() {
+        this.lastActivitySync = Date.now();
+        const { username, lastActivityAt } = this.session;
+        this.localStorageService.setItem(this.CURRENT_USER_KEY, this.session, { reportErrors: false })
+            .catch(() => { /* Activity is still tracked in memory; it is persisted again on the next sync. */ });
+        this._broadcast('activity', { username, lastActivityAt });
+    }
+
+    /**
+     * Ends the session if it has expired, and shows or hides the idle warning.
+     * @private
+     */
+    _checkSession() {
+        if (!this.session) return;
+        const now = Date.now();
+        if (now >= this.session.expiresAt) {
+            this.logout('expired');
+            return;
+        }
+        if (this.session.rememberMe) return;
+
+        const idleRemaining = this.session.lastActivityAt + this.IDLE_TIMEOUT_MS - now;
+        if (idleRemaining <= 0) {
+            this.logout('idle');
+        } else if (idleRemaining <= this.IDLE_WARNING_MS) {
+            this._setIdleWarning(idleRemaining);
+        } else {
+            this._setIdleWarning(null);
+        }
+    }
+
+    /**
+     * Updates the idle warning state and notifies the listeners.
+     * @param {number|null} remainingMs Time left before the idle logout, or null to hide the warning.
+     * @private
+     */
+    _setIdleWarning(remainingMs) {
+        if (remainingMs === null && !this.idleWarningActive) return;
+        this.idleWarningActive = remainingMs !== null;
+        this.sessionWarningListeners.forEach(listener => listener(remainingMs));
+    }
+
+    /**
+     * Adds a listener for the idle warning.
+     * @param {function(number|null):void} listener Called with the time left in ms while the warning
+     *   is due, and with null when it is no longer needed.
+     */
+    onSessionWarning(listener) {
+        this.sessionWarningListeners.push(listener);
+    }
+
+    /**
+     * Adds a listener for sessions ending for any reason.
+     * @param {function(string):void} listener Called with the reason: 'logout', 'idle', 'expired', or
+     *   'replaced' when another user logged in in another tab.
+     */
+    onSessionEnd(listener) {
+        this.sessionEndListeners.push(listener);
+    }
+
+    /**
+     * Notifies all registered listeners that the session ended.
+     * @param {string} reason The reason.
+     * @private
+     */
+    _notifySessionEnd(reason) {
+        this.sessionEndListeners.forEach(listener => listener(reason));
     }
 
     /**
@@ -48,44 +347,123 @@ class AuthService {
         this.authChangeListeners.forEach(listener => listener(user));
     }
 
+    /**
+     * Checks a password against a stored user, accepting plaintext passwords saved by earlier versions.
+     * @param {Object} user The stored user.
+     * @param {string} password The password entered.
+     * @returns {Promise<boolean>} True if the password matches.
+     * @private
+     */
+    async _verifyUserPassword(user, password) {
+        if (user.credential) {
+            return this.passwordService.verifyPassword(password, user.credential);
+        }
+        if (typeof user.password === 'string') {
+            return this.passwordService.verifyLegacyPassword(password, user.password);
+        }
+        return false;
+    }
+
+    /**
+     * Re-hashes a user's password if it is stored in plaintext or with outdated parameters.
+     * Failures are logged only; the user can still log in and the upgrade is retried next time.
+     * @param {Object} user The stored user.
+     * @param {string} password The verified password.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _upgradeCredential(user, password) {
+        if (!this.passwordService.needsRehash(user.credential)) return;
+        try {
+            const credential = await this.passwordService.hashPassword(password);
+            await this.userService.updateCredential(user.username, credential);
+            console.log(`Upgraded stored password hash for "${user.username}".`);
+        } catch (e) {
+            console.error(`Could not upgrade stored password for "${user.username}":`, e);
+        }
+    }
+
     /**
      * Attempts to log in a user.
      * @param {string} username The username.
      * @param {string} password The password.
+     * @param {Object} [options]
+     * @param {boolean} [options.rememberMe=false] Keep the session for REMEMBER_ME_DURATION_MS, without idle timeout.
      * @returns {Promise<boolean>} Resolves to true if login is successful, false otherwise.
      */
-    async login(username, password) {
-        const user = this.userService.getUser(username);
-        if (user && user.password === password) {
-            this.localStorageService.setItem(this.CURRENT_USER_KEY, { username: user.username });
-            this._notifyAuthChange({ username: user.username });
+    async login(username, password, { rememberMe = false } = {}) {
+        const user = await this.userService.getUser(username);
+        if (user && await this._verifyUserPassword(user, password)) {
+            await this._upgradeCredential(user, password);
+            const now = Date.now();
+            this._applySession({
+                username: user.username,
+                issuedAt: now,
+                expiresAt: now + (rememberMe ? this.REMEMBER_ME_DURATION_MS : this.SESSION_DURATION_MS),
+                lastActivityAt: now,
+                rememberMe
+            }, user);
+            try {
+                await this.localStorageService.setItem(this.CURRENT_USER_KEY, this.session);
+                this._broadcast('login', { username: user.username });
+            } catch (e) {
+                // The session still works in this tab; the storage error has been reported to the UI.
+            }
+            this._notifyAuthChange(this.currentUser);
             return true;
         }
         return false;
     }
 
+    /**
+     * Lists the requirements new passwords must meet, for display at signup.
+     * @returns {Array<string>} The requirements.
+     */
+    getPasswordRequirements() {
+        return this.passwordService.describePolicy();
+    }
+
     /**
      * Attempts to sign up a new user.
      * @param {string} username The desired username.
      * @param {string} password The desired password.
+     * @param {Object} [options] Login options, see login().
      * @returns {Promise<boolean>} Resolves to true if signup is successful, false if user already exists.
+     * @throws {PasswordPolicyError} If the password does not meet the password policy.
      */
-    async signup(username, password) {
-        const newUser = { username, password };
-        const success = this.userService.saveUser(newUser);
+    async signup(username, password, options = {}) {
+        this.passwordService.assertPolicy(password, username);
+        const newUser = { username, credential: await this.passwordService.hashPassword(password) };
+        const success = await this.userService.saveUser(newUser);
         if (success) {
             // Automatically log in the new user
-            return await this.login(username, password);
+            return await this.login(username, password, options);
         }
         return false;
     }
 
     /**
      * Gets the currently logged-in user.
-     * @returns {Object | null} The user object if logged in, otherwise null.
+     * @returns {Object | null} The user ({username, role}) if logged in, otherwise null.
      */
     getLoggedInUser() {
-        return this.localStorageService.getItem(this.CURRENT_USER_KEY);
+        return this.currentUser;
+    }
+
+    /**
+     * Reloads the logged-in user's role after it was changed, e.g. in user management.
+     * Logs out if the user was deleted.
+     * @returns {Promise<void>}
+     */
+    async refreshCurrentUser() {
+        if (!this.currentUser) return;
+        const user = await this.userService.getUser(this.currentUser.username);
+        if (!user) {
+            await this.logout();
+            return;
+        }
+        this.currentUser = { username: user.username, role: user.role };
+        this._notifyAuthChange(this.currentUser);
     }
 
     /**
@@ -97,10 +475,24 @@ class AuthService {
     }
 
     /**
-     * Logs out the current user.
+     * Gets the current session.
+     * @returns {Object|null} A copy of the session, or null if logged out.
+     */
+    getSession() {
+        return this.session ? { ...this.session } : null;
+    }
+
+    /**
+     * Logs out the current user, in this and every other open tab.
+     * @param {string} [reason='logout'] Why the session ends: 'logout', 'idle' or 'expired'.
+     * @returns {Promise<void>}
      */
-    logout() {
-        this.localStorageService.removeItem(this.CURRENT_USER_KEY);
+    async logout(reason = 'logout') {
+        if (this.currentUser) console.log(`Session ended (${reason}).`);
+        this._clearSession();
+        await this.localStorageService.removeItem(this.CURRENT_USER_KEY);
+        this._broadcast('logout', { reason });
+        this._notifySessionEnd(reason);
         this._notifyAuthChange(null);
     }
 }
@@ -0,0 +1,561 @@
+/**
+ * @fileoverview Service for rendering banners to image files without external libraries.
+ * It reproduces the layout of the `#banner-preview` element (a solid background with positioned
+ * text, image, logo, shape and CTA layers) on a canvas for PNG/JPEG output, and as markup for
+ * vector SVG output.
+ */
+
+class BannerRenderService {
+    constructor() {
+        /**
+         * Padding applied around the banner text, matching the preview's `p-2` class.
+         * @private
+         * @type {number}
+         */
+        this.TEXT_PADDING = 8;
+        /**
+         * Line height multiplier, matching the inherited `line-height: 1.5` of the preview.
+         * @private
+         * @type {number}
+         */
+        this.LINE_HEIGHT = 1.5;
+        /**
+         * Supported export formats and their MIME types / file extensions.
+         * @private
+         * @type {Object.<string, {mimeType: string, extension: string}>}
+         */
+        this.FORMATS = {
+            png: { mimeType: 'image/png', extension: 'png' },
+            jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+            svg: { mimeType: 'image/svg+xml', extension: 'svg' }
+        };
+        /**
+         * Canvas context reused for text measurement.
+         * @private
+         * @type {CanvasRenderingContext2D|null}
+         */
+        this.measureContext = null;
+    }
+
+    /**
+     * Returns the list of supported export formats.
+     * @returns {Array<string>} The format keys (e.g. 'png', 'jpeg', 'svg').
+     */
+    getSupportedFormats() {
+        return Object.keys(this.FORMATS);
+    }
+
+    /**
+     * Builds the CSS font shorthand used for both measuring and drawing.
+     * @param {Object} layer The text or CTA layer.
+     * @returns {string} The font shorthand (e.g. '24px Arial, sans-serif').
+     * @private
+     */
+    _getFont(layer) {
+        return `${layer.fontWeight === 'bold' ? 'bold ' : ''}${Number(layer.fontSize) || 16}px ${layer.fontFamily || 'sans-serif'}`;
+    }
+
+    /**
+     * Returns a 2D context used purely for measuring text.
+     * @returns {CanvasRenderingContext2D}
+     * @private
+     */
+    _getMeasureContext() {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        return this.measureContext;
+    }
+
+    /**
+     * Waits until the banner's font is available so canvas output matches the DOM preview.
+     * @param {string} font The CSS font shorthand.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _ensureFontLoaded(font) {
+        if (document.fonts && typeof document.fonts.load === 'function') {
+            try {
+                await document.fonts.load(font);
+            } catch (e) {
+                console.warn('Could not load font for banner export:', font, e);
+            }
+        }
+    }
+
+    /**
+     * Breaks a single word that is wider than the available width into several pieces,
+     * mirroring the `break-words` (overflow-wrap: break-word) behaviour of the preview.
+     * @param {string} word The word to break.
+     * @param {number} maxWidth The maximum line width in pixels.
+     * @param {CanvasRenderingContext2D} ctx The measuring context.
+     * @returns {Array<string>} The word split into pieces that each fit the width.
+     * @private
+     */
+    _breakWord(word, maxWidth, ctx) {
+        const pieces = [];
+        let current = '';
+        for (const char of word) {
+            if (current && ctx.measureText(current + char).width > maxWidth) {
+                pieces.push(current);
+                current = char;
+            } else {
+                current += char;
+            }
+        }
+        if (current) pieces.push(current);
+        return pieces;
+    }
+
+    /**
+     * Wraps banner text into lines the same way the browser lays out the preview paragraph:
+     * explicit newlines become line breaks, whitespace collapses and words wrap greedily.
+     * @param {string} text The raw banner text.
+     * @param {string} font The CSS font shorthand.
+     * @param {number} maxWidth The maximum line width in pixels.
+     * @returns {Array<{text: string, width: number}>} The wrapped lines with their measured widths.
+     */
+    wrapText(text, font, maxWidth) {
+        const ctx = this._getMeasureContext();
+        ctx.font = font;
+        const lines = [];
+
+        String(text || '').split('\n').forEach(paragraph => {
+            const words = paragraph.replace(/[ \t\r\f]+/g, ' ').trim().split(' ').filter(Boolean);
+            if (words.length === 0) {
+                lines.push('');
+                return;
+            }
+            let line = '';
+            words.forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (ctx.measureText(candidate).width <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                if (line) lines.push(line);
+                if (ctx.measureText(word).width > maxWidth) {
+                    const pieces = this._breakWord(word, maxWidth, ctx);
+                    line = pieces.pop() || '';
+                    lines.push(...pieces);
+                } else {
+                    line = word;
+                }
+            });
+            lines.push(line);
+        });
+
+        // A trailing newline does not produce an extra visible line in the preview.
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+        return lines.map(line => ({ text: line, width: ctx.measureText(line).width }));
+    }
+
+    /**
+     * Finds the largest font size at or below `maxFontSize` at which a text layer's text fits inside
+     * its box without overflowing vertically or breaking words mid-way.
+     * @param {Object} layer The text or CTA layer (text, fontFamily, fontWeight, width, height).
+     * @param {number} maxFontSize The largest acceptable font size.
+     * @param {number} [minFontSize=8] The smallest acceptable font size.
+     * @returns {number} The fitted font size in pixels.
+     */
+    fitFontSize(layer, maxFontSize, minFontSize = 8) {
+        const ctx = this._getMeasureContext();
+        const maxWidth = Math.max(1, layer.width - this.TEXT_PADDING * 2);
+        const maxHeight = Math.max(1, layer.height - this.TEXT_PADDING * 2);
+        const longestWord = String(layer.text || '').split(/\s+/).reduce((a, b) => (b.length > a.length ? b : a), '');
+
+        for (let size = Math.floor(maxFontSize); size > minFontSize; size--) {
+            const font = this._getFont({ ...layer, fontSize: size });
+            ctx.font = font;
+            const lines = this.wrapText(layer.text, font, maxWidth);
+            const fitsHeight = lines.length * size * this.LINE_HEIGHT <= maxHeight;
+            const fitsWidth = ctx.measureText(longestWord).width <= maxWidth;
+            if (fitsHeight && fitsWidth) return size;
+        }
+        return minFontSize;
+    }
+
+    /**
+     * Computes the positioned text lines for a text or CTA layer. Text is laid out like the preview:
+     * padded, wrapped to the layer width and vertically centered in the layer box.
+     * @param {Object} layer The layer (width, height, text, fontSize, fontFamily, textAlign).
+     * @returns {{lines: Array<{text: string, width: number, x: number, centerY: number}>, lineHeight: number}}
+     * @private
+     */
+    _layoutText(layer) {
+        const fontSize = Number(layer.fontSize) || 16;
+        const lineHeight = fontSize * this.LINE_HEIGHT;
+        const maxWidth = Math.max(1, layer.width - this.TEXT_PADDING * 2);
+        const wrapped = this.wrapText(layer.text, this._getFont(layer), maxWidth);
+
+        // The text block is vertically centered inside the layer, overflowing equally on both sides.
+        const blockHeight = wrapped.length * lineHeight + this.TEXT_PADDING * 2;
+        const top = (layer.height - blockHeight) / 2 + this.TEXT_PADDING;
+        const x = { left: this.TEXT_PADDING, right: layer.width - this.TEXT_PADDING }[layer.textAlign] ?? layer.width / 2;
+
+        return {
+            lineHeight,
+            lines: wrapped.map((line, index) => ({
+                ...line,
+                x,
+                centerY: top + index * lineHeight + lineHeight / 2
+            }))
+        };
+    }
+
+    /**
+     * Returns the banner's layers in paint order (lowest z-index first).
+     * @param {Object} bannerData The layered banner data.
+     * @returns {Array<Object>} The sorted layers.
+     * @private
+     */
+    _getPaintOrder(bannerData) {
+        return [...(bannerData.layers || [])].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+    }
+
+    /**
+     * Loads an image for drawing onto a canvas. Remote images are requested with CORS so the
+     * canvas stays exportable; images that fail to load are skipped.
+     * @param {string} src The image URL or data URL.
+     * @returns {Promise<HTMLImageElement|null>} The loaded image, or null on failure.
+     * @private
+     */
+    _loadImage(src) {
+        return new Promise(resolve => {
+            if (!src) {
+                resolve(null);
+                return;
+            }
+            const img = new Image();
+            if (!src.startsWith('data:')) img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => {
+                console.warn('Could not load banner image for export:', src);
+                resolve(null);
+            };
+            img.src = src;
+        });
+    }
+
+    /**
+     * Computes where an image is drawn inside its layer for the `contain` and `cover` fit modes,
+     * matching CSS `object-fit`.
+     * @param {{width: number, height: number}} layer The layer box.
+     * @param {number} imageWidth The natural image width.
+     * @param {number} imageHeight The natural image height.
+     * @param {string} fit Either 'contain' or 'cover'.
+     * @returns {{x: number, y: number, width: number, height: number}} The draw rectangle.
+     * @private
+     */
+    _fitImage(layer, imageWidth, imageHeight, fit) {
+        const scaleX = layer.width / imageWidth;
+        const scaleY = layer.height / imageHeight;
+        const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        const width = imageWidth * scale;
+        const height = imageHeight * scale;
+        return { x: (layer.width - width) / 2, y: (layer.height - height) / 2, width, height };
+    }
+
+    /**
+     * Traces a rectangle with rounded corners on a canvas path.
+     * @param {CanvasRenderingContext2D} ctx The canvas context.
+     * @param {number} width The rectangle width.
+     * @param {number} height The rectangle height.
+     * @param {number} radius The corner radius.
+     * @private
+     */
+    _traceRoundedRect(ctx, width, height, radius) {
+        const r = Math.max(0, Math.min(Number(radius) || 0, width / 2, height / 2));
+        ctx.beginPath();
+        ctx.moveTo(r, 0);
+        ctx.arcTo(width, 0, width, height, r);
+        ctx.arcTo(width, height, 0, height, r);
+        ctx.arcTo(0, height, 0, 0, r);
+        ctx.arcTo(0, 0, width, 0, r);
+        ctx.closePath();
+    }
+
+    /**
+     * Draws the text of a text or CTA layer in layer-local coordinates.
+     * @param {CanvasRenderingContext2D} ctx The canvas context.
+     * @param {Object} layer The layer.
+     * @private
+     */
+    _drawText(ctx, layer) {
+        const { lines } = this._layoutText(layer);
+        ctx.font = this._getFont(layer);
+        ctx.fillStyle = layer.textColor || '#000000';
+        ctx.textAlign = layer.textAlign || 'center';
+        ctx.textBaseline = 'middle';
+        lines.forEach(line => ctx.fillText(line.text, line.x, line.centerY));
+    }
+
+    /**
+     * Draws a single layer onto the canvas, applying its position, rotation and opacity.
+     * @param {CanvasRenderingContext2D} ctx The canvas context.
+     * @param {Object} layer The layer to draw.
+     * @param {HTMLImageElement|null} image The preloaded image for image and logo layers.
+     * @private
+     */
+    _drawLayer(ctx, layer, image) {
+        ctx.save();
+        ctx.globalAlpha = layer.opacity ?? 1;
+        ctx.translate(layer.x + layer.width / 2, layer.y + layer.height / 2);
+        ctx.rotate(((Number(layer.rotation) || 0) * Math.PI) / 180);
+        ctx.translate(-layer.width / 2, -layer.height / 2);
+
+        // Layers clip their content to their box, like the preview's `overflow: hidden`.
+        ctx.beginPath();
+        ctx.rect(0, 0, layer.width, layer.height);
+        ctx.clip();
+
+        switch (layer.type) {
+            case 'text':
+                this._drawText(ctx, layer);
+                break;
+            case 'shape':
+                ctx.fillStyle = layer.fillColor || '#000000';
+                if (layer.shape === 'ellipse') {
+                    ctx.beginPath();
+                    ctx.ellipse(layer.width / 2, layer.height / 2, layer.width / 2, layer.height / 2, 0, 0, Math.PI * 2);
+                } else {
+                    this._traceRoundedRect(ctx, layer.width, layer.height, layer.borderRadius);
+                }
+                ctx.fill();
+                break;
+            case 'cta':
+                ctx.fillStyle = layer.fillColor || '#000000';
+                this._traceRoundedRect(ctx, layer.width, layer.height, layer.borderRadius);
+                ctx.fill();
+                this._drawText(ctx, layer);
+                break;
+            case 'image':
+            case 'logo':
+                if (image) {
+                    const rect = this._fitImage(layer, image.naturalWidth || image.width, image.naturalHeight || image.height, layer.fit);
+                    ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+                }
+                break;
+            default:
+                console.warn(`Unknown banner layer type "${layer.type}".`);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draws a banner onto a new canvas at its exact pixel dimensions.
+     * @param {Object} bannerData The layered banner data (width, height, bgColor, layers).
+     * @returns {Promise<HTMLCanvasElement>} The rendered canvas.
+     */
+    async renderToCanvas(bannerData) {
+        const layers = this._getPaintOrder(bannerData);
+        const textLayers = layers.filter(layer => layer.type === 'text' || layer.type === 'cta');
+        await Promise.all(textLayers.map(layer => this._ensureFontLoaded(this._getFont(layer))));
+        const images = await Promise.all(layers.map(layer => (
+            layer.type === 'image' || layer.type === 'logo' ? this._loadImage(layer.src) : null
+        )));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = bannerData.width;
+        canvas.height = bannerData.height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = bannerData.bgColor || '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        layers.forEach((layer, index) => this._drawLayer(ctx, layer, images[index]));
+
+        return canvas;
+    }
+
+    /**
+     * Escapes a string for safe inclusion in XML text or attribute values.
+     * @param {string} value The raw string.
+     * @returns {string} The escaped string.
+     * @private
+     */
+    _escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Builds the SVG `<text>` element for a text or CTA layer in layer-local coordinates.
+     * @param {Object} layer The layer.
+     * @returns {string} The SVG markup.
+     * @private
+     */
+    _svgText(layer) {
+        const anchor = { left: 'start', right: 'end' }[layer.textAlign] || 'middle';
+        const { lines } = this._layoutText(layer);
+        const tspans = lines
+            .map(line => `<tspan x="${line.x}" y="${line.centerY}">${this._escapeXml(line.text)}</tspan>`)
+            .join('');
+        const weight = layer.fontWeight === 'bold' ? ' font-weight="bold"' : '';
+        return `<text font-family="${this._escapeXml(layer.fontFamily || 'sans-serif')}" font-size="${Number(layer.fontSize) || 16}"${weight} fill="${this._escapeXml(layer.textColor || '#000000')}" text-anchor="${anchor}" dominant-baseline="central" xml:space="preserve">${tspans}</text>`;
+    }
+
+    /**
+     * Embeds an image layer's source as a data URL so the SVG file shows it without fetching anything,
+     * like the PNG/JPEG output which draws the image into the file. Images that fail to load are skipped,
+     * as in the canvas path.
+     * @param {string} src The image URL or data URL.
+     * @returns {Promise<string|null>} The data URL, the original URL if the image could not be re-encoded,
+     *   or null if it could not be loaded.
+     * @private
+     */
+    async _embedImage(src) {
+        if (!src || src.startsWith('data:')) return src || null;
+        const image = await this._loadImage(src);
+        if (!image) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        try {
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            return canvas.toDataURL('image/png');
+        } catch (e) {
+            console.warn('Could not embed banner image in SVG export, linking to it instead:', src, e);
+            return src;
+        }
+    }
+
+    /**
+     * Builds the SVG markup for a single layer.
+     * @param {Object} layer The layer.
+     * @param {number} index The layer's paint index, used for unique clip path IDs.
+     * @param {string|null} imageSrc The embedded source for image and logo layers.
+     * @returns {string} The SVG markup.
+     * @private
+     */
+    _svgLayer(layer, index, imageSrc) {
+        const clipId = `layer-clip-${index}`;
+        const transform = `translate(${layer.x} ${layer.y}) rotate(${Number(layer.rotation) || 0} ${layer.width / 2} ${layer.height / 2})`;
+        const radius = Math.max(0, Math.min(Number(layer.borderRadius) || 0, layer.width / 2, layer.height / 2));
+        let content = '';
+
+        switch (layer.type) {
+            case 'text':
+                content = this._svgText(layer);
+                break;
+            case 'shape':
+                content = layer.shape === 'ellipse'
+                    ? `<ellipse cx="${layer.width / 2}" cy="${layer.height / 2}" rx="${layer.width / 2}" ry="${layer.height / 2}" fill="${this._escapeXml(layer.fillColor || '#000000')}"/>`
+                    : `<rect width="${layer.width}" height="${layer.height}" rx="${radius}" fill="${this._escapeXml(layer.fillColor || '#000000')}"/>`;
+                break;
+            case 'cta':
+                content = `<rect width="${layer.width}" height="${layer.height}" rx="${radius}" fill="${this._escapeXml(layer.fillColor || '#000000')}"/>${this._svgText(layer)}`;
+                break;
+            case 'image':
+            case 'logo': {
+                const aspect = layer.fit === 'cover' ? 'xMidYMid slice' : 'xMidYMid meet';
+                content = imageSrc
+                    ? `<image href="${this._escapeXml(imageSrc)}" width="${layer.width}" height="${layer.height}" preserveAspectRatio="${aspect}"/>`
+                    : '';
+                break;
+            }
+            default:
+                console.warn(`Unknown banner layer type "${layer.type}".`);
+        }
+
+        return `<g transform="${transform}" opacity="${layer.opacity ?? 1}">
+        <clipPath id="${clipId}"><rect width="${layer.width}" height="${layer.height}"/></clipPath>
+        <g clip-path="url(#${clipId})">${content}</g>
+    </g>`;
+    }
+
+    /**
+     * Renders a banner as a standalone SVG document.
+     * @param {Object} bannerData The layered banner data (width, height, bgColor, layers).
+     * @returns {Promise<string>} The SVG markup.
+     */
+    async renderToSvg(bannerData) {
+        const layers = this._getPaintOrder(bannerData);
+        await Promise.all(layers
+            .filter(layer => layer.type === 'text' || layer.type === 'cta')
+            .map(layer => this._ensureFontLoaded(this._getFont(layer))));
+        const images = await Promise.all(layers.map(layer => (
+            layer.type === 'image' || layer.type === 'logo' ? this._embedImage(layer.src) : null
+        )));
+
+        const { width, height } = bannerData;
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <rect width="100%" height="100%" fill="${this._escapeXml(bannerData.bgColor || '#ffffff')}"/>
+    ${layers.map((layer, index) => this._svgLayer(layer, index, images[index])).join('\n    ')}
+</svg>`;
+    }
+
+    /**
+     * Converts a canvas to a Blob of the given type.
+     * @param {HTMLCanvasElement} canvas The canvas to encode.
+     * @param {string} mimeType The target MIME type.
+     * @param {number} [quality] Encoder quality between 0 and 1 (JPEG only).
+     * @returns {Promise<Blob>}
+     * @private
+     */
+    _canvasToBlob(canvas, mimeType, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode banner as ${mimeType}.`));
+                }
+            }, mimeType, quality);
+        });
+    }
+
+    /**
+     * Renders a banner into a Blob in the requested format.
+     * @param {Object} bannerData The banner data.
+     * @param {string} [format='png'] One of 'png', 'jpeg' or 'svg'.
+     * @param {number} [quality=0.92] JPEG quality between 0 and 1. Ignored for PNG and SVG.
+     * @returns {Promise<Blob>} The encoded banner.
+     */
+    async renderToBlob(bannerData, format = 'png', quality = 0.92) {
+        const formatInfo = this.FORMATS[format];
+        if (!formatInfo) {
+            throw new Error(`Unsupported banner export format "${format}".`);
+        }
+
+        if (format === 'svg') {
+            const svg = await this.renderToSvg(bannerData);
+            return new Blob([svg], { type: formatInfo.mimeType });
+        }
+
+        const canvas = await this.renderToCanvas(bannerData);
+        const requestedQuality = Number.isFinite(Number(quality)) ? Number(quality) : 0.92;
+        const clampedQuality = Math.min(1, Math.max(0, requestedQuality));
+        return this._canvasToBlob(canvas, formatInfo.mimeType, format === 'jpeg' ? clampedQuality : undefined);
+    }
+
+    /**
+     * Renders a banner and triggers a browser download of the resulting file.
+     * @param {Object} bannerData The banner data.
+     * @param {Object} [options] Export options.
+     * @param {string} [options.format='png'] One of 'png', 'jpeg' or 'svg'.
+     * @param {number} [options.quality=0.92] JPEG quality between 0 and 1.
+     * @param {string} [options.fileName='banner'] File name without extension.
+     * @returns {Promise<void>}
+     */
+    async downloadBanner(bannerData, { format = 'png', quality = 0.92, fileName = 'banner' } = {}) {
+        const blob = await this.renderToBlob(bannerData, format, quality);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${fileName.replace(/[^a-zA-Z0-9_-]/g, '_')}.${this.FORMATS[format].extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+export default BannerRenderService;
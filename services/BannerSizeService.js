@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Service providing the catalogue of IAB standard banner sizes.
+ * It resolves size IDs (including custom sizes and legacy banner types) into pixel dimensions.
+ */
+
+class BannerSizeService {
+    constructor() {
+        /**
+         * IAB standard ad sizes, grouped for display in the size picker.
+         * @private
+         * @type {Array<{id: string, name: string, width: number, height: number, group: string}>}
+         */
+        this.STANDARD_SIZES = [
+            { id: 'medium-rectangle', name: 'Medium Rectangle', width: 300, height: 250, group: 'Desktop' },
+            { id: 'large-rectangle', name: 'Large Rectangle', width: 336, height: 280, group: 'Desktop' },
+            { id: 'square', name: 'Square', width: 250, height: 250, group: 'Desktop' },
+            { id: 'small-square', name: 'Small Square', width: 200, height: 200, group: 'Desktop' },
+            { id: 'leaderboard', name: 'Leaderboard', width: 728, height: 90, group: 'Desktop' },
+            { id: 'large-leaderboard', name: 'Large Leaderboard', width: 970, height: 90, group: 'Desktop' },
+            { id: 'billboard', name: 'Billboard', width: 970, height: 250, group: 'Desktop' },
+            { id: 'half-page', name: 'Half Page', width: 300, height: 600, group: 'Desktop' },
+            { id: 'wide-skyscraper', name: 'Wide Skyscraper', width: 160, height: 600, group: 'Desktop' },
+            { id: 'skyscraper', name: 'Skyscraper', width: 120, height: 600, group: 'Desktop' },
+            { id: 'portrait', name: 'Portrait', width: 300, height: 1050, group: 'Desktop' },
+            { id: 'mobile-leaderboard', name: 'Mobile Leaderboard', width: 320, height: 50, group: 'Mobile' },
+            { id: 'mobile-banner', name: 'Mobile Banner', width: 300, height: 50, group: 'Mobile' },
+            { id: 'large-mobile-banner', name: 'Large Mobile Banner', width: 320, height: 100, group: 'Mobile' },
+            { id: 'mobile-interstitial', name: 'Mobile Interstitial', width: 320, height: 480, group: 'Mobile' }
+        ];
+        /**
+         * Banner types saved before the IAB catalogue existed, mapped to their catalogue IDs.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.LEGACY_TYPES = {
+            vertical: 'half-page'
+        };
+        /**
+         * Size ID used for user-defined dimensions.
+         * @type {string}
+         */
+        this.CUSTOM_SIZE_ID = 'custom';
+        /**
+         * @private
+         * @type {string}
+         */
+        this.DEFAULT_SIZE_ID = 'square';
+    }
+
+    /**
+     * Returns all IAB standard sizes.
+     * @returns {Array<{id: string, name: string, width: number, height: number, group: string}>}
+     */
+    getStandardSizes() {
+        return this.STANDARD_SIZES.map(size => ({ ...size }));
+    }
+
+    /**
+     * Maps a stored banner type to a catalogue size ID, translating legacy types.
+     * @param {string} sizeId The stored size ID or legacy banner type.
+     * @returns {string} A catalogue size ID, or 'custom'.
+     */
+    normalizeSizeId(sizeId) {
+        if (sizeId === this.CUSTOM_SIZE_ID) return sizeId;
+        const normalized = this.LEGACY_TYPES[sizeId] || sizeId;
+        return this.STANDARD_SIZES.some(size => size.id === normalized) ? normalized : this.DEFAULT_SIZE_ID;
+    }
+
+    /**
+     * Resolves a size ID into pixel dimensions.
+     * @param {string} sizeId The size ID (catalogue, legacy or 'custom').
+     * @param {{width: number, height: number}} [customSize] The dimensions to use for custom sizes.
+     * @returns {{id: string, name: string, width: number, height: number}} The resolved size.
+     */
+    resolveSize(sizeId, customSize = {}) {
+        const id = this.normalizeSizeId(sizeId);
+        if (id === this.CUSTOM_SIZE_ID) {
+            const width = Math.max(1, Math.round(Number(customSize.width) || 300));
+            const height = Math.max(1, Math.round(Number(customSize.height) || 250));
+            return { id, name: `Custom ${width}x${height}`, width, height };
+        }
+        const { name, width, height } = this.STANDARD_SIZES.find(size => size.id === id);
+        return { id, name, width, height };
+    }
+
+    /**
+     * Builds a human-readable label for a size (e.g. 'Leaderboard (728x90)').
+     * @param {{name: string, width: number, height: number}} size The resolved size.
+     * @returns {string} The label.
+     */
+    getLabel(size) {
+        return `${size.name} (${size.width}x${size.height})`;
+    }
+}
+
+export default BannerSizeService;
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Error raised when the logged-in user may not read or change a campaign.
+ */
+
+class CampaignAccessError extends Error {
+    /**
+     * @param {string} message Description of the denied operation.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'CampaignAccessError';
+    }
+}
+
+export default CampaignAccessError;
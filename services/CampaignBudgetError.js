@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Error raised when a campaign's budget or spend is invalid, e.g. a negative amount.
+ */
+
+class CampaignBudgetError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignBudgetError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignBudgetError;
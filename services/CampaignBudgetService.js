@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Service for campaign budgets and spend pacing.
+ * A campaign's budget holds its currency, total and daily budget and bid strategy; its spend holds the
+ * spend recorded per day (entered by hand or imported from a CSV report) and the pacing alert threshold.
+ * Pacing compares the spend so far with the share of the total budget that the elapsed part of the
+ * flight (see CampaignScheduleService) should have used, and projects the spend at the end of the flight.
+ */
+
+class CampaignBudgetService {
+    /**
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     * @param {CsvService} csvService Dependency on CsvService.
+     */
+    constructor(campaignScheduleService, csvService) {
+        /**
+         * @private
+         * @type {CampaignScheduleService}
+         */
+        this.campaignScheduleService = campaignScheduleService;
+        /**
+         * @private
+         * @type {CsvService}
+         */
+        this.csvService = csvService;
+        /**
+         * Currencies a budget can be planned in (ISO 4217 codes).
+         * @type {Array<string>}
+         */
+        this.CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'CAD', 'AUD', 'JPY', 'SEK', 'NOK', 'DKK', 'PLN'];
+        /**
+         * Currency of new campaigns.
+         * @type {string}
+         */
+        this.DEFAULT_CURRENCY = 'USD';
+        /**
+         * Display names of the bid strategies.
+         * @type {Object.<string, string>}
+         */
+        this.BID_STRATEGIES = {
+            manual_cpc: 'Manual CPC',
+            manual_cpm: 'Manual CPM',
+            maximize_clicks: 'Maximize clicks',
+            maximize_conversions: 'Maximize conversions',
+            target_cpa: 'Target CPA',
+            target_roas: 'Target ROAS'
+        };
+        /**
+         * Bid strategy of new campaigns.
+         * @type {string}
+         */
+        this.DEFAULT_BID_STRATEGY = 'manual_cpc';
+        /**
+         * How far, in percent, spend may deviate from the planned pace before an alert is raised.
+         * @type {number}
+         */
+        this.DEFAULT_ALERT_THRESHOLD = 10;
+        /**
+         * Display names of the pacing states.
+         * @type {Object.<string, string>}
+         */
+        this.PACING_LABELS = {
+            on_track: 'On track',
+            under: 'Underpacing',
+            over: 'Overpacing',
+            not_started: 'Not started',
+            unplanned: 'No budget or flight'
+        };
+        /**
+         * Badge colours of the pacing states (Tailwind classes).
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.PACING_BADGE_CLASSES = {
+            on_track: 'bg-green-100 text-green-800',
+            under: 'bg-yellow-100 text-yellow-800',
+            over: 'bg-red-100 text-red-800',
+            not_started: 'bg-gray-200 text-gray-800',
+            unplanned: 'bg-gray-100 text-gray-500'
+        };
+        /**
+         * Statuses of campaigns that are spending or have spent their budget, whose pacing is alerted.
+         * @private
+         * @type {Array<string>}
+         */
+        this.ALERTED_STATUSES = ['live', 'paused', 'completed'];
+        /**
+         * Format of spend dates.
+         * @private
+         * @type {RegExp}
+         */
+        this.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    }
+
+    /**
+     * Creates the budget of a new campaign: no amounts yet.
+     * @returns {{currency: string, total: null, daily: null, bidStrategy: string}} The budget.
+     */
+    createBudget() {
+        return { currency: this.DEFAULT_CURRENCY, total: null, daily: null, bidStrategy: this.DEFAULT_BID_STRATEGY };
+    }
+
+    /**
+     * Creates the spend record of a new campaign: nothing spent yet.
+     * @returns {{alertThreshold: number, entries: Array}} The spend record.
+     */
+    createSpend() {
+        return { alertThreshold: this.DEFAULT_ALERT_THRESHOLD, entries: [] };
+    }
+
+    /**
+     * Gets the display name of a bid strategy.
+     * @param {string} bidStrategy The bid strategy.
+     * @returns {string} The label, or the strategy itself if unknown.
+     */
+    getBidStrategyLabel(bidStrategy) {
+        return this.BID_STRATEGIES[bidStrategy] || bidStrategy;
+    }
+
+    /**
+     * Gets the display name of a pacing state.
+     * @param {string} status The pacing state, e.g. 'over'.
+     * @returns {string} The label.
+     */
+    getPacingLabel(status) {
+        return this.PACING_LABELS[status] || status;
+    }
+
+    /**
+     * Gets the badge colour classes of a pacing state.
+     * @param {string} status The pacing state.
+     * @returns {string} Tailwind classes.
+     */
+    getPacingBadgeClass(status) {
+        return this.PACING_BADGE_CLASSES[status] || this.PACING_BADGE_CLASSES.unplanned;
+    }
+
+    /**
+     * Formats an amount of money.
+     * @param {number|null} amount The amount.
+     * @param {string} currency The ISO 4217 currency code.
+     * @returns {string} E.g. '$1,250.00', or '—' without an amount.
+     */
+    formatMoney(amount, currency) {
+        if (amount === null || amount === undefined) return '—';
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (e) {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    }
+
+    /**
+     * Whether a value is an amount of money: a finite number that is not negative.
+     * @param {any} amount The value.
+     * @returns {boolean} True if it is an amount.
+     * @private
+     */
+    _isAmount(amount) {
+        return typeof amount === 'number' && Number.isFinite(amount) && amount >= 0;
+    }
+
+    /**
+     * Checks a budget before it is saved.
+     * @param {Object} budget The budget.
+     * @returns {Array<string>} The problems found; empty if the budget is valid.
+     */
+    validate(budget) {
+        const problems = [];
+        if (!this.CURRENCIES.includes(budget.currency)) problems.push(`unknown currency "${budget.currency}"`);
+        if (!Object.prototype.hasOwnProperty.call(this.BID_STRATEGIES, budget.bidStrategy)) {
+            problems.push(`unknown bid strategy "${budget.bidStrategy}"`);
+        }
+        ['total', 'daily'].forEach(field => {
+            if (budget[field] !== null && (!this._isAmount(budget[field]) || budget[field] === 0)) {
+                problems.push(`the ${field} budget must be a positive amount`);
+            }
+        });
+        if (!problems.length && budget.total !== null && budget.daily !== null && budget.daily > budget.total) {
+            problems.push('the daily budget cannot be larger than the total budget');
+        }
+        return problems;
+    }
+
+    /**
+     * Checks a pacing alert threshold.
+     * @param {any} threshold The threshold, in percent.
+     * @returns {string|null} The problem, or null if the threshold is fine.
+     */
+    getThresholdProblem(threshold) {
+        if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 1 || threshold > 100) {
+            return 'The alert threshold must be a percentage between 1 and 100.';
+        }
+        return null;
+    }
+
+    /**
+     * Checks a spend entry before it is recorded.
+     * @param {{date: string, amount: number}} entry The entry.
+     * @returns {Array<string>} The problems found; empty if the entry is valid.
+     */
+    validateSpendEntry(entry) {
+        const problems = [];
+        if (!this.DATE_PATTERN.test(entry.date) || Number.isNaN(new Date(`${entry.date}T00:00:00Z`).getTime())) {
+            problems.push(`"${entry.date}" is not a valid date (YYYY-MM-DD)`);
+        }
+        if (!this._isAmount(entry.amount)) problems.push(`"${entry.amount}" is not a valid amount`);
+        return problems;
+    }
+
+    /**
+     * Creates a spend entry.
+     * @param {string} date The day the money was spent, 'YYYY-MM-DD'.
+     * @param {number} amount The amount spent, in the budget's currency.
+     * @param {string} source 'manual' or 'import'.
+     * @param {string} username Who recorded it.
+     * @returns {{id: string, date: string, amount: number, source: string, by: string, at: string}} The entry.
+     */
+    createSpendEntry(date, amount, source, username) {
+        return {
+            id: `spend_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            date,
+            amount: Math.round(amount * 100) / 100,
+            source,
+            by: username,
+            at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Adds imported spend entries to a spend record. They replace any spend already recorded for the days
+     * they cover, so importing an updated report does not count spend twice.
+     * @param {Object} spend The campaign's spend record.
+     * @param {Array<Object>} entries The imported entries (see createSpendEntry()).
+     * @returns {Object} The new spend record.
+     */
+    replaceSpendEntries(spend, entries) {
+        const dates = new Set(entries.map(entry => entry.date));
+        return { ...spend, entries: [...spend.entries.filter(entry => !dates.has(entry.date)), ...entries] };
+    }
+
+    /**
+     * Reads spend from a CSV report with a header row naming a 'date' and an 'amount' (or 'spend'/'cost')
+     * column. Amounts may use a currency symbol and thousands separators.
+     * @param {string} text The CSV text.
+     * @returns {{rows: Array<{date: string, amount: number}>, problems: Array<string>}} The rows read, and
+     *   the problems found with the file or individual lines.
+     */
+    parseSpendCsv(text) {
+        const lines = this.csvService.parse(text);
+        if (!lines.length) return { rows: [], problems: ['the file is empty'] };
+        const header = lines[0].cells.map(cell => cell.toLowerCase());
+        const dateColumn = header.indexOf('date');
+        const amountColumn = header.findIndex(cell => ['amount', 'spend', 'cost'].includes(cell));
+        if (dateColumn === -1 || amountColumn === -1) {
+            return { rows: [], problems: ['the first line must name a "date" and an "amount" column'] };
+        }
+
+        const rows = [];
+        const problems = [];
+        lines.slice(1).forEach(({ number, cells }) => {
+            const rawAmount = cells[amountColumn] ?? '';
+            const row = { date: cells[dateColumn] ?? '', amount: this.csvService.parseNumber(rawAmount) };
+            const rowProblems = this.validateSpendEntry({ ...row, amount: Number.isNaN(row.amount) ? rawAmount : row.amount });
+            if (rowProblems.length) {
+                problems.push(`line ${number}: ${rowProblems.join(', ')}`);
+            } else {
+                rows.push(row);
+            }
+        });
+        return { rows, problems };
+    }
+
+    /**
+     * Adds up the spend per day.
+     * @param {Object} spend The campaign's spend record.
+     * @returns {Object.<string, number>} The amount spent, keyed by date.
+     */
+    getDailySpend(spend) {
+        const daily = {};
+        spend.entries.forEach(entry => {
+            daily[entry.date] = Math.round(((daily[entry.date] || 0) + entry.amount) * 100) / 100;
+        });
+        return daily;
+    }
+
+    /**
+     * Gets the total budget a campaign is paced against: its total budget, or else its daily budget over
+     * the days of the flight.
+     * @param {Object} campaign The campaign.
+     * @param {{start: Date, end: Date}} flight The campaign's flight.
+     * @returns {number|null} The planned spend, or null if no budget is set.
+     * @private
+     */
+    _getPlannedTotal(campaign, flight) {
+        const { total, daily } = campaign.budget;
+        if (total !== null) return total;
+        if (daily === null) return null;
+        return daily * Math.max(1, Math.ceil((flight.end - flight.start) / this.campaignScheduleService.DAY_MS));
+    }
+
+    /**
+     * Works out how a campaign's spend is pacing against its budget and flight.
+     * @param {Object} campaign The campaign.
+     * @param {Date} [now] The current time.
+     * @returns {{status: string, spent: number, planned: number|null, expected: number|null, projected: number|null,
+     *   deviation: number|null, elapsed: number, overspentDays: Array<string>}} The pacing: its state ('on_track',
+     *   'under', 'over', 'not_started' or 'unplanned'), the spend so far, the planned total, the spend expected by
+     *   now, the projected spend at the end of the flight, how far spend is from the expected amount (in percent),
+     *   the elapsed share of the flight (0 to 1), and the days on which the daily budget was exceeded by more
+     *   than the threshold.
+     */
+    getPacing(campaign, now = new Date()) {
+        const spent = Math.round(campaign.spend.entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+        const threshold = campaign.spend.alertThreshold;
+        const { daily } = campaign.budget;
+        const overspentDays = daily === null ? [] : Object.entries(this.getDailySpend(campaign.spend))
+            .filter(([, amount]) => amount > daily * (1 + threshold / 100))
+            .map(([date]) => date)
+            .sort();
+
+        const flight = this.campaignScheduleService.getFlight(campaign);
+        const planned = flight ? this._getPlannedTotal(campaign, flight) : null;
+        const pacing = { status: 'unplanned', spent, planned, expected: null, projected: null, deviation: null, elapsed: 0, overspentDays };
+        if (!flight || planned === null) return pacing;
+
+        pacing.elapsed = Math.min(1, Math.max(0, (now - flight.start) / (flight.end - flight.start)));
+        if (pacing.elapsed === 0) return { ...pacing, status: spent > 0 ? 'over' : 'not_started', expected: 0, projected: spent };
+
+        pacing.expected = Math.round(planned * pacing.elapsed * 100) / 100;
+        pacing.projected = Math.round((spent / pacing.elapsed) * 100) / 100;
+        pacing.deviation = Math.round(((spent - pacing.expected) / pacing.expected) * 1000) / 10;
+        if (pacing.deviation > threshold) pacing.status = 'over';
+        else if (pacing.deviation < -threshold) pacing.status = 'under';
+        else pacing.status = 'on_track';
+        return pacing;
+    }
+
+    /**
+     * Describes why a campaign's pacing needs attention. Only campaigns that have gone live are alerted.
+     * @param {Object} campaign The campaign.
+     * @param {Object} pacing Its pacing, from getPacing().
+     * @returns {string|null} The alert, or null if spend is within the threshold or the campaign has not gone live.
+     */
+    getPacingAlert(campaign, pacing) {
+        if (!this.ALERTED_STATUSES.includes(campaign.status)) return null;
+        const { currency } = campaign.budget;
+        const alerts = [];
+        if (pacing.status === 'over' || pacing.status === 'under') {
+            const direction = pacing.status === 'over' ? 'ahead of' : 'behind';
+            const deviation = pacing.deviation === null ? '' : `${Math.abs(pacing.deviation)}% `;
+            alerts.push(`Spend is ${deviation}${direction} plan (${this.formatMoney(pacing.spent, currency)} spent, ` +
+                `${this.formatMoney(pacing.expected, currency)} expected by now), projected to reach ` +
+                `${this.formatMoney(pacing.projected, currency)} of ${this.formatMoney(pacing.planned, currency)}.`);
+        }
+        if (pacing.overspentDays.length) {
+            alerts.push(`The daily budget of ${this.formatMoney(campaign.budget.daily, currency)} was exceeded on ${pacing.overspentDays.join(', ')}.`);
+        }
+        return alerts.length ? `Campaign "${campaign.name}": ${alerts.join(' ')}` : null;
+    }
+}
+
+export default CampaignBudgetService;
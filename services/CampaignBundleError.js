@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when a campaign bundle cannot be read or is not a campaign bundle
+ * this version of the app understands.
+ */
+
+class CampaignBundleError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignBundleError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignBundleError;
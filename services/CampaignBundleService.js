@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Service for campaign bundles: portable files holding one or more campaigns, to move them
+ * between machines and teammates. A bundle is either a JSON file, with images embedded as data URLs, or a
+ * zip archive with the JSON manifest and the images as separate files. Bundles are versioned independently
+ * of the campaign schema; the campaigns in them are upgraded to the current schema when they are read.
+ */
+
+import CampaignBundleError from './CampaignBundleError.js';
+import CampaignSchemaError from './CampaignSchemaError.js';
+
+class CampaignBundleService {
+    /**
+     * @param {CampaignSchemaService} campaignSchemaService Dependency on CampaignSchemaService (validating campaigns).
+     * @param {ZipService} zipService Dependency on ZipService (zip bundles).
+     */
+    constructor(campaignSchemaService, zipService) {
+        /**
+         * @private
+         * @type {CampaignSchemaService}
+         */
+        this.campaignSchemaService = campaignSchemaService;
+        /**
+         * @private
+         * @type {ZipService}
+         */
+        this.zipService = zipService;
+        /**
+         * Marks a file as a campaign bundle.
+         * @private
+         * @type {string}
+         */
+        this.FORMAT = 'ad-campaign-manager/campaign-bundle';
+        /**
+         * Bundle format version written by this version of the app. Bundles of newer versions are refused.
+         * @type {number}
+         */
+        this.VERSION = 1;
+        /**
+         * File formats a bundle can be exported as.
+         * @type {Object.<string, {label: string, extension: string, mimeType: string}>}
+         */
+        this.FORMATS = {
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            zip: { label: 'Zip', extension: 'zip', mimeType: 'application/zip' }
+        };
+        /**
+         * Name of the manifest inside a zip bundle.
+         * @private
+         * @type {string}
+         */
+        this.MANIFEST_NAME = 'campaign-bundle.json';
+        /**
+         * Prefix replacing an embedded image in a zip bundle's manifest, followed by the image's path in the zip.
+         * @private
+         * @type {string}
+         */
+        this.IMAGE_REFERENCE_PREFIX = 'bundle-image:';
+        /**
+         * File extensions of the image types that are stored as separate files in zip bundles.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.IMAGE_EXTENSIONS = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/svg+xml': 'svg'
+        };
+    }
+
+    /**
+     * Creates a bundle of campaigns. Revisions and leads are not included: leads hold the contact details
+     * of the people who signed up, and an imported campaign starts without any. The campaigns' other data,
+     * assets and embedded images are included.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @param {string} exportedBy Who exports them.
+     * @returns {Object} The bundle.
+     */
+    createBundle(campaigns, exportedBy) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            exportedBy,
+            campaigns: JSON.parse(JSON.stringify(campaigns.map(campaign => ({ ...campaign, leads: [] }))))
+        };
+    }
+
+    /**
+     * Encodes a bundle as a file.
+     * @param {Object} bundle The bundle (see createBundle()).
+     * @param {string} format 'json' or 'zip' (see FORMATS).
+     * @returns {Blob} The file.
+     * @throws {CampaignBundleError} If the format is unknown.
+     */
+    toBlob(bundle, format) {
+        if (format === 'json') {
+            return new Blob([JSON.stringify(bundle, null, 2)], { type: this.FORMATS.json.mimeType });
+        }
+        if (format !== 'zip') throw new CampaignBundleError(`Unknown bundle format "${format}".`);
+
+        const images = new Map();
+        const manifest = this._extractImages(bundle, images);
+        const files = [...images].map(([dataUrl, name]) => ({ name, data: this._decodeDataUrl(dataUrl) }));
+        return this.zipService.createZip([{ name: this.MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) }, ...files]);
+    }
+
+    /**
+     * Replaces the embedded images in a value by references to files.
+     * @param {any} value The value.
+     * @param {Map<string, string>} images Collects each image's data URL and file path; images used more
+     *   than once are stored once.
+     * @returns {any} A copy of the value with image references.
+     * @private
+     */
+    _extractImages(value, images) {
+        if (typeof value === 'string') {
+            const mimeType = /^data:([^;,]+);base64,/.exec(value)?.[1];
+            if (!this.IMAGE_EXTENSIONS[mimeType]) return value;
+            if (!images.has(value)) images.set(value, `images/image${images.size + 1}.${this.IMAGE_EXTENSIONS[mimeType]}`);
+            return this.IMAGE_REFERENCE_PREFIX + images.get(value);
+        }
+        if (Array.isArray(value)) return value.map(item => this._extractImages(item, images));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._extractImages(item, images)]));
+        }
+        return value;
+    }
+
+    /**
+     * Puts the images of a zip bundle back into its manifest.
+     * @param {any} value The value.
+     * @param {Map<string, Uint8Array>} files The files in the zip, by path.
+     * @returns {any} A copy of the value with embedded images.
+     * @throws {CampaignBundleError} If a referenced image is missing.
+     * @private
+     */
+    _embedImages(value, files) {
+        if (typeof value === 'string') {
+            if (!value.startsWith(this.IMAGE_REFERENCE_PREFIX)) return value;
+            const name = value.slice(this.IMAGE_REFERENCE_PREFIX.length);
+            const bytes = files.get(name);
+            if (!bytes) throw new CampaignBundleError(`The image "${name}" is missing from the bundle.`);
+            const extension = name.split('.').pop();
+            const mimeType = Object.keys(this.IMAGE_EXTENSIONS).find(type => this.IMAGE_EXTENSIONS[type] === extension) || 'application/octet-stream';
+            return this._encodeDataUrl(bytes, mimeType);
+        }
+        if (Array.isArray(value)) return value.map(item => this._embedImages(item, files));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._embedImages(item, files)]));
+        }
+        return value;
+    }
+
+    /**
+     * Decodes a base64 data URL.
+     * @param {string} dataUrl The data URL.
+     * @returns {Uint8Array} The bytes.
+     * @private
+     */
+    _decodeDataUrl(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Encodes bytes as a base64 data URL.
+     * @param {Uint8Array} bytes The bytes.
+     * @param {string} mimeType The MIME type.
+     * @returns {string} The data URL.
+     * @private
+     */
+    _encodeDataUrl(bytes, mimeType) {
+        let binary = '';
+        // In chunks, since String.fromCharCode() cannot take arbitrarily many arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Reads a bundle file, JSON or zip.
+     * @param {Blob} file The file.
+     * @returns {Promise<Object>} The bundle, with its images embedded.
+     * @throws {CampaignBundleError} If the file cannot be read.
+     */
+    async readBundle(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (!this.zipService.isZip(bytes)) return this._parseJson(new TextDecoder().decode(bytes));
+
+        let files;
+        try {
+            files = new Map((await this.zipService.readZip(bytes)).map(entry => [entry.name, entry.data]));
+        } catch (error) {
+            throw new CampaignBundleError(`The zip file could not be read (${error.message})`);
+        }
+        const manifest = files.get(this.MANIFEST_NAME);
+        if (!manifest) throw new CampaignBundleError(`The zip file is not a campaign bundle; it has no ${this.MANIFEST_NAME}.`);
+        return this._embedImages(this._parseJson(new TextDecoder().decode(manifest)), files);
+    }
+
+    /**
+     * Parses the JSON of a bundle.
+     * @param {string} text The JSON.
+     * @returns {any} The parsed value.
+     * @throws {CampaignBundleError} If it is not JSON.
+     * @private
+     */
+    _parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new CampaignBundleError('The file is not a campaign bundle; it is not valid JSON.');
+        }
+    }
+
+    /**
+     * Checks a bundle and upgrades its campaigns to the current schema. Campaigns that do not match the
+     * schema are returned with their problems, so the others can still be imported.
+     * @param {any} bundle The bundle read from a file.
+     * @returns {{exportedAt: string|null, exportedBy: string|null, entries: Array<{campaign: Object|null, name: string, problems: Array<string>}>}}
+     *   When and by whom it was exported, and each campaign, upgraded (or null if it is invalid), with its name.
+     * @throws {CampaignBundleError} If it is not a bundle, was written by a newer version of the app, or is empty.
+     */
+    validateBundle(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== this.FORMAT) {
+            throw new CampaignBundleError('The file is not a campaign bundle.');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            throw new CampaignBundleError(`The bundle has an invalid version "${bundle.version}".`);
+        }
+        if (bundle.version > this.VERSION) {
+            throw new CampaignBundleError(`The bundle was exported by a newer version of the app (bundle version ${bundle.version}).`);
+        }
+        if (!Array.isArray(bundle.campaigns) || bundle.campaigns.length === 0) {
+            throw new CampaignBundleError('The bundle has no campaigns.');
+        }
+
+        const entries = bundle.campaigns.map((record, index) => {
+            const name = typeof record?.name === 'string' && record.name ? record.name : `Campaign ${index + 1}`;
+            try {
+                return { campaign: this.campaignSchemaService.migrate(record).campaign, name, problems: [] };
+            } catch (error) {
+                if (!(error instanceof CampaignSchemaError)) throw error;
+                return { campaign: null, name, problems: error.problems.length ? error.problems : [error.message] };
+            }
+        });
+        return {
+            exportedAt: typeof bundle.exportedAt === 'string' ? bundle.exportedAt : null,
+            exportedBy: typeof bundle.exportedBy === 'string' ? bundle.exportedBy : null,
+            entries
+        };
+    }
+
+    /**
+     * Suggests the file name of a bundle.
+     * @param {Array<Object>} campaigns The campaigns in it.
+     * @param {string} format 'json' or 'zip'.
+     * @returns {string} The file name, with extension.
+     */
+    getFileName(campaigns, format) {
+        const base = campaigns.length === 1 ? campaigns[0].name : `campaigns_${campaigns.length}`;
+        const day = new Date().toISOString().slice(0, 10);
+        return `${`${base}_${day}`.replace(/[^a-zA-Z0-9_-]/g, '_')}.${this.FORMATS[format].extension}`;
+    }
+
+    /**
+     * Triggers a download of a bundle file.
+     * @param {Blob} blob The file.
+     * @param {string} fileName The file name.
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+export default CampaignBundleService;
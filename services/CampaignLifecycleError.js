@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when a campaign cannot move to another lifecycle status,
+ * or cannot be changed in its current status.
+ */
+
+class CampaignLifecycleError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual reasons, e.g. missing assets.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignLifecycleError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignLifecycleError;
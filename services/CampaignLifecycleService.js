@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Service defining the campaign lifecycle:
+ * Draft → In Review → Approved → Scheduled → Live ⇄ Paused → Completed → Archived.
+ * It decides which transitions a user may make from a campaign's status, and which statuses lock
+ * the campaign's content. Only drafts can be edited; a live campaign is changed by forking a draft of it.
+ * CampaignService applies the transitions and records them in the campaign's statusHistory.
+ * A campaign goes to review with its assigned reviewers, who must all approve it (see CampaignReviewService);
+ * until it is approved it cannot be sent or exported. Scheduling needs flight dates (see CampaignScheduleService).
+ */
+
+import CampaignLifecycleError from './CampaignLifecycleError.js';
+
+class CampaignLifecycleService {
+    /**
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     */
+    constructor(accessControlService, campaignScheduleService) {
+        /**
+         * @private
+         * @type {AccessControlService}
+         */
+        this.accessControlService = accessControlService;
+        /**
+         * @private
+         * @type {CampaignScheduleService}
+         */
+        this.campaignScheduleService = campaignScheduleService;
+        /**
+         * The statuses, in lifecycle order.
+         * @type {Array<string>}
+         */
+        this.STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'live', 'paused', 'completed', 'archived'];
+        /**
+         * Status of new campaigns.
+         * @type {string}
+         */
+        this.INITIAL_STATUS = 'draft';
+        /**
+         * Display names of the statuses.
+         * @type {Object.<string, string>}
+         */
+        this.STATUS_LABELS = {
+            draft: 'Draft',
+            in_review: 'In Review',
+            approved: 'Approved',
+            scheduled: 'Scheduled',
+            live: 'Live',
+            paused: 'Paused',
+            completed: 'Completed',
+            archived: 'Archived'
+        };
+        /**
+         * Badge colours of the statuses (Tailwind classes).
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.STATUS_BADGE_CLASSES = {
+            draft: 'bg-gray-200 text-gray-800',
+            in_review: 'bg-yellow-100 text-yellow-800',
+            approved: 'bg-blue-100 text-blue-800',
+            scheduled: 'bg-indigo-100 text-indigo-800',
+            live: 'bg-green-100 text-green-800',
+            paused: 'bg-orange-100 text-orange-800',
+            completed: 'bg-purple-100 text-purple-800',
+            archived: 'bg-gray-100 text-gray-500'
+        };
+        /**
+         * Statuses in which the campaign's content cannot be changed, with what to do instead.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.LOCKED_STATUSES = {
+            in_review: 'Withdraw it from review to change it.',
+            approved: 'Reopen it as a draft to change it.',
+            scheduled: 'Unschedule it and reopen it as a draft to change it.',
+            live: 'Fork a draft of it to make changes.',
+            paused: 'Fork a draft of it to make changes.',
+            completed: 'Fork a draft of it to reuse it.',
+            archived: 'Restore it as a draft or fork a draft of it to change it.'
+        };
+        /**
+         * The transitions, keyed by action. Each lists the statuses it leaves from, the status it
+         * leads to, and what it requires: a campaign access level ('view', 'edit' or 'owner'),
+         * optionally a role permission, that all assets exist, that the flight can be scheduled, that
+         * reviewers are assigned, or that the user is one of the assigned reviewers (when there are any).
+         * @private
+         * @type {Object.<string, Object>}
+         */
+        this.TRANSITIONS = {
+            submit: { label: 'Submit for Review', from: ['draft'], to: 'in_review', access: 'edit', requiresReviewers: true },
+            withdraw: { label: 'Withdraw from Review', from: ['in_review'], to: 'draft', access: 'edit' },
+            approve: { label: 'Approve', from: ['in_review'], to: 'approved', access: 'view', permission: 'reviewCampaigns', assignedReviewersOnly: true },
+            reject: { label: 'Request Changes', from: ['in_review'], to: 'draft', access: 'view', permission: 'reviewCampaigns', assignedReviewersOnly: true },
+            reopen: { label: 'Reopen as Draft', from: ['approved'], to: 'draft', access: 'edit' },
+            schedule: { label: 'Schedule', from: ['approved'], to: 'scheduled', access: 'edit', requiresAllAssets: true, requiresFlight: true },
+            unschedule: { label: 'Unschedule', from: ['scheduled'], to: 'approved', access: 'edit' },
+            launch: { label: 'Go Live', from: ['scheduled'], to: 'live', access: 'edit', requiresAllAssets: true },
+            pause: { label: 'Pause', from: ['live'], to: 'paused', access: 'edit' },
+            resume: { label: 'Resume', from: ['paused'], to: 'live', access: 'edit' },
+            complete: { label: 'Complete', from: ['live', 'paused'], to: 'completed', access: 'edit' },
+            archive: { label: 'Archive', from: ['draft', 'completed'], to: 'archived', access: 'owner' },
+            unarchive: { label: 'Restore as Draft', from: ['archived'], to: 'draft', access: 'owner' }
+        };
+        /**
+         * Display names of the assets a campaign needs before it can be scheduled.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.REQUIRED_ASSETS = {
+            banner: 'banner',
+            marketingPage: 'marketing page',
+            landingPage: 'landing page'
+        };
+        /**
+         * Statuses of campaigns that passed review, and so may be sent and exported.
+         * @private
+         * @type {Array<string>}
+         */
+        this.RELEASED_STATUSES = ['approved', 'scheduled', 'live', 'paused', 'completed'];
+    }
+
+    /**
+     * Gets the display name of a status.
+     * @param {string} status The status.
+     * @returns {string} The label, or the status itself if unknown.
+     */
+    getLabel(status) {
+        return this.STATUS_LABELS[status] || status;
+    }
+
+    /**
+     * Gets the display name of a transition.
+     * @param {string} action The transition's action, e.g. 'approve'.
+     * @returns {string} The label, or the action itself if unknown.
+     */
+    getActionLabel(action) {
+        return this.TRANSITIONS[action]?.label || action;
+    }
+
+    /**
+     * Gets the badge colour classes of a status.
+     * @param {string} status The status.
+     * @returns {string} Tailwind classes.
+     */
+    getBadgeClass(status) {
+        return this.STATUS_BADGE_CLASSES[status] || this.STATUS_BADGE_CLASSES.draft;
+    }
+
+    /**
+     * Whether a status locks the campaign's content.
+     * @param {string} status The status.
+     * @returns {boolean} True if the content cannot be changed.
+     */
+    isLocked(status) {
+        return Object.prototype.hasOwnProperty.call(this.LOCKED_STATUSES, status);
+    }
+
+    /**
+     * Explains why a campaign's content cannot be changed in its status.
+     * @param {Object} campaign The campaign.
+     * @returns {string|null} The explanation, or null if the content can be changed.
+     */
+    getLockReason(campaign) {
+        if (!this.isLocked(campaign.status)) return null;
+        return `This campaign is ${this.getLabel(campaign.status)}, so it cannot be changed. ${this.LOCKED_STATUSES[campaign.status]}`;
+    }
+
+    /**
+     * Explains why a campaign cannot be sent or exported yet.
+     * @param {Object} campaign The campaign.
+     * @returns {string|null} The explanation, or null if it has been approved.
+     */
+    getReleaseRestriction(campaign) {
+        if (this.RELEASED_STATUSES.includes(campaign.status)) return null;
+        return `Campaign "${campaign.name}" is ${this.getLabel(campaign.status)}. It must be approved before it can be sent or exported.`;
+    }
+
+    /**
+     * Lists the assets a campaign still lacks.
+     * @param {Object} campaign The campaign.
+     * @returns {Array<string>} Display names of the missing assets.
+     * @private
+     */
+    _getMissingAssets(campaign) {
+        return Object.entries(this.REQUIRED_ASSETS)
+            .filter(([assetType]) => !campaign.assets?.[assetType])
+            .map(([, label]) => label);
+    }
+
+    /**
+     * Whether the user's role and campaign access allow a transition, regardless of the campaign's status.
+     * @param {Object} transition The transition.
+     * @param {Object|null} user The logged-in user.
+     * @param {string|null} access The user's access to the campaign.
+     * @returns {boolean} True if allowed.
+     * @private
+     */
+    _isPermitted(transition, user, access) {
+        return (!transition.permission || this.accessControlService.hasPermission(user, transition.permission)) &&
+            this.accessControlService.allows(access, transition.access);
+    }
+
+    /**
+     * Lists why a transition cannot be made.
+     * @param {Object} campaign The campaign.
+     * @param {string} action The transition's action, e.g. 'schedule'.
+     * @param {Object|null} user The logged-in user.
+     * @param {string|null} access The user's access to the campaign ('owner', 'edit', 'view' or null).
+     * @returns {Array<string>} The problems; empty if the transition can be made.
+     */
+    getTransitionProblems(campaign, action, user, access) {
+        const transition = this.TRANSITIONS[action];
+        if (!transition) return [`unknown action "${action}"`];
+        if (!transition.from.includes(campaign.status)) {
+            return [`a campaign that is ${this.getLabel(campaign.status)} cannot be moved to ${this.getLabel(transition.to)}`];
+        }
+
+        const problems = [];
+        if (!this._isPermitted(transition, user, access)) {
+            problems.push(transition.permission && !this.accessControlService.hasPermission(user, transition.permission)
+                ? 'your role does not allow this'
+                : `this needs ${transition.access} access to the campaign`);
+        }
+        if (transition.requiresAllAssets) {
+            const missing = this._getMissingAssets(campaign);
+            if (missing.length) problems.push(`the ${missing.join(', ')} must be created first`);
+        }
+        if (transition.requiresFlight) problems.push(...this.campaignScheduleService.getSchedulingProblems(campaign));
+        const review = campaign.review;
+        if (transition.requiresReviewers && !review?.reviewers.length) {
+            problems.push('assign at least one reviewer first');
+        }
+        if (transition.assignedReviewersOnly && review?.reviewers.length) {
+            if (!review.reviewers.includes(user?.username)) {
+                problems.push('only its assigned reviewers can decide on it');
+            } else if (action === 'approve' && review.decisions[user.username]?.decision === 'approved') {
+                problems.push('you have already approved it');
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Lists the transitions a user may make from a campaign's status, including those that are
+     * blocked for now (e.g. by missing assets), with the reasons.
+     * @param {Object} campaign The campaign.
+     * @param {Object|null} user The logged-in user.
+     * @param {string|null} access The user's access to the campaign.
+     * @returns {Array<{action: string, label: string, to: string, problems: Array<string>}>} The transitions.
+     */
+    getAvailableTransitions(campaign, user, access) {
+        return Object.entries(this.TRANSITIONS)
+            .filter(([, transition]) => transition.from.includes(campaign.status) && this._isPermitted(transition, user, access))
+            .map(([action, transition]) => ({
+                action,
+                label: transition.label,
+                to: transition.to,
+                problems: this.getTransitionProblems(campaign, action, user, access)
+            }));
+    }
+
+    /**
+     * Throws unless a transition can be made.
+     * @param {Object} campaign The campaign.
+     * @param {string} action The transition's action.
+     * @param {Object|null} user The logged-in user.
+     * @param {string|null} access The user's access to the campaign.
+     * @returns {Object} The transition.
+     * @throws {CampaignLifecycleError} If the transition cannot be made.
+     */
+    assertTransition(campaign, action, user, access) {
+        const problems = this.getTransitionProblems(campaign, action, user, access);
+        if (problems.length) {
+            throw new CampaignLifecycleError(`"${this.getActionLabel(action)}" is not possible for campaign "${campaign.name}"`, problems);
+        }
+        return this.TRANSITIONS[action];
+    }
+
+    /**
+     * Creates an audit trail entry for a campaign's statusHistory.
+     * @param {string} action The action, e.g. 'submit', or 'create' for a new campaign.
+     * @param {string|null} from The previous status (null for a new campaign).
+     * @param {string} to The new status.
+     * @param {string} username Who made the change.
+     * @param {string} [note] An optional comment.
+     * @returns {{action: string, from: string|null, to: string, by: string, at: string, note?: string}} The entry.
+     */
+    createHistoryEntry(action, from, to, username, note = '') {
+        const entry = { action, from, to, by: username, at: new Date().toISOString() };
+        if (note) entry.note = note;
+        return entry;
+    }
+}
+
+export default CampaignLifecycleService;
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Service for the campaign list on the dashboard: searching, filtering, sorting and paging
+ * campaigns. Each user's search, filters, sort order and page size are remembered via LocalStorageService,
+ * so the list looks the same when they come back.
+ */
+
+class CampaignListService {
+    /**
+     * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService (status order and labels).
+     * @param {CampaignService} campaignService Dependency on CampaignService (last update of campaigns).
+     */
+    constructor(localStorageService, campaignLifecycleService, campaignService) {
+        /**
+         * @private
+         * @type {LocalStorageService}
+         */
+        this.localStorageService = localStorageService;
+        /**
+         * @private
+         * @type {CampaignLifecycleService}
+         */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /**
+         * @private
+         * @type {CampaignService}
+         */
+        this.campaignService = campaignService;
+        /**
+         * Prefix of each user's list settings key, followed by the username. Deliberately not starting
+         * with CampaignService's campaign key prefix, so the settings are never mistaken for a campaign.
+         * @private
+         * @type {string}
+         */
+        this.STATE_PREFIX = 'list_settings_';
+        /**
+         * Columns the list can be sorted by, with their headings.
+         * @type {Object.<string, string>}
+         */
+        this.SORT_FIELDS = {
+            name: 'Name',
+            status: 'Status',
+            ownerId: 'Owner',
+            createdAt: 'Created',
+            lastUpdated: 'Last Updated'
+        };
+        /**
+         * Numbers of campaigns a page can show.
+         * @type {Array<number>}
+         */
+        this.PAGE_SIZES = [10, 25, 50, 100];
+        /**
+         * Statuses left out of the list unless the status filter asks for them, or for all statuses.
+         * @private
+         * @type {Array<string>}
+         */
+        this.HIDDEN_STATUSES = ['archived'];
+        /**
+         * Status filter value matching campaigns of every status, including HIDDEN_STATUSES.
+         * @type {string}
+         */
+        this.ALL_STATUSES = 'all';
+        /**
+         * List settings of users who have not changed them. An empty filter matches every campaign (an empty
+         * status filter every campaign not in HIDDEN_STATUSES); `from` and `to` bound the day of the last
+         * update, 'YYYY-MM-DD'.
+         * @private
+         * @type {{query: string, status: string, owner: string, from: string, to: string, sortField: string, sortDirection: string, pageSize: number}}
+         */
+        this.DEFAULT_STATE = {
+            query: '',
+            status: '',
+            owner: '',
+            from: '',
+            to: '',
+            sortField: 'lastUpdated',
+            sortDirection: 'desc',
+            pageSize: 25
+        };
+    }
+
+    /**
+     * Creates the list settings of a user who has not changed them.
+     * @returns {Object} The settings (see DEFAULT_STATE).
+     */
+    createState() {
+        return { ...this.DEFAULT_STATE };
+    }
+
+    /**
+     * Loads a user's list settings. Settings that are no longer valid fall back to their defaults.
+     * @param {string} username The username.
+     * @returns {Promise<Object>} The settings (see DEFAULT_STATE).
+     */
+    async getState(username) {
+        const stored = (await this.localStorageService.getItem(this.STATE_PREFIX + username)) || {};
+        const state = this.createState();
+        ['query', 'status', 'owner', 'from', 'to'].forEach(key => {
+            if (typeof stored[key] === 'string') state[key] = stored[key];
+        });
+        if (this.SORT_FIELDS[stored.sortField]) state.sortField = stored.sortField;
+        if (['asc', 'desc'].includes(stored.sortDirection)) state.sortDirection = stored.sortDirection;
+        if (this.PAGE_SIZES.includes(stored.pageSize)) state.pageSize = stored.pageSize;
+        return state;
+    }
+
+    /**
+     * Remembers a user's list settings.
+     * @param {string} username The username.
+     * @param {Object} state The settings (see DEFAULT_STATE).
+     * @returns {Promise<void>}
+     */
+    async saveState(username, state) {
+        await this.localStorageService.setItem(this.STATE_PREFIX + username, state);
+    }
+
+    /**
+     * Gets the local day of a timestamp, as date inputs show it.
+     * @param {string} timestamp ISO timestamp.
+     * @returns {string} 'YYYY-MM-DD'.
+     * @private
+     */
+    _getLocalDay(timestamp) {
+        const date = new Date(timestamp);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Keeps the campaigns matching the search and filters of list settings. The search looks at the
+     * name, ID and owner, ignoring case. Archived campaigns only match when filtered for.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @param {Object} state The list settings.
+     * @returns {Array<Object>} The matching campaigns.
+     */
+    filter(campaigns, state) {
+        const query = state.query.trim().toLowerCase();
+        return campaigns.filter(campaign => {
+            if (query && ![campaign.name, campaign.id, campaign.ownerId].some(value => (value || '').toLowerCase().includes(query))) return false;
+            if (!state.status && this.HIDDEN_STATUSES.includes(campaign.status)) return false;
+            if (state.status && state.status !== this.ALL_STATUSES && campaign.status !== state.status) return false;
+            if (state.owner && campaign.ownerId !== state.owner) return false;
+            const day = this._getLocalDay(this.campaignService.getLastUpdated(campaign));
+            if (state.from && day < state.from) return false;
+            if (state.to && day > state.to) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Sorts campaigns by a column; campaigns that are equal in it are sorted by name.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @param {string} field The column (see SORT_FIELDS).
+     * @param {string} direction 'asc' or 'desc'.
+     * @returns {Array<Object>} The sorted campaigns, as a new array.
+     */
+    sort(campaigns, field, direction) {
+        const byName = (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' });
+        const compare = {
+            name: byName,
+            // Statuses sort in lifecycle order rather than alphabetically
+            status: (a, b) => this.campaignLifecycleService.STATUSES.indexOf(a.status) - this.campaignLifecycleService.STATUSES.indexOf(b.status),
+            ownerId: (a, b) => (a.ownerId || '').localeCompare(b.ownerId || ''),
+            createdAt: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+            lastUpdated: (a, b) => new Date(this.campaignService.getLastUpdated(a)) - new Date(this.campaignService.getLastUpdated(b))
+        }[field] || byName;
+        const sign = direction === 'desc' ? -1 : 1;
+        return [...campaigns].sort((a, b) => sign * compare(a, b) || byName(a, b));
+    }
+
+    /**
+     * Cuts a page out of a list of campaigns.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @param {number} page The page, from 1; pages past the end show the last page.
+     * @param {number} pageSize The number of campaigns per page.
+     * @returns {{items: Array<Object>, page: number, pageCount: number, total: number, first: number, last: number}}
+     *   The campaigns on the page, the page shown, the number of pages, and the positions (from 1) of the
+     *   first and last campaign shown out of the total; first is 0 if there are none.
+     */
+    paginate(campaigns, page, pageSize) {
+        const total = campaigns.length;
+        const pageCount = Math.max(1, Math.ceil(total / pageSize));
+        const shown = Math.min(Math.max(1, page), pageCount);
+        const start = (shown - 1) * pageSize;
+        const items = campaigns.slice(start, start + pageSize);
+        return { items, page: shown, pageCount, total, first: items.length ? start + 1 : 0, last: start + items.length };
+    }
+
+    /**
+     * Lists the owners of campaigns, for the owner filter.
+     * @param {Array<Object>} campaigns The campaigns.
+     * @returns {Array<string>} The owners' usernames, sorted.
+     */
+    getOwners(campaigns) {
+        return [...new Set(campaigns.map(campaign => campaign.ownerId).filter(Boolean))].sort();
+    }
+}
+
+export default CampaignListService;
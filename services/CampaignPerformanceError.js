@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when performance data cannot be imported, e.g. a report with a column
+ * mapping that misses a required field, or lines with dates that cannot be read.
+ */
+
+class CampaignPerformanceError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignPerformanceError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignPerformanceError;
@@ -0,0 +1,509 @@
+/**
+ * @fileoverview Service for the performance of campaigns on external ad platforms.
+ * Platforms export daily reports as CSV with their own column names; a column mapping says which
+ * columns hold the date, impressions, clicks, spend, conversions and (optionally) revenue, and how the
+ * dates are written. Mappings can be saved as presets per platform, shared by all users and persisted
+ * via LocalStorageService. The imported days are kept per campaign in its `performance` field, outside
+ * the revision history, and the dashboard KPIs (CTR, CPC, CPM, CPA, ROAS) are computed from them, for
+ * all days and for the latest period compared with the period before it.
+ */
+
+import CampaignPerformanceError from './CampaignPerformanceError.js';
+
+class CampaignPerformanceService {
+    /**
+     * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
+     * @param {AuthService} authService Dependency on AuthService.
+     * @param {CsvService} csvService Dependency on CsvService.
+     */
+    constructor(localStorageService, authService, csvService) {
+        /**
+         * @private
+         * @type {LocalStorageService}
+         */
+        this.localStorageService = localStorageService;
+        /**
+         * @private
+         * @type {AuthService}
+         */
+        this.authService = authService;
+        /**
+         * @private
+         * @type {CsvService}
+         */
+        this.csvService = csvService;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.PRESETS_KEY = 'performance_mapping_presets';
+        /**
+         * Display names of the fields a report's columns are mapped to.
+         * @type {Object.<string, string>}
+         */
+        this.FIELDS = {
+            date: 'Date',
+            impressions: 'Impressions',
+            clicks: 'Clicks',
+            spend: 'Spend',
+            conversions: 'Conversions',
+            revenue: 'Revenue'
+        };
+        /**
+         * Fields every mapping must map; revenue is optional, without it there is no ROAS.
+         * @type {Array<string>}
+         */
+        this.REQUIRED_FIELDS = ['date', 'impressions', 'clicks', 'spend', 'conversions'];
+        /**
+         * Column names platforms commonly use for each field, lower case, used to suggest a mapping.
+         * @private
+         * @type {Object.<string, Array<string>>}
+         */
+        this.COLUMN_ALIASES = {
+            date: ['date', 'day', 'reporting starts', 'reporting date', 'start date'],
+            impressions: ['impressions', 'impr.', 'impr', 'views'],
+            clicks: ['clicks', 'link clicks', 'clicks (all)'],
+            spend: ['spend', 'cost', 'amount spent', 'amount', 'total spent', 'total spend'],
+            conversions: ['conversions', 'conv.', 'results', 'purchases', 'leads'],
+            revenue: ['revenue', 'conv. value', 'conversion value', 'total conversion value', 'purchase conversion value', 'purchases conversion value']
+        };
+        /**
+         * Ways reports write dates, keyed by pattern.
+         * @type {Object.<string, string>}
+         */
+        this.DATE_FORMATS = {
+            'YYYY-MM-DD': 'YYYY-MM-DD (2024-03-31)',
+            'MM/DD/YYYY': 'MM/DD/YYYY (03/31/2024)',
+            'DD/MM/YYYY': 'DD/MM/YYYY (31/03/2024)',
+            'DD.MM.YYYY': 'DD.MM.YYYY (31.03.2024)'
+        };
+        /**
+         * Date format of new mappings.
+         * @type {string}
+         */
+        this.DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+        /**
+         * The KPIs shown on the dashboard: their display names, how they are formatted ('percent', 'money'
+         * or 'ratio'), and whether a higher value is an improvement.
+         * @type {Object.<string, {label: string, format: string, higherIsBetter: boolean}>}
+         */
+        this.KPIS = {
+            ctr: { label: 'CTR', format: 'percent', higherIsBetter: true },
+            cpc: { label: 'CPC', format: 'money', higherIsBetter: false },
+            cpm: { label: 'CPM', format: 'money', higherIsBetter: false },
+            cpa: { label: 'CPA', format: 'money', higherIsBetter: false },
+            roas: { label: 'ROAS', format: 'ratio', higherIsBetter: true }
+        };
+        /**
+         * Lengths, in days, of the periods the KPIs can be compared over.
+         * @type {Array<number>}
+         */
+        this.PERIODS = [7, 14, 30];
+        /**
+         * Period compared on the dashboard until another one is chosen.
+         * @type {number}
+         */
+        this.DEFAULT_PERIOD = 7;
+        /**
+         * Longest platform name.
+         * @private
+         * @type {number}
+         */
+        this.MAX_PLATFORM_LENGTH = 40;
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.presetChangeListeners = [];
+    }
+
+    /**
+     * Adds a listener for saved and deleted mapping presets.
+     * @param {function():void} listener The callback function.
+     */
+    onPresetsChange(listener) {
+        this.presetChangeListeners.push(listener);
+    }
+
+    /**
+     * Notifies all registered listeners that the presets changed.
+     * @private
+     */
+    _notifyPresetsChange() {
+        this.presetChangeListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Creates the performance record of a new campaign: nothing imported yet.
+     * @returns {{rows: Array, imports: Array}} The performance record.
+     */
+    createPerformance() {
+        return { rows: [], imports: [] };
+    }
+
+    /**
+     * Lists the saved mapping presets, by platform.
+     * @returns {Promise<Array<Object>>} The presets ({platform, columns, dateFormat, savedBy, savedAt}).
+     */
+    async getPresets() {
+        const presets = (await this.localStorageService.getItem(this.PRESETS_KEY)) || [];
+        return presets.sort((a, b) => a.platform.localeCompare(b.platform));
+    }
+
+    /**
+     * Finds the mapping preset of a platform.
+     * @param {string} platform The platform; case does not matter.
+     * @returns {Promise<Object|undefined>} The preset, or undefined if none was saved.
+     */
+    async getPreset(platform) {
+        const key = platform.trim().toLowerCase();
+        return (await this.getPresets()).find(preset => preset.platform.toLowerCase() === key);
+    }
+
+    /**
+     * Checks a platform name.
+     * @param {string} platform The platform.
+     * @returns {Array<string>} The problems found; empty if the name is valid.
+     */
+    validatePlatform(platform) {
+        const name = typeof platform === 'string' ? platform.trim() : '';
+        if (!name) return ['name the platform the report comes from'];
+        if (name.length > this.MAX_PLATFORM_LENGTH) return [`the platform name can have at most ${this.MAX_PLATFORM_LENGTH} characters`];
+        return [];
+    }
+
+    /**
+     * Checks a column mapping against the columns of a report.
+     * @param {{columns: Object.<string, string>, dateFormat: string}} mapping The mapping.
+     * @param {Array<string>} [columns] The report's columns; if given, mapped columns must be among them.
+     * @returns {Array<string>} The problems found; empty if the mapping is valid.
+     */
+    validateMapping(mapping, columns) {
+        const problems = [];
+        if (!this.DATE_FORMATS[mapping.dateFormat]) problems.push(`"${mapping.dateFormat}" is not a known date format`);
+        this.REQUIRED_FIELDS.forEach(field => {
+            if (!mapping.columns[field]) problems.push(`choose the column holding the ${this.FIELDS[field].toLowerCase()}`);
+        });
+        Object.entries(mapping.columns).forEach(([field, column]) => {
+            if (column && columns && !columns.includes(column)) problems.push(`the report has no column "${column}" for the ${this.FIELDS[field].toLowerCase()}`);
+        });
+        const mapped = Object.values(mapping.columns).filter(Boolean);
+        if (new Set(mapped).size !== mapped.length) problems.push('each column can only be mapped to one field');
+        return problems;
+    }
+
+    /**
+     * Saves the mapping of a platform as its preset, replacing the preset saved before.
+     * @param {string} platform The platform.
+     * @param {{columns: Object.<string, string>, dateFormat: string}} mapping The mapping.
+     * @returns {Promise<Object>} The preset.
+     * @throws {CampaignPerformanceError} If the platform or mapping is invalid, or nobody is logged in.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async savePreset(platform, mapping) {
+        const user = this.authService.getLoggedInUser();
+        if (!user) throw new CampaignPerformanceError('Log in to save mapping presets.');
+        const problems = [...this.validatePlatform(platform), ...this.validateMapping(mapping)];
+        if (problems.length) throw new CampaignPerformanceError('The mapping preset was not saved', problems);
+
+        const key = platform.trim().toLowerCase();
+        const preset = {
+            platform: platform.trim(),
+            columns: { ...mapping.columns },
+            dateFormat: mapping.dateFormat,
+            savedBy: user.username,
+            savedAt: new Date().toISOString()
+        };
+        const presets = (await this.getPresets()).filter(p => p.platform.toLowerCase() !== key);
+        await this.localStorageService.setItem(this.PRESETS_KEY, [...presets, preset]);
+        console.log(`Column mapping for "${preset.platform}" saved.`);
+        this._notifyPresetsChange();
+        return preset;
+    }
+
+    /**
+     * Deletes the mapping preset of a platform.
+     * @param {string} platform The platform.
+     * @returns {Promise<void>}
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async deletePreset(platform) {
+        const key = platform.trim().toLowerCase();
+        const presets = await this.getPresets();
+        await this.localStorageService.setItem(this.PRESETS_KEY, presets.filter(preset => preset.platform.toLowerCase() !== key));
+        console.log(`Column mapping for "${platform}" deleted.`);
+        this._notifyPresetsChange();
+    }
+
+    /**
+     * Reads the column names from the header line of a report.
+     * @param {string} text The CSV text.
+     * @returns {Array<string>} The column names, without blank ones.
+     */
+    getColumns(text) {
+        const [header] = this.csvService.parse(text);
+        return header ? header.cells.filter(Boolean) : [];
+    }
+
+    /**
+     * Suggests a mapping for a report from the column names platforms commonly use.
+     * @param {Array<string>} columns The report's columns.
+     * @returns {{columns: Object.<string, string>, dateFormat: string}} The mapping; fields without an
+     *   obvious column are left empty.
+     */
+    suggestMapping(columns) {
+        const normalize = column => column.toLowerCase().replace(/\s*\(.*\)\s*$/, '').trim();
+        const mapped = {};
+        Object.entries(this.COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const match = columns.find(column => !Object.values(mapped).includes(column) &&
+                (aliases.includes(column.toLowerCase()) || aliases.includes(normalize(column))));
+            mapped[field] = match || '';
+        });
+        return { columns: mapped, dateFormat: this.DEFAULT_DATE_FORMAT };
+    }
+
+    /**
+     * Reads a date in one of the supported formats.
+     * @param {string} raw The cell.
+     * @param {string} dateFormat The format.
+     * @returns {string|null} The date as 'YYYY-MM-DD', or null if it cannot be read.
+     * @private
+     */
+    _parseDate(raw, dateFormat) {
+        const parts = (raw || '').match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/);
+        if (!parts) return null;
+        const [first, second, third] = parts.slice(1).map(Number);
+        const [year, month, day] = {
+            'YYYY-MM-DD': [first, second, third],
+            'MM/DD/YYYY': [third, first, second],
+            'DD/MM/YYYY': [third, second, first],
+            'DD.MM.YYYY': [third, second, first]
+        }[dateFormat];
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (year < 1000 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Reads the days of a report with a mapping. Lines for the same day (e.g. one per ad) are added up.
+     * @param {string} text The CSV text.
+     * @param {{columns: Object.<string, string>, dateFormat: string}} mapping The mapping.
+     * @returns {{rows: Array<{date: string, impressions: number, clicks: number, spend: number, conversions: number,
+     *   revenue: number|null}>, problems: Array<string>}} The days read, by date, and the problems found with
+     *   the mapping or individual lines.
+     */
+    parseReport(text, mapping) {
+        const lines = this.csvService.parse(text);
+        if (!lines.length) return { rows: [], problems: ['the file is empty'] };
+        const header = lines[0].cells;
+        const mappingProblems = this.validateMapping(mapping, header);
+        if (mappingProblems.length) return { rows: [], problems: mappingProblems };
+
+        const columnIndex = Object.fromEntries(Object.entries(mapping.columns)
+            .filter(([, column]) => column)
+            .map(([field, column]) => [field, header.indexOf(column)]));
+        const days = {};
+        const problems = [];
+        lines.slice(1).forEach(({ number, cells }) => {
+            const lineProblems = [];
+            const date = this._parseDate(cells[columnIndex.date], mapping.dateFormat);
+            if (!date) lineProblems.push(`"${cells[columnIndex.date] ?? ''}" is not a date in the format ${mapping.dateFormat}`);
+            const values = {};
+            Object.keys(this.FIELDS).filter(field => field !== 'date' && field in columnIndex).forEach(field => {
+                const raw = cells[columnIndex[field]] ?? '';
+                // Platforms leave cells empty (or write '--') on days without activity
+                const value = raw === '' || /^-+$/.test(raw) ? 0 : this.csvService.parseNumber(raw);
+                if (!Number.isFinite(value) || value < 0) {
+                    lineProblems.push(`"${raw}" is not a valid number of ${this.FIELDS[field].toLowerCase()}`);
+                }
+                values[field] = value;
+            });
+            if (lineProblems.length) {
+                problems.push(`line ${number}: ${lineProblems.join(', ')}`);
+                return;
+            }
+            const day = days[date] || (days[date] = { date, impressions: 0, clicks: 0, spend: 0, conversions: 0, revenue: 'revenue' in values ? 0 : null });
+            Object.entries(values).forEach(([field, value]) => { day[field] += value; });
+        });
+        const rows = Object.values(days)
+            .map(day => ({ ...day, spend: Math.round(day.spend * 100) / 100, revenue: day.revenue === null ? null : Math.round(day.revenue * 100) / 100 }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        return { rows, problems };
+    }
+
+    /**
+     * Creates the record of an import, listed on the dashboard.
+     * @param {string} platform The platform the report comes from.
+     * @param {string} fileName The report's file name.
+     * @param {Array<Object>} rows The days imported, by date.
+     * @param {string} username Who imported it.
+     * @returns {{id: string, platform: string, fileName: string, days: number, from: string, to: string, by: string, at: string}} The record.
+     */
+    createImport(platform, fileName, rows, username) {
+        return {
+            id: `import_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            platform: platform.trim(),
+            fileName,
+            days: rows.length,
+            from: rows[0].date,
+            to: rows[rows.length - 1].date,
+            by: username,
+            at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Adds the days of an import to a performance record. They replace the days of the same platform
+     * already imported, so importing an updated report does not count them twice.
+     * @param {Object} performance The campaign's performance record.
+     * @param {Object} record The import (see createImport()).
+     * @param {Array<Object>} rows The days imported.
+     * @returns {Object} The new performance record.
+     */
+    addImport(performance, record, rows) {
+        const key = record.platform.toLowerCase();
+        const dates = new Set(rows.map(row => row.date));
+        const kept = performance.rows.filter(row => row.platform.toLowerCase() !== key || !dates.has(row.date));
+        const stillUsed = new Set(kept.map(row => row.importId));
+        return {
+            rows: [...kept, ...rows.map(row => ({ ...row, platform: record.platform, importId: record.id }))],
+            // Imports whose days have all been replaced are dropped from the list
+            imports: [...performance.imports.filter(entry => stillUsed.has(entry.id)), record]
+        };
+    }
+
+    /**
+     * Adds up days of performance.
+     * @param {Array<Object>} rows The days.
+     * @returns {{impressions: number, clicks: number, spend: number, conversions: number, revenue: number|null, days: number}}
+     *   The totals; revenue is null if no day reported any.
+     */
+    getTotals(rows) {
+        const totals = { impressions: 0, clicks: 0, spend: 0, conversions: 0, revenue: null, days: new Set(rows.map(row => row.date)).size };
+        rows.forEach(row => {
+            ['impressions', 'clicks', 'spend', 'conversions'].forEach(field => { totals[field] += row[field]; });
+            if (row.revenue !== null) totals.revenue = (totals.revenue || 0) + row.revenue;
+        });
+        totals.spend = Math.round(totals.spend * 100) / 100;
+        if (totals.revenue !== null) totals.revenue = Math.round(totals.revenue * 100) / 100;
+        return totals;
+    }
+
+    /**
+     * Computes the KPIs from totals.
+     * @param {Object} totals The totals (see getTotals()).
+     * @returns {{ctr: number|null, cpc: number|null, cpm: number|null, cpa: number|null, roas: number|null}}
+     *   The KPIs; null where the denominator is zero or there is no revenue.
+     */
+    getKpis(totals) {
+        const ratio = (numerator, denominator) => (numerator !== null && denominator > 0 ? numerator / denominator : null);
+        const cpm = ratio(totals.spend, totals.impressions);
+        return {
+            ctr: ratio(totals.clicks, totals.impressions),
+            cpc: ratio(totals.spend, totals.clicks),
+            cpm: cpm === null ? null : cpm * 1000,
+            cpa: ratio(totals.spend, totals.conversions),
+            roas: ratio(totals.revenue, totals.spend)
+        };
+    }
+
+    /**
+     * Lists the metrics that can be charted: the totals, then the KPIs.
+     * @returns {Object.<string, string>} Display names keyed by metric.
+     */
+    getMetrics() {
+        const metrics = {};
+        ['impressions', 'clicks', 'conversions', 'spend', 'revenue'].forEach(field => { metrics[field] = this.FIELDS[field]; });
+        Object.entries(this.KPIS).forEach(([kpi, { label }]) => { metrics[kpi] = label; });
+        return metrics;
+    }
+
+    /**
+     * Tells how a metric is formatted.
+     * @param {string} metric A total (e.g. 'clicks') or KPI (e.g. 'cpc').
+     * @returns {string} 'count', 'money', 'percent' or 'ratio'.
+     */
+    getMetricFormat(metric) {
+        return this.KPIS[metric]?.format || (['spend', 'revenue'].includes(metric) ? 'money' : 'count');
+    }
+
+    /**
+     * Computes a total or KPI over days of performance.
+     * @param {Array<Object>} rows The days.
+     * @param {string} metric A total (e.g. 'clicks') or KPI (e.g. 'cpc').
+     * @returns {number|null} The value; null where the KPI has no value (see getKpis()).
+     */
+    getMetricValue(rows, metric) {
+        const totals = this.getTotals(rows);
+        return this.KPIS[metric] ? this.getKpis(totals)[metric] : totals[metric];
+    }
+
+    /**
+     * Lists the days of a date range.
+     * @param {string} from The first day, 'YYYY-MM-DD'.
+     * @param {string} to The last day, 'YYYY-MM-DD'.
+     * @returns {Array<string>} The days, 'YYYY-MM-DD'; empty if the range ends before it starts.
+     */
+    getDates(from, to) {
+        const dates = [];
+        for (let date = from; date <= to; date = this.addDays(date, 1)) dates.push(date);
+        return dates;
+    }
+
+    /**
+     * Shifts a date by a number of days.
+     * @param {string} date The date, 'YYYY-MM-DD'.
+     * @param {number} days The days to add; negative to go back.
+     * @returns {string} The shifted date, 'YYYY-MM-DD'.
+     */
+    addDays(date, days) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Relative change between two values.
+     * @param {number|null} current The current value.
+     * @param {number|null} previous The previous value.
+     * @returns {number|null} E.g. 0.25 for 25% more, or null if there is nothing to compare with.
+     * @private
+     */
+    _getChange(current, previous) {
+        return current === null || previous === null || previous === 0 ? null : (current - previous) / previous;
+    }
+
+    /**
+     * Summarizes a campaign's performance: totals and KPIs over all imported days, and the latest period
+     * (ending on the last imported day) compared with the period just before it.
+     * @param {Object} performance The campaign's performance record.
+     * @param {number} [periodDays] The length of the periods, in days.
+     * @returns {{all: Object, current: Object|null, previous: Object|null, changes: Object.<string, number|null>}}
+     *   For all days and each period, `{from, to, totals, kpis}`; the periods are null without imported days.
+     *   `changes` holds the relative change of every total and KPI from the previous period to the latest one.
+     */
+    getSummary(performance, periodDays = this.DEFAULT_PERIOD) {
+        const summarize = (rows, from, to) => {
+            const totals = this.getTotals(rows);
+            return { from, to, totals, kpis: this.getKpis(totals) };
+        };
+        const dates = performance.rows.map(row => row.date).sort();
+        const all = summarize(performance.rows, dates[0] || null, dates[dates.length - 1] || null);
+        if (!dates.length) return { all, current: null, previous: null, changes: {} };
+
+        const end = dates[dates.length - 1];
+        const periodOf = (from, to) => summarize(performance.rows.filter(row => row.date >= from && row.date <= to), from, to);
+        const current = periodOf(this.addDays(end, 1 - periodDays), end);
+        const previous = periodOf(this.addDays(end, 1 - 2 * periodDays), this.addDays(end, -periodDays));
+        const changes = {};
+        ['impressions', 'clicks', 'spend', 'conversions', 'revenue'].forEach(field => {
+            changes[field] = this._getChange(current.totals[field], previous.totals[field]);
+        });
+        Object.keys(this.KPIS).forEach(kpi => {
+            changes[kpi] = this._getChange(current.kpis[kpi], previous.kpis[kpi]);
+        });
+        return { all, current, previous, changes };
+    }
+}
+
+export default CampaignPerformanceService;
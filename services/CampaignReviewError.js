@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Error raised when a campaign's review cannot be changed as requested,
+ * e.g. an empty comment or a reviewer whose role does not allow reviewing.
+ */
+
+class CampaignReviewError extends Error {
+    /**
+     * @param {string} message Description of the problem.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'CampaignReviewError';
+    }
+}
+
+export default CampaignReviewError;
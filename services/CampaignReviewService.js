@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Service defining the compliance review of a campaign: the reviewers assigned to it,
+ * their decisions in the current review round, and threaded comments pinned to an asset or to one
+ * field of it (e.g. the landing page's CTA link). CampaignService keeps this state in the campaign's
+ * `review` field; the decisions are made through the lifecycle's approve and reject transitions.
+ */
+
+class CampaignReviewService {
+    constructor() {
+        /**
+         * What comments can be pinned to: each asset, and the fields of it reviewers talk about.
+         * @type {Object.<string, {label: string, fields: Object.<string, string>}>}
+         */
+        this.COMMENT_TARGETS = {
+            banner: {
+                label: 'Banner',
+                fields: { text: 'Text', images: 'Images', style: 'Colours & fonts', sizes: 'Sizes' }
+            },
+            marketingPage: {
+                label: 'Marketing page',
+                fields: { title: 'Title', paragraph1: 'Body text', imageUrl: 'Image', style: 'Colours' }
+            },
+            landingPage: {
+                label: 'Landing page',
+                fields: { title: 'Title', paragraph: 'Body text', imageUrl: 'Image', ctaText: 'CTA text', ctaLink: 'CTA link', style: 'Colours', includeLeadForm: 'Lead form' }
+            }
+        };
+        /**
+         * Display names of reviewer decisions.
+         * @type {Object.<string, string>}
+         */
+        this.DECISION_LABELS = {
+            approved: 'Approved',
+            changes_requested: 'Changes requested'
+        };
+        /**
+         * Maximum length of a comment.
+         * @private
+         * @type {number}
+         */
+        this.MAX_COMMENT_LENGTH = 2000;
+    }
+
+    /**
+     * Creates the review state of a new campaign.
+     * @returns {{reviewers: Array<string>, decisions: Object, comments: Array<Object>}} No reviewers, decisions or comments.
+     */
+    createReview() {
+        return { reviewers: [], decisions: {}, comments: [] };
+    }
+
+    /**
+     * Whether a comment target exists.
+     * @param {string} asset The asset, e.g. 'landingPage'.
+     * @param {string|null} field The field, or null for the asset as a whole.
+     * @returns {boolean} True if comments can be pinned to it.
+     */
+    isValidTarget(asset, field) {
+        const target = this.COMMENT_TARGETS[asset];
+        return !!target && (field === null || Object.prototype.hasOwnProperty.call(target.fields, field));
+    }
+
+    /**
+     * Gets the display name of a comment target.
+     * @param {{asset: string, field: string|null}} target The target.
+     * @returns {string} E.g. 'Landing page › CTA link'.
+     */
+    getTargetLabel(target) {
+        const asset = this.COMMENT_TARGETS[target.asset];
+        if (!asset) return target.asset;
+        return target.field ? `${asset.label} › ${asset.fields[target.field] || target.field}` : asset.label;
+    }
+
+    /**
+     * Checks the text of a comment.
+     * @param {string} text The text.
+     * @returns {string|null} The problem, or null if the text is fine.
+     */
+    getTextProblem(text) {
+        if (!text.trim()) return 'Comments cannot be empty.';
+        if (text.length > this.MAX_COMMENT_LENGTH) return `Comments can be at most ${this.MAX_COMMENT_LENGTH} characters long.`;
+        return null;
+    }
+
+    /**
+     * Creates a comment. Replies take their target from the comment that starts their thread.
+     * @param {{asset: string, field: string|null}} target What the comment is about.
+     * @param {string} text The comment.
+     * @param {string} author Username of the author.
+     * @param {string|null} [parentId] The comment that starts the thread replied to, or null for a new thread.
+     * @returns {{id: string, target: Object, text: string, author: string, at: string, parentId: string|null, resolved: boolean}} The comment.
+     */
+    createComment(target, text, author, parentId = null) {
+        return {
+            id: `comment_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            target: { asset: target.asset, field: target.field ?? null },
+            text: text.trim(),
+            author,
+            at: new Date().toISOString(),
+            parentId,
+            resolved: false
+        };
+    }
+
+    /**
+     * Groups comments into threads, oldest first, optionally only those pinned to one asset.
+     * @param {Object} review The campaign's review state.
+     * @param {string|null} [asset] Only threads about this asset; null for all.
+     * @returns {Array<{comment: Object, replies: Array<Object>}>} The threads.
+     */
+    getThreads(review, asset = null) {
+        const comments = review?.comments || [];
+        return comments
+            .filter(comment => !comment.parentId && (!asset || comment.target.asset === asset))
+            .map(comment => ({ comment, replies: comments.filter(reply => reply.parentId === comment.id) }));
+    }
+
+    /**
+     * Counts the unresolved threads about an asset.
+     * @param {Object} review The campaign's review state.
+     * @param {string|null} [asset] The asset; null for all.
+     * @returns {number} The number of open threads.
+     */
+    countOpenThreads(review, asset = null) {
+        return this.getThreads(review, asset).filter(thread => !thread.comment.resolved).length;
+    }
+
+    /**
+     * Records a reviewer's decision for the current review round.
+     * @param {Object} review The campaign's review state.
+     * @param {string} username The reviewer.
+     * @param {string} decision 'approved' or 'changes_requested'.
+     * @param {string} [note] An optional comment.
+     * @returns {Object} The updated review state.
+     */
+    recordDecision(review, username, decision, note = '') {
+        const entry = { decision, at: new Date().toISOString() };
+        if (note) entry.note = note;
+        return { ...review, decisions: { ...review.decisions, [username]: entry } };
+    }
+
+    /**
+     * Lists the assigned reviewers who have not approved the current round yet.
+     * @param {Object} review The campaign's review state.
+     * @returns {Array<string>} Their usernames.
+     */
+    getPendingReviewers(review) {
+        return review.reviewers.filter(username => review.decisions[username]?.decision !== 'approved');
+    }
+
+    /**
+     * Whether every assigned reviewer has approved the current round.
+     * @param {Object} review The campaign's review state.
+     * @returns {boolean} True if there are reviewers and all of them approved.
+     */
+    isApprovedByAll(review) {
+        return review.reviewers.length > 0 && this.getPendingReviewers(review).length === 0;
+    }
+}
+
+export default CampaignReviewService;
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Error raised when a campaign's schedule is invalid, e.g. a flight that ends before it starts.
+ */
+
+class CampaignScheduleError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignScheduleError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignScheduleError;
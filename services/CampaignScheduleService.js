@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Service for campaign flight schedules.
+ * A campaign's schedule holds its flight start and end as wall-clock times ('YYYY-MM-DDTHH:mm') in the
+ * campaign's own timezone, plus optional dayparting windows (weekdays and hours, also in that timezone)
+ * during which ads are delivered. This service converts them to instants, validates them, tells which
+ * lifecycle transitions a passed flight boundary makes due, and lays out the dashboard calendar.
+ */
+
+class CampaignScheduleService {
+    constructor() {
+        /**
+         * Format of flight start and end times.
+         * @private
+         * @type {RegExp}
+         */
+        this.DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+        /**
+         * Format of daypart start and end times; '24:00' ends a window at midnight.
+         * @private
+         * @type {RegExp}
+         */
+        this.TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+        /**
+         * Short names of the weekdays, indexed like Date.getDay() (0 is Sunday).
+         * @type {Array<string>}
+         */
+        this.WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        /**
+         * Day sets offered when adding a daypart window.
+         * @type {Object.<string, {label: string, days: Array<number>}>}
+         */
+        this.DAY_PRESETS = {
+            everyday: { label: 'Every day', days: [0, 1, 2, 3, 4, 5, 6] },
+            weekdays: { label: 'Weekdays', days: [1, 2, 3, 4, 5] },
+            weekends: { label: 'Weekends', days: [0, 6] }
+        };
+        /**
+         * Timezones offered when the browser cannot list the ones it supports.
+         * @private
+         * @type {Array<string>}
+         */
+        this.FALLBACK_TIMEZONES = ['UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Asia/Tokyo', 'Australia/Sydney'];
+        /**
+         * One day in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Gets the browser's timezone, used for new campaigns.
+     * @returns {string} The IANA timezone name.
+     */
+    getDefaultTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Lists the timezones a campaign can use.
+     * @returns {Array<string>} IANA timezone names.
+     */
+    getTimezones() {
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : this.FALLBACK_TIMEZONES;
+        return timezones.includes('UTC') ? timezones : ['UTC', ...timezones];
+    }
+
+    /**
+     * Whether a timezone is known to the browser.
+     * @param {string} timezone The IANA timezone name.
+     * @returns {boolean} True if it can be used.
+     */
+    isValidTimezone(timezone) {
+        if (typeof timezone !== 'string' || !timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Creates the schedule of a new campaign: no flight dates or dayparts yet.
+     * @returns {{startAt: null, endAt: null, timezone: string, dayparts: Array}} The schedule.
+     */
+    createSchedule() {
+        return { startAt: null, endAt: null, timezone: this.getDefaultTimezone(), dayparts: [] };
+    }
+
+    /**
+     * Reads the wall-clock fields of an instant in a timezone.
+     * @param {Date} date The instant.
+     * @param {string} timezone The IANA timezone name.
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+     *   The fields; month is 1-based and weekday is 0 for Sunday.
+     * @private
+     */
+    _getZonedParts(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            weekday: 'short'
+        }).formatToParts(date);
+        const value = type => parts.find(part => part.type === type).value;
+        return {
+            year: Number(value('year')),
+            month: Number(value('month')),
+            day: Number(value('day')),
+            hour: Number(value('hour')),
+            minute: Number(value('minute')),
+            second: Number(value('second')),
+            weekday: this.WEEKDAY_LABELS.indexOf(value('weekday'))
+        };
+    }
+
+    /**
+     * Gets a timezone's offset from UTC at an instant.
+     * @param {Date} date The instant.
+     * @param {string} timezone The IANA timezone name.
+     * @returns {number} The offset in milliseconds (positive east of UTC).
+     * @private
+     */
+    _getOffset(date, timezone) {
+        const p = this._getZonedParts(date, timezone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Converts a wall-clock time in a timezone to an instant.
+     * @param {string} dateTime The time, 'YYYY-MM-DDTHH:mm'.
+     * @param {string} timezone The IANA timezone name.
+     * @returns {Date|null} The instant, or null if the time is malformed.
+     */
+    toInstant(dateTime, timezone) {
+        const match = this.DATE_TIME_PATTERN.exec(dateTime || '');
+        if (!match) return null;
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        // The offset at the wall-clock time read as UTC is right except near a DST change; one more step settles it.
+        const offset = this._getOffset(new Date(wallClock), timezone);
+        const laterOffset = this._getOffset(new Date(wallClock - offset), timezone);
+        return new Date(wallClock - laterOffset);
+    }
+
+    /**
+     * Gets a campaign's flight as instants.
+     * @param {Object} campaign The campaign.
+     * @returns {{start: Date, end: Date}|null} The flight, or null if its dates are not set.
+     */
+    getFlight(campaign) {
+        const schedule = campaign.schedule;
+        if (!schedule?.startAt || !schedule.endAt) return null;
+        const start = this.toInstant(schedule.startAt, schedule.timezone);
+        const end = this.toInstant(schedule.endAt, schedule.timezone);
+        return start && end ? { start, end } : null;
+    }
+
+    /**
+     * Checks a schedule before it is saved.
+     * @param {Object} schedule The schedule.
+     * @returns {Array<string>} The problems found; empty if the schedule is valid.
+     */
+    validate(schedule) {
+        const problems = [];
+        if (!this.isValidTimezone(schedule.timezone)) problems.push(`unknown timezone "${schedule.timezone}"`);
+        ['startAt', 'endAt'].forEach(field => {
+            if (schedule[field] !== null && !this.DATE_TIME_PATTERN.test(schedule[field])) {
+                problems.push(`the flight ${field === 'startAt' ? 'start' : 'end'} is not a valid date and time`);
+            }
+        });
+        if (!!schedule.startAt !== !!schedule.endAt) problems.push('set both the flight start and end, or neither');
+        if (!problems.length && schedule.startAt && schedule.startAt >= schedule.endAt) {
+            problems.push('the flight must end after it starts');
+        }
+        schedule.dayparts.forEach((daypart, index) => {
+            const name = `daypart window ${index + 1}`;
+            if (!daypart.days.length || daypart.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                problems.push(`${name} needs at least one weekday`);
+            }
+            if (!this.TIME_PATTERN.test(daypart.start) || !this.TIME_PATTERN.test(daypart.end) || daypart.start === '24:00') {
+                problems.push(`${name} has an invalid time`);
+            } else if (daypart.start >= daypart.end) {
+                problems.push(`${name} must end after it starts`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Lists what stops a campaign from being scheduled.
+     * @param {Object} campaign The campaign.
+     * @param {Date} [now] The current time.
+     * @returns {Array<string>} The problems; empty if its flight can be scheduled.
+     */
+    getSchedulingProblems(campaign, now = new Date()) {
+        const flight = this.getFlight(campaign);
+        if (!flight) return ['the flight start and end dates must be set first'];
+        if (flight.end <= now) return ['the flight end has already passed'];
+        return [];
+    }
+
+    /**
+     * Lists the lifecycle transitions that passed flight boundaries make due, in order:
+     * a scheduled campaign goes live at its start and a live or paused one completes at its end.
+     * @param {Object} campaign The campaign.
+     * @param {Date} [now] The current time.
+     * @returns {Array<string>} The transitions' actions, e.g. ['launch', 'complete'].
+     */
+    getDueTransitions(campaign, now = new Date()) {
+        const flight = this.getFlight(campaign);
+        if (!flight) return [];
+        const actions = [];
+        let status = campaign.status;
+        if (status === 'scheduled' && flight.start <= now) {
+            actions.push('launch');
+            status = 'live';
+        }
+        if ((status === 'live' || status === 'paused') && flight.end <= now) actions.push('complete');
+        return actions;
+    }
+
+    /**
+     * Whether a campaign's ads are delivered at a time: it is within the flight and, if the campaign
+     * has dayparting, within one of its windows.
+     * @param {Object} campaign The campaign.
+     * @param {Date} [now] The time.
+     * @returns {boolean} True if delivering.
+     */
+    isDelivering(campaign, now = new Date()) {
+        const flight = this.getFlight(campaign);
+        if (!flight || now < flight.start || now >= flight.end) return false;
+        const dayparts = campaign.schedule.dayparts;
+        if (!dayparts.length) return true;
+        const p = this._getZonedParts(now, campaign.schedule.timezone);
+        const time = `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+        return dayparts.some(daypart => daypart.days.includes(p.weekday) && daypart.start <= time && time < daypart.end);
+    }
+
+    /**
+     * Describes a daypart window for display.
+     * @param {{days: Array<number>, start: string, end: string}} daypart The window.
+     * @returns {string} E.g. 'Weekdays 09:00–17:00'.
+     */
+    describeDaypart(daypart) {
+        const sortedDays = [...daypart.days].sort((a, b) => a - b).join(',');
+        const preset = Object.values(this.DAY_PRESETS).find(p => [...p.days].sort((a, b) => a - b).join(',') === sortedDays);
+        const days = preset ? preset.label : daypart.days.map(day => this.WEEKDAY_LABELS[day]).join(', ');
+        return `${days} ${daypart.start}–${daypart.end}`;
+    }
+
+    /**
+     * Formats a flight boundary for display in the campaign's timezone.
+     * @param {string} dateTime The wall-clock time, 'YYYY-MM-DDTHH:mm'.
+     * @returns {string} E.g. '2026-10-19 09:00'.
+     */
+    formatDateTime(dateTime) {
+        return dateTime ? dateTime.replace('T', ' ') : '—';
+    }
+
+    /**
+     * Gets the days shown by the calendar, at local midnight. A month view spans whole weeks from
+     * Monday to Sunday; a week view is the Monday-to-Sunday week of the anchor date.
+     * @param {string} view 'month' or 'week'.
+     * @param {Date} anchor A day in the month or week to show.
+     * @returns {Array<Date>} The days, in order.
+     */
+    getCalendarDays(view, anchor) {
+        const mondayOf = date => {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+            return day;
+        };
+        let first;
+        let count;
+        if (view === 'week') {
+            first = mondayOf(anchor);
+            count = 7;
+        } else {
+            const firstOfMonth = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+            const lastOfMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+            first = mondayOf(firstOfMonth);
+            count = Math.round((mondayOf(lastOfMonth) - first) / this.DAY_MS) + 7;
+        }
+        return Array.from({ length: count }, (_, index) => new Date(first.getFullYear(), first.getMonth(), first.getDate() + index));
+    }
+
+    /**
+     * Lists the campaigns whose flights touch a local calendar day.
+     * @param {Array<{campaign: Object, start: Date, end: Date}>} flights The flights.
+     * @param {Date} day The day, at local midnight.
+     * @returns {Array<{campaign: Object, start: Date, end: Date}>} The flights running that day.
+     */
+    getFlightsOnDay(flights, day) {
+        const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        return flights.filter(flight => flight.start < dayEnd && flight.end > day);
+    }
+
+    /**
+     * Finds the pairs of flights that run at the same time.
+     * @param {Array<{campaign: Object, start: Date, end: Date}>} flights The flights.
+     * @returns {Array<{a: Object, b: Object, start: Date, end: Date}>} The overlapping campaigns and when they overlap.
+     */
+    findOverlaps(flights) {
+        const overlaps = [];
+        flights.forEach((a, i) => {
+            flights.slice(i + 1).forEach(b => {
+                const start = a.start > b.start ? a.start : b.start;
+                const end = a.end < b.end ? a.end : b.end;
+                if (start < end) overlaps.push({ a: a.campaign, b: b.campaign, start, end });
+            });
+        });
+        return overlaps;
+    }
+}
+
+export default CampaignScheduleService;
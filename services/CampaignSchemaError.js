@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when a campaign record does not match the campaign schema
+ * and cannot be migrated to it.
+ */
+
+class CampaignSchemaError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual validation problems.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CampaignSchemaError';
+        this.problems = problems;
+    }
+}
+
+export default CampaignSchemaError;
@@ -0,0 +1,517 @@
+/**
+ * @fileoverview Service defining the versioned campaign schema.
+ * It validates campaign records and upgrades records written by older versions of the app,
+ * one schema version at a time.
+ */
+
+import CampaignSchemaError from './CampaignSchemaError.js';
+
+class CampaignSchemaService {
+    constructor() {
+        /**
+         * Schema version written to every campaign saved by this version of the app.
+         * Records without a schemaVersion predate versioning and are treated as version 1.
+         * @type {number}
+         */
+        this.CURRENT_VERSION = 13;
+        /**
+         * Required top-level campaign fields and their types.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.CAMPAIGN_FIELDS = {
+            id: 'string',
+            name: 'string',
+            status: 'string',
+            createdAt: 'string',
+            assets: 'object'
+        };
+        /**
+         * Required fields of each asset type, checked when the asset is present (assets may be null).
+         * @private
+         * @type {Object.<string, Object.<string, string>>}
+         */
+        this.ASSET_FIELDS = {
+            banner: { type: 'string' },
+            marketingPage: { templateId: 'string' },
+            landingPage: { templateId: 'string' }
+        };
+        /**
+         * Upgrade steps keyed by the version they upgrade from. Each step receives a copy of the
+         * record at that version and returns it in the shape of the next version; the runner
+         * stamps the new schemaVersion.
+         * @private
+         * @type {Object.<number, function(Object):Object>}
+         */
+        this.MIGRATIONS = {
+            1: campaign => this._migrateV1(campaign),
+            2: campaign => this._migrateV2(campaign),
+            3: campaign => this._migrateV3(campaign),
+            4: campaign => this._migrateV4(campaign),
+            5: campaign => this._migrateV5(campaign),
+            6: campaign => this._migrateV6(campaign),
+            7: campaign => this._migrateV7(campaign),
+            8: campaign => this._migrateV8(campaign),
+            9: campaign => this._migrateV9(campaign),
+            10: campaign => this._migrateV10(campaign),
+            11: campaign => this._migrateV11(campaign),
+            12: campaign => this._migrateV12(campaign)
+        };
+        /**
+         * Access levels allowed in a campaign's sharing list.
+         * @private
+         * @type {Array<string>}
+         */
+        this.SHARE_LEVELS = ['view', 'edit'];
+        /**
+         * Lifecycle statuses a campaign may have (see CampaignLifecycleService).
+         * @private
+         * @type {Array<string>}
+         */
+        this.STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'live', 'paused', 'completed', 'archived'];
+        /**
+         * Decisions a reviewer may record (see CampaignReviewService).
+         * @private
+         * @type {Array<string>}
+         */
+        this.DECISIONS = ['approved', 'changes_requested'];
+        /**
+         * Where a spend entry may come from (see CampaignBudgetService).
+         * @private
+         * @type {Array<string>}
+         */
+        this.SPEND_SOURCES = ['manual', 'import'];
+    }
+
+    /**
+     * Upgrades an unversioned (version 1) record: fills in missing fields with the defaults
+     * createCampaign() uses, and drops asset data that is not a real asset, such as the
+     * placeholder `{content: 'Saved banner content'}` the dashboard used to write.
+     * @param {Object} campaign The version 1 record.
+     * @returns {Object} The version 2 record.
+     * @private
+     */
+    _migrateV1(campaign) {
+        const assets = campaign.assets && typeof campaign.assets === 'object' ? campaign.assets : {};
+        const migratedAssets = {};
+        Object.keys(this.ASSET_FIELDS).forEach(assetType => {
+            const asset = assets[assetType];
+            migratedAssets[assetType] = asset && typeof asset === 'object' && this._validateAsset(assetType, asset).length === 0
+                ? asset
+                : null;
+        });
+
+        return {
+            ...campaign,
+            name: typeof campaign.name === 'string' && campaign.name ? campaign.name : 'Unnamed Campaign',
+            status: typeof campaign.status === 'string' && campaign.status ? campaign.status : 'Draft',
+            createdAt: campaign.createdAt || campaign.lastUpdated || new Date().toISOString(),
+            assets: migratedAssets
+        };
+    }
+
+    /**
+     * Upgrades a version 2 record: campaigns saved before ownership existed have no owner
+     * and must be claimed by a user (see CampaignService.claimCampaign()).
+     * @param {Object} campaign The version 2 record.
+     * @returns {Object} The version 3 record.
+     * @private
+     */
+    _migrateV2(campaign) {
+        return { ...campaign, ownerId: typeof campaign.ownerId === 'string' ? campaign.ownerId : null };
+    }
+
+    /**
+     * Upgrades a version 3 record: adds the empty sharing list ({username: 'view'|'edit'}).
+     * @param {Object} campaign The version 3 record.
+     * @returns {Object} The version 4 record.
+     * @private
+     */
+    _migrateV3(campaign) {
+        return { ...campaign, sharing: {} };
+    }
+
+    /**
+     * Upgrades a version 4 record: the free-text status becomes a lifecycle status ('In Review' becomes
+     * 'in_review'; anything unknown becomes 'draft'), and the status audit trail and fork origin are added.
+     * @param {Object} campaign The version 4 record.
+     * @returns {Object} The version 5 record.
+     * @private
+     */
+    _migrateV4(campaign) {
+        const status = typeof campaign.status === 'string' ? campaign.status.trim().toLowerCase().replace(/\s+/g, '_') : '';
+        return {
+            ...campaign,
+            status: this.STATUSES.includes(status) ? status : 'draft',
+            statusHistory: [],
+            forkedFrom: null
+        };
+    }
+
+    /**
+     * Upgrades a version 5 record: adds the empty review state (no reviewers, decisions or comments).
+     * @param {Object} campaign The version 5 record.
+     * @returns {Object} The version 6 record.
+     * @private
+     */
+    _migrateV5(campaign) {
+        return { ...campaign, review: { reviewers: [], decisions: {}, comments: [] } };
+    }
+
+    /**
+     * Upgrades a version 6 record: adds an empty schedule (no flight dates or dayparts) in UTC, since the
+     * timezone the campaign was planned in is not known.
+     * @param {Object} campaign The version 6 record.
+     * @returns {Object} The version 7 record.
+     * @private
+     */
+    _migrateV6(campaign) {
+        return { ...campaign, schedule: { startAt: null, endAt: null, timezone: 'UTC', dayparts: [] } };
+    }
+
+    /**
+     * Upgrades a version 7 record: adds an empty budget in US dollars, and a spend record with nothing spent.
+     * @param {Object} campaign The version 7 record.
+     * @returns {Object} The version 8 record.
+     * @private
+     */
+    _migrateV7(campaign) {
+        return {
+            ...campaign,
+            budget: { currency: 'USD', total: null, daily: null, bidStrategy: 'manual_cpc' },
+            spend: { alertThreshold: 10, entries: [] }
+        };
+    }
+
+    /**
+     * Upgrades a version 8 record: adds empty targeting (no audience segments, so everyone is targeted).
+     * @param {Object} campaign The version 8 record.
+     * @returns {Object} The version 9 record.
+     * @private
+     */
+    _migrateV8(campaign) {
+        return { ...campaign, targeting: { segmentIds: [] } };
+    }
+
+    /**
+     * Upgrades a version 9 record: adds A/B tests of the creatives, with no tests and no results yet.
+     * @param {Object} campaign The version 9 record.
+     * @returns {Object} The version 10 record.
+     * @private
+     */
+    _migrateV9(campaign) {
+        return {
+            ...campaign,
+            creativeTests: Object.fromEntries(Object.keys(this.ASSET_FIELDS).map(assetType => [assetType, null])),
+            creativeResults: {}
+        };
+    }
+
+    /**
+     * Upgrades a version 10 record: adds a performance record with nothing imported yet.
+     * @param {Object} campaign The version 10 record.
+     * @returns {Object} The version 11 record.
+     * @private
+     */
+    _migrateV10(campaign) {
+        return { ...campaign, performance: { rows: [], imports: [] } };
+    }
+
+    /**
+     * Upgrades a version 11 record: adds the trash marker; no campaign was in the trash before.
+     * @param {Object} campaign The version 11 record.
+     * @returns {Object} The version 12 record.
+     * @private
+     */
+    _migrateV11(campaign) {
+        return { ...campaign, trashed: null };
+    }
+
+    /**
+     * Upgrades a version 12 record: adds the list of leads; none were kept before.
+     * @param {Object} campaign The version 12 record.
+     * @returns {Object} The version 13 record.
+     * @private
+     */
+    _migrateV12(campaign) {
+        return { ...campaign, leads: [] };
+    }
+
+    /**
+     * Checks the shape of a campaign's leads. Whether their name and email make sense is checked by
+     * LeadService when a lead is captured.
+     * @param {any} leads The leads.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateLeads(leads) {
+        if (!Array.isArray(leads)) return ['leads must be an array'];
+        const strings = ['id', 'name', 'email', 'templateId', 'source', 'status', 'capturedAt', 'capturedBy'];
+        if (leads.some(lead => !lead || strings.some(field => typeof lead[field] !== 'string') ||
+            (lead.variantId !== null && typeof lead.variantId !== 'string'))) {
+            return [`leads must have ${strings.join(', ')} and variantId (a string or null)`];
+        }
+        return [];
+    }
+
+    /**
+     * Checks the shape of a campaign's imported performance. Whether the numbers make sense is checked by
+     * CampaignPerformanceService when a report is imported.
+     * @param {any} performance The performance record.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validatePerformance(performance) {
+        if (!performance || typeof performance !== 'object' || Array.isArray(performance)) return ['performance must be an object'];
+        const problems = [];
+        const numbers = ['impressions', 'clicks', 'spend', 'conversions'];
+        if (!Array.isArray(performance.rows) || performance.rows.some(row => !row || typeof row.date !== 'string' ||
+            typeof row.platform !== 'string' || numbers.some(field => typeof row[field] !== 'number') ||
+            (row.revenue !== null && typeof row.revenue !== 'number'))) {
+            problems.push(`performance.rows must have date, platform, ${numbers.join(', ')} and revenue (a number or null)`);
+        }
+        if (!Array.isArray(performance.imports) || performance.imports.some(entry => !entry || typeof entry.id !== 'string' ||
+            typeof entry.platform !== 'string' || typeof entry.by !== 'string' || typeof entry.at !== 'string')) {
+            problems.push('performance.imports must have id, platform, by and at');
+        }
+        return problems;
+    }
+
+    /**
+     * Checks the shape of a campaign's A/B tests and their results. Whether the traffic shares and
+     * numbers make sense is checked by CreativeTestService when they are changed.
+     * @param {any} tests The tests, keyed by asset type.
+     * @param {any} results The performance numbers, keyed by asset type and variant ID.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateCreativeTests(tests, results) {
+        const problems = [];
+        if (!tests || typeof tests !== 'object' || Array.isArray(tests)) {
+            problems.push('creativeTests must be an object');
+        } else {
+            Object.keys(this.ASSET_FIELDS).forEach(assetType => {
+                const test = tests[assetType];
+                if (test === null) return;
+                if (!test || typeof test.metric !== 'string' || !Array.isArray(test.variants)) {
+                    problems.push(`creativeTests.${assetType} must be null or have a metric and variants`);
+                    return;
+                }
+                test.variants.forEach(variant => {
+                    if (!variant || typeof variant.id !== 'string' || typeof variant.name !== 'string' || typeof variant.weight !== 'number') {
+                        problems.push(`variants of creativeTests.${assetType} must have id, name and weight`);
+                    } else if (variant.asset !== undefined) {
+                        if (!variant.asset || typeof variant.asset !== 'object') {
+                            problems.push(`the asset of variant "${variant.name}" must be an object`);
+                        } else {
+                            problems.push(...this._validateAsset(assetType, variant.asset).map(problem => `variant "${variant.name}": ${problem}`));
+                        }
+                    }
+                });
+            });
+        }
+        if (!results || typeof results !== 'object' || Array.isArray(results)) problems.push('creativeResults must be an object');
+        return problems;
+    }
+
+    /**
+     * Checks the shape of a campaign's budget and spend. Whether the amounts make sense is checked by
+     * CampaignBudgetService when they are changed.
+     * @param {any} budget The budget.
+     * @param {any} spend The spend record.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateBudget(budget, spend) {
+        const problems = [];
+        if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+            problems.push('budget must be an object');
+        } else {
+            if (typeof budget.currency !== 'string' || typeof budget.bidStrategy !== 'string') {
+                problems.push('budget.currency and budget.bidStrategy must be strings');
+            }
+            ['total', 'daily'].forEach(field => {
+                if (budget[field] !== null && typeof budget[field] !== 'number') problems.push(`budget.${field} must be a number or null`);
+            });
+        }
+        if (!spend || typeof spend !== 'object' || Array.isArray(spend)) {
+            problems.push('spend must be an object');
+        } else {
+            if (typeof spend.alertThreshold !== 'number') problems.push('spend.alertThreshold must be a number');
+            if (!Array.isArray(spend.entries) || spend.entries.some(entry => !entry || typeof entry.id !== 'string' ||
+                typeof entry.date !== 'string' || typeof entry.amount !== 'number' || !this.SPEND_SOURCES.includes(entry.source))) {
+                problems.push(`spend.entries must have id, date, amount and a source of ${this.SPEND_SOURCES.join(', ')}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Checks the shape of a campaign's schedule. Whether its dates make sense is checked by
+     * CampaignScheduleService when it is changed.
+     * @param {any} schedule The schedule.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateSchedule(schedule) {
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return ['schedule must be an object'];
+        const problems = [];
+        ['startAt', 'endAt'].forEach(field => {
+            if (schedule[field] !== null && typeof schedule[field] !== 'string') problems.push(`schedule.${field} must be a string or null`);
+        });
+        if (typeof schedule.timezone !== 'string' || !schedule.timezone) problems.push('schedule.timezone must be a string');
+        if (!Array.isArray(schedule.dayparts) || schedule.dayparts.some(daypart => !daypart || !Array.isArray(daypart.days) ||
+            typeof daypart.start !== 'string' || typeof daypart.end !== 'string')) {
+            problems.push('schedule.dayparts must be an array of windows with days, start and end');
+        }
+        return problems;
+    }
+
+    /**
+     * Checks a campaign's review state: reviewers, their decisions and the comments.
+     * @param {any} review The review state.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateReview(review) {
+        if (!review || typeof review !== 'object' || Array.isArray(review)) return ['review must be an object'];
+        const problems = [];
+        if (!Array.isArray(review.reviewers) || review.reviewers.some(username => typeof username !== 'string')) {
+            problems.push('review.reviewers must be an array of usernames');
+        }
+        if (!review.decisions || typeof review.decisions !== 'object' || Array.isArray(review.decisions)) {
+            problems.push('review.decisions must be an object');
+        } else if (Object.values(review.decisions).some(entry => !this.DECISIONS.includes(entry?.decision) || typeof entry.at !== 'string')) {
+            problems.push(`review decisions must be one of ${this.DECISIONS.join(', ')}, with a time`);
+        }
+        if (!Array.isArray(review.comments)) {
+            problems.push('review.comments must be an array');
+        } else if (review.comments.some(comment => !comment || typeof comment.id !== 'string' || typeof comment.text !== 'string' ||
+            typeof comment.author !== 'string' || typeof comment.at !== 'string' || typeof comment.target?.asset !== 'string')) {
+            problems.push('review comments must have id, target, text, author and at');
+        }
+        return problems;
+    }
+
+    /**
+     * Checks one asset against its required fields.
+     * @param {string} assetType The asset type.
+     * @param {Object} asset The asset.
+     * @returns {Array<string>} The problems found.
+     * @private
+     */
+    _validateAsset(assetType, asset) {
+        const problems = [];
+        Object.entries(this.ASSET_FIELDS[assetType] || {}).forEach(([field, type]) => {
+            if (typeof asset[field] !== type) {
+                problems.push(`assets.${assetType}.${field} must be a ${type}`);
+            }
+        });
+        if (assetType === 'banner' && asset.layers !== undefined && !Array.isArray(asset.layers)) {
+            problems.push('assets.banner.layers must be an array');
+        }
+        return problems;
+    }
+
+    /**
+     * Validates a campaign against the current schema.
+     * @param {any} campaign The campaign record.
+     * @returns {Array<string>} The problems found; empty if the campaign is valid.
+     */
+    validate(campaign) {
+        if (!campaign || typeof campaign !== 'object' || Array.isArray(campaign)) {
+            return ['campaign must be an object'];
+        }
+
+        const problems = [];
+        if (campaign.schemaVersion !== this.CURRENT_VERSION) {
+            problems.push(`schemaVersion must be ${this.CURRENT_VERSION}`);
+        }
+        Object.entries(this.CAMPAIGN_FIELDS).forEach(([field, type]) => {
+            if (typeof campaign[field] !== type || campaign[field] === null) {
+                problems.push(`${field} must be a ${type}`);
+            }
+        });
+        if (campaign.id === '') problems.push('id must not be empty');
+        if (campaign.ownerId !== null && typeof campaign.ownerId !== 'string') {
+            problems.push('ownerId must be a string or null');
+        }
+        if (!campaign.sharing || typeof campaign.sharing !== 'object' || Array.isArray(campaign.sharing)) {
+            problems.push('sharing must be an object');
+        } else if (Object.values(campaign.sharing).some(level => !this.SHARE_LEVELS.includes(level))) {
+            problems.push(`sharing levels must be one of ${this.SHARE_LEVELS.join(', ')}`);
+        }
+        if (typeof campaign.status === 'string' && !this.STATUSES.includes(campaign.status)) {
+            problems.push(`status must be one of ${this.STATUSES.join(', ')}`);
+        }
+        if (!Array.isArray(campaign.statusHistory)) {
+            problems.push('statusHistory must be an array');
+        } else if (campaign.statusHistory.some(entry => !entry || typeof entry.to !== 'string' || typeof entry.by !== 'string' || typeof entry.at !== 'string')) {
+            problems.push('statusHistory entries must have to, by and at');
+        }
+        if (campaign.forkedFrom !== null && typeof campaign.forkedFrom !== 'string') {
+            problems.push('forkedFrom must be a string or null');
+        }
+        problems.push(...this._validateReview(campaign.review));
+        problems.push(...this._validateSchedule(campaign.schedule));
+        problems.push(...this._validateBudget(campaign.budget, campaign.spend));
+        if (!campaign.targeting || !Array.isArray(campaign.targeting.segmentIds) || campaign.targeting.segmentIds.some(id => typeof id !== 'string')) {
+            problems.push('targeting.segmentIds must be an array of segment IDs');
+        }
+        problems.push(...this._validateCreativeTests(campaign.creativeTests, campaign.creativeResults));
+        problems.push(...this._validatePerformance(campaign.performance));
+        if (campaign.trashed !== null && (!campaign.trashed || typeof campaign.trashed !== 'object' ||
+            typeof campaign.trashed.at !== 'string' || typeof campaign.trashed.by !== 'string')) {
+            problems.push('trashed must be null or have at and by');
+        }
+        problems.push(...this._validateLeads(campaign.leads));
+
+        if (campaign.assets && typeof campaign.assets === 'object') {
+            Object.keys(this.ASSET_FIELDS).forEach(assetType => {
+                const asset = campaign.assets[assetType];
+                if (asset === null || asset === undefined) return;
+                if (typeof asset !== 'object') {
+                    problems.push(`assets.${assetType} must be an object or null`);
+                } else {
+                    problems.push(...this._validateAsset(assetType, asset));
+                }
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Upgrades a campaign record to the current schema version and validates it.
+     * @param {any} record The stored record.
+     * @returns {{campaign: Object, migrated: boolean}} The upgraded campaign, and whether anything was upgraded.
+     * @throws {CampaignSchemaError} If the record cannot be upgraded or is invalid after upgrading.
+     */
+    migrate(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new CampaignSchemaError('Campaign record is not an object');
+        }
+
+        let campaign = JSON.parse(JSON.stringify(record));
+        let version = campaign.schemaVersion ?? 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new CampaignSchemaError(`Campaign has an invalid schema version "${version}"`);
+        }
+        if (version > this.CURRENT_VERSION) {
+            throw new CampaignSchemaError(`Campaign was saved by a newer version of the app (schema ${version})`);
+        }
+
+        const startVersion = version;
+        while (version < this.CURRENT_VERSION) {
+            campaign = { ...this.MIGRATIONS[version](campaign), schemaVersion: version + 1 };
+            version += 1;
+        }
+
+        const problems = this.validate(campaign);
+        if (problems.length) {
+            throw new CampaignSchemaError('Campaign does not match the schema', problems);
+        }
+        return { campaign, migrated: version !== startVersion };
+    }
+}
+
+export default CampaignSchemaService;
@@ -1,66 +1,547 @@
 /**
  * @fileoverview Service for managing campaign data.
- * This service handles saving and retrieving campaign-related assets (banner, marketing page, landing page)
- * to and from Local Storage. It keeps track of the "active" campaign.
+ * This service handles saving and retrieving campaigns through LocalStorageService and keeps track of the
+ * logged-in user's "active" campaign. Campaigns are validated against the versioned schema on save and
+ * upgraded on load; records that cannot be upgraded are quarantined. Every save of a campaign's content
+ * records a revision, so earlier versions can be compared and restored.
+ * Campaigns belong to the user in their ownerId, who can share them for viewing or editing; access is
+ * checked with AccessControlService. The status only changes through lifecycle transitions (see
+ * CampaignLifecycleService), and only drafts can be changed.
+ * The review, spend, A/B test results, performance, trash marker and leads are kept outside the revision
+ * history and can change in any status. Their rules live in the feature services (CampaignReviewService,
+ * CampaignBudgetService, CreativeTestService, CampaignPerformanceService, LeadService); this service loads,
+ * checks access to and stores the campaigns they change.
  */
 
+import StorageQuotaError from './StorageQuotaError.js';
+import CampaignSchemaError from './CampaignSchemaError.js';
+import CampaignAccessError from './CampaignAccessError.js';
+import CampaignLifecycleError from './CampaignLifecycleError.js';
+import CampaignReviewError from './CampaignReviewError.js';
+import CampaignScheduleError from './CampaignScheduleError.js';
+import CampaignBudgetError from './CampaignBudgetError.js';
+import AudienceSegmentError from './AudienceSegmentError.js';
+import CreativeTestError from './CreativeTestError.js';
+import CampaignPerformanceError from './CampaignPerformanceError.js';
+import LeadError from './LeadError.js';
+
 class CampaignService {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
+     * @param {AuthService} authService Dependency on AuthService (used to attribute revisions).
+     * @param {CampaignSchemaService} campaignSchemaService Dependency on CampaignSchemaService.
+     * @param {UserService} userService Dependency on UserService (used to check transfers and shares).
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     * @param {CampaignLifecycleService} campaignLifecycleService Dependency on CampaignLifecycleService.
+     * @param {CampaignReviewService} campaignReviewService Dependency on CampaignReviewService.
+     * @param {CampaignScheduleService} campaignScheduleService Dependency on CampaignScheduleService.
+     * @param {CampaignBudgetService} campaignBudgetService Dependency on CampaignBudgetService.
+     * @param {AudienceSegmentService} audienceSegmentService Dependency on AudienceSegmentService.
+     * @param {CreativeTestService} creativeTestService Dependency on CreativeTestService.
+     * @param {CampaignPerformanceService} campaignPerformanceService Dependency on CampaignPerformanceService.
+     * @param {LeadService} leadService Dependency on LeadService.
      */
-    constructor(localStorageService) {
+    constructor(localStorageService, authService, campaignSchemaService, userService, accessControlService, campaignLifecycleService, campaignReviewService, campaignScheduleService, campaignBudgetService, audienceSegmentService, creativeTestService, campaignPerformanceService, leadService) {
         /**
          * @private
          * @type {LocalStorageService}
          */
         this.localStorageService = localStorageService;
         /**
+         * @private
+         * @type {AuthService}
+         */
+        this.authService = authService;
+        /**
+         * @private
+         * @type {CampaignSchemaService}
+         */
+        this.campaignSchemaService = campaignSchemaService;
+        /**
+         * @private
+         * @type {UserService}
+         */
+        this.userService = userService;
+        /**
+         * @private
+         * @type {AccessControlService}
+         */
+        this.accessControlService = accessControlService;
+        /**
+         * @private
+         * @type {CampaignLifecycleService}
+         */
+        this.campaignLifecycleService = campaignLifecycleService;
+        /**
+         * @private
+         * @type {CampaignReviewService}
+         */
+        this.campaignReviewService = campaignReviewService;
+        /**
+         * @private
+         * @type {CampaignScheduleService}
+         */
+        this.campaignScheduleService = campaignScheduleService;
+        /**
+         * @private
+         * @type {CampaignBudgetService}
+         */
+        this.campaignBudgetService = campaignBudgetService;
+        /**
+         * @private
+         * @type {AudienceSegmentService}
+         */
+        this.audienceSegmentService = audienceSegmentService;
+        /**
+         * @private
+         * @type {CreativeTestService}
+         */
+        this.creativeTestService = creativeTestService;
+        /**
+         * @private
+         * @type {CampaignPerformanceService}
+         */
+        this.campaignPerformanceService = campaignPerformanceService;
+        /**
+         * @private
+         * @type {LeadService}
+         */
+        this.leadService = leadService;
+        /**
+         * Prefix of each user's active campaign key, followed by the username.
          * @private
          * @type {string}
          */
-        this.ACTIVE_CAMPAIGN_KEY = 'active_campaign';
+        this.ACTIVE_CAMPAIGN_PREFIX = 'active_campaign_';
+        /**
+         * Active campaign key shared by all users in earlier versions; removed on start.
+         * @private
+         * @type {string}
+         */
+        this.LEGACY_ACTIVE_CAMPAIGN_KEY = 'active_campaign';
         /**
          * @private
          * @type {string}
          */
         this.CAMPAIGN_PREFIX = 'campaign_';
+        /**
+         * Prefix of the keys holding each campaign's revision history. Deliberately not starting with
+         * CAMPAIGN_PREFIX, so revision lists are never mistaken for campaigns.
+         * @private
+         * @type {string}
+         */
+        this.REVISIONS_PREFIX = 'revisions_';
+        /**
+         * Prefix under which unreadable campaign records are set aside, keyed by their original key.
+         * @private
+         * @type {string}
+         */
+        this.QUARANTINE_PREFIX = 'quarantine_';
+        /**
+         * Maximum number of revisions kept per campaign; older revisions are dropped first.
+         * @private
+         * @type {number}
+         */
+        this.MAX_REVISIONS = 25;
+        /**
+         * Campaign fields that change on every save and are ignored when detecting and diffing changes.
+         * @private
+         * @type {Array<string>}
+         */
+        this.VOLATILE_FIELDS = ['lastUpdated'];
+        /**
+         * Campaign fields kept out of the revision history: changing them records no revision, restoring
+         * a revision leaves them as they are, and diffs skip them.
+         * @private
+         * @type {Array<string>}
+         */
+        this.UNVERSIONED_FIELDS = ['review', 'spend', 'creativeResults', 'performance', 'trashed', 'leads'];
+        /**
+         * Statuses in which a campaign cannot be moved to the trash, because it is about to run or running.
+         * @private
+         * @type {Array<string>}
+         */
+        this.UNDELETABLE_STATUSES = ['scheduled', 'live', 'paused'];
+        /**
+         * Days a campaign stays in the trash, and can be restored, before it is deleted for good.
+         * @type {number}
+         */
+        this.TRASH_RETENTION_DAYS = 30;
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.campaignChangeListeners = [];
+        /**
+         * The active campaign, kept in memory so editors can read it synchronously.
+         * @private
+         * @type {Object|null}
+         */
+        this.activeCampaign = null;
+        /**
+         * Settles once the active campaign of the user who last logged in or out has been loaded.
+         * @private
+         * @type {Promise<void>}
+         */
+        this.activeCampaignLoad = Promise.resolve();
+        /**
+         * How often flight boundaries are checked while a user is logged in.
+         * @private
+         * @type {number}
+         */
+        this.SCHEDULE_CHECK_INTERVAL_MS = 30 * 1000;
+        /**
+         * Name recorded in the statusHistory for transitions made when a flight boundary passes.
+         * @private
+         * @type {string}
+         */
+        this.SCHEDULER_NAME = 'scheduler';
+        /**
+         * Interval checking flight boundaries, while a user is logged in.
+         * @private
+         * @type {number|null}
+         */
+        this.scheduleTimer = null;
+        /**
+         * The flight boundary check in progress, so that checks never overlap.
+         * @private
+         * @type {Promise<Array<Object>>|null}
+         */
+        this.scheduleCheck = null;
+    }
+
+    /**
+     * Loads the logged-in user's active campaign and keeps it in step with logins and logouts.
+     * Must be awaited before getActiveCampaign() is used.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        // The shared pointer from earlier versions would leak one user's campaign to the next user.
+        if (await this.localStorageService.getItem(this.LEGACY_ACTIVE_CAMPAIGN_KEY)) {
+            await this.localStorageService.removeItem(this.LEGACY_ACTIVE_CAMPAIGN_KEY);
+        }
+        await this.purgeExpiredTrash();
+        this.activeCampaignLoad = this._loadActiveCampaign();
+        await this.activeCampaignLoad;
+        this._updateScheduleTimer();
+
+        this.authService.onAuthChange(async user => {
+            this.activeCampaignLoad = this._loadActiveCampaign();
+            await this.activeCampaignLoad;
+            // Ignore the result if another login or logout happened in the meantime.
+            if ((this.authService.getLoggedInUser()?.username ?? null) !== (user?.username ?? null)) return;
+            this.displayActiveCampaign();
+            this._notifyCampaignChange(this.activeCampaign);
+            this._updateScheduleTimer();
+        });
+    }
+
+    /**
+     * Checks flight boundaries now and then periodically while a user is logged in, and stops when nobody is.
+     * @private
+     */
+    _updateScheduleTimer() {
+        if (!this._getCurrentUsername()) {
+            if (this.scheduleTimer !== null) {
+                clearInterval(this.scheduleTimer);
+                this.scheduleTimer = null;
+            }
+            return;
+        }
+        if (this.scheduleTimer === null) {
+            this.scheduleTimer = setInterval(() => this._checkSchedules(), this.SCHEDULE_CHECK_INTERVAL_MS);
+        }
+        this._checkSchedules();
+    }
+
+    /**
+     * Runs advanceScheduledCampaigns() unless a check is already in progress, reporting failures.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkSchedules() {
+        if (this.scheduleCheck) return;
+        this.scheduleCheck = this.advanceScheduledCampaigns();
+        try {
+            await this.scheduleCheck;
+        } catch (error) {
+            console.error('Campaign schedules could not be checked:', error);
+        } finally {
+            this.scheduleCheck = null;
+        }
+    }
+
+    /**
+     * Gets the username of the logged-in user.
+     * @returns {string|null} The username, or null if logged out.
+     * @private
+     */
+    _getCurrentUsername() {
+        return this.authService.getLoggedInUser()?.username ?? null;
+    }
+
+    /**
+     * Builds the key of a user's active campaign.
+     * @param {string} username The username.
+     * @returns {string} The storage key.
+     * @private
+     */
+    _getActiveCampaignKey(username) {
+        return this.ACTIVE_CAMPAIGN_PREFIX + username;
+    }
+
+    /**
+     * Loads the logged-in user's active campaign into memory. The selection is dropped if the
+     * campaign no longer exists, is in the trash or the user has lost access to it.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadActiveCampaign() {
+        const username = this._getCurrentUsername();
+        this.activeCampaign = null;
+        if (!username) return;
+
+        const key = this._getActiveCampaignKey(username);
+        const stored = await this.localStorageService.getItem(key);
+        if (!stored) return;
+        const saved = typeof stored.id === 'string' ? await this._loadCampaign(this.CAMPAIGN_PREFIX + stored.id) : null;
+        if (!saved || saved.trashed || !this.getCampaignAccess(saved)) {
+            await this.localStorageService.removeItem(key);
+            return;
+        }
+        if (this._getCurrentUsername() !== username) return;
+        // Shared campaigns may have been changed by someone else since; the saved record is authoritative.
+        this.activeCampaign = { ...saved, lastUpdated: stored.lastUpdated ?? saved.lastUpdated };
+    }
+
+    /**
+     * Determines the logged-in user's access to a campaign.
+     * @param {Object|null} campaign The campaign.
+     * @returns {string|null} 'owner', 'edit' or 'view', or null if the user has no access.
+     */
+    getCampaignAccess(campaign) {
+        return this.accessControlService.getCampaignAccess(this.authService.getLoggedInUser(), campaign);
+    }
+
+    /**
+     * Whether the logged-in user's role allows creating (and claiming) campaigns.
+     * @returns {boolean} True if allowed.
+     */
+    canCreateCampaigns() {
+        return this.accessControlService.hasPermission(this.authService.getLoggedInUser(), 'createCampaigns');
+    }
+
+    /**
+     * Explains why the logged-in user cannot change the active campaign.
+     * @returns {string|null} The reason, or null if they can change it.
+     */
+    getEditRestriction() {
+        if (!this.activeCampaign) return 'There is no active campaign.';
+        if (!this.accessControlService.allows(this.getCampaignAccess(this.activeCampaign), 'edit')) {
+            return 'You have view-only access to this campaign, so changes cannot be saved.';
+        }
+        return this.campaignLifecycleService.getLockReason(this.activeCampaign);
+    }
+
+    /**
+     * Whether the logged-in user may change the active campaign.
+     * @returns {boolean} True if there is an active campaign, the user can edit it and its status allows changes.
+     */
+    canEditActiveCampaign() {
+        return this.getEditRestriction() === null;
+    }
+
+    /**
+     * Explains why the active campaign cannot be sent or exported.
+     * @returns {string|null} The reason, or null if it has been approved.
+     */
+    getReleaseRestriction() {
+        if (!this.activeCampaign) return 'There is no active campaign.';
+        return this.campaignLifecycleService.getReleaseRestriction(this.activeCampaign);
+    }
+
+    /**
+     * Throws unless the logged-in user has at least the given access to a campaign. Campaigns in the
+     * trash can only be restored or deleted, so nothing else is allowed on them.
+     * @param {Object} campaign The campaign.
+     * @param {string} required The access needed: 'view', 'edit' or 'owner'.
+     * @param {string} action Description of the operation, for the error message.
+     * @param {{allowTrashed: boolean}} [options] Whether the campaign may be in the trash.
+     * @throws {CampaignAccessError} If the user's access is insufficient, or the campaign is in the trash.
+     * @private
+     */
+    _assertAccess(campaign, required, action, { allowTrashed = false } = {}) {
+        if (!this.accessControlService.allows(this.getCampaignAccess(campaign), required)) {
+            const reason = required === 'owner' ? 'you do not own it' : `you do not have ${required} access to it`;
+            throw new CampaignAccessError(`You cannot ${action} campaign "${campaign.name}" because ${reason}.`);
+        }
+        if (campaign.trashed && !allowTrashed) {
+            throw new CampaignAccessError(`You cannot ${action} campaign "${campaign.name}" because it is in the trash. Restore it first.`);
+        }
+    }
+
+    /**
+     * Loads a stored campaign, upgrading it to the current schema. Upgraded records are written back;
+     * records that cannot be upgraded are quarantined instead of being returned.
+     * @param {string} campaignKey The storage key of the campaign.
+     * @returns {Promise<Object|null>} The campaign, or null if it does not exist or was quarantined.
+     * @private
+     */
+    async _loadCampaign(campaignKey) {
+        const record = await this.localStorageService.getItem(campaignKey);
+        if (!record) return null;
+
+        let result;
+        try {
+            result = this.campaignSchemaService.migrate(record);
+        } catch (e) {
+            if (!(e instanceof CampaignSchemaError)) throw e;
+            await this._quarantine(campaignKey, record, e);
+            return null;
+        }
+        if (result.migrated) {
+            try {
+                await this.localStorageService.setItem(campaignKey, result.campaign);
+            } catch (e) {
+                // Still usable in memory; the upgrade is retried on the next load.
+            }
+        }
+        return result.campaign;
+    }
+
+    /**
+     * Moves an unreadable campaign record out of the campaign key space, keeping it for inspection.
+     * @param {string} campaignKey The storage key of the record.
+     * @param {any} record The stored record.
+     * @param {CampaignSchemaError} error Why the record could not be read.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _quarantine(campaignKey, record, error) {
+        console.warn(`Quarantining unreadable campaign record "${campaignKey}":`, error.message);
+        try {
+            await this.localStorageService.setItem(this.QUARANTINE_PREFIX + campaignKey, {
+                key: campaignKey,
+                record,
+                reason: error.message,
+                problems: error.problems,
+                quarantinedAt: new Date().toISOString()
+            });
+            await this.localStorageService.removeItem(campaignKey);
+        } catch (e) {
+            // Leave the record where it is; it is skipped again on the next load.
+            console.error(`Could not quarantine campaign record "${campaignKey}":`, e);
+        }
+    }
+
+    /**
+     * Retrieves the campaign records that were quarantined because they could not be read.
+     * @returns {Promise<Array<{key: string, record: any, reason: string, problems: Array<string>, quarantinedAt: string}>>}
+     */
+    async getQuarantinedCampaigns() {
+        const keys = await this.localStorageService.listKeys(this.QUARANTINE_PREFIX);
+        return (await Promise.all(keys.map(key => this.localStorageService.getItem(key)))).filter(Boolean);
+    }
+
+    /**
+     * Adds a listener for changes to the active campaign or any saved campaign.
+     * @param {function(Object):void} listener The callback function, called with the changed campaign.
+     */
+    onCampaignChange(listener) {
+        this.campaignChangeListeners.push(listener);
+    }
+
+    /**
+     * Notifies all registered listeners about a campaign change.
+     * @param {Object} campaign The changed campaign.
+     * @private
+     */
+    _notifyCampaignChange(campaign) {
+        this.campaignChangeListeners.forEach(listener => listener(campaign));
     }
 
     /**
      * Retrieves the active campaign data.
-     * @returns {Object | null} The active campaign object, or null if none exists.
+     * @returns {Object | null} A copy of the active campaign object, or null if none exists.
      */
     getActiveCampaign() {
-        return this.localStorageService.getItem(this.ACTIVE_CAMPAIGN_KEY);
+        return this.activeCampaign ? JSON.parse(JSON.stringify(this.activeCampaign)) : null;
     }
 
     /**
-     * Sets the active campaign data.
-     * @param {Object} campaignData The campaign object to set as active.
+     * Sets the logged-in user's active campaign.
+     * @param {Object} campaignData The campaign object to set as active; it must have been saved.
+     * @returns {Promise<void>}
+     * @throws {CampaignAccessError} If the campaign was not saved or the user has no access to it.
+     * @throws {StorageQuotaError} If storage is full.
      */
-    setActiveCampaign(campaignData) {
+    async setActiveCampaign(campaignData) {
+        const saved = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignData.id);
+        if (!saved) throw new CampaignAccessError(`Campaign "${campaignData.name}" was not found.`);
+        this._assertAccess(saved, 'view', 'open');
         // Ensure campaignData has essential properties like name and a timestamp
         const campaign = {
             ...campaignData,
+            ownerId: saved.ownerId,
+            sharing: saved.sharing,
+            review: saved.review,
+            spend: saved.spend,
+            creativeResults: saved.creativeResults,
+            performance: saved.performance,
+            trashed: saved.trashed,
+            leads: saved.leads,
             lastUpdated: new Date().toISOString() // Add timestamp for dashboard display
         };
-        this.localStorageService.setItem(this.ACTIVE_CAMPAIGN_KEY, campaign);
-        console.log('Active campaign updated:', campaign);
-        // // Optionally, trigger an update on the dashboard if it's currently visible
-        // this.displayActiveCampaign();
+        await this.localStorageService.setItem(this._getActiveCampaignKey(this._getCurrentUsername()), campaign);
+        this.activeCampaign = campaign;
+        console.log(`Active campaign set to "${campaign.name}".`);
+        this._notifyCampaignChange(campaign);
+    }
+
+    /**
+     * Opens a saved campaign by ID as the active campaign, e.g. when following a link to it.
+     * Waits for the logged-in user's own active campaign to load first, so that it cannot replace this one.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The campaign now active.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not view it.
+     */
+    async openCampaign(campaignId) {
+        await this.activeCampaignLoad;
+        if (this.activeCampaign?.id === campaignId) return this.getActiveCampaign();
+        const saved = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!saved) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        await this.setActiveCampaign(saved);
+        return this.getActiveCampaign();
     }
 
     /**
-     * Creates and saves a new campaign in Local Storage.
+     * Creates and saves a new campaign owned by the logged-in user.
      * @param {string} campaignName The name of the new campaign.
-     * @returns {Object} The newly created campaign object.
+     * @returns {Promise<Object>} The newly created campaign object.
+     * @throws {CampaignAccessError} If the user's role does not allow creating campaigns.
+     * @throws {StorageQuotaError} If storage is full.
      */
-    createCampaign(campaignName) {
+    async createCampaign(campaignName) {
         const campaignId = this._generateCampaignId();
         const newCampaign = {
             id: campaignId,
             name: campaignName,
-            status: 'Draft',
+            status: this.campaignLifecycleService.INITIAL_STATUS,
+            statusHistory: [this.campaignLifecycleService.createHistoryEntry('create', null, this.campaignLifecycleService.INITIAL_STATUS, this._getCurrentUsername())],
+            forkedFrom: null,
+            schemaVersion: this.campaignSchemaService.CURRENT_VERSION,
+            ownerId: this._getCurrentUsername(),
+            sharing: {},
+            review: this.campaignReviewService.createReview(),
+            schedule: this.campaignScheduleService.createSchedule(),
+            budget: this.campaignBudgetService.createBudget(),
+            spend: this.campaignBudgetService.createSpend(),
+            targeting: { segmentIds: [] },
+            creativeTests: this.creativeTestService.createTests(),
+            creativeResults: {},
+            performance: this.campaignPerformanceService.createPerformance(),
+            trashed: null,
+            leads: [],
             assets: {
                 banner: null,
                 marketingPage: null,
@@ -68,18 +549,309 @@ class CampaignService {
             },
             createdAt: new Date().toISOString()
         };
-        this.saveCampaign(newCampaign);
+        await this.saveCampaign(newCampaign);
         return newCampaign;
     }
 
     /**
-     * Saves a campaign object to Local Storage using a unique key.
+     * Saves a campaign object using a unique key, and records a revision
+     * if anything changed since the previous save.
      * @param {Object} campaign The campaign object to save.
+     * @param {Object} [revisionInfo] Extra details stored on the revision (e.g. {type: 'restored'}).
+     * @returns {Promise<void>}
+     * @throws {CampaignSchemaError} If the campaign does not match the schema; nothing is saved.
+     * @throws {CampaignAccessError} If the logged-in user may not edit the campaign, or may not create
+     *   campaigns (for a new one).
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes, or a new campaign is not a draft.
+     * @throws {StorageQuotaError} If storage is full; the previous version of the campaign is kept.
+     */
+    async saveCampaign(campaign, revisionInfo = {}) {
+        const problems = this.campaignSchemaService.validate(campaign);
+        if (problems.length) {
+            throw new CampaignSchemaError(`Campaign "${campaign?.name}" was not saved`, problems);
+        }
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaign.id);
+        if (previous) {
+            this._assertAccess(previous, 'edit', 'save');
+            // Ownership and sharing only change through transferCampaign() and shareCampaign(), the status
+            // only through transitionCampaign(), the review, spend, A/B test results, performance, trash and leads only
+            // through their own methods.
+            campaign = {
+                ...campaign,
+                ownerId: previous.ownerId,
+                sharing: previous.sharing,
+                status: previous.status,
+                statusHistory: previous.statusHistory,
+                forkedFrom: previous.forkedFrom,
+                review: previous.review,
+                spend: previous.spend,
+                creativeResults: previous.creativeResults,
+                performance: previous.performance,
+                trashed: previous.trashed,
+                leads: previous.leads
+            };
+            this._assertUnlocked(previous, campaign);
+        } else {
+            if (!this.canCreateCampaigns() || campaign.ownerId !== this._getCurrentUsername()) {
+                throw new CampaignAccessError(`You cannot create campaign "${campaign.name}".`);
+            }
+            if (campaign.status !== this.campaignLifecycleService.INITIAL_STATUS) {
+                throw new CampaignLifecycleError(`New campaigns must start as ${this.campaignLifecycleService.getLabel(this.campaignLifecycleService.INITIAL_STATUS)}.`);
+            }
+        }
+        await this._storeCampaign(campaign, previous, revisionInfo);
+    }
+
+    /**
+     * Writes a validated campaign, records its revision and notifies listeners. Callers check access.
+     * @param {Object} campaign The campaign to store.
+     * @param {Object|null} previous The stored version it replaces, or null if it is new.
+     * @param {Object} revisionInfo Extra details stored on the revision.
+     * @returns {Promise<void>}
+     * @throws {StorageQuotaError} If storage is full.
+     * @private
      */
-    saveCampaign(campaign) {
+    async _storeCampaign(campaign, previous, revisionInfo) {
+        campaign = { ...campaign, lastUpdated: new Date().toISOString() };
         const campaignKey = this.CAMPAIGN_PREFIX + campaign.id;
-        this.localStorageService.setItem(campaignKey, campaign);
+        await this.localStorageService.setItem(campaignKey, campaign);
         console.log(`Campaign "${campaign.name}" saved with key: ${campaignKey}`);
+        await this._recordRevision(previous, campaign, revisionInfo);
+        if (this.activeCampaign?.id === campaign.id) {
+            // Keep who may access the active campaign, its status, review, spend, test results, performance, trash
+            // marker, leads and last update current for listeners
+            this.activeCampaign = {
+                ...this.activeCampaign,
+                ownerId: campaign.ownerId,
+                sharing: campaign.sharing,
+                status: campaign.status,
+                statusHistory: campaign.statusHistory,
+                review: campaign.review,
+                spend: campaign.spend,
+                creativeResults: campaign.creativeResults,
+                performance: campaign.performance,
+                trashed: campaign.trashed,
+                leads: campaign.leads,
+                lastUpdated: campaign.lastUpdated
+            };
+        }
+        this._notifyCampaignChange(campaign);
+    }
+
+    /**
+     * Throws if a campaign's status does not allow the changes made to it.
+     * @param {Object} previous The stored campaign.
+     * @param {Object} campaign The campaign being saved.
+     * @throws {CampaignLifecycleError} If the campaign is locked and its content changed.
+     * @private
+     */
+    _assertUnlocked(previous, campaign) {
+        const lockReason = this.campaignLifecycleService.getLockReason(previous);
+        if (lockReason && this._getChangedParts(previous, campaign).length) {
+            throw new CampaignLifecycleError(lockReason);
+        }
+    }
+
+    /**
+     * Loads a campaign, checks the logged-in user's access to it, applies a change and stores the result in
+     * one write. With revisionInfo the change includes versioned fields (e.g. the schedule or A/B tests): it
+     * is validated, refused if the campaign's status does not allow changes, recorded as a revision and
+     * copied to the active campaign. Without it the change is to fields kept outside the revision history
+     * (e.g. the review or spend), which are stored without a revision, whatever the campaign's status.
+     * @param {string} campaignId The campaign ID.
+     * @param {function(Object):(Object|Promise<Object>)} change Receives the stored campaign and returns the
+     *   fields to change; may throw to cancel the change.
+     * @param {{required: string, action: string, revisionInfo: Object|null}} [options] The access needed
+     *   ('view', 'edit' or 'owner'), a description of the operation for the access error message, and the
+     *   extra details stored on the revision for a change to versioned fields.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user's access is insufficient.
+     * @throws {CampaignSchemaError} If versioned fields change and the campaign no longer matches the schema.
+     * @throws {CampaignLifecycleError} If versioned fields change and the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     * @private
+     */
+    async _updateCampaign(campaignId, change, { required = 'edit', action = 'change', revisionInfo = null } = {}) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, required, action);
+        const changes = await change(previous);
+        const updated = { ...previous, ...changes };
+        if (!revisionInfo) {
+            await this._storeCampaign(updated, previous, {});
+            return updated;
+        }
+        const problems = this.campaignSchemaService.validate(updated);
+        if (problems.length) throw new CampaignSchemaError(`Campaign "${updated.name}" was not saved`, problems);
+        this._assertUnlocked(previous, updated);
+        await this._storeCampaign(updated, previous, revisionInfo);
+        if (this.activeCampaign?.id === campaignId) {
+            await this.setActiveCampaign({ ...this.activeCampaign, ...changes });
+        }
+        return updated;
+    }
+
+    /**
+     * Determines which parts of a campaign changed between two versions.
+     * @param {Object|null} previous The previously stored campaign, or null if it is new.
+     * @param {Object} campaign The campaign being saved.
+     * @returns {Array<string>} Changed asset types, plus 'details' for name/status/other fields.
+     * @private
+     */
+    _getChangedParts(previous, campaign) {
+        if (!previous) return Object.keys(campaign.assets || {}).filter(asset => campaign.assets[asset]);
+
+        const assetTypes = new Set([...Object.keys(previous.assets || {}), ...Object.keys(campaign.assets || {})]);
+        const assetChanges = [...assetTypes].filter(asset =>
+            JSON.stringify(previous.assets?.[asset] ?? null) !== JSON.stringify(campaign.assets?.[asset] ?? null)
+        );
+        const detailsChanged = [...new Set([...Object.keys(previous), ...Object.keys(campaign)])].some(key =>
+            key !== 'assets' && !this.VOLATILE_FIELDS.includes(key) && !this.UNVERSIONED_FIELDS.includes(key) &&
+            JSON.stringify(previous[key]) !== JSON.stringify(campaign[key])
+        );
+        return detailsChanged ? [...assetChanges, 'details'] : assetChanges;
+    }
+
+    /**
+     * Records a revision of a campaign after it was saved. Nothing is recorded if the save changed nothing.
+     * @param {Object|null} previous The previously stored campaign, or null if it is new.
+     * @param {Object} campaign The campaign that was saved.
+     * @param {Object} revisionInfo Extra details stored on the revision.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _recordRevision(previous, campaign, revisionInfo) {
+        const changedAssets = this._getChangedParts(previous, campaign);
+        if (previous && changedAssets.length === 0) return;
+
+        const user = this.authService?.getLoggedInUser();
+        const revision = {
+            id: `rev_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            campaignId: campaign.id,
+            timestamp: new Date().toISOString(),
+            author: user?.username || 'unknown',
+            type: previous ? 'updated' : 'created',
+            changedAssets,
+            ...revisionInfo,
+            snapshot: JSON.parse(JSON.stringify(campaign))
+        };
+        const revisions = [revision, ...(await this.getRevisions(campaign.id))].slice(0, this.MAX_REVISIONS);
+        await this._storeRevisions(campaign.id, revisions);
+    }
+
+    /**
+     * Stores a campaign's revisions. If storage is full, the oldest revisions are dropped until they fit.
+     * @param {string} campaignId The campaign ID.
+     * @param {Array<Object>} revisions The revisions, newest first.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _storeRevisions(campaignId, revisions) {
+        const key = this.REVISIONS_PREFIX + campaignId;
+        let kept = revisions;
+        for (;;) {
+            try {
+                // Failures are handled here, so only the final one is reported to the user.
+                await this.localStorageService.setItem(key, kept, { reportErrors: kept.length <= 1 });
+                return;
+            } catch (e) {
+                if (!(e instanceof StorageQuotaError) || kept.length <= 1) {
+                    console.error(`Could not store revision history for campaign "${campaignId}".`);
+                    return;
+                }
+                kept = kept.slice(0, Math.ceil(kept.length / 2));
+                console.warn(`Storage is full; keeping only the ${kept.length} most recent revisions of campaign "${campaignId}".`);
+            }
+        }
+    }
+
+    /**
+     * Retrieves the revision history of a campaign.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Array<Object>>} The revisions, newest first.
+     */
+    async getRevisions(campaignId) {
+        return (await this.localStorageService.getItem(this.REVISIONS_PREFIX + campaignId)) || [];
+    }
+
+    /**
+     * Computes a field-level diff between two revisions of a campaign.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} fromRevisionId The older revision.
+     * @param {string} toRevisionId The newer revision.
+     * @returns {Promise<Array<{path: string, change: string, before: any, after: any}>>} The changed fields,
+     *   where change is 'added', 'removed' or 'modified'.
+     */
+    async diffRevisions(campaignId, fromRevisionId, toRevisionId) {
+        const revisions = await this.getRevisions(campaignId);
+        const from = revisions.find(revision => revision.id === fromRevisionId);
+        const to = revisions.find(revision => revision.id === toRevisionId);
+        if (!from || !to) {
+            throw new Error('Revision not found.');
+        }
+
+        const changes = [];
+        this._diffValues(from.snapshot, to.snapshot, '', changes);
+        return changes.filter(change => !this.VOLATILE_FIELDS.includes(change.path) &&
+            !this.UNVERSIONED_FIELDS.some(field => change.path === field || change.path.startsWith(`${field}.`)));
+    }
+
+    /**
+     * Recursively compares two values and collects the differences as dotted field paths.
+     * @param {any} before The older value.
+     * @param {any} after The newer value.
+     * @param {string} path The path of the values being compared.
+     * @param {Array<Object>} changes Collected changes.
+     * @private
+     */
+    _diffValues(before, after, path, changes) {
+        const isContainer = value => value !== null && typeof value === 'object';
+        if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            keys.forEach(key => {
+                const childPath = Array.isArray(after) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+                this._diffValues(before[key], after[key], childPath, changes);
+            });
+            return;
+        }
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        const isEmpty = value => value === undefined || value === null;
+        const change = isEmpty(before) ? 'added' : isEmpty(after) ? 'removed' : 'modified';
+        changes.push({ path, change, before: before ?? null, after: after ?? null });
+    }
+
+    /**
+     * Restores a campaign, or a single asset of it, from a revision. The restore is saved as a new
+     * revision, so it can itself be undone.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} revisionId The revision to restore from.
+     * @param {string|null} [assetType] The asset to restore ('banner', 'marketingPage', 'landingPage'),
+     *   or null to restore the whole campaign.
+     * @returns {Promise<Object|null>} The restored campaign, or null if the revision or campaign was not found.
+     * @throws {CampaignSchemaError} If the revision cannot be upgraded to the current schema.
+     * @throws {CampaignAccessError} If the logged-in user may not edit the campaign.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async restoreRevision(campaignId, revisionId, assetType = null) {
+        const revision = (await this.getRevisions(campaignId)).find(r => r.id === revisionId);
+        const current = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!revision || !current) {
+            console.error(`Revision "${revisionId}" of campaign "${campaignId}" not found.`);
+            return null;
+        }
+
+        // Revisions keep the schema they were saved with; bring them up to date first.
+        const snapshot = this.campaignSchemaService.migrate(revision.snapshot).campaign;
+        const restored = assetType
+            ? { ...current, assets: { ...current.assets, [assetType]: snapshot.assets?.[assetType] ?? null } }
+            : snapshot;
+        await this.saveCampaign(restored, { type: 'restored', restoredFrom: revision.id, restoredAsset: assetType });
+
+        if (this.activeCampaign?.id === campaignId) {
+            await this.setActiveCampaign(restored);
+        }
+        return restored;
     }
 
     /**
@@ -87,14 +859,14 @@ class CampaignService {
      * @param {string} campaignId The ID of the campaign to update.
      * @param {string} assetType The type of asset ('banner', 'marketingPage', 'landingPage').
      * @param {Object} assetData The data for the asset to save.
+     * @returns {Promise<void>}
      */
-    updateCampaignAsset(campaignId, assetType, assetData) {
-        const campaignKey = this.CAMPAIGN_PREFIX + campaignId;
-        const campaign = this.localStorageService.getItem(campaignKey);
+    async updateCampaignAsset(campaignId, assetType, assetData) {
+        const campaign = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
 
         if (campaign && campaign.assets && campaign.assets.hasOwnProperty(assetType)) {
             campaign.assets[assetType] = assetData;
-            this.localStorageService.setItem(campaignKey, campaign);
+            await this.saveCampaign(campaign);
             console.log(`Asset "${assetType}" for campaign "${campaign.name}" updated.`);
         } else {
             console.error(`Campaign with ID "${campaignId}" or asset type "${assetType}" not found.`);
@@ -102,27 +874,1090 @@ class CampaignService {
     }
 
     /**
-     * Retrieves all saved campaigns from Local Storage.
-     * @returns {Array<Object>} An array of all saved campaign objects.
+     * Loads every stored campaign, upgraded to the current schema. Unreadable records are
+     * quarantined (see getQuarantinedCampaigns()) rather than failing the whole list.
+     * @returns {Promise<Array<Object>>} All readable campaigns, of every owner.
+     * @private
+     */
+    async _loadAllCampaigns() {
+        const keys = await this.localStorageService.listKeys(this.CAMPAIGN_PREFIX);
+        return (await Promise.all(keys.map(key => this._loadCampaign(key)))).filter(Boolean);
+    }
+
+    /**
+     * Retrieves the campaigns the logged-in user owns or that are shared with them, most recently updated first.
+     * Campaigns in the trash are left out (see getTrashedCampaigns()).
+     * @returns {Promise<Array<Object>>} The user's campaigns; empty if nobody is logged in.
+     */
+    async getAllCampaigns() {
+        const campaigns = (await this._loadAllCampaigns()).filter(campaign => !campaign.trashed && this.getCampaignAccess(campaign));
+        return campaigns.sort((a, b) => new Date(this.getLastUpdated(b)) - new Date(this.getLastUpdated(a)));
+    }
+
+    /**
+     * Gets when a campaign was last saved. Campaigns saved before saves were timestamped fall back to
+     * their creation time.
+     * @param {Object} campaign The campaign.
+     * @returns {string} ISO timestamp.
+     */
+    getLastUpdated(campaign) {
+        return campaign.lastUpdated || campaign.createdAt;
+    }
+
+    /**
+     * Retrieves campaigns saved before campaigns had owners, which any user may claim.
+     * @returns {Promise<Array<Object>>} The unowned campaigns.
+     */
+    async getUnownedCampaigns() {
+        if (!this._getCurrentUsername()) return [];
+        return (await this._loadAllCampaigns()).filter(campaign => campaign.ownerId === null && !campaign.trashed);
+    }
+
+    /**
+     * Makes the logged-in user the owner of an unowned campaign.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The claimed campaign.
+     * @throws {CampaignAccessError} If the user's role does not allow creating campaigns, or the campaign
+     *   does not exist or already has an owner.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async claimCampaign(campaignId) {
+        const username = this._getCurrentUsername();
+        if (!this.canCreateCampaigns()) {
+            throw new CampaignAccessError('Your role does not allow claiming campaigns.');
+        }
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous || previous.ownerId !== null) {
+            throw new CampaignAccessError('This campaign cannot be claimed because it already has an owner.');
+        }
+        const claimed = { ...previous, ownerId: username };
+        await this._storeCampaign(claimed, previous, { type: 'transferred', fromOwner: null, toOwner: username });
+        return claimed;
+    }
+
+    /**
+     * Transfers a campaign owned by the logged-in user to another user. The campaign leaves the
+     * user's list, and stops being their active campaign.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} newOwner The username of the new owner.
+     * @returns {Promise<Object>} The transferred campaign.
+     * @throws {CampaignAccessError} If the user does not own the campaign, or the new owner does not exist.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async transferCampaign(campaignId, newOwner) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'owner', 'transfer');
+        if (newOwner === previous.ownerId) throw new CampaignAccessError('You already own this campaign.');
+        if (!(await this.userService.getUser(newOwner))) throw new CampaignAccessError(`There is no user "${newOwner}".`);
+
+        const sharing = { ...previous.sharing };
+        delete sharing[newOwner];
+        const transferred = { ...previous, ownerId: newOwner, sharing };
+        await this._storeCampaign(transferred, previous, { type: 'transferred', fromOwner: previous.ownerId, toOwner: newOwner });
+        if (this.activeCampaign?.id === campaignId) {
+            await this.localStorageService.removeItem(this._getActiveCampaignKey(previous.ownerId));
+            this.activeCampaign = null;
+            this._notifyCampaignChange(transferred);
+        }
+        return transferred;
+    }
+
+    /**
+     * Shares a campaign owned by the logged-in user with another user, changes their access,
+     * or stops sharing it with them.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} username The user to share with.
+     * @param {string|null} level 'view' or 'edit', or null to stop sharing.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the user does not own the campaign, or the other user does not exist.
+     * @throws {StorageQuotaError} If storage is full.
      */
-    getAllCampaigns() {
-        const campaigns = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.CAMPAIGN_PREFIX)) {
-                const campaign = this.localStorageService.getItem(key);
-                if (campaign) {
-                    campaigns.push(campaign);
+    async shareCampaign(campaignId, username, level) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'owner', 'share');
+        if (username === previous.ownerId) throw new CampaignAccessError('You cannot share a campaign with its owner.');
+        if (level !== null && !this.accessControlService.SHARE_LEVELS.includes(level)) {
+            throw new CampaignAccessError(`Unknown access level "${level}".`);
+        }
+        if (level !== null && !(await this.userService.getUser(username))) {
+            throw new CampaignAccessError(`There is no user "${username}".`);
+        }
+
+        const sharing = { ...previous.sharing };
+        if (level === null) {
+            delete sharing[username];
+        } else {
+            sharing[username] = level;
+        }
+        const updated = { ...previous, sharing };
+        await this._storeCampaign(updated, previous, { type: 'shared', sharedWith: username, shareLevel: level });
+        return updated;
+    }
+
+    /**
+     * Releases the campaigns of a deleted user: campaigns they owned become unowned (and can be claimed),
+     * and they are removed from every sharing list and as a reviewer. Requires the manageUsers permission.
+     * @param {string} username The deleted user.
+     * @returns {Promise<void>}
+     * @throws {PermissionDeniedError} If the logged-in user may not manage users.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async releaseCampaignsOf(username) {
+        this.accessControlService.assertPermission(this.authService.getLoggedInUser(), 'manageUsers');
+        for (const previous of await this._loadAllCampaigns()) {
+            const owned = previous.ownerId === username;
+            const reviewing = previous.review.reviewers.includes(username);
+            if (!owned && !previous.sharing[username] && !reviewing) continue;
+            const sharing = { ...previous.sharing };
+            delete sharing[username];
+            const released = {
+                ...previous,
+                ownerId: owned ? null : previous.ownerId,
+                sharing,
+                review: reviewing ? this._withoutReviewer(previous.review, username) : previous.review
+            };
+            await this._storeCampaign(released, previous, owned
+                ? { type: 'transferred', fromOwner: username, toOwner: null }
+                : { type: 'shared', sharedWith: username, shareLevel: null });
+        }
+        await this.localStorageService.removeItem(this._getActiveCampaignKey(username));
+    }
+
+    /**
+     * Moves a campaign to another lifecycle status and records who did it in its statusHistory.
+     * An assigned reviewer's approval or rejection is also recorded as their decision; a campaign with
+     * assigned reviewers stays in review until all of them have approved it.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} action The transition's action, e.g. 'submit' or 'schedule' (see CampaignLifecycleService).
+     * @param {string} [note] An optional comment stored with the transition.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user cannot see it.
+     * @throws {CampaignLifecycleError} If the transition is not allowed from the campaign's status, by the
+     *   user's role or access, or is blocked (e.g. assets are missing).
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async transitionCampaign(campaignId, action, note = '') {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'view', 'change the status of');
+        const user = this.authService.getLoggedInUser();
+        const transition = this.campaignLifecycleService.assertTransition(previous, action, user, this.getCampaignAccess(previous));
+
+        let review = previous.review;
+        let to = transition.to;
+        if (action === 'submit') {
+            review = { ...review, decisions: {} }; // Every submission starts a new review round
+        } else if ((action === 'approve' || action === 'reject') && review.reviewers.includes(user.username)) {
+            review = this.campaignReviewService.recordDecision(review, user.username, action === 'approve' ? 'approved' : 'changes_requested', note);
+            // Stay in review until every assigned reviewer has approved
+            if (action === 'approve' && !this.campaignReviewService.isApprovedByAll(review)) to = previous.status;
+        }
+
+        const entry = this.campaignLifecycleService.createHistoryEntry(action, previous.status, to, user.username, note);
+        const updated = { ...previous, status: to, statusHistory: [...previous.statusHistory, entry], review };
+        await this._storeCampaign(updated, previous, { type: 'status', action, fromStatus: previous.status, toStatus: to });
+        return updated;
+    }
+
+    /**
+     * Removes a reviewer and their decision from a review state.
+     * @param {Object} review The review state.
+     * @param {string} username The reviewer.
+     * @returns {Object} The updated review state.
+     * @private
+     */
+    _withoutReviewer(review, username) {
+        const decisions = { ...review.decisions };
+        delete decisions[username];
+        return { ...review, reviewers: review.reviewers.filter(reviewer => reviewer !== username), decisions };
+    }
+
+    /**
+     * Throws unless a campaign's reviewers may be changed, which is only while it is a draft.
+     * @param {Object} campaign The campaign.
+     * @throws {CampaignReviewError} If the campaign is not a draft.
+     * @private
+     */
+    _assertReviewersChangeable(campaign) {
+        if (campaign.status !== this.campaignLifecycleService.INITIAL_STATUS) {
+            throw new CampaignReviewError(`The reviewers of campaign "${campaign.name}" can only be changed while it is a ${this.campaignLifecycleService.getLabel(this.campaignLifecycleService.INITIAL_STATUS)}.`);
+        }
+    }
+
+    /**
+     * Assigns a reviewer to a draft campaign. Every assigned reviewer must approve it before it is
+     * approved, and can view it without it being shared with them.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} username The reviewer.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the user may not edit the campaign, or the reviewer does not exist.
+     * @throws {CampaignReviewError} If the campaign is not a draft, or the reviewer's role does not allow
+     *   reviewing, owns the campaign or is already assigned.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async addReviewer(campaignId, username) {
+        const reviewer = await this.userService.getUser(username);
+        return this._updateCampaign(campaignId, campaign => {
+            this._assertReviewersChangeable(campaign);
+            if (!reviewer) throw new CampaignAccessError(`There is no user "${username}".`);
+            if (!this.accessControlService.hasPermission(reviewer, 'reviewCampaigns')) {
+                throw new CampaignReviewError(`"${username}" cannot review campaigns because of their role.`);
+            }
+            if (username === campaign.ownerId) throw new CampaignReviewError('The owner of a campaign cannot review it.');
+            if (campaign.review.reviewers.includes(username)) throw new CampaignReviewError(`"${username}" is already a reviewer.`);
+            return { review: { ...campaign.review, reviewers: [...campaign.review.reviewers, username] } };
+        }, { action: 'assign reviewers to' });
+    }
+
+    /**
+     * Unassigns a reviewer from a draft campaign.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} username The reviewer.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the user may not edit the campaign.
+     * @throws {CampaignReviewError} If the campaign is not a draft.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async removeReviewer(campaignId, username) {
+        return this._updateCampaign(campaignId, campaign => {
+            this._assertReviewersChangeable(campaign);
+            return { review: this._withoutReviewer(campaign.review, username) };
+        }, { action: 'unassign reviewers from' });
+    }
+
+    /**
+     * Adds a comment to a campaign's review, pinned to an asset or a field of it, or replies to a thread.
+     * Anyone who can view the campaign can comment, in any status.
+     * @param {string} campaignId The campaign ID.
+     * @param {{asset: string, field: string|null}|null} target What the comment is about; ignored for replies.
+     * @param {string} text The comment.
+     * @param {string|null} [parentId] The comment starting the thread to reply to, or null for a new thread.
+     * @returns {Promise<Object>} The new comment.
+     * @throws {CampaignAccessError} If the user cannot view the campaign.
+     * @throws {CampaignReviewError} If the text is empty or too long, the target does not exist, or the thread was not found.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async addReviewComment(campaignId, target, text, parentId = null) {
+        const textProblem = this.campaignReviewService.getTextProblem(text);
+        if (textProblem) throw new CampaignReviewError(textProblem);
+        let comment;
+        await this._updateCampaign(campaignId, ({ review }) => {
+            let commentTarget = target;
+            if (parentId) {
+                const parent = review.comments.find(c => c.id === parentId && !c.parentId);
+                if (!parent) throw new CampaignReviewError('The comment you replied to no longer exists.');
+                commentTarget = parent.target;
+            } else if (!target || !this.campaignReviewService.isValidTarget(target.asset, target.field ?? null)) {
+                throw new CampaignReviewError('Choose what the comment is about.');
+            }
+            comment = this.campaignReviewService.createComment(commentTarget, text, this._getCurrentUsername(), parentId);
+            return { review: { ...review, comments: [...review.comments, comment] } };
+        }, { required: 'view', action: 'comment on' });
+        return comment;
+    }
+
+    /**
+     * Marks a comment thread as resolved, or reopens it. Allowed for the thread's author and anyone
+     * who can edit the campaign.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} commentId The comment starting the thread.
+     * @param {boolean} resolved True to resolve, false to reopen.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the user cannot view the campaign, or may not resolve the thread.
+     * @throws {CampaignReviewError} If the thread was not found.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async resolveReviewComment(campaignId, commentId, resolved) {
+        return this._updateCampaign(campaignId, campaign => {
+            const { review } = campaign;
+            const comment = review.comments.find(c => c.id === commentId && !c.parentId);
+            if (!comment) throw new CampaignReviewError('The comment was not found.');
+            if (comment.author !== this._getCurrentUsername() && !this.accessControlService.allows(this.getCampaignAccess(campaign), 'edit')) {
+                throw new CampaignAccessError('Only the author of a comment, or someone who can edit the campaign, can resolve it.');
+            }
+            return { review: { ...review, comments: review.comments.map(c => (c.id === commentId ? { ...c, resolved } : c)) } };
+        }, { required: 'view', action: 'resolve comments on' });
+    }
+
+    /**
+     * Changes a campaign's flight dates, timezone and dayparting. Like its content, the schedule can only
+     * be changed while the campaign is a draft.
+     * @param {string} campaignId The campaign ID.
+     * @param {{startAt: string|null, endAt: string|null, timezone: string, dayparts: Array<Object>}} schedule The new schedule.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignScheduleError} If the schedule is invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async updateSchedule(campaignId, schedule) {
+        const problems = this.campaignScheduleService.validate(schedule);
+        if (problems.length) throw new CampaignScheduleError('The schedule was not saved', problems);
+        return this._updateCampaign(campaignId, () => ({ schedule }), { action: 'schedule', revisionInfo: { type: 'scheduled' } });
+    }
+
+    /**
+     * Changes a campaign's currency, total and daily budget and bid strategy. Like its content, the budget
+     * can only be changed while the campaign is a draft.
+     * @param {string} campaignId The campaign ID.
+     * @param {{currency: string, total: number|null, daily: number|null, bidStrategy: string}} budget The new budget.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignBudgetError} If the budget is invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async updateBudget(campaignId, budget) {
+        const problems = this.campaignBudgetService.validate(budget);
+        if (problems.length) throw new CampaignBudgetError('The budget was not saved', problems);
+        return this._updateCampaign(campaignId, () => ({ budget }), { action: 'change the budget of', revisionInfo: { type: 'budgeted' } });
+    }
+
+    /**
+     * Records money spent on a campaign on one day, in the currency of its budget.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} date The day, 'YYYY-MM-DD'.
+     * @param {number} amount The amount spent.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignBudgetError} If the date or amount is invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async recordSpend(campaignId, date, amount) {
+        const problems = this.campaignBudgetService.validateSpendEntry({ date, amount });
+        if (problems.length) throw new CampaignBudgetError('The spend was not recorded', problems);
+        const entry = this.campaignBudgetService.createSpendEntry(date, amount, 'manual', this._getCurrentUsername());
+        return this._updateCampaign(campaignId, ({ spend }) => ({ spend: { ...spend, entries: [...spend.entries, entry] } }), { action: 'record spend on' });
+    }
+
+    /**
+     * Imports a spend report (CSV with a date and an amount column). The report replaces any spend already
+     * recorded for the days it covers, so importing an updated report does not count spend twice. Nothing
+     * is imported if any line is invalid.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} csvText The report.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignBudgetError} If the report cannot be read or has invalid lines.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async importSpend(campaignId, csvText) {
+        const { rows, problems } = this.campaignBudgetService.parseSpendCsv(csvText);
+        if (problems.length) throw new CampaignBudgetError('The spend report was not imported', problems);
+        if (!rows.length) throw new CampaignBudgetError('The spend report has no spend to import.');
+        const username = this._getCurrentUsername();
+        const entries = rows.map(row => this.campaignBudgetService.createSpendEntry(row.date, row.amount, 'import', username));
+        return this._updateCampaign(campaignId, ({ spend }) => ({
+            spend: this.campaignBudgetService.replaceSpendEntries(spend, entries)
+        }), { action: 'import spend into' });
+    }
+
+    /**
+     * Deletes a spend entry, e.g. one recorded by mistake.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} entryId The entry.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async removeSpendEntry(campaignId, entryId) {
+        return this._updateCampaign(campaignId, ({ spend }) => ({
+            spend: { ...spend, entries: spend.entries.filter(entry => entry.id !== entryId) }
+        }), { action: 'remove spend from' });
+    }
+
+    /**
+     * Sets how far, in percent, a campaign's spend may deviate from its planned pace before an alert is raised.
+     * @param {string} campaignId The campaign ID.
+     * @param {number} threshold The threshold, in percent.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignBudgetError} If the threshold is not between 1 and 100.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async setPacingAlertThreshold(campaignId, threshold) {
+        const problem = this.campaignBudgetService.getThresholdProblem(threshold);
+        if (problem) throw new CampaignBudgetError(problem);
+        return this._updateCampaign(campaignId, ({ spend }) => ({ spend: { ...spend, alertThreshold: threshold } }), { action: 'change the pacing alerts of' });
+    }
+
+    /**
+     * Changes the audience segments a campaign targets. Like its content, the targeting can only be changed
+     * while the campaign is a draft.
+     * @param {string} campaignId The campaign ID.
+     * @param {Array<string>} segmentIds The segments; the campaign targets people in any of them.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {AudienceSegmentError} If an added segment does not exist, or a segment is listed twice.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async updateTargeting(campaignId, segmentIds) {
+        if (new Set(segmentIds).size !== segmentIds.length) throw new AudienceSegmentError('A segment can only be targeted once.');
+        return this._updateCampaign(campaignId, async previous => {
+            for (const segmentId of segmentIds.filter(id => !previous.targeting.segmentIds.includes(id))) {
+                if (!(await this.audienceSegmentService.getSegment(segmentId))) {
+                    throw new AudienceSegmentError(`Segment "${segmentId}" no longer exists.`);
                 }
             }
+            return { targeting: { segmentIds: [...segmentIds] } };
+        }, { action: 'change the targeting of', revisionInfo: { type: 'targeted' } });
+    }
+
+    /**
+     * Describes who a campaign targets, for the dashboard and exports.
+     * @param {Object} campaign The campaign.
+     * @returns {Promise<Array<string>>} One line per targeted segment, e.g. 'Young Berliners: Located in
+     *   Berlin, Germany AND Aged 18–29'; a single line saying everyone is targeted if there are none.
+     */
+    async getTargetingSummary(campaign) {
+        const segmentIds = campaign.targeting?.segmentIds || [];
+        if (!segmentIds.length) return ['Everyone (no audience segments)'];
+        const segments = await this.audienceSegmentService.getSegments();
+        return segmentIds.map(segmentId => {
+            const segment = segments.find(s => s.id === segmentId);
+            return segment ? `${segment.name}: ${this.audienceSegmentService.describeSegment(segment)}` : 'A segment that was deleted';
+        });
+    }
+
+    /**
+     * Counts the campaigns, of any user, that target a segment, e.g. before the segment is deleted.
+     * @param {string} segmentId The segment ID.
+     * @returns {Promise<number>} The number of campaigns.
+     */
+    async countCampaignsTargeting(segmentId) {
+        return (await this._loadAllCampaigns()).filter(campaign => campaign.targeting.segmentIds.includes(segmentId)).length;
+    }
+
+    /**
+     * Imports a performance report of an external ad platform, read with a column mapping. The report
+     * replaces the days of the same platform already imported, so importing an updated report does not
+     * count them twice. Nothing is imported if any line is invalid.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} platform The platform the report comes from, e.g. 'Google Ads'.
+     * @param {string} csvText The report.
+     * @param {{columns: Object.<string, string>, dateFormat: string}} mapping Which columns hold which field.
+     * @param {string} [fileName] The report's file name, shown with the import.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignPerformanceError} If the platform or mapping is invalid, or the report has invalid lines or no days.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async importPerformance(campaignId, platform, csvText, mapping, fileName = '') {
+        const platformProblems = this.campaignPerformanceService.validatePlatform(platform);
+        if (platformProblems.length) throw new CampaignPerformanceError('The report was not imported', platformProblems);
+        const { rows, problems } = this.campaignPerformanceService.parseReport(csvText, mapping);
+        if (problems.length) throw new CampaignPerformanceError('The report was not imported', problems);
+        if (!rows.length) throw new CampaignPerformanceError('The report has no days to import.');
+
+        const record = this.campaignPerformanceService.createImport(platform, fileName, rows, this._getCurrentUsername());
+        return this._updateCampaign(campaignId, ({ performance }) => ({
+            performance: this.campaignPerformanceService.addImport(performance, record, rows)
+        }), { action: 'import performance into' });
+    }
+
+    /**
+     * Removes the days imported with a report, e.g. one imported into the wrong campaign.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} importId The import.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async removePerformanceImport(campaignId, importId) {
+        return this._updateCampaign(campaignId, ({ performance }) => ({
+            performance: {
+                rows: performance.rows.filter(row => row.importId !== importId),
+                imports: performance.imports.filter(entry => entry.id !== importId)
+            }
+        }), { action: 'remove performance from' });
+    }
+
+    /**
+     * Saves a lead submitted through the lead form of a campaign's landing page. Anyone who can see the
+     * campaign can try out its form, whatever its status.
+     * @param {string} campaignId The campaign ID.
+     * @param {{name: string, email: string}} submission The submitted name and email address.
+     * @param {{templateId: string, variantId: string|null, source: string}} origin The template and A/B variant
+     *   the form was on, and where it was submitted (see LeadService.SOURCES).
+     * @returns {Promise<Object>} The lead.
+     * @throws {LeadError} If the submission is invalid or its source unknown.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user cannot see it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async captureLead(campaignId, submission, origin) {
+        const problems = this.leadService.validateSubmission(submission);
+        if (!this.leadService.SOURCES[origin.source]) problems.push(`unknown source "${origin.source}"`);
+        if (problems.length) throw new LeadError('The lead was not saved', problems);
+
+        const lead = this.leadService.createLead(submission, origin, this._getCurrentUsername());
+        await this._updateCampaign(campaignId, ({ leads }) => ({ leads: [...leads, lead] }), { required: 'view', action: 'capture leads for' });
+        return lead;
+    }
+
+    /**
+     * Tags a lead with a status, as it is followed up.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} leadId The lead.
+     * @param {string} status The status (see LeadService.STATUSES).
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {LeadError} If the status is unknown or the lead does not exist.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async setLeadStatus(campaignId, leadId, status) {
+        if (!this.leadService.isValidStatus(status)) throw new LeadError(`Unknown lead status "${status}".`);
+        return this._updateCampaign(campaignId, ({ leads }) => {
+            if (!leads.some(lead => lead.id === leadId)) throw new LeadError('The lead no longer exists.');
+            return { leads: leads.map(lead => (lead.id === leadId ? { ...lead, status } : lead)) };
+        }, { action: 'tag leads of' });
+    }
+
+    /**
+     * Merges a campaign's leads with the same email address into the earliest one (see LeadService.dedupe()).
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<number>} How many leads were merged away.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async dedupeLeads(campaignId) {
+        let removed = 0;
+        await this._updateCampaign(campaignId, ({ leads }) => {
+            const result = this.leadService.dedupe(leads);
+            removed = result.removed;
+            return { leads: result.leads };
+        }, { action: 'merge leads of' });
+        return removed;
+    }
+
+    /**
+     * Changes the A/B test of one of a campaign's assets. Like its content, tests can only be changed
+     * while the campaign is a draft.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {function(Object|null, Object):(Object|null)} change Receives the test (null if there is none) and
+     *   the campaign, and returns the new test, or null to end it; may throw CreativeTestError.
+     * @param {Object} revisionInfo Extra details stored on the revision.
+     * @returns {Promise<Object>} The updated campaign.
+     * @private
+     */
+    async _changeCreativeTest(campaignId, assetType, change, revisionInfo) {
+        if (!this.creativeTestService.isAssetType(assetType)) throw new CreativeTestError(`"${assetType}" cannot be A/B tested.`);
+        return this._updateCampaign(campaignId, campaign => {
+            const test = change(campaign.creativeTests[assetType], campaign);
+            if (test) {
+                const problems = this.creativeTestService.validate(test);
+                if (problems.length) throw new CreativeTestError('The A/B test was not saved', problems);
+            }
+            return { creativeTests: { ...campaign.creativeTests, [assetType]: test } };
+        }, { action: 'change the A/B tests of', revisionInfo: { type: 'variants', assetType, ...revisionInfo } });
+    }
+
+    /**
+     * Adds a variant of an asset to test against it, starting with a copy of the primary asset. The traffic
+     * is split evenly between all variants.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {string} [name] The variant's name; the next free letter if empty.
+     * @returns {Promise<Object>} The new variant.
+     * @throws {CreativeTestError} If the asset has not been created yet, or the test has the most variants allowed.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async addCreativeVariant(campaignId, assetType, name = '') {
+        const updated = await this._changeCreativeTest(campaignId, assetType, (test, campaign) => {
+            const label = this.creativeTestService.ASSET_TYPES[assetType].toLowerCase();
+            if (!campaign.assets[assetType]) throw new CreativeTestError(`Save the ${label} before adding variants of it.`);
+            if (test && test.variants.length >= this.creativeTestService.MAX_VARIANTS) {
+                throw new CreativeTestError(`A test can have at most ${this.creativeTestService.MAX_VARIANTS} variants.`);
+            }
+            return this.creativeTestService.addVariant(test, name.trim() || this.creativeTestService.getNextVariantName(test), campaign.assets[assetType]);
+        }, {});
+        return updated.creativeTests[assetType].variants.at(-1);
+    }
+
+    /**
+     * Changes the metric of an A/B test and the names and traffic shares of its variants.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {{metric: string, variants: Array<{id: string, name: string, weight: number}>}} changes The metric,
+     *   and the name and share of every variant of the test.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CreativeTestError} If there is no test, the variants do not match it, or the changes are invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async updateCreativeTest(campaignId, assetType, { metric, variants }) {
+        return this._changeCreativeTest(campaignId, assetType, test => {
+            if (!test) throw new CreativeTestError('There is no A/B test to change.');
+            if (variants.length !== test.variants.length || test.variants.some(variant => !variants.some(v => v.id === variant.id))) {
+                throw new CreativeTestError('The variants have changed in the meantime. Reload the campaign and try again.');
+            }
+            return {
+                ...test,
+                metric,
+                variants: test.variants.map(variant => {
+                    const { name, weight } = variants.find(v => v.id === variant.id);
+                    return { ...variant, name: typeof name === 'string' ? name.trim() : name, weight };
+                })
+            };
+        }, {});
+    }
+
+    /**
+     * Removes a variant from an A/B test; its traffic goes to the primary asset. Removing the last other
+     * variant ends the test.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {string} variantId The variant.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CreativeTestError} If the variant does not exist or is the primary asset.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async removeCreativeVariant(campaignId, assetType, variantId) {
+        return this._changeCreativeTest(campaignId, assetType, test => {
+            if (variantId === this.creativeTestService.PRIMARY_ID) {
+                throw new CreativeTestError('The primary asset cannot be removed from its test. Promote another variant instead.');
+            }
+            if (!test?.variants.some(variant => variant.id === variantId)) throw new CreativeTestError('That variant no longer exists.');
+            return this.creativeTestService.removeVariant(test, variantId);
+        }, {});
+    }
+
+    /**
+     * Saves the content of a variant other than the primary asset, e.g. from an editor.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {string} variantId The variant.
+     * @param {Object} asset The variant's asset.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CreativeTestError} If the variant does not exist.
+     * @throws {CampaignSchemaError} If the asset is invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async updateVariantAsset(campaignId, assetType, variantId, asset) {
+        const campaign = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!campaign) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        const variant = campaign.creativeTests[assetType]?.variants.find(v => v.id === variantId);
+        if (!variant || variantId === this.creativeTestService.PRIMARY_ID) throw new CreativeTestError('That variant no longer exists.');
+        return this._changeCreativeTest(campaignId, assetType, test => {
+            if (!test?.variants.some(v => v.id === variantId)) throw new CreativeTestError('That variant no longer exists.');
+            return { ...test, variants: test.variants.map(v => (v.id === variantId ? { ...v, asset: JSON.parse(JSON.stringify(asset)) } : v)) };
+        }, { variantName: variant.name });
+    }
+
+    /**
+     * Records the performance numbers of a variant, replacing those recorded before. No revision is
+     * recorded, since results are kept outside the history.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {string} variantId The variant.
+     * @param {{impressions: number, clicks: number, conversions: number}} results The numbers so far.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CreativeTestError} If the variant does not exist or the numbers are invalid.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async recordVariantResults(campaignId, assetType, variantId, results) {
+        const problems = this.creativeTestService.validateResults(results);
+        if (problems.length) throw new CreativeTestError('The results were not recorded', problems);
+        const { impressions, clicks, conversions } = results;
+        return this._updateCampaign(campaignId, ({ creativeTests, creativeResults }) => {
+            if (!creativeTests[assetType]?.variants.some(variant => variant.id === variantId)) {
+                throw new CreativeTestError('That variant no longer exists.');
+            }
+            return {
+                creativeResults: {
+                    ...creativeResults,
+                    [assetType]: { ...creativeResults[assetType], [variantId]: { impressions, clicks, conversions } }
+                }
+            };
+        }, { action: 'record results of' });
+    }
+
+    /**
+     * Ends an A/B test by making one of its variants the primary asset; the other variants and the test's
+     * results are discarded.
+     * @param {string} campaignId The campaign ID.
+     * @param {string} assetType The asset type.
+     * @param {string} variantId The variant to promote.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CreativeTestError} If the variant does not exist.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user may not edit it.
+     * @throws {CampaignLifecycleError} If the campaign's status does not allow changes.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async promoteCreativeVariant(campaignId, assetType, variantId) {
+        const revisionInfo = { type: 'promoted', assetType, variantName: null };
+        return this._updateCampaign(campaignId, campaign => {
+            const variant = campaign.creativeTests[assetType]?.variants.find(v => v.id === variantId);
+            if (!variant) throw new CreativeTestError('That variant no longer exists.');
+            revisionInfo.variantName = variant.name;
+            const creativeResults = { ...campaign.creativeResults };
+            delete creativeResults[assetType];
+            return {
+                assets: variant.asset ? { ...campaign.assets, [assetType]: variant.asset } : campaign.assets,
+                creativeTests: { ...campaign.creativeTests, [assetType]: null },
+                creativeResults
+            };
+        }, { action: 'promote variants of', revisionInfo });
+    }
+
+    /**
+     * Moves the logged-in user's campaigns whose flight boundaries have passed: scheduled campaigns go
+     * live once their flight starts, and live or paused ones complete once it ends. Only campaigns the user
+     * owns or can edit are moved; those merely shared for viewing are left to their editors. The
+     * transitions are recorded as made by the scheduler, whatever the user's role.
+     * @param {Date} [now] The current time.
+     * @returns {Promise<Array<Object>>} The campaigns that changed status.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async advanceScheduledCampaigns(now = new Date()) {
+        const advanced = [];
+        const campaigns = (await this.getAllCampaigns()).filter(campaign => this.accessControlService.allows(this.getCampaignAccess(campaign), 'edit'));
+        for (const campaign of campaigns) {
+            let current = campaign;
+            for (const action of this.campaignScheduleService.getDueTransitions(campaign, now)) {
+                const transition = this.campaignLifecycleService.TRANSITIONS[action];
+                const note = action === 'launch' ? 'Flight started' : 'Flight ended';
+                const entry = this.campaignLifecycleService.createHistoryEntry(action, current.status, transition.to, this.SCHEDULER_NAME, note);
+                const updated = { ...current, status: transition.to, statusHistory: [...current.statusHistory, entry] };
+                await this._storeCampaign(updated, current, { type: 'status', action, fromStatus: current.status, toStatus: transition.to, author: this.SCHEDULER_NAME, automatic: true });
+                current = updated;
+            }
+            if (current !== campaign) advanced.push(current);
+        }
+        return advanced;
+    }
+
+    /**
+     * Saves a new draft copied from a campaign: its assets, A/B tests, schedule, budget and targeting,
+     * but not its review, spend, performance or leads, which belong to the original. The copy belongs to the
+     * logged-in user.
+     * @param {Object} source The campaign to copy.
+     * @param {{name: string, forkedFrom: string|null, action: string, note: string, revisionInfo: Object}} copy
+     *   The copy's name and fork origin, the statusHistory action and note recording where it came from, and
+     *   extra details stored on its first revision.
+     * @returns {Promise<Object>} The new draft.
+     * @throws {CampaignAccessError} If the user may not create campaigns.
+     * @throws {StorageQuotaError} If storage is full.
+     * @private
+     */
+    async _copyCampaign(source, { name, forkedFrom, action, note, revisionInfo }) {
+        if (!this.canCreateCampaigns()) throw new CampaignAccessError('Your role does not allow creating campaigns.');
+
+        const username = this._getCurrentUsername();
+        const initialStatus = this.campaignLifecycleService.INITIAL_STATUS;
+        const copy = {
+            id: this._generateCampaignId(),
+            name,
+            status: initialStatus,
+            statusHistory: [this.campaignLifecycleService.createHistoryEntry(action, null, initialStatus, username, note)],
+            forkedFrom,
+            schemaVersion: this.campaignSchemaService.CURRENT_VERSION,
+            ownerId: username,
+            sharing: {},
+            review: this.campaignReviewService.createReview(),
+            schedule: JSON.parse(JSON.stringify(source.schedule)),
+            budget: { ...source.budget },
+            spend: { ...this.campaignBudgetService.createSpend(), alertThreshold: source.spend.alertThreshold },
+            targeting: { segmentIds: [...source.targeting.segmentIds] },
+            creativeTests: JSON.parse(JSON.stringify(source.creativeTests)),
+            creativeResults: {},
+            performance: this.campaignPerformanceService.createPerformance(),
+            trashed: null,
+            leads: [],
+            assets: JSON.parse(JSON.stringify(source.assets)),
+            createdAt: new Date().toISOString()
+        };
+        await this.saveCampaign(copy, revisionInfo);
+        return copy;
+    }
+
+    /**
+     * Creates a new draft from a campaign, e.g. to change a live campaign without touching it.
+     * The draft belongs to the logged-in user and remembers which campaign it was forked from.
+     * @param {string} campaignId The campaign to fork.
+     * @returns {Promise<Object>} The new draft.
+     * @throws {CampaignAccessError} If the campaign does not exist, the user cannot see it, or may not create campaigns.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async forkCampaign(campaignId) {
+        const source = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!source) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(source, 'view', 'fork');
+
+        const fork = await this._copyCampaign(source, {
+            name: `${source.name} (draft)`,
+            forkedFrom: source.id,
+            action: 'fork',
+            note: `Forked from "${source.name}"`,
+            revisionInfo: { forkedFrom: source.id }
+        });
+        return fork;
+    }
+
+    /**
+     * Copies a campaign into an unrelated new draft named "<name> (copy)", with all of its assets.
+     * Unlike a fork, the copy does not remember where it came from other than in its statusHistory.
+     * @param {string} campaignId The campaign to copy.
+     * @returns {Promise<Object>} The copy.
+     * @throws {CampaignAccessError} If the campaign does not exist, the user cannot see it, or may not create campaigns.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async cloneCampaign(campaignId) {
+        const source = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!source) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(source, 'view', 'copy');
+
+        const clone = await this._copyCampaign(source, {
+            name: `${source.name} (copy)`,
+            forkedFrom: null,
+            action: 'clone',
+            note: `Copied from "${source.name}"`,
+            revisionInfo: { copiedFrom: source.id }
+        });
+        return clone;
+    }
+
+    /**
+     * Undoes archiving a campaign, returning it to the status it was archived from (draft or completed).
+     * Unlike "Restore as Draft", a completed campaign stays completed.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The updated campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist or the user does not own it.
+     * @throws {CampaignLifecycleError} If the campaign's last status change was not archiving it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async undoArchive(campaignId) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'owner', 'unarchive');
+        const last = previous.statusHistory[previous.statusHistory.length - 1];
+        if (previous.status !== 'archived' || last?.action !== 'archive') {
+            throw new CampaignLifecycleError(`Archiving campaign "${previous.name}" can no longer be undone.`);
+        }
+
+        const username = this._getCurrentUsername();
+        const entry = this.campaignLifecycleService.createHistoryEntry('undo_archive', previous.status, last.from, username, 'Archiving undone');
+        const updated = { ...previous, status: last.from, statusHistory: [...previous.statusHistory, entry] };
+        await this._storeCampaign(updated, previous, { type: 'status', action: 'undo_archive', fromStatus: previous.status, toStatus: last.from });
+        return updated;
+    }
+
+    /**
+     * Moves a campaign to the trash. It leaves every campaign list and stops being anyone's active campaign,
+     * but can be restored for TRASH_RETENTION_DAYS days (see restoreCampaign()). Only its owner may trash it,
+     * and not while it is scheduled or running.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The trashed campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist, is already in the trash, or the user does not own it.
+     * @throws {CampaignLifecycleError} If the campaign is scheduled, live or paused.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async trashCampaign(campaignId) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'owner', 'delete');
+        if (this.UNDELETABLE_STATUSES.includes(previous.status)) {
+            throw new CampaignLifecycleError(`Campaign "${previous.name}" is ${this.campaignLifecycleService.getLabel(previous.status)}. Complete it before deleting it.`);
+        }
+
+        // Store the flag first, so a failed save does not leave the campaign unopened but not in the trash
+        const trashed = { ...previous, trashed: { at: new Date().toISOString(), by: this._getCurrentUsername() } };
+        await this._storeCampaign(trashed, previous, {});
+        const wasActive = this.activeCampaign?.id === campaignId;
+        await this._clearActivePointers(campaignId);
+        if (wasActive) this._notifyCampaignChange(trashed);
+        return trashed;
+    }
+
+    /**
+     * Takes a campaign out of the trash, back into the lists of everyone who can see it.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The restored campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist, is not in the trash, or the user does not own it.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async restoreCampaign(campaignId) {
+        const previous = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!previous) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(previous, 'owner', 'restore', { allowTrashed: true });
+        if (!previous.trashed) throw new CampaignAccessError(`Campaign "${previous.name}" is not in the trash.`);
+
+        const restored = { ...previous, trashed: null };
+        await this._storeCampaign(restored, previous, {});
+        return restored;
+    }
+
+    /**
+     * Retrieves the logged-in user's campaigns in the trash, most recently trashed first.
+     * @returns {Promise<Array<Object>>} The trashed campaigns; empty if nobody is logged in.
+     */
+    async getTrashedCampaigns() {
+        const username = this._getCurrentUsername();
+        if (!username) return [];
+        const campaigns = (await this._loadAllCampaigns()).filter(campaign => campaign.trashed && campaign.ownerId === username);
+        return campaigns.sort((a, b) => new Date(b.trashed.at) - new Date(a.trashed.at));
+    }
+
+    /**
+     * Gets when a campaign in the trash will be deleted for good.
+     * @param {Object} campaign The trashed campaign.
+     * @returns {Date} The time it is purged.
+     */
+    getPurgeDate(campaign) {
+        return new Date(new Date(campaign.trashed.at).getTime() + this.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Deletes a campaign in the trash and its revision history for good. Only its owner may purge it.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<Object>} The deleted campaign.
+     * @throws {CampaignAccessError} If the campaign does not exist, is not in the trash, or the user does not own it.
+     */
+    async purgeCampaign(campaignId) {
+        const campaign = await this._loadCampaign(this.CAMPAIGN_PREFIX + campaignId);
+        if (!campaign) throw new CampaignAccessError(`Campaign "${campaignId}" was not found.`);
+        this._assertAccess(campaign, 'owner', 'delete', { allowTrashed: true });
+        if (!campaign.trashed) throw new CampaignAccessError(`Move campaign "${campaign.name}" to the trash before deleting it for good.`);
+
+        await this._removeCampaign(campaign);
+        this._notifyCampaignChange(campaign);
+        return campaign;
+    }
+
+    /**
+     * Deletes every campaign that has been in the trash for longer than TRASH_RETENTION_DAYS, whoever owns it.
+     * @param {Date} [now] The current time.
+     * @returns {Promise<Array<Object>>} The deleted campaigns.
+     */
+    async purgeExpiredTrash(now = new Date()) {
+        const expired = (await this._loadAllCampaigns()).filter(campaign => campaign.trashed && this.getPurgeDate(campaign) <= now);
+        for (const campaign of expired) {
+            await this._removeCampaign(campaign);
+        }
+        return expired;
+    }
+
+    /**
+     * Removes a campaign, its revision history and every pointer to it. Callers check access and notify.
+     * @param {Object} campaign The campaign.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _removeCampaign(campaign) {
+        await this._clearActivePointers(campaign.id);
+        await this.localStorageService.removeItem(this.CAMPAIGN_PREFIX + campaign.id);
+        await this.localStorageService.removeItem(this.REVISIONS_PREFIX + campaign.id);
+    }
+
+    /**
+     * Stops a campaign being the active campaign of any user, including the logged-in user's in memory.
+     * @param {string} campaignId The campaign ID.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _clearActivePointers(campaignId) {
+        if (this.activeCampaign?.id === campaignId) this.activeCampaign = null;
+        for (const key of await this.localStorageService.listKeys(this.ACTIVE_CAMPAIGN_PREFIX)) {
+            if ((await this.localStorageService.getItem(key))?.id === campaignId) {
+                await this.localStorageService.removeItem(key);
+            }
         }
-        return campaigns.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
     }
 
+    /**
+     * Finds the stored campaign a campaign from a bundle is a copy of: the same campaign, exported
+     * from here or from another machine. Campaigns are the same if their ID and creation time match; a
+     * campaign that merely has the same ID is a different one. Only campaigns in the logged-in user's
+     * list count; for anyone else, the bundle's campaign is new.
+     * @param {Object} record The campaign from the bundle.
+     * @returns {Promise<Object|null>} The stored campaign, or null if there is none.
+     */
+    async getImportDuplicate(record) {
+        const existing = await this._loadCampaign(this.CAMPAIGN_PREFIX + record.id);
+        if (!existing || existing.trashed || !this.getCampaignAccess(existing)) return null;
+        return existing.createdAt === record.createdAt ? existing : null;
+    }
+
+    /**
+     * Imports a campaign from a bundle (see CampaignBundleService).
+     * - 'new' adds it as a draft of the logged-in user, keeping its ID unless that is taken. Like a copy made
+     *   here, it starts without spend, performance, creative test results or leads.
+     * - 'copy' adds it the same way under a new ID and the name "<name> (copy)".
+     * - 'overwrite' saves its content over its duplicate (see getImportDuplicate()) as a new revision. Like
+     *   any other save, this keeps the duplicate's owner, sharing, status, review, spend, performance and leads.
+     * - 'skip' imports nothing.
+     * Audience segments that do not exist here are removed from its targeting.
+     * @param {Object} record The campaign from the bundle, upgraded to the current schema.
+     * @param {string} [mode] 'new', 'copy', 'overwrite' or 'skip'.
+     * @returns {Promise<Object|null>} The imported campaign, or null if it was skipped.
+     * @throws {CampaignAccessError} If the user may not create campaigns, or may not edit the duplicate, or
+     *   there is no duplicate to overwrite.
+     * @throws {CampaignLifecycleError} If the duplicate's status does not allow changes.
+     * @throws {CampaignSchemaError} If the campaign does not match the schema.
+     * @throws {StorageQuotaError} If storage is full.
+     */
+    async importCampaign(record, mode = 'new') {
+        if (mode === 'skip') return null;
+        const segments = await this.audienceSegmentService.getSegments();
+        const targeting = { segmentIds: record.targeting.segmentIds.filter(id => segments.some(segment => segment.id === id)) };
 
-    // Helper method to generate a unique ID (can be more robust)
+        if (mode === 'overwrite') {
+            const duplicate = await this.getImportDuplicate(record);
+            if (!duplicate) throw new CampaignAccessError(`There is no campaign "${record.name}" to overwrite.`);
+            const overwritten = { ...record, id: duplicate.id, targeting };
+            await this.saveCampaign(overwritten, { type: 'imported', importMode: mode });
+            const saved = await this._loadCampaign(this.CAMPAIGN_PREFIX + duplicate.id);
+            if (this.activeCampaign?.id === duplicate.id) await this.setActiveCampaign(saved);
+            return saved;
+        }
+
+        // Any stored record takes up the ID, even one that cannot be read.
+        const idTaken = mode === 'copy' || !!(await this.localStorageService.getItem(this.CAMPAIGN_PREFIX + record.id));
+        const username = this._getCurrentUsername();
+        const initialStatus = this.campaignLifecycleService.INITIAL_STATUS;
+        const imported = {
+            ...record,
+            id: idTaken ? this._generateCampaignId() : record.id,
+            name: mode === 'copy' ? `${record.name} (copy)` : record.name,
+            status: initialStatus,
+            statusHistory: [this.campaignLifecycleService.createHistoryEntry('import', null, initialStatus, username, `Imported from ${record.ownerId || 'an unowned campaign'}'s "${record.name}"`)],
+            forkedFrom: null,
+            ownerId: username,
+            sharing: {},
+            review: this.campaignReviewService.createReview(),
+            targeting,
+            spend: { ...this.campaignBudgetService.createSpend(), alertThreshold: record.spend.alertThreshold },
+            creativeResults: {},
+            performance: this.campaignPerformanceService.createPerformance(),
+            trashed: null,
+            leads: [],
+            // The creation time is part of what identifies the campaign when it is imported again
+            createdAt: idTaken ? new Date().toISOString() : record.createdAt
+        };
+        delete imported.lastUpdated;
+        await this.saveCampaign(imported, { type: 'imported', importMode: mode, importedFrom: record.id });
+        return imported;
+    }
+
+    /**
+     * Generates a campaign ID. The random part keeps IDs unique when campaigns are created in the same
+     * millisecond, and when campaigns created on other machines are imported.
+     * @returns {string} The ID.
+     * @private
+     */
     _generateCampaignId() {
-        return 'campaign_' + Date.now();
+        return `campaign_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
     }
 
     /**
@@ -140,8 +1975,11 @@ class CampaignService {
         if (campaignOverview && activeCampaignName && activeCampaignStatus && activeCampaignLastUpdated && noCampaignMessage) {
             if (campaign) {
                 activeCampaignName.textContent = campaign.name || 'Unnamed Campaign';
-                activeCampaignStatus.textContent = campaign.status || 'Active'; // Default status
-                activeCampaignLastUpdated.textContent = new Date(campaign.lastUpdated).toLocaleString();
+                const activeCampaignOwner = document.getElementById('active-campaign-owner');
+                if (activeCampaignOwner) activeCampaignOwner.textContent = campaign.ownerId || '—';
+                activeCampaignStatus.textContent = this.campaignLifecycleService.getLabel(campaign.status);
+                activeCampaignStatus.className = `px-2 py-0.5 rounded-full text-xs font-medium ${this.campaignLifecycleService.getBadgeClass(campaign.status)}`;
+                activeCampaignLastUpdated.textContent = new Date(this.getLastUpdated(campaign)).toLocaleString();
                 campaignOverview.classList.remove('hidden');
                 noCampaignMessage.classList.add('hidden');
             } else {
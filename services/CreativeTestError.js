@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when an A/B test of a campaign's creatives cannot be changed as requested,
+ * e.g. traffic weights that do not add up to 100%, or performance numbers with more clicks than impressions.
+ */
+
+class CreativeTestError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CreativeTestError';
+        this.problems = problems;
+    }
+}
+
+export default CreativeTestError;
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Service for A/B tests of a campaign's creatives.
+ * A campaign can test alternative versions (variants) of its banner, marketing page and landing page.
+ * A test, kept per asset type in the campaign's `creativeTests`, lists the variants with their names and
+ * the share of traffic each receives; the first variant is the campaign's primary asset itself, the others
+ * carry their own copy of the asset. Performance numbers per variant (impressions, clicks, conversions)
+ * are kept in the campaign's `creativeResults`. A variant wins once it beats every other variant on the
+ * test's metric with 95% confidence (two-proportion z-test), and can then be promoted to the primary asset.
+ */
+
+class CreativeTestService {
+    constructor() {
+        /**
+         * Display names of the asset types that can be tested.
+         * @type {Object.<string, string>}
+         */
+        this.ASSET_TYPES = {
+            banner: 'Banner',
+            marketingPage: 'Marketing page',
+            landingPage: 'Landing page'
+        };
+        /**
+         * ID of the variant that stands for the campaign's primary asset.
+         * @type {string}
+         */
+        this.PRIMARY_ID = 'primary';
+        /**
+         * Metrics a test can be decided on: the rate of `numerator` per `denominator`.
+         * @type {Object.<string, {label: string, numerator: string, denominator: string}>}
+         */
+        this.METRICS = {
+            ctr: { label: 'Click-through rate', numerator: 'clicks', denominator: 'impressions' },
+            conversion: { label: 'Conversion rate', numerator: 'conversions', denominator: 'clicks' }
+        };
+        /**
+         * Metric of new tests.
+         * @type {string}
+         */
+        this.DEFAULT_METRIC = 'ctr';
+        /**
+         * Most variants per test, including the primary one.
+         * @type {number}
+         */
+        this.MAX_VARIANTS = 4;
+        /**
+         * Confidence a variant needs against every other variant to win.
+         * @type {number}
+         */
+        this.CONFIDENCE_LEVEL = 0.95;
+        /**
+         * Smallest sample (impressions for the click-through rate, clicks for the conversion rate) each
+         * variant needs before a winner is declared; below it the normal approximation is unreliable.
+         * @type {number}
+         */
+        this.MIN_SAMPLE = 100;
+        /**
+         * Longest variant name.
+         * @private
+         * @type {number}
+         */
+        this.MAX_NAME_LENGTH = 40;
+    }
+
+    /**
+     * Creates the tests of a new campaign: none for any asset type.
+     * @returns {Object.<string, null>} The tests, keyed by asset type.
+     */
+    createTests() {
+        return Object.fromEntries(Object.keys(this.ASSET_TYPES).map(assetType => [assetType, null]));
+    }
+
+    /**
+     * Creates empty performance numbers.
+     * @returns {{impressions: number, clicks: number, conversions: number}} The numbers.
+     */
+    createResults() {
+        return { impressions: 0, clicks: 0, conversions: 0 };
+    }
+
+    /**
+     * Whether an asset type can be tested.
+     * @param {string} assetType The asset type.
+     * @returns {boolean} True if it is a banner, marketing page or landing page.
+     */
+    isAssetType(assetType) {
+        return Object.prototype.hasOwnProperty.call(this.ASSET_TYPES, assetType);
+    }
+
+    /**
+     * Suggests a name for the next variant of a test: 'B', 'C' and so on, skipping names in use.
+     * @param {Object|null} test The test, or null if there is none yet.
+     * @returns {string} The name.
+     */
+    getNextVariantName(test) {
+        const names = new Set((test?.variants || []).map(variant => variant.name.toUpperCase()));
+        for (let code = 'B'.charCodeAt(0); code <= 'Z'.charCodeAt(0); code++) {
+            const name = String.fromCharCode(code);
+            if (!names.has(name)) return name;
+        }
+        return `Variant ${names.size + 1}`;
+    }
+
+    /**
+     * Adds a variant to a test, starting the test if there is none, and splits the traffic evenly.
+     * @param {Object|null} test The test, or null to start one.
+     * @param {string} name The name of the new variant.
+     * @param {Object} asset The variant's copy of the asset.
+     * @returns {Object} The new test.
+     */
+    addVariant(test, name, asset) {
+        const variants = test ? test.variants.map(variant => ({ ...variant })) : [{ id: this.PRIMARY_ID, name: 'A', weight: 100 }];
+        variants.push({
+            id: `variant_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            name,
+            weight: 0,
+            asset: JSON.parse(JSON.stringify(asset))
+        });
+        const share = Math.floor(100 / variants.length);
+        variants.forEach((variant, index) => {
+            variant.weight = share + (index === 0 ? 100 - share * variants.length : 0);
+        });
+        return { metric: test?.metric || this.DEFAULT_METRIC, variants };
+    }
+
+    /**
+     * Removes a variant from a test; its traffic goes to the primary variant.
+     * @param {Object} test The test.
+     * @param {string} variantId The variant, which must not be the primary one.
+     * @returns {Object|null} The new test, or null if only the primary variant is left.
+     */
+    removeVariant(test, variantId) {
+        const removed = test.variants.find(variant => variant.id === variantId);
+        const variants = test.variants
+            .filter(variant => variant.id !== variantId)
+            .map(variant => (variant.id === this.PRIMARY_ID ? { ...variant, weight: variant.weight + (removed?.weight || 0) } : variant));
+        return variants.length > 1 ? { ...test, variants } : null;
+    }
+
+    /**
+     * Checks a test before it is saved.
+     * @param {Object} test The test.
+     * @returns {Array<string>} The problems found; empty if the test is valid.
+     */
+    validate(test) {
+        const problems = [];
+        if (!Object.prototype.hasOwnProperty.call(this.METRICS, test.metric)) problems.push(`unknown metric "${test.metric}"`);
+        const { variants } = test;
+        if (variants.length < 2 || variants.length > this.MAX_VARIANTS) {
+            problems.push(`a test needs between 2 and ${this.MAX_VARIANTS} variants`);
+        }
+        if (variants[0]?.id !== this.PRIMARY_ID || variants.filter(variant => variant.id === this.PRIMARY_ID).length !== 1) {
+            problems.push('the first variant must be the primary asset');
+        }
+        const names = new Set();
+        variants.forEach(variant => {
+            const name = typeof variant.name === 'string' ? variant.name.trim() : '';
+            if (!name || name.length > this.MAX_NAME_LENGTH) {
+                problems.push(`variant names must be 1 to ${this.MAX_NAME_LENGTH} characters long`);
+            } else if (names.has(name.toLowerCase())) {
+                problems.push(`there are two variants called "${name}"`);
+            }
+            names.add(name.toLowerCase());
+            if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > 100) {
+                problems.push(`the traffic share of "${name}" must be a whole percentage between 0 and 100`);
+            }
+        });
+        const total = variants.reduce((sum, variant) => sum + (Number(variant.weight) || 0), 0);
+        if (total !== 100) problems.push(`the traffic shares add up to ${total}% instead of 100%`);
+        return [...new Set(problems)];
+    }
+
+    /**
+     * Checks performance numbers before they are recorded.
+     * @param {{impressions: number, clicks: number, conversions: number}} results The numbers.
+     * @returns {Array<string>} The problems found; empty if the numbers are valid.
+     */
+    validateResults(results) {
+        const problems = [];
+        const fields = Object.keys(this.createResults());
+        fields.forEach(field => {
+            if (!Number.isInteger(results[field]) || results[field] < 0) problems.push(`${field} must be a whole number of at least 0`);
+        });
+        if (!problems.length) {
+            if (results.clicks > results.impressions) problems.push('there cannot be more clicks than impressions');
+            if (results.conversions > results.clicks) problems.push('there cannot be more conversions than clicks');
+        }
+        return problems;
+    }
+
+    /**
+     * Finds the asset shown to a variant's share of traffic.
+     * @param {Object} campaign The campaign.
+     * @param {string} assetType The asset type.
+     * @param {string|null} variantId The variant, or null for the primary asset.
+     * @returns {Object|null|undefined} The asset; null if the primary asset has not been created,
+     *   undefined if the variant does not exist.
+     */
+    getVariantAsset(campaign, assetType, variantId) {
+        if (!variantId || variantId === this.PRIMARY_ID) return campaign.assets[assetType];
+        return campaign.creativeTests?.[assetType]?.variants.find(variant => variant.id === variantId)?.asset;
+    }
+
+    /**
+     * Gets the display name of a variant, e.g. for revisions and editor selects.
+     * @param {Object} variant The variant.
+     * @returns {string} E.g. 'A (primary)' or 'B'.
+     */
+    getVariantLabel(variant) {
+        return variant.id === this.PRIMARY_ID ? `${variant.name} (primary)` : variant.name;
+    }
+
+    /**
+     * Calculates the rate of a metric.
+     * @param {{impressions: number, clicks: number, conversions: number}} results The numbers.
+     * @param {string} metric The metric.
+     * @returns {number|null} The rate between 0 and 1, or null without a sample.
+     */
+    getRate(results, metric) {
+        const { numerator, denominator } = this.METRICS[metric];
+        return results[denominator] > 0 ? results[numerator] / results[denominator] : null;
+    }
+
+    /**
+     * Formats a rate as a percentage.
+     * @param {number|null} rate The rate.
+     * @returns {string} E.g. '2.35%', or '—' without a rate.
+     */
+    formatRate(rate) {
+        return rate === null ? '—' : `${(rate * 100).toFixed(2)}%`;
+    }
+
+    /**
+     * Approximates the error function (Abramowitz and Stegun 7.1.26, accurate to about 1.5e-7).
+     * @param {number} x The argument.
+     * @returns {number} erf(x).
+     * @private
+     */
+    _erf(x) {
+        const sign = x < 0 ? -1 : 1;
+        const t = 1 / (1 + 0.3275911 * Math.abs(x));
+        const poly = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+        return sign * (1 - poly * Math.exp(-x * x));
+    }
+
+    /**
+     * Compares two variants on a metric with a two-sided two-proportion z-test.
+     * @param {Object} a The numbers of the first variant.
+     * @param {Object} b The numbers of the second variant.
+     * @param {string} metric The metric.
+     * @returns {number} The confidence, between 0 and 1, that the two rates really differ.
+     */
+    getConfidence(a, b, metric) {
+        const { numerator, denominator } = this.METRICS[metric];
+        const [n1, n2] = [a[denominator], b[denominator]];
+        if (!n1 || !n2) return 0;
+        const pooled = (a[numerator] + b[numerator]) / (n1 + n2);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+        if (!standardError) return 0;
+        const z = (a[numerator] / n1 - b[numerator] / n2) / standardError;
+        return this._erf(Math.abs(z) / Math.SQRT2);
+    }
+
+    /**
+     * Evaluates a test: the rate of each variant, how it compares with the primary variant, and the
+     * winner, if there is one yet.
+     * @param {Object} test The test.
+     * @param {Object.<string, Object>} [results] The numbers of the test's variants, keyed by variant ID.
+     * @returns {{rows: Array<{variant: Object, results: Object, rate: number|null, uplift: number|null, confidence: number|null}>,
+     *   winnerId: string|null, message: string}} One row per variant (uplift and confidence are against the
+     *   primary variant, null for the primary itself), the winning variant and a description of the outcome.
+     */
+    evaluate(test, results = {}) {
+        const metric = this.METRICS[test.metric];
+        const withResults = test.variants.map(variant => ({ variant, results: { ...this.createResults(), ...results[variant.id] } }));
+        const primary = withResults[0];
+        const primaryRate = this.getRate(primary.results, test.metric);
+        const rows = withResults.map(({ variant, results: numbers }) => {
+            const rate = this.getRate(numbers, test.metric);
+            const isPrimary = variant.id === this.PRIMARY_ID;
+            return {
+                variant,
+                results: numbers,
+                rate,
+                uplift: isPrimary || rate === null || !primaryRate ? null : (rate - primaryRate) / primaryRate,
+                confidence: isPrimary ? null : this.getConfidence(numbers, primary.results, test.metric)
+            };
+        });
+
+        const short = rows.filter(row => row.results[metric.denominator] < this.MIN_SAMPLE);
+        if (short.length) {
+            return {
+                rows,
+                winnerId: null,
+                message: `No winner yet: every variant needs at least ${this.MIN_SAMPLE} ${metric.denominator} (${short.map(row => `"${row.variant.name}"`).join(', ')} ${short.length === 1 ? 'has' : 'have'} fewer).`
+            };
+        }
+        const leader = rows.reduce((best, row) => (row.rate > best.rate ? row : best));
+        const others = rows.filter(row => row !== leader);
+        const weakest = others
+            .map(row => ({ row, confidence: row.rate < leader.rate ? this.getConfidence(leader.results, row.results, test.metric) : 0 }))
+            .reduce((least, entry) => (entry.confidence < least.confidence ? entry : least));
+        const percent = value => `${Math.floor(value * 1000) / 10}%`;
+        if (weakest.confidence >= this.CONFIDENCE_LEVEL) {
+            return {
+                rows,
+                winnerId: leader.variant.id,
+                message: `"${leader.variant.name}" wins on ${metric.label.toLowerCase()} with at least ${percent(weakest.confidence)} confidence.`
+            };
+        }
+        return {
+            rows,
+            winnerId: null,
+            message: `No winner yet: "${leader.variant.name}" leads, but only with ${percent(weakest.confidence)} confidence against "${weakest.row.variant.name}" (${percent(this.CONFIDENCE_LEVEL)} needed).`
+        };
+    }
+}
+
+export default CreativeTestService;
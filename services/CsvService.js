@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Service for reading CSV reports, e.g. spend and performance exports of ad platforms, and
+ * writing CSV exports. Cells are separated by commas and may be quoted to contain commas or line breaks,
+ * with "" for a quote.
+ */
+
+class CsvService {
+    /**
+     * Splits a CSV report into its records and their cells, skipping blank lines. Quoted cells may span
+     * several lines, as platforms export campaign and ad names with line breaks in them.
+     * @param {string} text The CSV text.
+     * @returns {Array<{number: number, cells: Array<string>}>} The records, with the number of the line each
+     *   starts on in the file, and their cells, trimmed.
+     */
+    parse(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+        const endRecord = () => {
+            cells.push(cell.trim());
+            if (cells.length > 1 || cells[0]) records.push({ number: recordLine, cells });
+            cells = [];
+            cell = '';
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        endRecord();
+        return records;
+    }
+
+    /**
+     * Reads a number as platforms export it, ignoring currency symbols, percent signs and thousands separators.
+     * @param {string} raw The cell.
+     * @returns {number} The number, or NaN if the cell holds none.
+     */
+    parseNumber(raw) {
+        const digits = (raw ?? '').replace(/[^\d.-]/g, '');
+        return digits ? Number(digits) : NaN;
+    }
+
+    /**
+     * Writes rows as CSV. Cells with commas, quotes or line breaks are quoted.
+     * @param {Array<Array<any>>} rows The rows, the first usually being the header.
+     * @returns {string} The CSV text, with CRLF line endings as spreadsheets expect.
+     */
+    stringify(rows) {
+        return rows.map(cells => cells.map(value => {
+            const cell = String(value ?? '');
+            return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        }).join(',')).join('\r\n');
+    }
+}
+
+export default CsvService;
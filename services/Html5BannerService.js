@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Service for packaging banners as HTML5 creatives for ad networks.
+ * A package is a zip holding an index.html (with the ad.size meta tag and a clickTag variable),
+ * a stylesheet and the banner's image assets. Packages are checked against network limits
+ * such as total file weight and file count before they are downloaded.
+ */
+
+class Html5BannerService {
+    /**
+     * @param {ZipService} zipService Dependency on ZipService.
+     */
+    constructor(zipService) {
+        this.zipService = zipService;
+
+        /**
+         * Upload limits of common ad networks for HTML5 zips. Networks revise these from time to time,
+         * so they are the commonly published defaults rather than a guarantee of acceptance.
+         * @private
+         * @type {Object.<string, {name: string, maxBytes: number, maxFiles: number}>}
+         */
+        this.NETWORK_PROFILES = {
+            'google-ads': { name: 'Google Ads (Display Network)', maxBytes: 150 * 1024, maxFiles: 40 },
+            'google-ad-manager': { name: 'Google Ad Manager', maxBytes: 1024 * 1024, maxFiles: 100 },
+            'dv360': { name: 'Display & Video 360', maxBytes: 10 * 1024 * 1024, maxFiles: 100 },
+            'iab': { name: 'IAB initial load guideline', maxBytes: 150 * 1024, maxFiles: 100 }
+        };
+        /**
+         * File types ad networks accept inside HTML5 zips.
+         * @private
+         * @type {Array<string>}
+         */
+        this.ALLOWED_EXTENSIONS = ['html', 'css', 'js', 'png', 'jpg', 'jpeg', 'gif', 'svg'];
+        /**
+         * Image MIME types mapped to file extensions.
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.IMAGE_EXTENSIONS = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/svg+xml': 'svg',
+            'image/webp': 'webp'
+        };
+        /**
+         * CSS entrance animations, applied to layers one after another in stacking order.
+         * @private
+         * @type {Object.<string, {name: string, keyframes: string}>}
+         */
+        this.ANIMATIONS = {
+            'none': { name: 'None', keyframes: '' },
+            'fade': { name: 'Fade in', keyframes: 'from { opacity: 0; } to { opacity: 1; }' },
+            'slide-up': { name: 'Slide up', keyframes: 'from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: none; }' },
+            'slide-left': { name: 'Slide in from right', keyframes: 'from { opacity: 0; transform: translateX(30px); } to { opacity: 1; transform: none; }' },
+            'zoom': { name: 'Zoom in', keyframes: 'from { opacity: 0; transform: scale(0.6); } to { opacity: 1; transform: none; }' }
+        };
+        /**
+         * Duration of one layer's entrance animation and the delay between consecutive layers, in seconds.
+         * @private
+         * @type {{duration: number, stagger: number}}
+         */
+        this.ANIMATION_TIMING = { duration: 0.6, stagger: 0.3 };
+    }
+
+    /**
+     * Returns the supported ad network profiles.
+     * @returns {Array<{id: string, name: string, maxBytes: number, maxFiles: number}>}
+     */
+    getNetworkProfiles() {
+        return Object.entries(this.NETWORK_PROFILES).map(([id, profile]) => ({ id, ...profile }));
+    }
+
+    /**
+     * Returns the available entrance animations.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getAnimations() {
+        return Object.entries(this.ANIMATIONS).map(([id, { name }]) => ({ id, name }));
+    }
+
+    /**
+     * Escapes a value for use in HTML text or attribute values.
+     * @param {string} value The raw value.
+     * @returns {string} The escaped value.
+     * @private
+     */
+    _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Decodes a base64 data URL into bytes.
+     * @param {string} dataUrl The data URL.
+     * @returns {{bytes: Uint8Array, mimeType: string}} The decoded data.
+     * @private
+     */
+    _decodeDataUrl(dataUrl) {
+        const [header, payload] = dataUrl.split(',', 2);
+        const mimeType = header.slice(5).split(';')[0];
+        if (!header.includes(';base64')) {
+            return { bytes: this.zipService.toBytes(decodeURIComponent(payload)), mimeType };
+        }
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return { bytes, mimeType };
+    }
+
+    /**
+     * Collects the image assets of a banner as package files. Uploaded images are decoded;
+     * images referenced by URL are downloaded so the creative makes no external requests.
+     * @param {Object} bannerData The banner data.
+     * @returns {Promise<{files: Array<Object>, paths: Object.<string, string>, issues: Array<string>}>}
+     *   The asset files, the package path for each image source, and images that could not be packaged.
+     * @private
+     */
+    async _collectAssets(bannerData) {
+        const files = [];
+        const paths = {};
+        const issues = [];
+        const sources = [...new Set((bannerData.layers || [])
+            .filter(layer => (layer.type === 'image' || layer.type === 'logo') && layer.src)
+            .map(layer => layer.src))];
+
+        for (const src of sources) {
+            try {
+                let asset;
+                if (src.startsWith('data:')) {
+                    asset = this._decodeDataUrl(src);
+                } else {
+                    const response = await fetch(src);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    const mimeType = (response.headers.get('Content-Type') || '').split(';')[0];
+                    asset = { bytes: new Uint8Array(await response.arrayBuffer()), mimeType };
+                }
+                const extension = this.IMAGE_EXTENSIONS[asset.mimeType] || 'bin';
+                const name = `images/image${files.length + 1}.${extension}`;
+                files.push({ name, data: asset.bytes });
+                paths[src] = name;
+            } catch (error) {
+                console.error(`Could not package banner image ${src.slice(0, 80)}:`, error);
+                issues.push(`The image "${src.slice(0, 60)}" could not be included in the package (${error.message}).`);
+            }
+        }
+        return { files, paths, issues };
+    }
+
+    /**
+     * Builds the stylesheet of the creative, including the entrance animation keyframes.
+     * @param {Object} bannerData The banner data.
+     * @param {string} animation The animation ID.
+     * @returns {string} The CSS.
+     * @private
+     */
+    _buildCss(bannerData, animation) {
+        const keyframes = this.ANIMATIONS[animation]?.keyframes;
+        const { duration } = this.ANIMATION_TIMING;
+        return `* { margin: 0; padding: 0; box-sizing: border-box; }
+html, body { width: ${bannerData.width}px; height: ${bannerData.height}px; overflow: hidden; }
+#ad { position: relative; display: block; width: ${bannerData.width}px; height: ${bannerData.height}px; overflow: hidden; cursor: pointer; text-decoration: none; background-color: ${bannerData.bgColor}; }
+.layer { position: absolute; }
+.layer-body { width: 100%; height: 100%; overflow: hidden; }
+.layer-text { display: flex; flex-direction: column; justify-content: center; padding: 8px; line-height: 1.5; white-space: pre-line; overflow-wrap: break-word; }
+.layer-body img { display: block; width: 100%; height: 100%; }
+${keyframes ? `@keyframes enter { ${keyframes} }
+.layer { animation: enter ${duration}s ease-out both; }
+@media (prefers-reduced-motion: reduce) { .layer { animation: none; } }
+` : ''}`;
+    }
+
+    /**
+     * Builds the markup for one layer. Positioning lives on the outer element (which also runs the
+     * entrance animation); rotation and opacity live on the inner element so they don't conflict with it.
+     * @param {Object} layer The layer.
+     * @param {number} order Position of the layer in paint order.
+     * @param {Object.<string, string>} assetPaths Package paths for image sources.
+     * @param {boolean} animated Whether an entrance animation is applied.
+     * @returns {string} The HTML, or an empty string for layers that render nothing.
+     * @private
+     */
+    _buildLayerHtml(layer, order, assetPaths, animated) {
+        const outerStyle = [
+            `left: ${layer.x}px`,
+            `top: ${layer.y}px`,
+            `width: ${layer.width}px`,
+            `height: ${layer.height}px`,
+            `z-index: ${order + 1}`
+        ];
+        if (animated) outerStyle.push(`animation-delay: ${(order * this.ANIMATION_TIMING.stagger).toFixed(2)}s`);
+
+        const innerStyle = [`opacity: ${layer.opacity ?? 1}`];
+        if (Number(layer.rotation)) innerStyle.push(`transform: rotate(${Number(layer.rotation)}deg)`);
+
+        let content = '';
+        let className = 'layer-body';
+        if (layer.type === 'shape' || layer.type === 'cta') {
+            innerStyle.push(`background-color: ${layer.fillColor}`);
+            innerStyle.push(`border-radius: ${layer.shape === 'ellipse' ? '50%' : `${Number(layer.borderRadius) || 0}px`}`);
+        }
+        if (layer.type === 'text' || layer.type === 'cta') {
+            className += ' layer-text';
+            innerStyle.push(
+                `color: ${layer.textColor}`,
+                `font-size: ${layer.fontSize}px`,
+                `font-family: ${layer.fontFamily}`,
+                `font-weight: ${layer.fontWeight || 'normal'}`,
+                `text-align: ${layer.textAlign || 'center'}`
+            );
+            content = `<div>${this._escapeHtml(layer.text)}</div>`;
+        }
+        if (layer.type === 'image' || layer.type === 'logo') {
+            const path = assetPaths[layer.src];
+            if (!path) return '';
+            const fit = layer.fit === 'cover' ? 'cover' : 'contain';
+            content = `<img src="${this._escapeHtml(path)}" alt="" style="object-fit: ${fit}" />`;
+        }
+
+        return `            <div class="layer" style="${this._escapeHtml(outerStyle.join('; '))}"><div class="${className}" style="${this._escapeHtml(innerStyle.join('; '))}">${content}</div></div>`;
+    }
+
+    /**
+     * Builds the index.html of the creative.
+     * @param {Object} bannerData The banner data.
+     * @param {Object.<string, string>} assetPaths Package paths for image sources.
+     * @param {{clickUrl: string, animation: string, title: string, targeting: Array<string>}} options Package options.
+     * @returns {string} The HTML document.
+     * @private
+     */
+    _buildHtml(bannerData, assetPaths, { clickUrl, animation, title, targeting }) {
+        const animated = !!this.ANIMATIONS[animation]?.keyframes;
+        const layers = [...(bannerData.layers || [])]
+            .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+            .map((layer, order) => this._buildLayerHtml(layer, order, assetPaths, animated))
+            .filter(Boolean)
+            .join('\n');
+        // Trafficking notes for whoever sets the creative up in the ad server; "--" would end the comment early.
+        const targetingComment = targeting.length
+            ? `        <!--\n            Targeting:\n${targeting.map(line => `            ${line.replace(/--/g, '- -')}`).join('\n')}\n        -->\n`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+    <head>
+        <meta charset="UTF-8" />
+        <meta name="ad.size" content="width=${bannerData.width},height=${bannerData.height}" />
+${targetingComment}        <title>${this._escapeHtml(title)}</title>
+        <link rel="stylesheet" href="style.css" />
+        <script type="text/javascript">
+            var clickTag = ${JSON.stringify(clickUrl || '').replace(/</g, '\\u003c')};
+        </script>
+    </head>
+    <body>
+        <a id="ad" href="javascript:window.open(window.clickTag)">
+${layers}
+        </a>
+    </body>
+</html>
+`;
+    }
+
+    /**
+     * Builds an HTML5 package for a banner.
+     * @param {Object} bannerData The banner data (size, background and layers).
+     * @param {Object} [options]
+     * @param {string} [options.clickUrl] Landing page URL assigned to the clickTag variable.
+     * @param {string} [options.animation] Entrance animation ID (see getAnimations()).
+     * @param {string} [options.title] Title of the creative's HTML document.
+     * @param {Array<string>} [options.targeting] Targeting summary of the campaign, noted in a comment in index.html.
+     * @returns {Promise<{bannerData: Object, clickUrl: string, files: Array<Object>, zip: Blob, issues: Array<string>}>}
+     *   The package; issues lists problems found while building it.
+     */
+    async buildPackage(bannerData, { clickUrl = '', animation = 'none', title = 'Banner', targeting = [] } = {}) {
+        const assets = await this._collectAssets(bannerData);
+        const files = [
+            { name: 'index.html', data: this.zipService.toBytes(this._buildHtml(bannerData, assets.paths, { clickUrl, animation, title, targeting })) },
+            { name: 'style.css', data: this.zipService.toBytes(this._buildCss(bannerData, animation)) },
+            ...assets.files
+        ];
+        return {
+            bannerData,
+            clickUrl,
+            files,
+            zip: this.zipService.createZip(files),
+            issues: assets.issues
+        };
+    }
+
+    /**
+     * Checks a package against an ad network's limits.
+     * @param {Object} pkg The package returned by buildPackage().
+     * @param {string} networkId The network profile ID.
+     * @returns {Array<string>} Human-readable violations; empty when the package passes.
+     */
+    validatePackage(pkg, networkId) {
+        const profile = this.NETWORK_PROFILES[networkId];
+        if (!profile) {
+            throw new Error(`Unknown ad network "${networkId}".`);
+        }
+
+        const violations = [...pkg.issues];
+        const formatKb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+        if (pkg.zip.size > profile.maxBytes) {
+            violations.push(`Package weighs ${formatKb(pkg.zip.size)}, above the ${formatKb(profile.maxBytes)} limit of ${profile.name}.`);
+        }
+        if (pkg.files.length > profile.maxFiles) {
+            violations.push(`Package contains ${pkg.files.length} files, above the ${profile.maxFiles}-file limit of ${profile.name}.`);
+        }
+        pkg.files.forEach(file => {
+            const extension = file.name.split('.').pop().toLowerCase();
+            if (!this.ALLOWED_EXTENSIONS.includes(extension)) {
+                violations.push(`File "${file.name}" has a type ad networks do not accept (.${extension}).`);
+            }
+        });
+        if (!/^https?:\/\//i.test(pkg.clickUrl)) {
+            violations.push('The clickTag has no valid landing page URL (it must start with http:// or https://).');
+        }
+        return violations;
+    }
+
+    /**
+     * Triggers a download of the package zip.
+     * @param {Object} pkg The package returned by buildPackage().
+     * @param {string} [fileName] File name without extension.
+     */
+    downloadPackage(pkg, fileName = 'banner_html5') {
+        const url = URL.createObjectURL(pkg.zip);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${fileName.replace(/[^a-zA-Z0-9_-]/g, '_')}.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+export default Html5BannerService;
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Storage adapter backed by IndexedDB.
+ * Stores values in a single key-value object store, which lifts the ~5MB localStorage cap
+ * so campaigns with embedded images and revision history fit.
+ */
+
+import StorageQuotaError from './StorageQuotaError.js';
+
+class IndexedDbAdapter {
+    /**
+     * @param {IDBFactory} [indexedDb] The IndexedDB factory to use.
+     */
+    constructor(indexedDb = window.indexedDB) {
+        /**
+         * @private
+         * @type {IDBFactory}
+         */
+        this.indexedDb = indexedDb;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.DB_NAME = 'ad_campaign_manager';
+        /**
+         * @private
+         * @type {number}
+         */
+        this.DB_VERSION = 1;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.STORE_NAME = 'keyval';
+        /**
+         * @private
+         * @type {IDBDatabase|null}
+         */
+        this.db = null;
+        /**
+         * Human-readable name of the backend.
+         * @type {string}
+         */
+        this.name = 'IndexedDB';
+    }
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (!this.indexedDb) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser.'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDb.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.STORE_NAME)) {
+                    request.result.createObjectStore(this.STORE_NAME);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The database is blocked by another open tab.'));
+        });
+    }
+
+    /**
+     * Runs a single request in a transaction and resolves once the transaction has completed.
+     * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore):IDBRequest} operation Creates the request on the object store.
+     * @param {string} key The key involved, used in error messages.
+     * @returns {Promise<any>} The result of the request.
+     * @private
+     */
+    _run(mode, operation, key) {
+        if (!this.db) {
+            return Promise.reject(new Error('Storage has not been opened yet.'));
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(this.STORE_NAME));
+            const fail = () => {
+                const error = transaction.error || request.error;
+                reject(StorageQuotaError.isQuotaError(error) ? new StorageQuotaError(key, error) : error);
+            };
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+    }
+
+    /**
+     * Retrieves a value.
+     * @param {string} key The key.
+     * @returns {Promise<any|null>} The value, or null if not found.
+     */
+    async get(key) {
+        const value = await this._run('readonly', store => store.get(key), key);
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Stores a value.
+     * @param {string} key The key.
+     * @param {any} value The value; it must be serializable with the structured clone algorithm.
+     * @returns {Promise<void>}
+     * @throws {StorageQuotaError} If the storage quota is exhausted.
+     */
+    async set(key, value) {
+        await this._run('readwrite', store => store.put(value, key), key);
+    }
+
+    /**
+     * Removes a value.
+     * @param {string} key The key.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this._run('readwrite', store => store.delete(key), key);
+    }
+
+    /**
+     * Lists the stored keys starting with a prefix.
+     * @param {string} [prefix] The key prefix; all keys if omitted.
+     * @returns {Promise<Array<string>>} The matching keys.
+     */
+    async keys(prefix = '') {
+        const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : undefined;
+        return this._run('readonly', store => store.getAllKeys(range), prefix);
+    }
+}
+
+export default IndexedDbAdapter;
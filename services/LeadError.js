@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Error raised when a lead cannot be saved or changed, e.g. a form submission without a
+ * valid email address, or an unknown lead status.
+ */
+
+class LeadError extends Error {
+    /**
+     * @param {string} message Summary of the problem.
+     * @param {Array<string>} [problems] The individual problems found.
+     */
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'LeadError';
+        this.problems = problems;
+    }
+}
+
+export default LeadError;
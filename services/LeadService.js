@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Service for the leads captured by landing page lead forms. Submissions made in the landing
+ * page editor's preview or test mode are kept per campaign in its `leads` field, outside the revision
+ * history, with when they were made and from which template and A/B variant. Leads are tagged with a
+ * status as they are followed up, and the same email address signing up more than once can be merged
+ * into one lead.
+ */
+
+class LeadService {
+    /**
+     * @param {CsvService} csvService Dependency on CsvService (CSV exports).
+     */
+    constructor(csvService) {
+        /**
+         * @private
+         * @type {CsvService}
+         */
+        this.csvService = csvService;
+        /**
+         * Statuses a lead can be tagged with, in the order they are followed up.
+         * @type {Array<string>}
+         */
+        this.STATUSES = ['new', 'contacted', 'qualified', 'converted', 'disqualified'];
+        /**
+         * Display names of the statuses.
+         * @type {Object.<string, string>}
+         */
+        this.STATUS_LABELS = {
+            new: 'New',
+            contacted: 'Contacted',
+            qualified: 'Qualified',
+            converted: 'Converted',
+            disqualified: 'Disqualified'
+        };
+        /**
+         * Status of a lead that was just captured.
+         * @type {string}
+         */
+        this.INITIAL_STATUS = 'new';
+        /**
+         * Where leads can be captured, with their display names.
+         * @type {Object.<string, string>}
+         */
+        this.SOURCES = {
+            preview: 'Editor preview',
+            test: 'Test mode'
+        };
+        /**
+         * Longest name a lead can have.
+         * @private
+         * @type {number}
+         */
+        this.MAX_NAME_LENGTH = 200;
+        /**
+         * Longest email address a lead can have (the limit of the SMTP standard).
+         * @private
+         * @type {number}
+         */
+        this.MAX_EMAIL_LENGTH = 254;
+        /**
+         * A loose check of an email address: something, an @, and a domain with a dot.
+         * @private
+         * @type {RegExp}
+         */
+        this.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    }
+
+    /**
+     * Checks a lead form submission.
+     * @param {{name: any, email: any}} submission The submitted name and email address.
+     * @returns {Array<string>} The problems found; empty if the submission is valid.
+     */
+    validateSubmission({ name, email }) {
+        const problems = [];
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        const trimmedEmail = typeof email === 'string' ? email.trim() : '';
+        if (!trimmedName) problems.push('enter a name');
+        else if (trimmedName.length > this.MAX_NAME_LENGTH) problems.push(`the name can have at most ${this.MAX_NAME_LENGTH} characters`);
+        if (!this.EMAIL_PATTERN.test(trimmedEmail)) problems.push('enter a valid email address');
+        else if (trimmedEmail.length > this.MAX_EMAIL_LENGTH) problems.push(`the email address can have at most ${this.MAX_EMAIL_LENGTH} characters`);
+        return problems;
+    }
+
+    /**
+     * Creates a lead from a valid form submission.
+     * @param {{name: string, email: string}} submission The submitted name and email address.
+     * @param {{templateId: string, variantId: string|null, source: string}} origin The landing page template and
+     *   A/B variant (null for the primary landing page) the form was on, and where it was submitted (see SOURCES).
+     * @param {string} username Who was logged in when it was submitted.
+     * @returns {{id: string, name: string, email: string, templateId: string, variantId: string|null, source: string, status: string, capturedAt: string, capturedBy: string}}
+     *   The lead.
+     */
+    createLead({ name, email }, { templateId, variantId, source }, username) {
+        return {
+            id: `lead_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            name: name.trim(),
+            email: email.trim(),
+            templateId,
+            variantId: variantId || null,
+            source,
+            status: this.INITIAL_STATUS,
+            capturedAt: new Date().toISOString(),
+            capturedBy: username
+        };
+    }
+
+    /**
+     * Checks whether a status is one of STATUSES.
+     * @param {string} status The status.
+     * @returns {boolean} True if it is known.
+     */
+    isValidStatus(status) {
+        return this.STATUSES.includes(status);
+    }
+
+    /**
+     * Gets the display name of a status.
+     * @param {string} status The status.
+     * @returns {string} Its display name, or the status itself if it is unknown.
+     */
+    getLabel(status) {
+        return this.STATUS_LABELS[status] || status;
+    }
+
+    /**
+     * Gets the name of the A/B variant of a campaign's landing page a lead was captured on.
+     * @param {Object} campaign The campaign.
+     * @param {string} variantId The variant.
+     * @returns {string|null} Its name, or null if it no longer exists.
+     */
+    getVariantName(campaign, variantId) {
+        return campaign.creativeTests?.landingPage?.variants.find(variant => variant.id === variantId)?.name ?? null;
+    }
+
+    /**
+     * Gets what identifies the person behind a lead: the email address, ignoring case and surrounding spaces.
+     * @param {Object} lead The lead.
+     * @returns {string} The key.
+     * @private
+     */
+    _getEmailKey(lead) {
+        return lead.email.trim().toLowerCase();
+    }
+
+    /**
+     * Finds the leads of a campaign whose email address signed up earlier.
+     * @param {Array<Object>} leads The campaign's leads.
+     * @returns {Set<string>} The IDs of the later leads of each email address.
+     */
+    findDuplicates(leads) {
+        const seen = new Set();
+        const duplicates = new Set();
+        [...leads].sort((a, b) => a.capturedAt.localeCompare(b.capturedAt)).forEach(lead => {
+            const key = this._getEmailKey(lead);
+            if (seen.has(key)) duplicates.add(lead.id);
+            seen.add(key);
+        });
+        return duplicates;
+    }
+
+    /**
+     * Merges the leads of a campaign with the same email address into the earliest one. If that one is
+     * still new, it takes the first status one of the others was tagged with, so follow-up is not lost.
+     * @param {Array<Object>} leads The campaign's leads.
+     * @returns {{leads: Array<Object>, removed: number}} The merged leads, in their original order, and how
+     *   many were merged away.
+     */
+    dedupe(leads) {
+        const duplicates = this.findDuplicates(leads);
+        if (!duplicates.size) return { leads, removed: 0 };
+
+        const byCapture = [...leads].sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+        const kept = new Map(); // Email key -> the merged lead
+        byCapture.forEach(lead => {
+            const key = this._getEmailKey(lead);
+            const first = kept.get(key);
+            if (!first) kept.set(key, { ...lead });
+            else if (first.status === this.INITIAL_STATUS) first.status = lead.status;
+        });
+        const merged = leads.filter(lead => !duplicates.has(lead.id)).map(lead => kept.get(this._getEmailKey(lead)));
+        return { leads: merged, removed: duplicates.size };
+    }
+
+    /**
+     * Checks whether a lead matches a search, by name or email address, ignoring case.
+     * @param {Object} lead The lead.
+     * @param {string} query The search.
+     * @returns {boolean} True if it matches, or the search is empty.
+     */
+    matches(lead, query) {
+        const needle = query.trim().toLowerCase();
+        return !needle || [lead.name, lead.email].some(value => value.toLowerCase().includes(needle));
+    }
+
+    /**
+     * Guards a cell written from a form submission against spreadsheet formulas, e.g. a name starting with "=".
+     * @param {string} value The submitted value.
+     * @returns {string} The value, prefixed with an apostrophe if a spreadsheet would run it as a formula.
+     * @private
+     */
+    _escapeFormula(value) {
+        return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    }
+
+    /**
+     * Writes leads as CSV, one line per lead. Variants are written by name, or by ID if they no longer exist.
+     * @param {Array<{lead: Object, campaign: Object}>} rows The leads with their campaign.
+     * @returns {string} The CSV text, with a header line.
+     */
+    toCsv(rows) {
+        return this.csvService.stringify([
+            ['Name', 'Email', 'Campaign', 'Status', 'Template', 'Variant', 'Source', 'Captured At', 'Captured By'],
+            ...rows.map(({ lead, campaign }) => [
+                this._escapeFormula(lead.name),
+                this._escapeFormula(lead.email),
+                this._escapeFormula(campaign.name),
+                this.getLabel(lead.status),
+                lead.templateId,
+                lead.variantId ? this._escapeFormula(this.getVariantName(campaign, lead.variantId) ?? lead.variantId) : '',
+                this.SOURCES[lead.source] || lead.source,
+                lead.capturedAt,
+                lead.capturedBy
+            ])
+        ]);
+    }
+}
+
+export default LeadService;
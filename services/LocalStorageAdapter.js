@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Storage adapter backed by window.localStorage.
+ * Used when IndexedDB is unavailable. Values are stored as JSON strings.
+ */
+
+import StorageQuotaError from './StorageQuotaError.js';
+
+class LocalStorageAdapter {
+    /**
+     * @param {Storage} [storage] The Web Storage object to use.
+     */
+    constructor(storage = window.localStorage) {
+        /**
+         * @private
+         * @type {Storage}
+         */
+        this.storage = storage;
+        /**
+         * Human-readable name of the backend.
+         * @type {string}
+         */
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Prepares the adapter for use. localStorage needs no setup.
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * Retrieves a value.
+     * @param {string} key The key.
+     * @returns {Promise<any|null>} The value, or null if not found.
+     */
+    async get(key) {
+        const item = this.storage.getItem(key);
+        return item ? JSON.parse(item) : null;
+    }
+
+    /**
+     * Stores a value.
+     * @param {string} key The key.
+     * @param {any} value The value; it will be JSON.stringified.
+     * @returns {Promise<void>}
+     * @throws {StorageQuotaError} If the storage quota is exhausted.
+     */
+    async set(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            throw StorageQuotaError.isQuotaError(e) ? new StorageQuotaError(key, e) : e;
+        }
+    }
+
+    /**
+     * Removes a value.
+     * @param {string} key The key.
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    /**
+     * Lists the stored keys starting with a prefix.
+     * @param {string} [prefix] The key prefix; all keys if omitted.
+     * @returns {Promise<Array<string>>} The matching keys.
+     */
+    async keys(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+}
+
+export default LocalStorageAdapter;
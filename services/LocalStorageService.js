@@ -1,52 +1,218 @@
 /**
- * @fileoverview Service for managing data in Local Storage.
- * This service encapsulates all interactions with localStorage, providing a centralized and testable interface.
+ * @fileoverview Service for persisting application data.
+ * This service encapsulates all storage access behind an async interface backed by a pluggable adapter:
+ * IndexedDB by default, with localStorage as the fallback where IndexedDB is unavailable.
+ * On first start with IndexedDB, data saved by earlier versions in localStorage is migrated once.
  */
 
+import IndexedDbAdapter from './IndexedDbAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+
 class LocalStorageService {
     /**
-     * Stores a key-value pair in Local Storage.
+     * @param {Object|null} [adapter] Storage adapter to use (see IndexedDbAdapter). If omitted, init()
+     *   picks IndexedDB and falls back to localStorage.
+     */
+    constructor(adapter = null) {
+        /**
+         * @private
+         * @type {Object|null}
+         */
+        this.adapter = adapter;
+        /**
+         * localStorage flag set once data has been migrated to IndexedDB.
+         * @private
+         * @type {string}
+         */
+        this.MIGRATION_FLAG_KEY = 'storage_migrated_to_indexeddb';
+        /**
+         * Key prefixes of the data moved from localStorage on migration.
+         * @private
+         * @type {Array<string>}
+         */
+        this.MIGRATED_PREFIXES = ['campaign_', 'revisions_'];
+        /**
+         * Exact keys of the data moved from localStorage on migration.
+         * @private
+         * @type {Array<string>}
+         */
+        this.MIGRATED_KEYS = ['app_users', 'active_campaign', 'current_user'];
+        /**
+         * Prefix under which unreadable items are set aside (shared with CampaignService's quarantine).
+         * @private
+         * @type {string}
+         */
+        this.QUARANTINE_PREFIX = 'quarantine_';
+        /**
+         * @private
+         * @type {function[]}
+         */
+        this.errorListeners = [];
+    }
+
+    /**
+     * Opens the storage backend and migrates data left in localStorage by earlier versions.
+     * Must be awaited before any other method is used.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.adapter) {
+            this.adapter = await this._openDefaultAdapter();
+        } else {
+            await this.adapter.open();
+        }
+        await this._migrateFromLocalStorage();
+        console.log(`Storage ready (${this.adapter.name}).`);
+    }
+
+    /**
+     * Opens IndexedDB, falling back to localStorage if it cannot be used (e.g. some private browsing modes).
+     * @returns {Promise<Object>} The opened adapter.
+     * @private
+     */
+    async _openDefaultAdapter() {
+        try {
+            const adapter = new IndexedDbAdapter();
+            await adapter.open();
+            return adapter;
+        } catch (e) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+            const adapter = new LocalStorageAdapter();
+            await adapter.open();
+            return adapter;
+        }
+    }
+
+    /**
+     * Copies application data from localStorage into the current backend, once.
+     * The localStorage copies are removed only after every item has been written, so a failed
+     * migration is retried on the next start without losing data.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _migrateFromLocalStorage() {
+        if (this.adapter instanceof LocalStorageAdapter || typeof localStorage === 'undefined') return;
+        if (localStorage.getItem(this.MIGRATION_FLAG_KEY)) return;
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (this.MIGRATED_KEYS.includes(key) || this.MIGRATED_PREFIXES.some(prefix => key.startsWith(prefix))) {
+                keys.push(key);
+            }
+        }
+
+        try {
+            for (const key of keys) {
+                const raw = localStorage.getItem(key);
+                let value;
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    // Keep the unreadable text for inspection instead of dropping it with the localStorage copy.
+                    console.warn(`Quarantining unreadable localStorage item "${key}" during migration:`, e);
+                    await this.adapter.set(this.QUARANTINE_PREFIX + key, {
+                        key,
+                        record: raw,
+                        reason: `Not valid JSON (${e.message})`,
+                        problems: [],
+                        quarantinedAt: new Date().toISOString()
+                    });
+                    continue;
+                }
+                await this.adapter.set(key, value);
+            }
+        } catch (e) {
+            console.error('Migrating data from localStorage failed; it will be retried on next start:', e);
+            this._notifyError(e);
+            return;
+        }
+
+        localStorage.setItem(this.MIGRATION_FLAG_KEY, new Date().toISOString());
+        keys.forEach(key => localStorage.removeItem(key));
+        if (keys.length) {
+            console.log(`Migrated ${keys.length} item(s) from localStorage to ${this.adapter.name}.`);
+        }
+    }
+
+    /**
+     * Adds a listener for failed writes (e.g. StorageQuotaError), so they can be shown to the user.
+     * @param {function(Error):void} listener The callback function, called with the error.
+     */
+    onError(listener) {
+        this.errorListeners.push(listener);
+    }
+
+    /**
+     * Notifies all registered listeners about a failed write.
+     * @param {Error} error The error.
+     * @private
+     */
+    _notifyError(error) {
+        this.errorListeners.forEach(listener => listener(error));
+    }
+
+    /**
+     * Stores a key-value pair.
      * @param {string} key The key under which to store the data.
-     * @param {any} value The data to store. It will be JSON.stringified.
-     * @returns {boolean} True if successful, false otherwise.
+     * @param {any} value The data to store.
+     * @param {Object} [options]
+     * @param {boolean} [options.reportErrors=true] Whether a failure is reported to the error listeners.
+     *   Callers that recover from failures themselves can turn this off.
+     * @returns {Promise<boolean>} Resolves to true once stored.
+     * @throws {StorageQuotaError} If the storage quota is exhausted.
      */
-    setItem(key, value) {
+    async setItem(key, value, { reportErrors = true } = {}) {
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            await this.adapter.set(key, value);
             return true;
         } catch (e) {
-            console.error("Error setting item to Local Storage:", e);
-            // Handle quota exceeded errors, etc.
-            return false;
+            console.error(`Error storing "${key}":`, e);
+            if (reportErrors) this._notifyError(e);
+            throw e;
         }
     }
 
     /**
-     * Retrieves data from Local Storage by key.
+     * Retrieves data by key.
      * @param {string} key The key of the data to retrieve.
-     * @returns {any | null} The retrieved data (parsed from JSON), or null if not found/error.
+     * @returns {Promise<any | null>} The retrieved data, or null if not found/error.
      */
-    getItem(key) {
+    async getItem(key) {
         try {
-            const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : null;
+            return await this.adapter.get(key);
         } catch (e) {
-            console.error("Error getting item from Local Storage:", e);
+            console.error(`Error reading "${key}":`, e);
             return null;
         }
     }
 
     /**
-     * Removes an item from Local Storage by key.
+     * Removes an item by key.
      * @param {string} key The key of the item to remove.
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        try {
+            await this.adapter.remove(key);
+        } catch (e) {
+            console.error(`Error removing "${key}":`, e);
+        }
+    }
+
+    /**
+     * Lists the stored keys starting with a prefix.
+     * @param {string} [prefix] The key prefix; all keys if omitted.
+     * @returns {Promise<Array<string>>} The matching keys.
      */
-    removeItem(key) {
+    async listKeys(prefix = '') {
         try {
-            localStorage.removeItem(key);
+            return await this.adapter.keys(prefix);
         } catch (e) {
-            console.error("Error removing item from Local Storage:", e);
+            console.error(`Error listing keys with prefix "${prefix}":`, e);
+            return [];
         }
     }
 }
 
-export default LocalStorageService;
\ No newline at end of file
+export default LocalStorageService;
@@ -1,43 +1,108 @@
 /**
  * @fileoverview Service for managing application navigation (which screen is visible).
- * It orchestrates screen visibility based on authentication status and user actions.
+ * Screens are reached through hash routes such as #/campaigns/:id/banner or #/login?next=...,
+ * so they can be linked to, survive a refresh and follow the browser's back and forward buttons.
+ * Controllers register the routes of their screens; the service checks authentication, role and
+ * campaign access before showing them. Editors open read-only for users who may only view the campaign,
+ * and for campaigns whose status locks their content.
+ * Leave guards can stop the user from leaving a screen, e.g. while it has unsaved changes.
  */
 
 class NavigationService {
     /**
      * @param {AuthService} authService Dependency on AuthService.
+     * @param {AccessControlService} accessControlService Dependency on AccessControlService.
+     * @param {CampaignService} campaignService Dependency on CampaignService (to open linked campaigns).
      */
-    constructor(authService) {
+    constructor(authService, accessControlService, campaignService) {
         /**
          * @private
          * @type {AuthService}
          */
         this.authService = authService;
+        /**
+         * @private
+         * @type {AccessControlService}
+         */
+        this.accessControlService = accessControlService;
+        /**
+         * @private
+         * @type {CampaignService}
+         */
+        this.campaignService = campaignService;
         /**
          * @private
          * @type {Object.<string, HTMLElement>}
          */
         this.screens = {}; // To store references to screen elements
         /**
+         * Registered routes, matched in registration order.
+         * @private
+         * @type {Array<Object>}
+         */
+        this.routes = [];
+        /**
+         * Route shown after login when no other route was requested.
+         * @type {string}
+         */
+        this.DEFAULT_ROUTE = '/dashboard';
+        /**
+         * Route of the login screen.
+         * @type {string}
+         */
+        this.LOGIN_ROUTE = '/login';
+        /**
+         * Incremented on every route change, so that a slower earlier change cannot overwrite a later one.
          * @private
-         * @type {UIController|null}
+         * @type {number}
          */
-        this.uiController = null; // To avoid circular dependency, set later
+        this.routeToken = 0;
+        /**
+         * Why the last session ended, if it did: after an explicit logout the next login starts on the dashboard.
+         * @private
+         * @type {string|null}
+         */
+        this.sessionEndReason = null;
+        /**
+         * Functions asked before the shown route is left or re-entered; each resolves to false to stay.
+         * @private
+         * @type {Array<function():(boolean|Promise<boolean>)>}
+         */
+        this.leaveGuards = [];
+        /**
+         * The route whose screen is shown, or null before the first one.
+         * @private
+         * @type {string|null}
+         */
+        this.shownRoute = null;
+        /**
+         * A route the leave guards already allowed, so its hashchange does not ask them again.
+         * @private
+         * @type {string|null}
+         */
+        this.confirmedRoute = null;
     }
 
     /**
-     * Sets the UIController instance. Used to resolve circular dependencies.
-     * @param {UIController} uiController The UIController instance.
+     * Starts following the URL hash and the authentication status. Call once, after the routes
+     * are registered and the campaign service is initialized.
      */
-    setUIController(uiController) {
-        this.uiController = uiController;
-        // Subscribe to auth changes to automatically navigate
+    start() {
+        window.addEventListener('hashchange', () => this._handleRoute());
+        this.authService.onSessionEnd(reason => {
+            this.sessionEndReason = reason;
+        });
         this.authService.onAuthChange(user => {
-            if (user) {
-                this.goToDashboard();
+            const { path, query } = this._parseHash();
+            if (user && (path === this.LOGIN_ROUTE || path === '')) {
+                this.navigate(this._getSafeNext(query.get('next')) || this.DEFAULT_ROUTE, { replace: true });
+            } else if (!user && this.sessionEndReason === 'logout') {
+                this.navigate(this.LOGIN_ROUTE, { replace: true });
             } else {
-                this.goToLogin();
+                // Re-check the current route, e.g. after a role change or a session timeout.
+                this._handleRoute();
             }
+            if (user) this.sessionEndReason = null;
         });
     }
 
@@ -46,7 +111,218 @@ class NavigationService {
      * @param {Object.<string, HTMLElement>} screenElements An object where keys are screen IDs and values are their HTMLElement references.
      */
     registerScreens(screenElements) {
-        this.screens = screenElements;
+        this.screens = { ...this.screens, ...screenElements };
+    }
+
+    /**
+     * Registers a route.
+     * @param {string} pattern The path, with :name segments as parameters, e.g. '/campaigns/:id/banner'.
+     *   A route with an :id parameter opens that campaign before its screen is shown.
+     * @param {Object} options
+     * @param {string} options.screenId The ID of the screen to show.
+     * @param {function(Object, URLSearchParams):void} [options.onEnter] Called with the route parameters
+     *   and query after the screen is shown, e.g. to render it.
+     * @param {boolean} [options.requiresAuth=true] Whether only logged-in users may open the route.
+     * @param {string} [options.permission] A permission the user's role must grant, e.g. 'manageUsers'.
+     * @param {boolean} [options.editsCampaign=false] Whether the screen edits the active campaign; it is
+     *   then read-only unless the user may edit it.
+     */
+    registerRoute(pattern, { screenId, onEnter = null, requiresAuth = true, permission = null, editsCampaign = false }) {
+        this.routes.push({ pattern, segments: pattern.split('/').filter(Boolean), screenId, onEnter, requiresAuth, permission, editsCampaign });
+    }
+
+    /**
+     * Adds a guard that is asked before the shown screen is left.
+     * @param {function():(boolean|Promise<boolean>)} guard Returns or resolves to false to stay on the screen.
+     */
+    addLeaveGuard(guard) {
+        this.leaveGuards.push(guard);
+    }
+
+    /**
+     * Asks all leave guards whether the shown screen may be left. Use before actions that
+     * replace what the screen shows without a route change, such as logging out.
+     * @returns {Promise<boolean>} True if every guard allows leaving.
+     */
+    async confirmLeave() {
+        for (const guard of this.leaveGuards) {
+            if (!(await guard())) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Navigates to a route. Unless it is a redirect, the leave guards are asked before the URL changes.
+     * @param {string} path The route, e.g. '/campaigns/abc/banner', optionally with a query string.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] Replace the current history entry instead of adding one (for redirects).
+     * @returns {Promise<void>}
+     */
+    async navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+        if (replace) {
+            window.history.replaceState(null, '', hash);
+            this._handleRoute({ redirect: true });
+            return;
+        }
+        if (this._shouldAskLeaveGuards() && !(await this.confirmLeave())) return;
+        this.confirmedRoute = path;
+        if (window.location.hash === hash) {
+            this._handleRoute();
+        } else {
+            window.location.hash = path; // Adds a history entry; the hashchange event shows the route
+        }
+    }
+
+    /**
+     * Whether leaving the shown route needs the leave guards' consent: only once a user is logged in
+     * and a screen is shown.
+     * @returns {boolean} True if the guards should be asked.
+     * @private
+     */
+    _shouldAskLeaveGuards() {
+        return !!this.authService.getLoggedInUser() && this.shownRoute !== null;
+    }
+
+    /**
+     * Gets the current route.
+     * @returns {string} The path and query of the URL hash, e.g. '/campaigns/abc/banner'.
+     */
+    getCurrentRoute() {
+        return window.location.hash.replace(/^#/, '');
+    }
+
+    /**
+     * Splits the URL hash into its path and query.
+     * @returns {{path: string, query: URLSearchParams}}
+     * @private
+     */
+    _parseHash() {
+        const [path, queryString = ''] = this.getCurrentRoute().split('?');
+        return { path, query: new URLSearchParams(queryString) };
+    }
+
+    /**
+     * Finds the route matching a path. A parameter that is not validly percent-encoded, e.g. '%E0',
+     * does not match.
+     * @param {string} path The path.
+     * @returns {{route: Object, params: Object.<string, string>}|null} The route and its parameters, or null.
+     * @private
+     */
+    _matchRoute(path) {
+        const segments = path.split('/').filter(Boolean);
+        for (const route of this.routes) {
+            if (route.segments.length !== segments.length) continue;
+            const params = {};
+            const matches = route.segments.every((segment, i) => {
+                if (segment.startsWith(':')) {
+                    try {
+                        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+                    } catch (error) {
+                        return false;
+                    }
+                    return true;
+                }
+                return segment === segments[i];
+            });
+            if (matches) return { route, params };
+        }
+        return null;
+    }
+
+    /**
+     * Validates a route to return to after login. Only in-app routes are accepted.
+     * @param {string|null} next The requested route.
+     * @returns {string|null} The route, or null if it is missing or not allowed.
+     * @private
+     */
+    _getSafeNext(next) {
+        if (!next || !next.startsWith('/') || next.startsWith('//')) return null;
+        const path = next.split('?')[0];
+        return path !== this.LOGIN_ROUTE && this._matchRoute(path) ? next : null;
+    }
+
+    /**
+     * Shows the screen of the current route, redirecting if the route is unknown or not allowed.
+     * The leave guards are asked first, unless this is a redirect or navigate() already asked them;
+     * if one refuses, e.g. after the back button, the URL is set back to the shown route.
+     * @param {Object} [options]
+     * @param {boolean} [options.redirect=false] Whether the route was set by a redirect.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleRoute({ redirect = false } = {}) {
+        const token = ++this.routeToken;
+        const confirmed = this.confirmedRoute !== null && this.confirmedRoute === this.getCurrentRoute();
+        this.confirmedRoute = null;
+        if (!redirect && !confirmed && this._shouldAskLeaveGuards()) {
+            const mayLeave = await this.confirmLeave();
+            if (token !== this.routeToken) return;
+            if (!mayLeave) {
+                window.history.replaceState(null, '', `#${this.shownRoute}`);
+                return;
+            }
+        }
+        const { path, query } = this._parseHash();
+        const user = this.authService.getLoggedInUser();
+        const match = this._matchRoute(path);
+
+        if (!match) {
+            if (path) console.error(`No route matches "${path}".`);
+            this.navigate(user ? this.DEFAULT_ROUTE : this.LOGIN_ROUTE, { replace: true });
+            return;
+        }
+        const { route, params } = match;
+        if (route.requiresAuth && !user) {
+            this.navigate(`${this.LOGIN_ROUTE}?next=${encodeURIComponent(this.getCurrentRoute())}`, { replace: true });
+            return;
+        }
+        if (path === this.LOGIN_ROUTE && user) {
+            this.navigate(this._getSafeNext(query.get('next')) || this.DEFAULT_ROUTE, { replace: true });
+            return;
+        }
+        if (route.permission && !this.accessControlService.hasPermission(user, route.permission)) {
+            this.navigate(this.DEFAULT_ROUTE, { replace: true });
+            return;
+        }
+
+        if (params.id !== undefined) {
+            try {
+                await this.campaignService.openCampaign(params.id);
+            } catch (error) {
+                if (token !== this.routeToken) return;
+                console.error('Linked campaign could not be opened:', error);
+                alert(error.message);
+                this.navigate(this.DEFAULT_ROUTE, { replace: true });
+                return;
+            }
+            if (token !== this.routeToken) return;
+        }
+
+        let readOnlyReason = null;
+        if (route.editsCampaign) {
+            const campaign = this.campaignService.getActiveCampaign();
+            const access = campaign ? this.campaignService.getCampaignAccess(campaign) : null;
+            if (campaign && !access) {
+                alert('You no longer have access to this campaign.');
+                this.navigate(this.DEFAULT_ROUTE, { replace: true });
+                return;
+            }
+            if (campaign) {
+                readOnlyReason = this.campaignService.getEditRestriction();
+            } else if (!this.accessControlService.hasPermission(user, 'editCampaigns')) {
+                readOnlyReason = 'Your role does not allow editing campaigns.';
+            }
+        }
+
+        if (!this._showScreen(route.screenId)) return;
+        this.shownRoute = this.getCurrentRoute();
+        if (route.editsCampaign) {
+            const releaseRestriction = this.campaignService.getReleaseRestriction();
+            this._applyReadOnly(this.screens[route.screenId], readOnlyReason, releaseRestriction);
+            this._applyReleaseRestriction(this.screens[route.screenId], releaseRestriction);
+        }
+        if (route.onEnter) route.onEnter(params, query);
     }
 
     /**
@@ -54,97 +330,137 @@ class NavigationService {
      * @private
      */
     _hideAllScreens() {
-        Object.values(this.screens).forEach(screen => screen.classList.add('hidden'));
+        Object.values(this.screens).forEach(screen => screen?.classList.add('hidden'));
     }
 
     /**
      * Displays a specific screen by its ID.
      * @param {string} screenId The ID of the screen to display.
+     * @returns {boolean} True if the screen is registered.
      * @private
      */
     _showScreen(screenId) {
-        this._hideAllScreens();
         const screen = this.screens[screenId];
-        if (screen) {
-            screen.classList.remove('hidden');
-            // If it's a main app screen, ensure the main-app-content is visible
-            if (screenId !== 'login-screen') {
-                this.screens['main-app-content'].classList.remove('hidden');
-            } else {
-                this.screens['main-app-content'].classList.add('hidden');
-            }
-            // Trigger rendering for editor screens
-            if (this.uiController) {
-                switch (screenId) {
-                    case 'banner-editor-screen':
-                        this.uiController.bannerEditor.render();
-                        break;
-                    case 'marketing-editor-screen':
-                        this.uiController.marketingPageEditor.render();
-                        break;
-                    case 'landing-editor-screen':
-                        this.uiController.landingPageEditor.render();
-                        break;
-                    case 'dashboard-screen':
-                        this.uiController.campaignService.displayActiveCampaign(); // Ensure dashboard updates
-                        break;
-                }
-            }
-        } else {
+        if (!screen) {
             console.error(`Screen with ID "${screenId}" not registered.`);
+            return false;
         }
+        this._hideAllScreens();
+        screen.classList.remove('hidden');
+        // If it's a main app screen, ensure the main-app-content is visible
+        this.screens['main-app-content']?.classList.toggle('hidden', screenId === 'login-screen');
+        return true;
+    }
+
+    /**
+     * Disables the controls of an editor screen when it is read-only, except those marked
+     * data-view-only-allowed (previews, downloads and review comments), and shows why in the screen's read-only notice.
+     * @param {HTMLElement} screen The editor screen.
+     * @param {string|null} reason Why the screen is read-only (view-only access or the campaign's status), or null if it is not.
+     * @param {string|null} releaseRestriction Why the campaign cannot be downloaded yet, or null if it can.
+     * @private
+     */
+    _applyReadOnly(screen, reason, releaseRestriction) {
+        screen.querySelectorAll('input, select, textarea, button').forEach(control => {
+            if (!control.hasAttribute('data-view-only-allowed')) control.disabled = !!reason;
+        });
+        const notice = screen.querySelector('.read-only-notice');
+        if (!notice) return;
+        if (reason) notice.textContent = `${reason} You can still preview it${releaseRestriction ? '' : ' and download it'}.`;
+        notice.classList.toggle('hidden', !reason);
+    }
+
+    /**
+     * Disables the send and export controls of an editor screen (those marked data-release-action)
+     * until the campaign has been approved, and shows why in the screen's release notice.
+     * @param {HTMLElement} screen The editor screen.
+     * @param {string|null} restriction Why the campaign cannot be sent or exported yet, or null if it can.
+     * @private
+     */
+    _applyReleaseRestriction(screen, restriction) {
+        screen.querySelectorAll('[data-release-action]').forEach(control => {
+            control.disabled = !!restriction;
+            control.title = restriction || '';
+        });
+        const notice = screen.querySelector('.release-notice');
+        if (!notice) return;
+        notice.textContent = restriction || '';
+        notice.classList.toggle('hidden', !restriction);
+    }
+
+    /**
+     * Builds the route of an editor, linked to the active campaign if there is one.
+     * @param {string} editor The editor's route segment, e.g. 'banner'.
+     * @param {string|null} [variantId] The A/B variant to open instead of the primary asset.
+     * @returns {string} The route.
+     * @private
+     */
+    _getEditorRoute(editor, variantId = null) {
+        const campaign = this.campaignService.getActiveCampaign();
+        const route = campaign ? `/campaigns/${encodeURIComponent(campaign.id)}/${editor}` : `/${editor}`;
+        return variantId ? `${route}?variant=${encodeURIComponent(variantId)}` : route;
     }
 
     /**
      * Navigates to the login screen.
      */
     goToLogin() {
-        this._showScreen('login-screen');
+        this.navigate(this.LOGIN_ROUTE);
     }
 
     /**
      * Navigates to the dashboard screen. Requires authentication.
      */
     goToDashboard() {
-        if (this.authService.getLoggedInUser()) {
-            this._showScreen('dashboard-screen');
-        } else {
-            this.goToLogin(); // Redirect to login if not authenticated
-        }
+        this.navigate(this.DEFAULT_ROUTE);
+    }
+
+    /**
+     * Opens a campaign on the dashboard. Requires authentication and access to the campaign.
+     * @param {string} campaignId The campaign ID.
+     */
+    goToCampaign(campaignId) {
+        this.navigate(`/campaigns/${encodeURIComponent(campaignId)}`);
     }
 
     /**
      * Navigates to the banner editor screen. Requires authentication.
+     * @param {string|null} [variantId] The A/B variant to edit instead of the primary asset.
      */
-    goToBannerEditor() {
-        if (this.authService.getLoggedInUser()) {
-            this._showScreen('banner-editor-screen');
-        } else {
-            this.goToLogin();
-        }
+    goToBannerEditor(variantId = null) {
+        this.navigate(this._getEditorRoute('banner', variantId));
     }
 
     /**
      * Navigates to the marketing page editor screen. Requires authentication.
+     * @param {string|null} [variantId] The A/B variant to edit instead of the primary asset.
      */
-    goToMarketingPageEditor() {
-        if (this.authService.getLoggedInUser()) {
-            this._showScreen('marketing-editor-screen');
-        } else {
-            this.goToLogin();
-        }
+    goToMarketingPageEditor(variantId = null) {
+        this.navigate(this._getEditorRoute('marketing', variantId));
     }
 
     /**
      * Navigates to the landing page editor screen. Requires authentication.
+     * @param {string|null} [variantId] The A/B variant to edit instead of the primary asset.
      */
-    goToLandingPageEditor() {
-        if (this.authService.getLoggedInUser()) {
-            this._showScreen('landing-editor-screen');
-        } else {
-            this.goToLogin();
-        }
+    goToLandingPageEditor(variantId = null) {
+        this.navigate(this._getEditorRoute('landing', variantId));
+    }
+
+    /**
+     * Navigates to the user management screen. Requires the manageUsers permission.
+     */
+    goToUserManagement() {
+        this.navigate('/users');
+    }
+
+    /**
+     * Navigates to the leads screen. Requires authentication.
+     * @param {string|null} [campaignId] The campaign whose leads to list, or null for all campaigns.
+     */
+    goToLeads(campaignId = null) {
+        this.navigate(campaignId ? `/leads?campaign=${encodeURIComponent(campaignId)}` : '/leads');
     }
 }
 
-export default NavigationService;
\ No newline at end of file
+export default NavigationService;
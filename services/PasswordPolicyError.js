@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Error raised when a new password does not meet the password policy.
+ */
+
+class PasswordPolicyError extends Error {
+    /**
+     * @param {Array<string>} problems The policy rules the password violates.
+     */
+    constructor(problems) {
+        super(problems.join(' '));
+        this.name = 'PasswordPolicyError';
+        this.problems = problems;
+    }
+}
+
+export default PasswordPolicyError;
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Service for hashing and verifying passwords, and for the password policy.
+ * Passwords are hashed with salted PBKDF2 (WebCrypto) and compared in constant time,
+ * so stored credentials never contain the password itself.
+ */
+
+import PasswordPolicyError from './PasswordPolicyError.js';
+
+class PasswordService {
+    /**
+     * @param {Object} [policy] Overrides for the default password policy (see DEFAULT_POLICY).
+     */
+    constructor(policy = {}) {
+        /**
+         * Key derivation algorithm identifier stored with every hash.
+         * @private
+         * @type {string}
+         */
+        this.ALGORITHM = 'PBKDF2-SHA256';
+        /**
+         * PBKDF2 iteration count for new hashes. Hashes stored with fewer iterations are
+         * upgraded on the next successful login.
+         * @type {number}
+         */
+        this.ITERATIONS = 310000;
+        /**
+         * Salt length in bytes.
+         * @private
+         * @type {number}
+         */
+        this.SALT_BYTES = 16;
+        /**
+         * Derived key length in bits.
+         * @private
+         * @type {number}
+         */
+        this.KEY_BITS = 256;
+        /**
+         * Password policy used when none is configured.
+         * @private
+         * @type {Object}
+         */
+        this.DEFAULT_POLICY = {
+            minLength: 10,
+            maxLength: 128,
+            requireLowercase: true,
+            requireUppercase: true,
+            requireDigit: true,
+            requireSymbol: false,
+            disallowUsername: true
+        };
+        /**
+         * The policy enforced at signup.
+         * @type {Object}
+         */
+        this.policy = { ...this.DEFAULT_POLICY, ...policy };
+    }
+
+    /**
+     * Encodes bytes as base64.
+     * @param {Uint8Array} bytes The bytes.
+     * @returns {string} The base64 text.
+     * @private
+     */
+    _toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 to bytes.
+     * @param {string} text The base64 text.
+     * @returns {Uint8Array} The bytes.
+     * @private
+     */
+    _fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Derives a PBKDF2 key from a password.
+     * @param {string} password The password.
+     * @param {Uint8Array} salt The salt.
+     * @param {number} iterations The iteration count.
+     * @returns {Promise<Uint8Array>} The derived key.
+     * @private
+     */
+    async _derive(password, salt, iterations) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            this.KEY_BITS
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Compares two byte arrays in constant time (for equal lengths), so the time taken does
+     * not reveal how many leading bytes match.
+     * @param {Uint8Array} a The first array.
+     * @param {Uint8Array} b The second array.
+     * @returns {boolean} True if the arrays are equal.
+     */
+    timingSafeEqual(a, b) {
+        let difference = a.length ^ b.length;
+        const length = Math.max(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            difference |= (a[i % a.length] ?? 0) ^ (b[i % b.length] ?? 0);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Hashes a password with a new random salt.
+     * @param {string} password The password.
+     * @returns {Promise<{algorithm: string, iterations: number, salt: string, hash: string}>} The stored credential.
+     */
+    async hashPassword(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const hash = await this._derive(password, salt, this.ITERATIONS);
+        return {
+            algorithm: this.ALGORITHM,
+            iterations: this.ITERATIONS,
+            salt: this._toBase64(salt),
+            hash: this._toBase64(hash)
+        };
+    }
+
+    /**
+     * Checks a password against a stored credential.
+     * @param {string} password The password entered.
+     * @param {Object} credential The credential returned by hashPassword().
+     * @returns {Promise<boolean>} True if the password matches.
+     */
+    async verifyPassword(password, credential) {
+        if (!credential || credential.algorithm !== this.ALGORITHM) return false;
+        try {
+            const expected = this._fromBase64(credential.hash);
+            const actual = await this._derive(password, this._fromBase64(credential.salt), credential.iterations);
+            return this.timingSafeEqual(actual, expected);
+        } catch (e) {
+            console.error('Could not verify password:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Checks a plaintext password stored by earlier versions of the app, in constant time.
+     * @param {string} password The password entered.
+     * @param {string} storedPassword The stored plaintext password.
+     * @returns {boolean} True if the passwords match.
+     */
+    verifyLegacyPassword(password, storedPassword) {
+        const encoder = new TextEncoder();
+        return this.timingSafeEqual(encoder.encode(password), encoder.encode(storedPassword));
+    }
+
+    /**
+     * Whether a credential should be re-hashed with the current parameters.
+     * @param {Object} credential The stored credential.
+     * @returns {boolean} True if it is outdated.
+     */
+    needsRehash(credential) {
+        return !credential || credential.algorithm !== this.ALGORITHM || credential.iterations < this.ITERATIONS;
+    }
+
+    /**
+     * Lists the requirements of the password policy for display.
+     * @returns {Array<string>} The requirements.
+     */
+    describePolicy() {
+        const requirements = [`at least ${this.policy.minLength} characters`];
+        if (this.policy.requireLowercase) requirements.push('a lowercase letter');
+        if (this.policy.requireUppercase) requirements.push('an uppercase letter');
+        if (this.policy.requireDigit) requirements.push('a digit');
+        if (this.policy.requireSymbol) requirements.push('a symbol');
+        if (this.policy.disallowUsername) requirements.push('must not contain the username');
+        return requirements;
+    }
+
+    /**
+     * Checks a password against the policy.
+     * @param {string} password The password.
+     * @param {string} [username] The username, for the disallowUsername rule.
+     * @returns {Array<string>} The problems found; empty if the password is acceptable.
+     */
+    validatePolicy(password, username = '') {
+        const problems = [];
+        const { policy } = this;
+        if (password.length < policy.minLength) problems.push(`Password must be at least ${policy.minLength} characters long.`);
+        if (password.length > policy.maxLength) problems.push(`Password must be at most ${policy.maxLength} characters long.`);
+        if (policy.requireLowercase && !/[a-z]/.test(password)) problems.push('Password must contain a lowercase letter.');
+        if (policy.requireUppercase && !/[A-Z]/.test(password)) problems.push('Password must contain an uppercase letter.');
+        if (policy.requireDigit && !/[0-9]/.test(password)) problems.push('Password must contain a digit.');
+        if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) problems.push('Password must contain a symbol.');
+        if (policy.disallowUsername && username && password.toLowerCase().includes(username.toLowerCase())) {
+            problems.push('Password must not contain the username.');
+        }
+        return problems;
+    }
+
+    /**
+     * Checks a password against the policy, throwing if it is not acceptable.
+     * @param {string} password The password.
+     * @param {string} [username] The username.
+     * @throws {PasswordPolicyError} If the password violates the policy.
+     */
+    assertPolicy(password, username = '') {
+        const problems = this.validatePolicy(password, username);
+        if (problems.length) throw new PasswordPolicyError(problems);
+    }
+}
+
+export default PasswordService;
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Error raised when the logged-in user's role does not grant a permission.
+ */
+
+class PermissionDeniedError extends Error {
+    /**
+     * @param {string} permission The permission that was required.
+     * @param {string} [role] The user's role, if logged in.
+     */
+    constructor(permission, role) {
+        super(role
+            ? `Your role (${role}) does not allow this action (${permission}).`
+            : `You must be logged in to do this (${permission}).`);
+        this.name = 'PermissionDeniedError';
+        this.permission = permission;
+    }
+}
+
+export default PermissionDeniedError;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Error raised when the browser refuses to store data because the storage quota is exhausted.
+ */
+
+class StorageQuotaError extends Error {
+    /**
+     * @param {string} key The key that could not be written.
+     * @param {Error} [cause] The underlying browser error.
+     */
+    constructor(key, cause) {
+        super(`Browser storage is full; "${key}" could not be saved. Free up space by deleting campaigns or old revisions.`);
+        this.name = 'StorageQuotaError';
+        this.key = key;
+        this.cause = cause;
+    }
+
+    /**
+     * Checks whether a browser error signals an exhausted storage quota.
+     * Browsers report this with different names and codes.
+     * @param {any} error The error to check.
+     * @returns {boolean} True for quota errors.
+     */
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+}
+
+export default StorageQuotaError;
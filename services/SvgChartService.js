@@ -0,0 +1,544 @@
+/**
+ * @fileoverview Service that draws small charts as SVG, without any charting library: line charts,
+ * (grouped) bar charts, stacked area charts and donut charts, each with a title, a legend and tooltips.
+ * Line and stacked area charts can report a range of their labels the user drags across, e.g. to zoom
+ * into some days. Charts can be exported as SVG or PNG files; the exported file shows the chart as
+ * drawn, without the tooltip or selection overlays.
+ */
+
+class SvgChartService {
+    constructor() {
+        /**
+         * @private
+         * @type {string}
+         */
+        this.SVG_NS = 'http://www.w3.org/2000/svg';
+        /**
+         * Colours of the series (or donut slices), in order; repeated when there are more series.
+         * @type {Array<string>}
+         */
+        this.COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+        /**
+         * Size of the drawing, in SVG units; charts scale to the width of their container.
+         * @private
+         * @type {{width: number, height: number}}
+         */
+        this.SIZE = { width: 640, height: 300 };
+        /**
+         * Space around the plot of line, bar and stacked area charts, for the title, axes and legend.
+         * @private
+         * @type {{top: number, right: number, bottom: number, left: number}}
+         */
+        this.MARGIN = { top: 36, right: 16, bottom: 56, left: 80 };
+        /**
+         * Most labels written under the x axis; the others are skipped evenly.
+         * @private
+         * @type {number}
+         */
+        this.MAX_AXIS_LABELS = 8;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.FONT = 'ui-sans-serif, system-ui, sans-serif';
+        /**
+         * Supported export formats.
+         * @type {Object.<string, {mimeType: string, extension: string}>}
+         */
+        this.FORMATS = {
+            svg: { mimeType: 'image/svg+xml', extension: 'svg' },
+            png: { mimeType: 'image/png', extension: 'png' }
+        };
+    }
+
+    /**
+     * Draws a chart into a container, replacing its contents.
+     * @param {HTMLElement} container The container.
+     * @param {Object} chart The chart.
+     * @param {string} chart.type 'line', 'bar', 'stackedArea' or 'donut'.
+     * @param {string} chart.title Written above the chart.
+     * @param {Array<string>} chart.labels The x axis categories (e.g. dates), or the donut's slices.
+     * @param {Array<{name: string, values: Array<number|null>}>} chart.series The series, with one value per label;
+     *   a donut uses the first series only.
+     * @param {function(number):string} [chart.formatValue] Formats values for the axis and tooltips.
+     * @param {function(string, string):void} [chart.onRangeSelect] Line and stacked area charts: called with the
+     *   first and last label of the range the user drags across.
+     * @param {string} [chart.emptyMessage] Shown instead of the chart when there is nothing to draw.
+     * @returns {SVGSVGElement|null} The chart, or null if there was nothing to draw.
+     */
+    render(container, chart) {
+        container.innerHTML = '';
+        const values = chart.type === 'donut' ? chart.series[0]?.values || [] : chart.series.flatMap(series => series.values);
+        if (!chart.labels.length || !values.some(value => value !== null && value > 0)) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-600 py-8 text-center';
+            empty.textContent = chart.emptyMessage || 'Nothing to show for this period.';
+            container.appendChild(empty);
+            return null;
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'relative';
+        const svg = this._createElement('svg', {
+            viewBox: `0 0 ${this.SIZE.width} ${this.SIZE.height}`,
+            width: '100%',
+            role: 'img',
+            'font-family': this.FONT
+        });
+        svg.style.maxWidth = `${this.SIZE.width}px`;
+        svg.appendChild(this._createElement('title', {}, chart.title));
+        svg.appendChild(this._createElement('rect', { width: this.SIZE.width, height: this.SIZE.height, fill: '#ffffff' }));
+        svg.appendChild(this._createElement('text', { x: 8, y: 22, 'font-size': 14, 'font-weight': 600, fill: '#1f2937' }, chart.title));
+        const tooltip = document.createElement('div');
+        tooltip.className = 'hidden absolute z-10 pointer-events-none px-2 py-1 rounded bg-gray-900 text-white text-xs whitespace-pre';
+        wrapper.append(svg, tooltip);
+        container.appendChild(wrapper);
+
+        const formatValue = chart.formatValue || (value => value.toLocaleString());
+        const context = { svg, wrapper, tooltip, formatValue };
+        switch (chart.type) {
+            case 'line':
+                this._drawLine(chart, context);
+                break;
+            case 'bar':
+                this._drawBars(chart, context);
+                break;
+            case 'stackedArea':
+                this._drawStackedArea(chart, context);
+                break;
+            case 'donut':
+                this._drawDonut(chart, context);
+                break;
+            default:
+                throw new Error(`Unknown chart type "${chart.type}".`);
+        }
+        return svg;
+    }
+
+    /**
+     * Creates an SVG element.
+     * @param {string} name The element name, e.g. 'rect'.
+     * @param {Object.<string, string|number>} [attributes] Its attributes.
+     * @param {string} [text] Its text.
+     * @returns {SVGElement} The element.
+     * @private
+     */
+    _createElement(name, attributes = {}, text = '') {
+        const element = document.createElementNS(this.SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Gets the colour of a series.
+     * @param {number} index The series' position.
+     * @returns {string} The colour.
+     */
+    getColor(index) {
+        return this.COLORS[index % this.COLORS.length];
+    }
+
+    /**
+     * Rounds the top of an axis up to a readable number (1, 2 or 5 times a power of ten).
+     * @param {number} max The largest value drawn.
+     * @returns {number} The top of the axis.
+     * @private
+     */
+    _niceMax(max) {
+        if (max <= 0) return 1;
+        const magnitude = 10 ** Math.floor(Math.log10(max));
+        const step = [1, 2, 5, 10].find(factor => factor * magnitude >= max);
+        return step * magnitude;
+    }
+
+    /**
+     * Works out the plot area and scale of a chart with axes.
+     * @param {number} max The largest value drawn.
+     * @returns {{left: number, top: number, width: number, height: number, max: number, y: function(number):number}}
+     * @private
+     */
+    _getPlot(max) {
+        const { top, right, bottom, left } = this.MARGIN;
+        const plot = { left, top, width: this.SIZE.width - left - right, height: this.SIZE.height - top - bottom, max: this._niceMax(max) };
+        plot.y = value => plot.top + plot.height - (value / plot.max) * plot.height;
+        return plot;
+    }
+
+    /**
+     * Draws the value axis with gridlines, and the labels under the plot.
+     * @param {SVGSVGElement} svg The chart.
+     * @param {Object} plot The plot area (see _getPlot()).
+     * @param {Array<string>} labels The labels.
+     * @param {function(number):number} x Position of a label by index.
+     * @param {function(number):string} formatValue Formats the axis values.
+     * @private
+     */
+    _drawAxes(svg, plot, labels, x, formatValue) {
+        const ticks = 4;
+        for (let i = 0; i <= ticks; i++) {
+            const value = (plot.max / ticks) * i;
+            const y = plot.y(value);
+            svg.appendChild(this._createElement('line', {
+                x1: plot.left, x2: plot.left + plot.width, y1: y, y2: y, stroke: i ? '#e5e7eb' : '#9ca3af'
+            }));
+            svg.appendChild(this._createElement('text', {
+                x: plot.left - 6, y: y + 4, 'text-anchor': 'end', 'font-size': 11, fill: '#4b5563'
+            }, formatValue(value)));
+        }
+        const every = Math.ceil(labels.length / this.MAX_AXIS_LABELS);
+        labels.forEach((label, index) => {
+            if (index % every) return;
+            svg.appendChild(this._createElement('text', {
+                x: x(index), y: plot.top + plot.height + 16, 'text-anchor': 'middle', 'font-size': 11, fill: '#4b5563'
+            }, label.length > 14 ? `${label.slice(0, 13)}…` : label));
+        });
+    }
+
+    /**
+     * Draws a legend of the series under the plot, wrapping onto a second line when needed.
+     * @param {SVGSVGElement} svg The chart.
+     * @param {Array<string>} names The series names.
+     * @param {number} left Where the legend starts.
+     * @param {number} top Where the legend's first line is.
+     * @param {number} width The legend's width.
+     * @private
+     */
+    _drawLegend(svg, names, left, top, width) {
+        let x = left;
+        let y = top;
+        names.forEach((name, index) => {
+            const label = name.length > 24 ? `${name.slice(0, 23)}…` : name;
+            const itemWidth = 18 + label.length * 6.5 + 14;
+            if (x + itemWidth > left + width && x > left) {
+                x = left;
+                y += 16;
+            }
+            svg.appendChild(this._createElement('rect', { x, y: y - 9, width: 10, height: 10, rx: 2, fill: this.getColor(index) }));
+            svg.appendChild(this._createElement('text', { x: x + 16, y, 'font-size': 11, fill: '#374151' }, label));
+            x += itemWidth;
+        });
+    }
+
+    /**
+     * Shows the tooltip next to the pointer.
+     * @param {Object} context The chart's drawing context.
+     * @param {PointerEvent} event The pointer event.
+     * @param {string} text The tooltip text; lines are separated by newlines.
+     * @private
+     */
+    _showTooltip(context, event, text) {
+        const bounds = context.wrapper.getBoundingClientRect();
+        context.tooltip.textContent = text;
+        context.tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+        context.tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+        context.tooltip.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the tooltip.
+     * @param {Object} context The chart's drawing context.
+     * @private
+     */
+    _hideTooltip(context) {
+        context.tooltip.classList.add('hidden');
+    }
+
+    /**
+     * Converts the pointer position to the x coordinate of the drawing.
+     * @param {SVGSVGElement} svg The chart.
+     * @param {PointerEvent} event The pointer event.
+     * @returns {number} The x coordinate.
+     * @private
+     */
+    _getSvgX(svg, event) {
+        const bounds = svg.getBoundingClientRect();
+        return bounds.width ? ((event.clientX - bounds.left) / bounds.width) * this.SIZE.width : 0;
+    }
+
+    /**
+     * Adds hover tooltips and, if the chart asks for it, range selection to a chart over dates: hovering
+     * shows the values of every series at the nearest label, dragging selects the labels dragged across.
+     * @param {Object} chart The chart.
+     * @param {Object} context The chart's drawing context.
+     * @param {Object} plot The plot area.
+     * @param {function(number):number} x Position of a label by index.
+     * @private
+     */
+    _addDateInteraction(chart, context, plot, x) {
+        const { svg } = context;
+        const count = chart.labels.length;
+        const indexAt = event => {
+            const step = count > 1 ? plot.width / (count - 1) : plot.width;
+            return Math.min(count - 1, Math.max(0, Math.round((this._getSvgX(svg, event) - plot.left) / step)));
+        };
+        const guide = this._createElement('line', { y1: plot.top, y2: plot.top + plot.height, stroke: '#6b7280', 'stroke-dasharray': '3 3', visibility: 'hidden', 'data-chart-overlay': '' });
+        const selection = this._createElement('rect', { y: plot.top, height: plot.height, fill: '#3b82f6', 'fill-opacity': 0.15, visibility: 'hidden', 'data-chart-overlay': '' });
+        const overlay = this._createElement('rect', { x: plot.left, y: plot.top, width: plot.width, height: plot.height, fill: 'transparent', 'data-chart-overlay': '' });
+        if (chart.onRangeSelect) overlay.style.cursor = 'crosshair';
+        svg.append(guide, selection, overlay);
+
+        let dragStart = null;
+        const showSelection = (from, to) => {
+            const [first, last] = [Math.min(from, to), Math.max(from, to)];
+            const half = count > 1 ? plot.width / (count - 1) / 2 : plot.width / 2;
+            selection.setAttribute('x', Math.max(plot.left, x(first) - half));
+            selection.setAttribute('width', Math.min(plot.left + plot.width, x(last) + half) - Math.max(plot.left, x(first) - half));
+            selection.setAttribute('visibility', 'visible');
+        };
+        overlay.addEventListener('pointermove', (event) => {
+            const index = indexAt(event);
+            guide.setAttribute('x1', x(index));
+            guide.setAttribute('x2', x(index));
+            guide.setAttribute('visibility', 'visible');
+            const lines = chart.series.map(series => `${series.name}: ${series.values[index] === null ? '—' : context.formatValue(series.values[index])}`);
+            this._showTooltip(context, event, [chart.labels[index], ...lines].join('\n'));
+            if (dragStart !== null) showSelection(dragStart, index);
+        });
+        overlay.addEventListener('pointerleave', () => {
+            guide.setAttribute('visibility', 'hidden');
+            this._hideTooltip(context);
+        });
+        if (!chart.onRangeSelect) return;
+        overlay.addEventListener('pointerdown', (event) => {
+            dragStart = indexAt(event);
+            overlay.setPointerCapture?.(event.pointerId);
+        });
+        overlay.addEventListener('pointerup', (event) => {
+            if (dragStart === null) return;
+            const end = indexAt(event);
+            const [first, last] = [Math.min(dragStart, end), Math.max(dragStart, end)];
+            dragStart = null;
+            selection.setAttribute('visibility', 'hidden');
+            if (first !== last) chart.onRangeSelect(chart.labels[first], chart.labels[last]);
+        });
+    }
+
+    /**
+     * Gets the x position of each label on a chart over dates.
+     * @param {Object} plot The plot area.
+     * @param {number} count The number of labels.
+     * @returns {function(number):number} Position of a label by index.
+     * @private
+     */
+    _getPointX(plot, count) {
+        return index => (count > 1 ? plot.left + (index / (count - 1)) * plot.width : plot.left + plot.width / 2);
+    }
+
+    /**
+     * Draws a line chart: one line per series, with a dot per value.
+     * @param {Object} chart The chart.
+     * @param {Object} context The chart's drawing context.
+     * @private
+     */
+    _drawLine(chart, context) {
+        const { svg } = context;
+        const plot = this._getPlot(Math.max(...chart.series.flatMap(series => series.values.filter(value => value !== null))));
+        const x = this._getPointX(plot, chart.labels.length);
+        this._drawAxes(svg, plot, chart.labels, x, context.formatValue);
+        chart.series.forEach((series, seriesIndex) => {
+            const color = this.getColor(seriesIndex);
+            // Days without a value (e.g. a CTR without impressions) break the line
+            const segments = [[]];
+            series.values.forEach((value, index) => {
+                if (value === null) {
+                    segments.push([]);
+                } else {
+                    segments[segments.length - 1].push(`${x(index)},${plot.y(value)}`);
+                }
+            });
+            segments.filter(points => points.length).forEach(points => {
+                svg.appendChild(this._createElement('polyline', { points: points.join(' '), fill: 'none', stroke: color, 'stroke-width': 2 }));
+            });
+            if (chart.labels.length <= 60) {
+                series.values.forEach((value, index) => {
+                    if (value !== null) svg.appendChild(this._createElement('circle', { cx: x(index), cy: plot.y(value), r: 2.5, fill: color }));
+                });
+            }
+        });
+        this._drawLegend(svg, chart.series.map(series => series.name), plot.left, this.SIZE.height - 16, plot.width);
+        this._addDateInteraction(chart, context, plot, x);
+    }
+
+    /**
+     * Draws a stacked area chart: each series is stacked on the ones before it.
+     * @param {Object} chart The chart.
+     * @param {Object} context The chart's drawing context.
+     * @private
+     */
+    _drawStackedArea(chart, context) {
+        const { svg } = context;
+        const stacks = chart.labels.map(() => 0);
+        const layers = chart.series.map(series => series.values.map((value, index) => {
+            const bottom = stacks[index];
+            stacks[index] += value || 0;
+            return [bottom, stacks[index]];
+        }));
+        const plot = this._getPlot(Math.max(...stacks));
+        const x = this._getPointX(plot, chart.labels.length);
+        this._drawAxes(svg, plot, chart.labels, x, context.formatValue);
+        layers.forEach((layer, seriesIndex) => {
+            const top = layer.map(([, value], index) => `${x(index)},${plot.y(value)}`);
+            const bottom = layer.map(([value], index) => `${x(index)},${plot.y(value)}`).reverse();
+            const color = this.getColor(seriesIndex);
+            svg.appendChild(this._createElement('polygon', { points: [...top, ...bottom].join(' '), fill: color, 'fill-opacity': 0.6, stroke: color }));
+        });
+        this._drawLegend(svg, chart.series.map(series => series.name), plot.left, this.SIZE.height - 16, plot.width);
+        this._addDateInteraction(chart, context, plot, x);
+    }
+
+    /**
+     * Draws a bar chart: a group of bars per label, one bar per series.
+     * @param {Object} chart The chart.
+     * @param {Object} context The chart's drawing context.
+     * @private
+     */
+    _drawBars(chart, context) {
+        const { svg } = context;
+        const plot = this._getPlot(Math.max(...chart.series.flatMap(series => series.values.map(value => value || 0))));
+        const band = plot.width / chart.labels.length;
+        const x = index => plot.left + band * (index + 0.5);
+        this._drawAxes(svg, plot, chart.labels, x, context.formatValue);
+        const barWidth = (band * 0.7) / chart.series.length;
+        chart.labels.forEach((label, index) => {
+            chart.series.forEach((series, seriesIndex) => {
+                const value = series.values[index];
+                if (value === null) return;
+                const bar = this._createElement('rect', {
+                    x: plot.left + band * index + band * 0.15 + barWidth * seriesIndex,
+                    y: plot.y(value),
+                    width: Math.max(1, barWidth - 1),
+                    height: plot.y(0) - plot.y(value),
+                    fill: this.getColor(seriesIndex)
+                });
+                const text = `${label}\n${series.name}: ${context.formatValue(value)}`;
+                bar.addEventListener('pointermove', (event) => this._showTooltip(context, event, text));
+                bar.addEventListener('pointerleave', () => this._hideTooltip(context));
+                svg.appendChild(bar);
+            });
+        });
+        this._drawLegend(svg, chart.series.map(series => series.name), plot.left, this.SIZE.height - 16, plot.width);
+    }
+
+    /**
+     * Draws a donut chart of the first series, with the total in the middle and a legend with each
+     * slice's share beside it.
+     * @param {Object} chart The chart.
+     * @param {Object} context The chart's drawing context.
+     * @private
+     */
+    _drawDonut(chart, context) {
+        const { svg } = context;
+        const values = chart.series[0].values.map(value => Math.max(0, value || 0));
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const center = { x: 150, y: (this.SIZE.height + 24) / 2 };
+        const radius = 90;
+        const thickness = 40;
+        const circumference = 2 * Math.PI * radius;
+        let start = 0;
+        values.forEach((value, index) => {
+            if (!value) return;
+            const share = value / total;
+            // Each slice is a dashed stroke of the same circle, rotated to where the previous slice ended
+            const slice = this._createElement('circle', {
+                cx: center.x,
+                cy: center.y,
+                r: radius,
+                fill: 'none',
+                stroke: this.getColor(index),
+                'stroke-width': thickness,
+                'stroke-dasharray': `${share * circumference} ${circumference}`,
+                transform: `rotate(${start * 360 - 90} ${center.x} ${center.y})`
+            });
+            const text = `${chart.labels[index]}: ${context.formatValue(value)} (${(share * 100).toFixed(1)}%)`;
+            slice.addEventListener('pointermove', (event) => this._showTooltip(context, event, text));
+            slice.addEventListener('pointerleave', () => this._hideTooltip(context));
+            svg.appendChild(slice);
+            start += share;
+        });
+        svg.appendChild(this._createElement('text', { x: center.x, y: center.y - 2, 'text-anchor': 'middle', 'font-size': 11, fill: '#4b5563' }, chart.series[0].name));
+        svg.appendChild(this._createElement('text', { x: center.x, y: center.y + 16, 'text-anchor': 'middle', 'font-size': 14, 'font-weight': 600, fill: '#111827' }, context.formatValue(total)));
+
+        const legendTop = Math.max(56, center.y - (chart.labels.length * 20) / 2);
+        chart.labels.forEach((label, index) => {
+            const y = legendTop + index * 20;
+            const name = label.length > 28 ? `${label.slice(0, 27)}…` : label;
+            const share = total ? ` (${((values[index] / total) * 100).toFixed(1)}%)` : '';
+            svg.appendChild(this._createElement('rect', { x: 300, y: y - 9, width: 10, height: 10, rx: 2, fill: this.getColor(index) }));
+            svg.appendChild(this._createElement('text', { x: 316, y, 'font-size': 11, fill: '#374151' }, `${name}${share}`));
+        });
+    }
+
+    /**
+     * Serializes a chart as a standalone SVG document, without its tooltip and selection overlays.
+     * @param {SVGSVGElement} svg The chart.
+     * @returns {string} The SVG markup.
+     */
+    toSvgString(svg) {
+        const copy = svg.cloneNode(true);
+        copy.querySelectorAll('[data-chart-overlay]').forEach(element => element.remove());
+        copy.setAttribute('xmlns', this.SVG_NS);
+        copy.setAttribute('width', this.SIZE.width);
+        copy.setAttribute('height', this.SIZE.height);
+        copy.removeAttribute('style');
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`;
+    }
+
+    /**
+     * Renders a chart into a Blob in the requested format.
+     * @param {SVGSVGElement} svg The chart.
+     * @param {string} [format='svg'] 'svg' or 'png'.
+     * @param {number} [scale=2] PNG only: pixels per SVG unit, for sharp images on high-density screens.
+     * @returns {Promise<Blob>} The encoded chart.
+     */
+    async toBlob(svg, format = 'svg', scale = 2) {
+        const formatInfo = this.FORMATS[format];
+        if (!formatInfo) throw new Error(`Unsupported chart export format "${format}".`);
+        const markup = this.toSvgString(svg);
+        if (format === 'svg') return new Blob([markup], { type: formatInfo.mimeType });
+
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('Could not draw the chart as an image.'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = this.SIZE.width * scale;
+        canvas.height = this.SIZE.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(image, 0, 0, this.SIZE.width, this.SIZE.height);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode chart as ${formatInfo.mimeType}.`));
+                }
+            }, formatInfo.mimeType);
+        });
+    }
+
+    /**
+     * Exports a chart and triggers a browser download of the resulting file.
+     * @param {SVGSVGElement} svg The chart.
+     * @param {Object} [options] Export options.
+     * @param {string} [options.format='svg'] 'svg' or 'png'.
+     * @param {string} [options.fileName='chart'] File name without extension.
+     * @returns {Promise<void>}
+     */
+    async downloadChart(svg, { format = 'svg', fileName = 'chart' } = {}) {
+        const blob = await this.toBlob(svg, format);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${fileName.replace(/[^a-zA-Z0-9_-]/g, '_')}.${this.FORMATS[format].extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+export default SvgChartService;
@@ -1,82 +1,196 @@
 /**
  * @fileoverview Service for managing user data.
  * This service handles user creation and retrieval, persisting data via LocalStorageService.
+ * Users are stored with a hashed credential (see PasswordService), never the password itself,
+ * and a role (see AccessControlService). There is always at least one admin.
  */
 
 class UserService {
     /**
      * @param {LocalStorageService} localStorageService Dependency on LocalStorageService.
+     * @param {PasswordService} passwordService Dependency on PasswordService.
      */
-    constructor(localStorageService) {
+    constructor(localStorageService, passwordService) {
         /**
          * @private
          * @type {LocalStorageService}
          */
         this.localStorageService = localStorageService;
+        /**
+         * @private
+         * @type {PasswordService}
+         */
+        this.passwordService = passwordService;
         /**
          * @private
          * @type {string}
          */
         this.USERS_KEY = 'app_users';
+        /**
+         * Role of users stored before roles existed, and of new accounts after the first.
+         * @private
+         * @type {string}
+         */
+        this.DEFAULT_ROLE = 'editor';
+        /**
+         * Role given to the first account, which can then manage everyone else.
+         * @private
+         * @type {string}
+         */
+        this.ADMIN_ROLE = 'admin';
+        /**
+         * Credentials of the demo account seeded by createInitialUser().
+         * @private
+         * @type {{username: string, password: string}}
+         */
+        this.SEED_USER = { username: 'testuser', password: 'password123' };
     }
 
     /**
      * Retrieves all registered users.
-     * @returns {Array<Object>} An array of user objects.
+     * @returns {Promise<Array<Object>>} An array of user objects.
      * @private
      */
-    _getUsers() {
-        return this.localStorageService.getItem(this.USERS_KEY) || [];
+    async _getUsers() {
+        const users = (await this.localStorageService.getItem(this.USERS_KEY)) || [];
+        return users.map(user => (user.role ? user : { ...user, role: this.DEFAULT_ROLE }));
     }
 
     /**
-     * Saves the current list of users to Local Storage.
+     * Saves the current list of users to storage.
      * @param {Array<Object>} users The array of user objects to save.
+     * @returns {Promise<void>}
      * @private
      */
-    _saveUsers(users) {
-        this.localStorageService.setItem(this.USERS_KEY, users);
+    async _saveUsers(users) {
+        await this.localStorageService.setItem(this.USERS_KEY, users);
     }
 
     /**
-     * Creates an initial default user if no users exist in Local Storage.
-     * This is for convenient testing and initial setup.
+     * Creates the demo user testuser/password123 if seeding is enabled and no users exist.
+     * Seeding is opt-in: the account has a well-known password and must never exist by default.
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=false] Whether to seed the demo user.
+     * @returns {Promise<void>}
      */
-    createInitialUser() {
-        const users = this._getUsers();
+    async createInitialUser({ enabled = false } = {}) {
+        if (!enabled) return;
+        const users = await this._getUsers();
         if (users.length === 0) {
             const initialUser = {
-                username: 'testuser',
-                password: 'password123'
+                username: this.SEED_USER.username,
+                credential: await this.passwordService.hashPassword(this.SEED_USER.password),
+                role: this.ADMIN_ROLE
             };
             users.push(initialUser);
-            this._saveUsers(users);
-            console.log('Initial user "testuser" created.');
+            await this._saveUsers(users);
+            console.log(`Initial user "${initialUser.username}" created.`);
         }
     }
 
+    /**
+     * Makes the first user an admin if no admin exists, e.g. for users stored before roles existed.
+     * @returns {Promise<void>}
+     */
+    async ensureAdmin() {
+        const users = await this._getUsers();
+        if (users.length === 0 || users.some(user => user.role === this.ADMIN_ROLE)) return;
+        users[0].role = this.ADMIN_ROLE;
+        await this._saveUsers(users);
+        console.log(`No admin found; "${users[0].username}" is now an admin.`);
+    }
+
+    /**
+     * Lists all users for user management, without their credentials.
+     * @returns {Promise<Array<{username: string, role: string}>>} The users.
+     */
+    async getAllUsers() {
+        return (await this._getUsers()).map(({ username, role }) => ({ username, role }));
+    }
+
+    /**
+     * Throws if a change would leave no admin.
+     * @param {Array<Object>} users The users after the change.
+     * @throws {Error} If no admin would remain.
+     * @private
+     */
+    _assertAdminRemains(users) {
+        if (!users.some(user => user.role === this.ADMIN_ROLE)) {
+            throw new Error('There must always be at least one admin.');
+        }
+    }
+
+    /**
+     * Changes a user's role.
+     * @param {string} username The username.
+     * @param {string} role The new role.
+     * @returns {Promise<boolean>} True if the user was updated, false if no such user exists.
+     * @throws {Error} If this would remove the last admin.
+     */
+    async updateUserRole(username, role) {
+        const users = await this._getUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) return false;
+        user.role = role;
+        this._assertAdminRemains(users);
+        await this._saveUsers(users);
+        return true;
+    }
+
+    /**
+     * Deletes a user.
+     * @param {string} username The username.
+     * @returns {Promise<boolean>} True if the user was deleted, false if no such user exists.
+     * @throws {Error} If this would remove the last admin.
+     */
+    async deleteUser(username) {
+        const users = await this._getUsers();
+        const remaining = users.filter(u => u.username !== username);
+        if (remaining.length === users.length) return false;
+        this._assertAdminRemains(remaining);
+        await this._saveUsers(remaining);
+        return true;
+    }
+
     /**
      * Finds a user by username.
      * @param {string} username The username to search for.
-     * @returns {Object | undefined} The user object if found, otherwise undefined.
+     * @returns {Promise<Object | undefined>} The user object if found, otherwise undefined.
      */
-    getUser(username) {
-        const users = this._getUsers();
+    async getUser(username) {
+        const users = await this._getUsers();
         return users.find(user => user.username === username);
     }
 
     /**
-     * Saves a new user to the system.
-     * @param {Object} user The user object to save.
-     * @returns {boolean} True if the user was saved, false if username already exists.
+     * Saves a new user to the system. The first user becomes an admin; others get the default role
+     * unless one is given.
+     * @param {Object} user The user object to save, with a hashed `credential`.
+     * @returns {Promise<boolean>} True if the user was saved, false if username already exists.
      */
-    saveUser(user) {
-        const users = this._getUsers();
+    async saveUser(user) {
+        const users = await this._getUsers();
         if (users.some(u => u.username === user.username)) {
             return false; // User already exists
         }
-        users.push(user);
-        this._saveUsers(users);
+        users.push({ ...user, role: users.length === 0 ? this.ADMIN_ROLE : user.role || this.DEFAULT_ROLE });
+        await this._saveUsers(users);
+        return true;
+    }
+
+    /**
+     * Replaces the stored credential of a user, dropping any plaintext password left by earlier versions.
+     * @param {string} username The username.
+     * @param {Object} credential The new credential from PasswordService.hashPassword().
+     * @returns {Promise<boolean>} True if the user was updated, false if no such user exists.
+     */
+    async updateCredential(username, credential) {
+        const users = await this._getUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) return false;
+        delete user.password;
+        user.credential = credential;
+        await this._saveUsers(users);
         return true;
     }
 }
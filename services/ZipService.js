@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Service for building and reading zip archives in the browser.
+ * Files are stored uncompressed (STORE method), which every unzip tool and ad network accepts,
+ * so no compression library is needed. Compressed (DEFLATE) entries written by other tools are
+ * read with the browser's DecompressionStream.
+ */
+
+class ZipService {
+    constructor() {
+        /**
+         * Lookup table for the CRC-32 checksum every zip entry carries.
+         * @private
+         * @type {Uint32Array}
+         */
+        this.CRC_TABLE = this._buildCrcTable();
+        /**
+         * @private
+         * @type {TextEncoder}
+         */
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Builds the CRC-32 lookup table (IEEE polynomial).
+     * @returns {Uint32Array} The lookup table.
+     * @private
+     */
+    _buildCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    /**
+     * Computes the CRC-32 checksum of some bytes.
+     * @param {Uint8Array} bytes The data.
+     * @returns {number} The unsigned checksum.
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Converts file contents to bytes.
+     * @param {string|Uint8Array|ArrayBuffer} data The file contents; strings are encoded as UTF-8.
+     * @returns {Uint8Array} The bytes.
+     */
+    toBytes(data) {
+        if (typeof data === 'string') return this.encoder.encode(data);
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return data;
+    }
+
+    /**
+     * Encodes a date in the MS-DOS time and date format used by zip headers.
+     * @param {Date} date The date.
+     * @returns {{time: number, date: number}} The DOS time and date.
+     * @private
+     */
+    _toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a zip archive from a list of files.
+     * @param {Array<{name: string, data: string|Uint8Array|ArrayBuffer}>} files The files, with paths relative to the archive root.
+     * @param {Date} [modified] Modification time recorded for every entry.
+     * @returns {Blob} The zip archive.
+     */
+    createZip(files, modified = new Date()) {
+        const { time, date } = this._toDosDateTime(modified);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = this.encoder.encode(file.name);
+            const data = this.toBytes(file.data);
+            const crc = this.crc32(data);
+
+            // Local file header (30 bytes + name), followed by the stored data.
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // version needed to extract
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // STORE
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            // Central directory header (46 bytes + name).
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true); // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * Whether some bytes look like a zip archive.
+     * @param {Uint8Array} bytes The data.
+     * @returns {boolean} True if they start with a zip entry signature.
+     */
+    isZip(bytes) {
+        return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === 0x04034B50;
+    }
+
+    /**
+     * Reads the files of a zip archive. Only stored and deflated entries are supported; directories are skipped.
+     * @param {Uint8Array|ArrayBuffer} data The archive.
+     * @returns {Promise<Array<{name: string, data: Uint8Array}>>} The files.
+     * @throws {Error} If the data is not a zip archive, or uses a compression method that cannot be read.
+     */
+    async readZip(data) {
+        const bytes = this.toBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        // The end of central directory record is the last 22 bytes, unless the archive has a comment.
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('The file is not a zip archive.');
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const files = [];
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('The zip archive is damaged.');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+            if (name.endsWith('/')) continue;
+
+            // The local header repeats the name and may have its own extra field.
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const stored = bytes.subarray(start, start + compressedSize);
+            if (method === 0) {
+                files.push({ name, data: stored.slice() });
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = new Response(stored).body.pipeThrough(new DecompressionStream('deflate-raw'));
+                files.push({ name, data: new Uint8Array(await new Response(stream).arrayBuffer()) });
+            } else {
+                throw new Error(`"${name}" is compressed in a way that cannot be read here.`);
+            }
+        }
+        return files;
+    }
+}
+
+export default ZipService;
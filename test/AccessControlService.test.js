@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AccessControlService from '../services/AccessControlService.js';
+import PermissionDeniedError from '../services/PermissionDeniedError.js';
+
+describe('AccessControlService', () => {
+    const accessControlService = new AccessControlService();
+    const admin = { username: 'ann', role: 'admin' };
+    const editor = { username: 'ed', role: 'editor' };
+    const viewer = { username: 'vic', role: 'viewer' };
+
+    describe('hasPermission', () => {
+        it('grants the permissions of the user\'s role', () => {
+            assert.ok(accessControlService.hasPermission(admin, 'manageUsers'));
+            assert.ok(accessControlService.hasPermission(editor, 'editCampaigns'));
+            assert.equal(accessControlService.hasPermission(editor, 'manageUsers'), false);
+            assert.equal(accessControlService.hasPermission(viewer, 'createCampaigns'), false);
+        });
+
+        it('grants nothing without a user or with an unknown role', () => {
+            assert.equal(accessControlService.hasPermission(null, 'editCampaigns'), false);
+            assert.equal(accessControlService.hasPermission({ username: 'x', role: 'root' }, 'editCampaigns'), false);
+        });
+    });
+
+    describe('assertPermission', () => {
+        it('throws a PermissionDeniedError naming the permission', () => {
+            assert.doesNotThrow(() => accessControlService.assertPermission(admin, 'manageUsers'));
+            assert.throws(() => accessControlService.assertPermission(viewer, 'manageUsers'),
+                error => error instanceof PermissionDeniedError && error.permission === 'manageUsers');
+        });
+    });
+
+    describe('getCampaignAccess', () => {
+        const campaign = { ownerId: 'ed', sharing: { ann: 'view', vic: 'edit' } };
+
+        it('gives owners owner access and others what the campaign is shared with', () => {
+            assert.equal(accessControlService.getCampaignAccess(editor, campaign), 'owner');
+            assert.equal(accessControlService.getCampaignAccess(admin, campaign), 'view');
+        });
+
+        it('gives no access to users the campaign is not shared with', () => {
+            assert.equal(accessControlService.getCampaignAccess({ username: 'zoe', role: 'admin' }, campaign), null);
+            assert.equal(accessControlService.getCampaignAccess(null, campaign), null);
+        });
+
+        it('limits the access to what the user\'s role allows', () => {
+            assert.equal(accessControlService.getCampaignAccess(viewer, campaign), 'view');
+            assert.equal(accessControlService.getCampaignAccess({ username: 'ed', role: 'viewer' }, campaign), 'view');
+        });
+
+        it('lets assigned reviewers view the campaign', () => {
+            const reviewer = { username: 'rita', role: 'reviewer' };
+            assert.equal(accessControlService.getCampaignAccess(reviewer, campaign), null);
+            assert.equal(accessControlService.getCampaignAccess(reviewer, { ...campaign, review: { reviewers: ['rita'] } }), 'view');
+        });
+    });
+
+    describe('allows', () => {
+        it('compares access levels', () => {
+            assert.ok(accessControlService.allows('owner', 'edit'));
+            assert.ok(accessControlService.allows('edit', 'view'));
+            assert.equal(accessControlService.allows('view', 'edit'), false);
+            assert.equal(accessControlService.allows(null, 'view'), false);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CampaignBundleService from '../services/CampaignBundleService.js';
+import CampaignBundleError from '../services/CampaignBundleError.js';
+import CampaignSchemaService from '../services/CampaignSchemaService.js';
+import ZipService from '../services/ZipService.js';
+
+describe('CampaignBundleService', () => {
+    const campaignSchemaService = new CampaignSchemaService();
+    const campaignBundleService = new CampaignBundleService(campaignSchemaService, new ZipService());
+    const image = 'data:image/png;base64,iVBORw0KGgo=';
+    const { campaign } = campaignSchemaService.migrate({
+        id: 'campaign_1',
+        name: 'Spring Sale',
+        ownerId: 'ed',
+        createdAt: '2024-05-01T10:00:00.000Z',
+        assets: { banner: { type: 'image', layers: [{ src: image }, { src: image }] } }
+    });
+
+    /**
+     * Writes a bundle as a file and reads it back.
+     * @param {Object} bundle The bundle.
+     * @param {string} format 'json' or 'zip'.
+     * @returns {Promise<Object>} The bundle read from the file.
+     */
+    async function roundTrip(bundle, format) {
+        return campaignBundleService.readBundle(campaignBundleService.toBlob(bundle, format));
+    }
+
+    it('reads back JSON and zip bundles with their images', async () => {
+        const bundle = campaignBundleService.createBundle([campaign], 'ed');
+        for (const format of ['json', 'zip']) {
+            const read = await roundTrip(bundle, format);
+            assert.deepEqual(read, bundle, format);
+            assert.deepEqual(campaignBundleService.validateBundle(read).entries, [{ campaign, name: 'Spring Sale', problems: [] }]);
+        }
+    });
+
+    it('stores an image used more than once once in a zip bundle', async () => {
+        const blob = campaignBundleService.toBlob(campaignBundleService.createBundle([campaign], 'ed'), 'zip');
+        const files = await new ZipService().readZip(await blob.arrayBuffer());
+        assert.deepEqual(files.map(file => file.name), ['campaign-bundle.json', 'images/image1.png']);
+    });
+
+    it('leaves leads out of bundles', () => {
+        const lead = { id: 'lead_1', name: 'Ann', email: 'ann@example.com' };
+        const bundle = campaignBundleService.createBundle([{ ...campaign, leads: [lead] }], 'ed');
+        assert.deepEqual(bundle.campaigns[0].leads, []);
+    });
+
+    it('reports invalid campaigns without refusing the others', () => {
+        const bundle = campaignBundleService.createBundle([campaign, { ...campaign, id: 7, name: '' }], 'ed');
+        const [valid, invalid] = campaignBundleService.validateBundle(bundle).entries;
+        assert.equal(valid.campaign.id, 'campaign_1');
+        assert.deepEqual(invalid, { campaign: null, name: 'Campaign 2', problems: ['id must be a string'] });
+    });
+
+    it('refuses files that are not bundles, or are from newer versions', async () => {
+        const bundle = campaignBundleService.createBundle([campaign], 'ed');
+        assert.throws(() => campaignBundleService.validateBundle({ ...bundle, format: 'other' }), CampaignBundleError);
+        assert.throws(() => campaignBundleService.validateBundle({ ...bundle, version: campaignBundleService.VERSION + 1 }), /newer version/);
+        assert.throws(() => campaignBundleService.validateBundle({ ...bundle, campaigns: [] }), /no campaigns/);
+        await assert.rejects(campaignBundleService.readBundle(new Blob(['not json'])), /not valid JSON/);
+    });
+
+    it('refuses zip bundles with missing images', async () => {
+        const manifest = JSON.stringify({ ...campaignBundleService.createBundle([], 'ed'), campaigns: ['bundle-image:images/image1.png'] });
+        const zip = new ZipService().createZip([{ name: 'campaign-bundle.json', data: manifest }]);
+        await assert.rejects(campaignBundleService.readBundle(zip), /"images\/image1.png" is missing/);
+    });
+});
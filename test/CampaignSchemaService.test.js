@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CampaignSchemaService from '../services/CampaignSchemaService.js';
+import CampaignSchemaError from '../services/CampaignSchemaError.js';
+
+describe('CampaignSchemaService', () => {
+    const campaignSchemaService = new CampaignSchemaService();
+    const unversioned = {
+        id: 'campaign_1',
+        name: 'Spring Sale',
+        status: 'Draft',
+        lastUpdated: '2024-05-01T10:00:00.000Z',
+        assets: {
+            banner: { content: 'Saved banner content' },
+            marketingPage: { templateId: 'simple', title: 'Spring' }
+        }
+    };
+
+    describe('migrate', () => {
+        it('upgrades an unversioned record to the current version', () => {
+            const { campaign, migrated } = campaignSchemaService.migrate(unversioned);
+            assert.equal(migrated, true);
+            assert.equal(campaign.schemaVersion, campaignSchemaService.CURRENT_VERSION);
+            assert.deepEqual(campaignSchemaService.validate(campaign), []);
+        });
+
+        it('fills in missing fields and drops placeholder assets', () => {
+            const { campaign } = campaignSchemaService.migrate(unversioned);
+            assert.equal(campaign.createdAt, unversioned.lastUpdated);
+            assert.deepEqual(campaign.assets, { banner: null, marketingPage: unversioned.assets.marketingPage, landingPage: null });
+            assert.equal(campaignSchemaService.migrate({ id: 'campaign_2', assets: null }).campaign.name, 'Unnamed Campaign');
+        });
+
+        it('leaves campaigns saved before ownership without an owner', () => {
+            assert.equal(campaignSchemaService.migrate(unversioned).campaign.ownerId, null);
+            assert.equal(campaignSchemaService.migrate({ ...unversioned, ownerId: 'ed' }).campaign.ownerId, 'ed');
+        });
+
+        it('turns free-text statuses into lifecycle statuses', () => {
+            assert.equal(campaignSchemaService.migrate({ ...unversioned, status: 'In Review' }).campaign.status, 'in_review');
+            assert.equal(campaignSchemaService.migrate({ ...unversioned, status: 'Pending legal' }).campaign.status, 'draft');
+        });
+
+        it('leaves the stored record alone', () => {
+            const record = JSON.parse(JSON.stringify(unversioned));
+            campaignSchemaService.migrate(record);
+            assert.deepEqual(record, unversioned);
+        });
+
+        it('does not upgrade a record of the current version again', () => {
+            const { campaign } = campaignSchemaService.migrate(unversioned);
+            assert.deepEqual(campaignSchemaService.migrate(campaign), { campaign, migrated: false });
+        });
+
+        it('refuses records of newer versions and invalid versions', () => {
+            const newer = campaignSchemaService.CURRENT_VERSION + 1;
+            assert.throws(() => campaignSchemaService.migrate({ ...unversioned, schemaVersion: newer }),
+                new RegExp(`newer version of the app \\(schema ${newer}\\)`));
+            assert.throws(() => campaignSchemaService.migrate({ ...unversioned, schemaVersion: 'two' }), CampaignSchemaError);
+            assert.throws(() => campaignSchemaService.migrate(null), CampaignSchemaError);
+        });
+
+        it('refuses records that do not match the schema after upgrading', () => {
+            assert.throws(() => campaignSchemaService.migrate({ ...unversioned, id: 42 }), error => {
+                assert.ok(error instanceof CampaignSchemaError);
+                assert.deepEqual(error.problems, ['id must be a string']);
+                return true;
+            });
+        });
+    });
+
+    describe('validate', () => {
+        it('reports invalid assets', () => {
+            const { campaign } = campaignSchemaService.migrate(unversioned);
+            const problems = campaignSchemaService.validate({ ...campaign, assets: { ...campaign.assets, banner: { type: 'image', layers: {} } } });
+            assert.deepEqual(problems, ['assets.banner.layers must be an array']);
+        });
+    });
+});
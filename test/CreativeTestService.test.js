@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CreativeTestService from '../services/CreativeTestService.js';
+
+describe('CreativeTestService', () => {
+    const creativeTestService = new CreativeTestService();
+    const banner = { type: 'image', layers: [] };
+
+    describe('addVariant', () => {
+        it('starts a test with the primary variant and splits the traffic evenly', () => {
+            const test = creativeTestService.addVariant(null, 'B', banner);
+            assert.equal(test.metric, creativeTestService.DEFAULT_METRIC);
+            assert.deepEqual(test.variants.map(variant => [variant.id === creativeTestService.PRIMARY_ID, variant.name, variant.weight]),
+                [[true, 'A', 50], [false, 'B', 50]]);
+            assert.deepEqual(creativeTestService.validate(test), []);
+        });
+
+        it('gives the rounding remainder to the primary variant', () => {
+            const test = creativeTestService.addVariant(creativeTestService.addVariant(null, 'B', banner), 'C', banner);
+            assert.deepEqual(test.variants.map(variant => variant.weight), [34, 33, 33]);
+        });
+
+        it('copies the asset', () => {
+            const asset = { type: 'image', layers: [{ text: 'Hi' }] };
+            const test = creativeTestService.addVariant(null, 'B', asset);
+            asset.layers[0].text = 'Changed';
+            assert.equal(test.variants[1].asset.layers[0].text, 'Hi');
+        });
+    });
+
+    describe('removeVariant', () => {
+        it('gives the removed variant\'s traffic to the primary variant', () => {
+            const test = creativeTestService.addVariant(creativeTestService.addVariant(null, 'B', banner), 'C', banner);
+            const { variants } = creativeTestService.removeVariant(test, test.variants[2].id);
+            assert.deepEqual(variants.map(variant => variant.weight), [67, 33]);
+        });
+
+        it('ends the test when only the primary variant is left', () => {
+            const test = creativeTestService.addVariant(null, 'B', banner);
+            assert.equal(creativeTestService.removeVariant(test, test.variants[1].id), null);
+        });
+    });
+
+    describe('getNextVariantName', () => {
+        it('skips names in use', () => {
+            assert.equal(creativeTestService.getNextVariantName(null), 'B');
+            const test = { variants: [{ name: 'A' }, { name: 'b' }, { name: 'D' }] };
+            assert.equal(creativeTestService.getNextVariantName(test), 'C');
+        });
+    });
+
+    describe('validate', () => {
+        it('reports duplicate names and shares that do not add up to 100%', () => {
+            const test = creativeTestService.addVariant(null, 'B', banner);
+            test.variants[1].name = 'a';
+            test.variants[1].weight = 40;
+            assert.deepEqual(creativeTestService.validate(test), [
+                'there are two variants called "a"',
+                'the traffic shares add up to 90% instead of 100%'
+            ]);
+        });
+    });
+
+    describe('validateResults', () => {
+        it('requires whole numbers that narrow down from impressions to conversions', () => {
+            assert.deepEqual(creativeTestService.validateResults({ impressions: 10, clicks: 5, conversions: 1 }), []);
+            assert.deepEqual(creativeTestService.validateResults({ impressions: 1.5, clicks: 0, conversions: 0 }),
+                ['impressions must be a whole number of at least 0']);
+            assert.deepEqual(creativeTestService.validateResults({ impressions: 5, clicks: 10, conversions: 20 }),
+                ['there cannot be more clicks than impressions', 'there cannot be more conversions than clicks']);
+        });
+    });
+
+    describe('evaluate', () => {
+        const test = creativeTestService.addVariant(null, 'B', banner);
+        const [primary, challenger] = test.variants;
+
+        it('declares no winner before every variant has the minimum sample', () => {
+            const result = creativeTestService.evaluate(test, {
+                [primary.id]: { impressions: 1000, clicks: 10, conversions: 0 },
+                [challenger.id]: { impressions: 50, clicks: 10, conversions: 0 }
+            });
+            assert.equal(result.winnerId, null);
+            assert.match(result.message, /"B" has fewer/);
+        });
+
+        it('declares a winner that is significantly better', () => {
+            const result = creativeTestService.evaluate(test, {
+                [primary.id]: { impressions: 10000, clicks: 100, conversions: 0 },
+                [challenger.id]: { impressions: 10000, clicks: 200, conversions: 0 }
+            });
+            assert.equal(result.winnerId, challenger.id);
+            assert.equal(result.rows[1].uplift, 1);
+            assert.ok(result.rows[1].confidence > creativeTestService.CONFIDENCE_LEVEL);
+        });
+
+        it('declares no winner while the difference could be chance', () => {
+            const result = creativeTestService.evaluate(test, {
+                [primary.id]: { impressions: 1000, clicks: 10, conversions: 0 },
+                [challenger.id]: { impressions: 1000, clicks: 12, conversions: 0 }
+            });
+            assert.equal(result.winnerId, null);
+            assert.match(result.message, /"B" leads/);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvService from '../services/CsvService.js';
+
+describe('CsvService', () => {
+    const csvService = new CsvService();
+
+    describe('parse', () => {
+        it('splits records into trimmed cells with their line numbers', () => {
+            assert.deepEqual(csvService.parse('Date,Spend\n2024-05-01 , 12.50\n'), [
+                { number: 1, cells: ['Date', 'Spend'] },
+                { number: 2, cells: ['2024-05-01', '12.50'] }
+            ]);
+        });
+
+        it('skips blank lines but keeps lines of empty cells', () => {
+            assert.deepEqual(csvService.parse('a,b\r\n\r\n,\r\nc,d').map(record => record.number), [1, 3, 4]);
+        });
+
+        it('reads quoted cells with commas and escaped quotes', () => {
+            assert.deepEqual(csvService.parse('"Spring, ""Sale""",3')[0].cells, ['Spring, "Sale"', '3']);
+        });
+
+        it('reads quoted cells that span several lines', () => {
+            const records = csvService.parse('Campaign,Clicks\r\n"Spring\r\nSale",4\r\nSummer,5');
+            assert.deepEqual(records, [
+                { number: 1, cells: ['Campaign', 'Clicks'] },
+                { number: 2, cells: ['Spring\r\nSale', '4'] },
+                { number: 4, cells: ['Summer', '5'] }
+            ]);
+        });
+
+        it('ignores a byte order mark', () => {
+            assert.deepEqual(csvService.parse('﻿Date\n')[0].cells, ['Date']);
+        });
+    });
+
+    describe('parseNumber', () => {
+        it('ignores currency symbols, percent signs and thousands separators', () => {
+            assert.equal(csvService.parseNumber('$1,234.50'), 1234.5);
+            assert.equal(csvService.parseNumber('2.5%'), 2.5);
+        });
+
+        it('returns NaN for a cell without a number', () => {
+            assert.ok(Number.isNaN(csvService.parseNumber('n/a')));
+            assert.ok(Number.isNaN(csvService.parseNumber(undefined)));
+        });
+    });
+
+    describe('stringify', () => {
+        it('quotes cells with commas, quotes or line breaks', () => {
+            assert.equal(csvService.stringify([['a', 'b,c'], ['say "hi"', 'x\ny'], [null, 3]]),
+                'a,"b,c"\r\n"say ""hi""","x\ny"\r\n,3');
+        });
+
+        it('writes what parse() reads back', () => {
+            const rows = [['Name', 'Note'], ['Spring, "Sale"', 'two\r\nlines']];
+            assert.deepEqual(csvService.parse(csvService.stringify(rows)).map(record => record.cells), rows);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvService from '../services/CsvService.js';
+import LeadService from '../services/LeadService.js';
+
+/**
+ * Creates a lead as captured at a given time.
+ * @param {string} id The lead ID.
+ * @param {string} email The email address.
+ * @param {string} capturedAt When it was captured.
+ * @param {string} [status] Its status.
+ * @returns {Object} The lead.
+ */
+function createLead(id, email, capturedAt, status = 'new') {
+    return { id, name: id, email, templateId: 'simple', variantId: null, source: 'test', status, capturedAt, capturedBy: 'ed' };
+}
+
+describe('LeadService', () => {
+    const leadService = new LeadService(new CsvService());
+
+    describe('validateSubmission', () => {
+        it('requires a name and a valid email address', () => {
+            assert.deepEqual(leadService.validateSubmission({ name: ' Ann ', email: 'ann@example.com' }), []);
+            assert.deepEqual(leadService.validateSubmission({ name: '  ', email: 'ann@example' }),
+                ['enter a name', 'enter a valid email address']);
+            assert.deepEqual(leadService.validateSubmission({}), ['enter a name', 'enter a valid email address']);
+        });
+    });
+
+    describe('createLead', () => {
+        it('trims the submission and starts the lead as new', () => {
+            const lead = leadService.createLead({ name: ' Ann ', email: ' ann@example.com ' }, { templateId: 'simple', variantId: '', source: 'preview' }, 'ed');
+            assert.equal(lead.name, 'Ann');
+            assert.equal(lead.email, 'ann@example.com');
+            assert.equal(lead.variantId, null);
+            assert.equal(lead.status, leadService.INITIAL_STATUS);
+            assert.equal(lead.capturedBy, 'ed');
+        });
+    });
+
+    describe('dedupe', () => {
+        it('merges later leads of the same email address into the earliest one', () => {
+            const leads = [
+                createLead('second', 'Ann@Example.com ', '2024-05-02T00:00:00Z', 'contacted'),
+                createLead('first', 'ann@example.com', '2024-05-01T00:00:00Z'),
+                createLead('other', 'bob@example.com', '2024-05-03T00:00:00Z')
+            ];
+            assert.deepEqual([...leadService.findDuplicates(leads)], ['second']);
+
+            const { leads: merged, removed } = leadService.dedupe(leads);
+            assert.equal(removed, 1);
+            assert.deepEqual(merged.map(lead => [lead.id, lead.status]), [['first', 'contacted'], ['other', 'new']]);
+        });
+
+        it('keeps the status of a lead that was already followed up', () => {
+            const leads = [
+                createLead('first', 'ann@example.com', '2024-05-01T00:00:00Z', 'qualified'),
+                createLead('second', 'ann@example.com', '2024-05-02T00:00:00Z', 'contacted')
+            ];
+            assert.equal(leadService.dedupe(leads).leads[0].status, 'qualified');
+        });
+
+        it('returns the same leads when there are no duplicates', () => {
+            const leads = [createLead('first', 'ann@example.com', '2024-05-01T00:00:00Z')];
+            assert.deepEqual(leadService.dedupe(leads), { leads, removed: 0 });
+        });
+    });
+
+    describe('matches', () => {
+        it('searches names and email addresses, ignoring case', () => {
+            const lead = { name: 'Ann Lee', email: 'ann@example.com' };
+            assert.ok(leadService.matches(lead, ' LEE '));
+            assert.ok(leadService.matches(lead, 'example'));
+            assert.ok(leadService.matches(lead, ''));
+            assert.equal(leadService.matches(lead, 'bob'), false);
+        });
+    });
+
+    describe('toCsv', () => {
+        it('writes variants by name and guards against spreadsheet formulas', () => {
+            const campaign = {
+                name: 'Spring',
+                creativeTests: { landingPage: { variants: [{ id: 'primary', name: 'A' }, { id: 'v1', name: 'B' }] } }
+            };
+            const lead = { ...createLead('l1', 'ann@example.com', '2024-05-01T00:00:00Z'), name: '=HYPERLINK("x")', variantId: 'v1' };
+            const [header, line] = leadService.toCsv([{ lead, campaign }]).split('\r\n');
+            assert.equal(header, 'Name,Email,Campaign,Status,Template,Variant,Source,Captured At,Captured By');
+            assert.equal(line, '"\'=HYPERLINK(""x"")",ann@example.com,Spring,New,simple,B,Test mode,2024-05-01T00:00:00Z,ed');
+        });
+    });
+});
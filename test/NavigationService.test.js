@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import NavigationService from '../services/NavigationService.js';
+
+describe('NavigationService', () => {
+    const navigationService = new NavigationService(null, null, null);
+    navigationService.registerRoute('/login', { screenId: 'login-screen', requiresAuth: false });
+    navigationService.registerRoute('/dashboard', { screenId: 'dashboard-screen' });
+    navigationService.registerRoute('/campaigns/:id/banner', { screenId: 'banner-editor-screen', editsCampaign: true });
+
+    describe('_matchRoute', () => {
+        it('matches routes segment by segment', () => {
+            assert.equal(navigationService._matchRoute('/dashboard').route.screenId, 'dashboard-screen');
+            assert.equal(navigationService._matchRoute('/dashboard/').route.screenId, 'dashboard-screen');
+            assert.equal(navigationService._matchRoute('/campaigns/abc'), null);
+            assert.equal(navigationService._matchRoute('/unknown'), null);
+        });
+
+        it('decodes parameters', () => {
+            const { route, params } = navigationService._matchRoute('/campaigns/summer%20sale/banner');
+            assert.equal(route.screenId, 'banner-editor-screen');
+            assert.deepEqual(params, { id: 'summer sale' });
+        });
+
+        it('does not match parameters that are not validly percent-encoded', () => {
+            assert.equal(navigationService._matchRoute('/campaigns/%E0/banner'), null);
+        });
+    });
+
+    describe('_getSafeNext', () => {
+        it('accepts in-app routes other than the login screen', () => {
+            assert.equal(navigationService._getSafeNext('/campaigns/abc/banner?variant=b'), '/campaigns/abc/banner?variant=b');
+            assert.equal(navigationService._getSafeNext('/login'), null);
+            assert.equal(navigationService._getSafeNext('/nowhere'), null);
+        });
+
+        it('refuses routes that leave the app', () => {
+            assert.equal(navigationService._getSafeNext('//evil.example'), null);
+            assert.equal(navigationService._getSafeNext('https://evil.example'), null);
+            assert.equal(navigationService._getSafeNext(null), null);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import ZipService from '../services/ZipService.js';
+
+/**
+ * Rewrites a zip archive with a single stored entry so that the entry is DEFLATE-compressed,
+ * as other zip tools write them.
+ * @param {Uint8Array} bytes The archive, as written by ZipService.
+ * @returns {Uint8Array} The compressed archive.
+ */
+function deflateSingleEntry(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const size = view.getUint32(18, true);
+    const dataStart = 30 + view.getUint16(26, true);
+    const deflated = deflateRawSync(bytes.subarray(dataStart, dataStart + size));
+    const rest = bytes.subarray(dataStart + size);
+
+    const rebuilt = new Uint8Array(dataStart + deflated.length + rest.length);
+    rebuilt.set(bytes.subarray(0, dataStart));
+    rebuilt.set(deflated, dataStart);
+    rebuilt.set(rest, dataStart + deflated.length);
+    const out = new DataView(rebuilt.buffer);
+    const central = dataStart + deflated.length;
+    out.setUint16(8, 8, true); // DEFLATE
+    out.setUint32(18, deflated.length, true);
+    out.setUint16(central + 10, 8, true);
+    out.setUint32(central + 20, deflated.length, true);
+    out.setUint32(rebuilt.length - 6, central, true); // Offset of the central directory
+    return rebuilt;
+}
+
+describe('ZipService', () => {
+    const zipService = new ZipService();
+
+    it('computes CRC-32 checksums', () => {
+        assert.equal(zipService.crc32(zipService.toBytes('123456789')), 0xCBF43926);
+        assert.equal(zipService.crc32(new Uint8Array()), 0);
+    });
+
+    it('stores each file uncompressed with its name, size and checksum', async () => {
+        const data = zipService.toBytes('<p>Café</p>');
+        const blob = zipService.createZip([{ name: 'index.html', data }, { name: 'images/logo.png', data: new Uint8Array([1, 2]) }]);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+
+        assert.equal(view.getUint32(0, true), 0x04034B50);
+        assert.equal(view.getUint16(8, true), 0); // STORE
+        assert.equal(view.getUint32(14, true), zipService.crc32(data));
+        assert.equal(view.getUint32(18, true), data.length);
+        assert.equal(new TextDecoder().decode(bytes.subarray(30, 30 + view.getUint16(26, true))), 'index.html');
+        assert.deepEqual(bytes.subarray(40, 40 + data.length), data);
+        // The end of central directory record counts both files.
+        assert.equal(view.getUint16(bytes.length - 12, true), 2);
+    });
+
+    it('reads back the files it writes', async () => {
+        const image = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0, 255]);
+        const blob = zipService.createZip([
+            { name: 'index.html', data: '<p>Café</p>' },
+            { name: 'images/logo.png', data: image }
+        ]);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        assert.ok(zipService.isZip(bytes));
+
+        const files = await zipService.readZip(bytes);
+        assert.deepEqual(files.map(file => file.name), ['index.html', 'images/logo.png']);
+        assert.equal(new TextDecoder().decode(files[0].data), '<p>Café</p>');
+        assert.deepEqual(files[1].data, image);
+    });
+
+    it('reads DEFLATE entries written by other tools', async () => {
+        const bytes = new Uint8Array(await zipService.createZip([{ name: 'a.txt', data: 'hello hello hello' }]).arrayBuffer());
+        const [file] = await zipService.readZip(deflateSingleEntry(bytes));
+        assert.equal(new TextDecoder().decode(file.data), 'hello hello hello');
+    });
+
+    it('refuses data that is not a zip archive', async () => {
+        const bytes = new TextEncoder().encode('{"format": "json"}');
+        assert.equal(zipService.isZip(bytes), false);
+        await assert.rejects(zipService.readZip(bytes), /not a zip archive/);
+    });
+});